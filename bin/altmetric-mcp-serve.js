@@ -7,13 +7,35 @@ import { createMcpExpressApp } from '@modelcontextprotocol/sdk/server/express.js
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  CompleteRequestSchema,
+  McpError,
+  ErrorCode,
 } from '@modelcontextprotocol/sdk/types.js';
 import { createTools } from '../lib/tools.js';
+import { createResources, RESOURCE_NOT_FOUND } from '../lib/resources.js';
+import { createPrompts } from '../lib/prompts.js';
+import { createCompletions } from '../lib/completions.js';
 import { assertArgsWithinLimits } from '../lib/args-limits.js';
-import { enforceResultSizeLimit } from '../lib/output-limits.js';
+import { validateToolArguments, invalidArgumentsResult } from '../lib/schema-validator.js';
+import {
+  enforceResultSizeLimit,
+  resultTokenBudgetFromEnv,
+  resultTokenBudgetFromHeader,
+  RESULT_TOKEN_BUDGET_HEADER,
+} from '../lib/output-limits.js';
 import { createCredentialsBroker } from '../lib/credentials/broker.js';
 import { bearerAuth } from '../lib/middleware/bearer.js';
 import { protectedResourceMetadata } from '../lib/http/well-known.js';
+import { responseCacheFromEnv } from '../lib/cache.js';
+import { rateLimitersFromEnv } from '../lib/rate-limiter.js';
+import { createResultCursorStore } from '../lib/result-cursors.js';
+import { createIdentifierListRegistry } from '../lib/identifier-lists.js';
+import { credentialFingerprint } from '../lib/credentials/fingerprint.js';
 
 // Advertise the package version (single source of truth: package.json) to MCP clients.
 const { version } = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
@@ -59,12 +81,35 @@ const broker = createCredentialsBroker({
   },
 });
 
-// Build the toolset for a request from its entitlement map, mirroring the stdio entry's
-// presence-gating: a product's tools are exposed only when its credentials are present.
-// The resolvers close over this request's credentials, so the tools sign their own API
-// calls without the client's bearer ever reaching the Altmetric APIs.
-function buildTools(credentials) {
-  return createTools({
+// Upstream response cache shared by every request (ALTMETRIC_CACHE=memory|disk|off; see
+// lib/cache.js). Entries are partitioned by a fingerprint of the brokered credential that
+// fetched them, so one caller's Explorer data is never served to another.
+const responseCache = responseCacheFromEnv(process.env);
+
+// Client-side request limits (ALTMETRIC_*_RATE_LIMIT, ALTMETRIC_*_DAILY_BUDGET; see
+// lib/rate-limiter.js). Buckets are keyed per brokered credential, so each caller's
+// quota is tracked separately; the limits themselves apply to every key alike.
+const rateLimiters = rateLimitersFromEnv(process.env);
+
+// Remainders of results trimmed to the budget, served back by continue_result (see
+// lib/result-cursors.js). Shared across requests like the cache; each caller can only
+// take the cursors issued to their own credentials.
+const resultCursorStore = createResultCursorStore();
+
+// Identifier lists each caller has created, for list_identifier_lists and reuse by
+// name (see lib/identifier-lists.js); partitioned the same way as the cursors.
+const identifierListRegistry = createIdentifierListRegistry();
+
+// Default token budget for a single tool result (MAX_MCP_OUTPUT_TOKENS). A client can
+// declare its own cap per request with the X-Max-MCP-Output-Tokens header.
+const maxResultTokens = resultTokenBudgetFromEnv(process.env);
+
+// Credential resolvers for a request's entitlement map, mirroring the stdio entry's
+// presence-gating: a product's tools and resources are exposed only when its credentials
+// are present. The resolvers close over this request's credentials, so the tools sign
+// their own API calls without the client's bearer ever reaching the Altmetric APIs.
+function resolversFor(credentials) {
+  return {
     explorer: credentials.explorer
       ? async () => ({
         apiKey: credentials.explorer.api_key,
@@ -75,13 +120,26 @@ function buildTools(credentials) {
     details: credentials.detail_pages_api
       ? async () => ({ apiKey: credentials.detail_pages_api.api_key, baseUrl: DETAILS_API_BASE_URL })
       : undefined,
-  });
+  };
 }
 
-// Create a new MCP server instance for a request, exposing the given toolset. The transport
-// is stateless, so this is built fresh per request (see the POST handler) and torn down when
-// the response closes.
-function createServer(tools) {
+// Create a new MCP server instance for a request, exposing the toolset and resources for
+// the caller's credentials. The transport is stateless, so this is built fresh per request
+// (see the POST handler) and torn down when the response closes. `maxTokens` is the
+// result budget this request's client declared.
+function createServer(credentials, { maxTokens = maxResultTokens } = {}) {
+  const resolvers = resolversFor(credentials);
+  const owner = credentialFingerprint(
+    credentials.explorer?.api_key,
+    credentials.detail_pages_api?.api_key,
+  );
+  const resultCursors = resultCursorStore.forOwner(owner);
+  const identifierLists = identifierListRegistry.forOwner(owner);
+  const tools = createTools(resolvers, { cache: responseCache, rateLimiters, resultCursors, identifierLists });
+  const resources = createResources(resolvers, { cache: responseCache, rateLimiters, maxTokens });
+  const prompts = createPrompts(tools);
+  const completions = createCompletions(resolvers, { prompts, resources, cache: responseCache, rateLimiters });
+
   const server = new Server(
     {
       name: 'altmetric-mcp-server',
@@ -90,6 +148,9 @@ function createServer(tools) {
     {
       capabilities: {
         tools: {},
+        resources: {},
+        prompts: {},
+        completions: {},
       },
     }
   );
@@ -110,8 +171,16 @@ function createServer(tools) {
 
     try {
       assertArgsWithinLimits(args);
+      // Enforce the declared inputSchema, matching the stdio entry (index.js).
+      const violations = validateToolArguments(tool.definition.inputSchema, args);
+      if (violations.length > 0) {
+        return invalidArgumentsResult(name, violations);
+      }
       // Trim oversized results to the client cap, matching the stdio entry (index.js).
-      return enforceResultSizeLimit(await tool.handler(args));
+      return enforceResultSizeLimit(await tool.handler(args), {
+        maxTokens,
+        stash: (items, info) => resultCursors.stash(items, { tool: name, ...info }),
+      });
     } catch (error) {
       console.error(`Tool ${name} error:`, error);
 
@@ -127,6 +196,50 @@ function createServer(tools) {
     }
   });
 
+  // Resources are addressed by template only (see lib/resources.js).
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return { resources: [] };
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates: resources.templates };
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+    const result = await resources.read(uri);
+    if (!result) {
+      throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
+    }
+    return result;
+  });
+
+  // Workflow prompts (see lib/prompts.js), offered only when the tools they use are.
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return { prompts: prompts.definitions };
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+    let result;
+    try {
+      result = prompts.get(name, args);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, error.message);
+    }
+    if (!result) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+    }
+    return result;
+  });
+
+  // Argument completion for prompt arguments, scoped to this caller's Explorer
+  // credentials (see lib/completions.js).
+  server.setRequestHandler(CompleteRequestSchema, async (request) => {
+    const { ref, argument } = request.params;
+    return completions.complete(ref, argument);
+  });
+
   return server;
 }
 
@@ -177,7 +290,9 @@ app.get('/health', (req, res) => {
 app.post('/mcp', authenticate, async (req, res) => {
   // req.principal is this caller's entitlement map (from authenticate); the toolset
   // reflects exactly the products they can use.
-  const server = createServer(buildTools(req.principal));
+  const server = createServer(req.principal, {
+    maxTokens: resultTokenBudgetFromHeader(req.headers[RESULT_TOKEN_BUDGET_HEADER], maxResultTokens),
+  });
   const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
 
   res.on('close', () => {
@@ -5,11 +5,28 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  CompleteRequestSchema,
+  McpError,
+  ErrorCode,
 } from '@modelcontextprotocol/sdk/types.js';
 import { readFileSync } from 'node:fs';
 import { createTools } from './lib/tools.js';
+import { createResources, RESOURCE_NOT_FOUND } from './lib/resources.js';
+import { createPrompts } from './lib/prompts.js';
+import { createCompletions } from './lib/completions.js';
 import { assertArgsWithinLimits } from './lib/args-limits.js';
-import { enforceResultSizeLimit } from './lib/output-limits.js';
+import { validateToolArguments, invalidArgumentsResult } from './lib/schema-validator.js';
+import { enforceResultSizeLimit, resultTokenBudgetFromEnv } from './lib/output-limits.js';
+import { responseCacheFromEnv } from './lib/cache.js';
+import { rateLimitersFromEnv } from './lib/rate-limiter.js';
+import { createResultCursorStore } from './lib/result-cursors.js';
+import { createIdentifierListRegistry } from './lib/identifier-lists.js';
+import { identifierFileRootFromEnv } from './lib/identifier-files.js';
 
 // Advertise the package version (single source of truth: package.json) to MCP clients.
 const { version } = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
@@ -41,9 +58,31 @@ if (!hasDetailsApi && !hasExplorerApi) {
   process.exit(1);
 }
 
+// Upstream response cache (ALTMETRIC_CACHE=memory|disk|off; see lib/cache.js).
+const responseCache = responseCacheFromEnv(process.env);
+
+// Client-side per-second / daily request limits (ALTMETRIC_*_RATE_LIMIT,
+// ALTMETRIC_*_DAILY_BUDGET; see lib/rate-limiter.js).
+const rateLimiters = rateLimitersFromEnv(process.env);
+
+// Token budget for a single tool result (MAX_MCP_OUTPUT_TOKENS; see lib/output-limits.js).
+const maxResultTokens = resultTokenBudgetFromEnv(process.env);
+
+// Remainders of results trimmed to the budget, served back by continue_result (see
+// lib/result-cursors.js). There is a single caller under stdio, so a single owner.
+const resultCursors = createResultCursorStore().forOwner('stdio');
+
+// Identifier lists created this session, for list_identifier_lists and reuse by name
+// (see lib/identifier-lists.js).
+const identifierLists = createIdentifierListRegistry().forOwner('stdio');
+
+// The one directory identifiers_file may read from (ALTMETRIC_IDENTIFIERS_DIR; see
+// lib/identifier-files.js). Unset, the argument is not offered.
+const identifiersFileRoot = identifierFileRootFromEnv(process.env);
+
 // Create tools with static, env-keyed credential resolvers (stdio transport).
 // Resolvers return constant creds, so behaviour matches the previous closed-over config.
-const tools = createTools({
+const resolvers = {
   details: hasDetailsApi
     ? async () => ({ apiKey: DETAILS_API_KEY, baseUrl: DETAILS_API_BASE_URL })
     : undefined,
@@ -54,7 +93,17 @@ const tools = createTools({
       baseUrl: EXPLORER_API_BASE_URL,
     })
     : undefined,
+};
+const tools = createTools(resolvers, {
+  cache: responseCache,
+  rateLimiters,
+  resultCursors,
+  identifierLists,
+  identifiersFileRoot,
 });
+const resources = createResources(resolvers, { cache: responseCache, rateLimiters, maxTokens: maxResultTokens });
+const prompts = createPrompts(tools);
+const completions = createCompletions(resolvers, { prompts, resources, cache: responseCache, rateLimiters });
 
 // Create and configure the server
 const server = new Server(
@@ -65,6 +114,9 @@ const server = new Server(
   {
     capabilities: {
       tools: {},
+      resources: {},
+      prompts: {},
+      completions: {},
     },
   }
 );
@@ -87,10 +139,19 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
   try {
     assertArgsWithinLimits(args);
+    // Enforce the declared inputSchema before the handler runs (see lib/schema-validator.js).
+    const violations = validateToolArguments(tool.definition.inputSchema, args);
+    if (violations.length > 0) {
+      return invalidArgumentsResult(name, violations);
+    }
     const result = await tool.handler(args);
     // Keep the result under the MCP client's payload cap so the client never
-    // drops an oversized response whole (see lib/output-limits.js).
-    return enforceResultSizeLimit(result);
+    // drops an oversized response whole (see lib/output-limits.js); the trimmed
+    // rest is held for continue_result.
+    return enforceResultSizeLimit(result, {
+      maxTokens: maxResultTokens,
+      stash: (items, info) => resultCursors.stash(items, { tool: name, ...info }),
+    });
   } catch (error) {
     // Log full error for debugging
     console.error(`Tool ${name} error:`, error);
@@ -107,6 +168,50 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   }
 });
 
+// Resources are addressed by template only (see lib/resources.js): there is no
+// finite set of records to list.
+server.setRequestHandler(ListResourcesRequestSchema, async () => {
+  return { resources: [] };
+});
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+  return { resourceTemplates: resources.templates };
+});
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  const { uri } = request.params;
+  const result = await resources.read(uri);
+  if (!result) {
+    throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
+  }
+  return result;
+});
+
+// Workflow prompts (see lib/prompts.js), offered only when the tools they use are.
+server.setRequestHandler(ListPromptsRequestSchema, async () => {
+  return { prompts: prompts.definitions };
+});
+
+server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+  const { name, arguments: args } = request.params;
+  let result;
+  try {
+    result = prompts.get(name, args);
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, error.message);
+  }
+  if (!result) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  }
+  return result;
+});
+
+// Argument completion for prompt arguments (see lib/completions.js).
+server.setRequestHandler(CompleteRequestSchema, async (request) => {
+  const { ref, argument } = request.params;
+  return completions.complete(ref, argument);
+});
+
 // Start the server
 async function main() {
   const transport = new StdioServerTransport();
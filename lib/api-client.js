@@ -1,5 +1,7 @@
 import crypto from 'crypto';
 import { sanitizeUpstreamText } from './output-guard.js';
+import { responseCacheKey } from './cache.js';
+import { credentialFingerprint } from './credentials/fingerprint.js';
 
 const REQUEST_TIMEOUT_MS = 60_000;
 // get_citation_details returns all mentions for a research output in one
@@ -8,6 +10,14 @@ const REQUEST_TIMEOUT_MS = 60_000;
 // break that documented use case.
 export const MAX_RESPONSE_BYTES = 20 * 1024 * 1024;
 
+// Transient upstream failures: rate limiting, a 500 from an origin that hiccupped,
+// and gateway errors in front of it. Multi-step agent workflows used to fail halfway on a single 429, so
+// idempotent requests are retried with full-jitter exponential backoff. Every
+// attempt (and every wait) shares one REQUEST_TIMEOUT_MS deadline, so a retried
+// call never takes longer than an unretried one could have.
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+export const DEFAULT_RETRY_POLICY = { maxRetries: 3, baseDelayMs: 250, maxDelayMs: 8_000 };
+
 function assertHttps(url) {
   if (url.protocol === 'https:') {
     return;
@@ -44,6 +54,77 @@ async function readBoundedJson(response) {
   return JSON.parse(text);
 }
 
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Retry-After is either delta-seconds or an HTTP date; anything else is ignored
+// in favour of our own backoff.
+function retryAfterMs(response) {
+  const value = response.headers?.get?.('retry-after')?.trim();
+  if (!value) return null;
+  if (/^\d+$/.test(value)) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffMs(policy, attempt) {
+  return Math.floor(Math.random() * Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt));
+}
+
+// fetch() with retries for idempotent requests. A retryable status is returned
+// (not thrown) once retries run out, or when waiting would overrun the deadline,
+// so callers report it through their usual error path. Network errors are
+// retried too; timeouts are not, since they have already spent the deadline.
+// `acquire`, when given, is awaited before every attempt (see rateLimitAcquirer).
+async function fetchWithRetry(url, init, { retry = DEFAULT_RETRY_POLICY, onRetry, acquire } = {}) {
+  const policy = retry ? { ...DEFAULT_RETRY_POLICY, ...retry } : { ...DEFAULT_RETRY_POLICY, maxRetries: 0 };
+  const deadline = Date.now() + REQUEST_TIMEOUT_MS;
+
+  for (let attempt = 0; ; attempt++) {
+    await acquire?.(deadline);
+    const signal = AbortSignal.timeout(Math.max(1, deadline - Date.now()));
+    let response;
+    let delayMs;
+    let reason;
+    try {
+      response = await fetch(url, { ...init, signal });
+    } catch (error) {
+      const timedOut = error?.name === 'TimeoutError' || error?.name === 'AbortError';
+      delayMs = backoffMs(policy, attempt);
+      if (timedOut || attempt >= policy.maxRetries || Date.now() + delayMs >= deadline) {
+        throw error;
+      }
+      reason = 'network error';
+    }
+
+    if (response) {
+      if (!RETRYABLE_STATUSES.has(response.status) || attempt >= policy.maxRetries) {
+        return response;
+      }
+      delayMs = retryAfterMs(response) ?? backoffMs(policy, attempt);
+      if (Date.now() + delayMs >= deadline) {
+        return response;
+      }
+      // Release the connection before waiting; the body is never read.
+      await response.body?.cancel().catch(() => {});
+      reason = `HTTP ${response.status}`;
+    }
+
+    onRetry?.({ attempt: attempt + 1, reason, delayMs });
+    await sleep(delayMs);
+  }
+}
+
+// Reserve a slot on the credential's client-side rate limiter (lib/rate-limiter.js)
+// before each upstream attempt, reporting the resulting quota through onQuota.
+function rateLimitAcquirer({ rateLimiter, onQuota }, partitionParts) {
+  if (!rateLimiter) return undefined;
+  const key = credentialFingerprint(...partitionParts);
+  return async (deadline) => {
+    const quota = await rateLimiter.acquire(key, { deadline });
+    onQuota?.(quota);
+  };
+}
+
 function logUpstreamError(label, status, body) {
   // Log a hash of the upstream body instead of the body itself: bodies can
   // echo internal hostnames, IPs, or even our API key in some error paths,
@@ -53,6 +134,27 @@ function logUpstreamError(label, status, body) {
   console.error(`${label}: status=${status} body_sha256_prefix=${hash} bytes=${bytes}`);
 }
 
+// Serve a GET from the response cache when one is configured (see lib/cache.js).
+// `partitionParts` identify the credential, so entries never cross principals.
+async function withResponseCache(options, partitionParts, endpoint, params, load) {
+  const { cache, bypassCache = false } = options;
+  if (!cache) {
+    return load();
+  }
+
+  const key = responseCacheKey(credentialFingerprint(...partitionParts), endpoint, params);
+  if (!bypassCache) {
+    const hit = await cache.get(key);
+    if (hit !== undefined) {
+      return hit;
+    }
+  }
+
+  const value = await load();
+  await cache.set(key, endpoint, value);
+  return value;
+}
+
 /**
  * Generates HMAC-SHA1 digest for Explorer API authentication
  * @param {Object} filters - Filter parameters to include in digest
@@ -129,13 +231,26 @@ export function generateIdentifierListDigest(identifiers, secret) {
  * @param {string} apiKey - API key for authentication
  * @param {string} baseUrl - Base URL for the API
  * @param {Object} [fetchOptions] - Additional fetch options (method, headers, body)
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.cache] - Response cache (lib/cache.js); only GETs are cached
+ * @param {boolean} [options.bypassCache] - Skip the cache lookup (the fresh response is still stored)
+ * @param {Object|false} [options.retry] - Retry policy overrides (see DEFAULT_RETRY_POLICY); false disables. Only GETs are retried
+ * @param {Function} [options.onRetry] - Called with { attempt, reason, delayMs } before each retry
+ * @param {Object} [options.rateLimiter] - Client-side limiter for this API (lib/rate-limiter.js), keyed per credential
+ * @param {Function} [options.onQuota] - Called with the limiter's quota snapshot after each slot is reserved
  * @returns {Promise<Object>} API response data
  */
-export async function makeDetailsApiRequest(endpoint, params = {}, apiKey, baseUrl, fetchOptions = {}) {
+export async function makeDetailsApiRequest(endpoint, params = {}, apiKey, baseUrl, fetchOptions = {}, options = {}) {
   if (!apiKey) {
     throw new Error('ALTMETRIC_DETAILS_API_KEY is required for Details Page API calls');
   }
 
+  const isGet = !fetchOptions.method || fetchOptions.method.toUpperCase() === 'GET';
+  if (isGet && options.cache) {
+    return withResponseCache(options, ['details', baseUrl, apiKey], endpoint, params,
+      () => makeDetailsApiRequest(endpoint, params, apiKey, baseUrl, fetchOptions, { ...options, cache: null }));
+  }
+
   const url = new URL(endpoint, baseUrl);
   url.searchParams.append('key', apiKey);
 
@@ -152,9 +267,11 @@ export async function makeDetailsApiRequest(endpoint, params = {}, apiKey, baseU
   // through Cloudflare and respond with a 307 to api-prod-post-cache
   // before reaching the origin, so disabling redirects breaks those tools.
   // URL pinning still holds via the hardcoded base URL plus TLS verification.
-  const response = await fetch(url.toString(), {
-    ...fetchOptions,
-    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  // POSTs here (translate) are not retried: only GETs are known to be idempotent.
+  const response = await fetchWithRetry(url.toString(), fetchOptions, {
+    retry: isGet ? options.retry : false,
+    onRetry: options.onRetry,
+    acquire: rateLimitAcquirer(options, ['details', baseUrl, apiKey]),
   });
 
   if (!response.ok) {
@@ -173,13 +290,25 @@ export async function makeDetailsApiRequest(endpoint, params = {}, apiKey, baseU
  * @param {string} apiKey - API key for authentication
  * @param {string} apiSecret - API secret for digest generation
  * @param {string} baseUrl - Base URL for the API
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.cache] - Response cache (lib/cache.js)
+ * @param {boolean} [options.bypassCache] - Skip the cache lookup (the fresh response is still stored)
+ * @param {Object|false} [options.retry] - Retry policy overrides (see DEFAULT_RETRY_POLICY); false disables
+ * @param {Function} [options.onRetry] - Called with { attempt, reason, delayMs } before each retry
+ * @param {Object} [options.rateLimiter] - Client-side limiter for this API (lib/rate-limiter.js), keyed per credential
+ * @param {Function} [options.onQuota] - Called with the limiter's quota snapshot after each slot is reserved
  * @returns {Promise<Object>} API response data
  */
-export async function makeExplorerApiRequest(endpoint, filters = {}, apiKey, apiSecret, baseUrl) {
+export async function makeExplorerApiRequest(endpoint, filters = {}, apiKey, apiSecret, baseUrl, options = {}) {
   if (!apiKey) {
     throw new Error('ALTMETRIC_EXPLORER_API_KEY is required for Explorer API calls');
   }
 
+  if (options.cache) {
+    return withResponseCache(options, ['explorer', baseUrl, apiKey, apiSecret], endpoint, filters,
+      () => makeExplorerApiRequest(endpoint, filters, apiKey, apiSecret, baseUrl, { ...options, cache: null }));
+  }
+
   const url = new URL(endpoint, baseUrl);
 
   // Add API key
@@ -210,8 +339,9 @@ export async function makeExplorerApiRequest(endpoint, filters = {}, apiKey, api
 
   assertHttps(url);
 
-  const response = await fetch(url.toString(), {
-    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  const response = await fetchWithRetry(url.toString(), {}, {
+    ...options,
+    acquire: rateLimitAcquirer(options, ['explorer', baseUrl, apiKey]),
   });
 
   if (!response.ok) {
@@ -233,9 +363,14 @@ export async function makeExplorerApiRequest(endpoint, filters = {}, apiKey, api
  * @param {string} apiKey - API key for authentication
  * @param {string} apiSecret - API secret for digest generation
  * @param {string} baseUrl - Base URL for the API
+ * @param {Object} [options] - Request options
+ * @param {Object|false} [options.retry] - Retry policy overrides (see DEFAULT_RETRY_POLICY); false disables
+ * @param {Function} [options.onRetry] - Called with { attempt, reason, delayMs } before each retry
+ * @param {Object} [options.rateLimiter] - Client-side limiter for this API (lib/rate-limiter.js), keyed per credential
+ * @param {Function} [options.onQuota] - Called with the limiter's quota snapshot after each slot is reserved
  * @returns {Promise<Object>} API response data ({ data: { id, counts, content } })
  */
-export async function makeExplorerIdentifierListRequest(identifiers, apiKey, apiSecret, baseUrl) {
+export async function makeExplorerIdentifierListRequest(identifiers, apiKey, apiSecret, baseUrl, options = {}) {
   if (!apiKey) {
     throw new Error('ALTMETRIC_EXPLORER_API_KEY is required for Explorer API calls');
   }
@@ -251,11 +386,49 @@ export async function makeExplorerIdentifierListRequest(identifiers, apiKey, api
   // only - the API rejects it in the query string (identifiers_must_be_in_body).
   const body = new URLSearchParams({ key: apiKey, digest, identifiers }).toString();
 
-  const response = await fetch(url.toString(), {
+  // Safe to retry despite being a POST: the same content always yields the same list.
+  const response = await fetchWithRetry(url.toString(), {
     method: 'POST',
     headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
     body,
-    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  }, {
+    ...options,
+    acquire: rateLimitAcquirer(options, ['explorer', baseUrl, apiKey]),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    logUpstreamError('Explorer identifier_lists error', response.status, errorText);
+    throw new Error(httpErrorMessage(response.status));
+  }
+
+  return readBoundedJson(response);
+}
+
+/**
+ * Fetches an existing identifier list's metadata from the Explorer API. Signed the
+ * identifier_lists way (generateIdentifierListDigest), over the list id - the only
+ * payload a read carries.
+ * @param {string} listId - Identifier list id
+ * @param {string} apiKey - API key for authentication
+ * @param {string} apiSecret - API secret for digest generation
+ * @param {string} baseUrl - Base URL for the API
+ * @param {Object} [options] - Request options, as for makeExplorerIdentifierListRequest
+ * @returns {Promise<Object>} API response data ({ data: { id, counts, content } })
+ */
+export async function makeExplorerIdentifierListGetRequest(listId, apiKey, apiSecret, baseUrl, options = {}) {
+  if (!apiKey) {
+    throw new Error('ALTMETRIC_EXPLORER_API_KEY is required for Explorer API calls');
+  }
+
+  const url = new URL(`/explorer/api/identifier_lists/${encodeURIComponent(listId)}`, baseUrl);
+  assertHttps(url);
+  url.searchParams.append('key', apiKey);
+  url.searchParams.append('digest', generateIdentifierListDigest(listId, apiSecret));
+
+  const response = await fetchWithRetry(url.toString(), {}, {
+    ...options,
+    acquire: rateLimitAcquirer(options, ['explorer', baseUrl, apiKey]),
   });
 
   if (!response.ok) {
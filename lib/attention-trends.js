@@ -0,0 +1,266 @@
+import { sanitizeUpstreamText } from './output-guard.js';
+import { round } from './jsonapi.js';
+
+// Trend analysis for the analyze_attention_trend tool. explore_attention_summary hands
+// back mention counts by source and date and leaves the interpretation to the model,
+// which is poor at arithmetic over hundreds of date keys: it misses peaks, miscounts
+// growth and calls every bump a spike. This module does the arithmetic instead.
+//
+// The attention endpoint returns one `data` item per source: the item's id is the
+// source type and its `histogram` attribute maps dates ("YYYY-MM-DD", or "YYYY-MM") to
+// mention counts. extractSeries reads that shape and nothing else; a response with
+// items but no histogram among them is an error rather than "no mentions", so a
+// change upstream is noticed. The points are summed into day, week (starting Monday)
+// or month buckets, with empty buckets filled in so gaps read as zero rather than
+// vanishing. Each source, and all sources combined, then get:
+//   - growth: change from the previous bucket, in percent (null after a zero bucket)
+//   - a trailing rolling average over `window` buckets
+//   - spikes: buckets at least SPIKE_MIN_COUNT mentions and more than SPIKE_Z standard
+//     deviations above the `window` buckets before them (the deviation is floored at
+//     1, so a flat-zero baseline does not turn every single mention into a spike)
+//   - a trend: the last `window` buckets against the `window` before them, "rising"
+//     or "falling" beyond ±TREND_THRESHOLD_PCT, otherwise "steady"
+// The per-bucket figures are columns aligned with one shared list of periods rather
+// than an object per bucket: a year of daily buckets for fifteen sources is ~300k
+// tokens as objects, far past what a client takes in one result.
+// All dates are handled in UTC.
+
+export const TREND_INTERVALS = ['day', 'week', 'month'];
+export const DEFAULT_ROLLING_WINDOW = 4;
+// A year of days. The periods and the combined columns alone come to ~9k tokens at
+// this length, leaving room in the default result budget for the largest sources;
+// at 1,000 buckets they outgrew it before the first source.
+export const MAX_TREND_BUCKETS = 400;
+
+const SPIKE_Z = 2;
+const SPIKE_MIN_COUNT = 5;
+const TREND_THRESHOLD_PCT = 20;
+const MAX_NARRATIVE_SOURCES = 10;
+const INTERVAL_ADJECTIVES = { day: 'daily', week: 'weekly', month: 'monthly' };
+
+const DATE_KEY = /^\d{4}-\d{2}(?:-\d{2})?(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function parseDate(value) {
+  if (typeof value !== 'string' || !DATE_KEY.test(value)) return null;
+  const date = new Date(value.length === 7 ? `${value}-01` : value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// A histogram may be empty (a source with no mentions in the timeframe).
+function isHistogram(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+    Object.entries(value).every(([key, count]) => parseDate(key) && typeof count === 'number');
+}
+
+/**
+ * Reads the per-source date series out of an Explorer attention response.
+ * @param {Object} document - the /research_outputs/attention JSON:API document
+ * @returns {Map<string, {date: Date, count: number}[]>} source -> points, for the sources with any mentions
+ * @throws {Error} when the response has items but none carries a histogram
+ */
+export function extractSeries(document) {
+  const data = document?.data ?? [];
+  const items = Array.isArray(data) ? data : [data];
+  const series = new Map();
+  let read = 0;
+  for (const item of items) {
+    const histogram = item?.attributes?.histogram;
+    if (item?.id == null || !isHistogram(histogram)) continue;
+    read += 1;
+    const points = Object.entries(histogram).map(([key, count]) => ({ date: parseDate(key), count }));
+    if (points.length > 0) series.set(String(item.id), points);
+  }
+  if (items.length > 0 && read === 0) {
+    throw new Error(`The attention response had ${items.length} item(s) but no per-source histogram of mentions by date, so it could not be read.`);
+  }
+  return series;
+}
+
+function isoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function bucketStart(date, interval) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  if (interval === 'month') d.setUTCDate(1);
+  return d;
+}
+
+function nextBucket(date, interval) {
+  const d = new Date(date);
+  if (interval === 'day') d.setUTCDate(d.getUTCDate() + 1);
+  if (interval === 'week') d.setUTCDate(d.getUTCDate() + 7);
+  if (interval === 'month') d.setUTCMonth(d.getUTCMonth() + 1);
+  return d;
+}
+
+function periodLabel(date, interval) {
+  return interval === 'month' ? isoDay(date).slice(0, 7) : isoDay(date);
+}
+
+/**
+ * The label of the bucket `date` falls in.
+ * @param {Date} date
+ * @param {'day'|'week'|'month'} interval
+ * @returns {string} YYYY-MM-DD (the Monday for weeks), or YYYY-MM for months
+ */
+export function bucketLabel(date, interval) {
+  return periodLabel(bucketStart(date, interval), interval);
+}
+
+/**
+ * The bucket labels spanning every point in `series`, gaps included.
+ * @param {Map<string, {date: Date}[]>} series
+ * @param {'day'|'week'|'month'} interval
+ * @returns {string[]} labels (YYYY-MM-DD, the Monday for weeks, YYYY-MM for months)
+ */
+export function bucketPeriods(series, interval) {
+  const times = [...series.values()].flat().map(({ date }) => bucketStart(date, interval).getTime());
+  if (times.length === 0) return [];
+  const last = times.reduce((a, b) => Math.max(a, b));
+  const periods = [];
+  for (let d = new Date(times.reduce((a, b) => Math.min(a, b))); d.getTime() <= last; d = nextBucket(d, interval)) {
+    periods.push(periodLabel(d, interval));
+    if (periods.length > MAX_TREND_BUCKETS) break;
+  }
+  return periods;
+}
+
+function bucketCounts(points, periods, interval) {
+  const index = new Map(periods.map((period, i) => [period, i]));
+  const counts = new Array(periods.length).fill(0);
+  for (const { date, count } of points) {
+    const i = index.get(bucketLabel(date, interval));
+    if (i !== undefined) counts[i] += count;
+  }
+  return counts;
+}
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+function percentChange(from, to) {
+  return from > 0 ? round(((to - from) / from) * 100, 1) : null;
+}
+
+/**
+ * Derives growth, rolling averages, spikes, the peak and the overall trend of one
+ * bucketed series.
+ * @param {string[]} periods - bucket labels
+ * @param {number[]} counts - mentions per bucket
+ * @param {number} window - rolling window / spike baseline length, in buckets
+ * @returns {Object} { total, peak, spikes, recent_change_pct, trend, counts, growth_pct, rolling_average }, the last three one value per period
+ */
+export function analyzeCounts(periods, counts, window) {
+  const spikes = [];
+  counts.forEach((count, i) => {
+    if (i < window || count < SPIKE_MIN_COUNT) return;
+    const baseline = counts.slice(i - window, i);
+    const m = mean(baseline);
+    const sd = Math.sqrt(mean(baseline.map((v) => (v - m) ** 2)));
+    if (count > m + SPIKE_Z * Math.max(sd, 1)) spikes.push({ period: periods[i], count });
+  });
+
+  const total = counts.reduce((sum, v) => sum + v, 0);
+  const peakIndex = counts.reduce((best, v, i) => (v > counts[best] ? i : best), 0);
+  const recentChange = counts.length >= 2 * window
+    ? percentChange(mean(counts.slice(-2 * window, -window)), mean(counts.slice(-window)))
+    : null;
+  let trend = null;
+  if (recentChange !== null) {
+    if (recentChange > TREND_THRESHOLD_PCT) trend = 'rising';
+    else if (recentChange < -TREND_THRESHOLD_PCT) trend = 'falling';
+    else trend = 'steady';
+  } else if (counts.length >= 2 * window && total > 0) {
+    // Nothing in the earlier window but something since.
+    trend = mean(counts.slice(-window)) > 0 ? 'rising' : 'steady';
+  }
+
+  return {
+    total,
+    peak: total > 0 ? { period: periods[peakIndex], count: counts[peakIndex] } : null,
+    spikes,
+    recent_change_pct: recentChange,
+    trend,
+    counts,
+    growth_pct: counts.map((count, i) => (i > 0 ? percentChange(counts[i - 1], count) : null)),
+    rolling_average: counts.map((_, i) => round(mean(counts.slice(Math.max(0, i - window + 1), i + 1)))),
+  };
+}
+
+/**
+ * Buckets and analyses every source in an attention response, plus all sources combined.
+ * @param {Object} document - the /research_outputs/attention JSON:API document
+ * @param {Object} [opts]
+ * @param {'day'|'week'|'month'} [opts.interval='week']
+ * @param {number} [opts.window=DEFAULT_ROLLING_WINDOW]
+ * @returns {Object|null} { interval, rolling_window, from, to, buckets, periods, total, sources }, or null when no source has mentions
+ * @throws {Error} when the response is not in the attention shape, or the series span more than MAX_TREND_BUCKETS buckets
+ */
+export function analyzeAttentionTrend(document, { interval = 'week', window = DEFAULT_ROLLING_WINDOW } = {}) {
+  const series = extractSeries(document);
+  const periods = bucketPeriods(series, interval);
+  if (periods.length === 0) return null;
+  if (periods.length > MAX_TREND_BUCKETS) {
+    throw new Error(`The attention series spans more than ${MAX_TREND_BUCKETS.toLocaleString('en-US')} ${interval}s. Use a coarser interval or a shorter timeframe.`);
+  }
+
+  const bySource = [...series].map(([source, points]) => ({ source, counts: bucketCounts(points, periods, interval) }));
+  const combined = periods.map((_, i) => bySource.reduce((sum, { counts }) => sum + counts[i], 0));
+
+  return {
+    interval,
+    rolling_window: window,
+    from: periods[0],
+    to: periods[periods.length - 1],
+    buckets: periods.length,
+    periods,
+    total: analyzeCounts(periods, combined, window),
+    sources: bySource
+      .map(({ source, counts }) => ({ source, ...analyzeCounts(periods, counts, window) }))
+      .sort((a, b) => b.total - a.total || a.source.localeCompare(b.source)),
+  };
+}
+
+function describeChange(analysis, window, interval) {
+  if (analysis.recent_change_pct !== null) {
+    const sign = analysis.recent_change_pct > 0 ? '+' : '';
+    return `last ${window} ${interval}s vs previous ${window}: ${sign}${analysis.recent_change_pct}% (${analysis.trend})`;
+  }
+  return analysis.trend ? analysis.trend : 'too few buckets for a trend';
+}
+
+function describeSpikes(spikes) {
+  if (spikes.length === 0) return 'no spikes';
+  const shown = spikes.slice(0, 5).map(({ period, count }) => `${period} (${count})`).join(', ');
+  return `${spikes.length} spike${spikes.length === 1 ? '' : 's'}: ${shown}${spikes.length > 5 ? ', …' : ''}`;
+}
+
+/**
+ * Short narrative of an analyzeAttentionTrend result: the combined picture, then each
+ * of the largest sources on one line.
+ * @param {Object} analysis - analyzeAttentionTrend output
+ * @returns {string}
+ */
+export function describeAttentionTrend(analysis) {
+  const { interval, rolling_window: window, total } = analysis;
+  const line = (label, a) => `${label}: ${a.total.toLocaleString('en-US')} mentions` +
+    (a.peak ? `, peak ${a.peak.count} (${a.peak.period})` : '') +
+    `; ${describeChange(a, window, interval)}; ${describeSpikes(a.spikes)}`;
+
+  const sources = analysis.sources.filter((s) => s.total > 0);
+  const lines = [
+    `${analysis.buckets} ${INTERVAL_ADJECTIVES[interval]} buckets from ${analysis.from} to ${analysis.to}, rolling average over ${window}`,
+    line('All sources', total),
+  ];
+  if (sources.length > 0) {
+    lines.push('By source (largest first):');
+    for (const source of sources.slice(0, MAX_NARRATIVE_SOURCES)) {
+      lines.push(`- ${line(sanitizeUpstreamText(source.source, 60), source)}`);
+    }
+    if (sources.length > MAX_NARRATIVE_SOURCES) {
+      lines.push(`- …and ${sources.length - MAX_NARRATIVE_SOURCES} more in structured data`);
+    }
+  }
+  return lines.join('\n');
+}
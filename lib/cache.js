@@ -0,0 +1,232 @@
+// Response cache for the Details Page and Explorer read endpoints. Agents
+// routinely repeat a question within one conversation (the same
+// get_citation_counts lookup three times), and every repeat used to be a
+// network round trip that also counts against the caller's API quota.
+//
+// Entries are keyed on endpoint + canonicalised params (never the API key or
+// digest, which are added by the request functions) and partitioned by a
+// fingerprint of the credential that fetched them: under the HTTP transport
+// one process serves many principals, and Explorer results are scoped to the
+// caller's institution, so a shared key space would leak one principal's data
+// to another. Only idempotent GETs are cached.
+//
+// Values are stored serialised, so every hit is a fresh copy: handlers and
+// enforceResultSizeLimit mutate results in place and must never reach into
+// the cached value.
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile, readdir, stat, unlink } from 'node:fs/promises';
+import path from 'node:path';
+
+export const DEFAULT_MAX_ENTRIES = 500;
+export const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+// A single get_citation_details payload can run to several MB; caching those
+// would evict everything else for one lookup.
+export const MAX_ENTRY_BYTES = 2 * 1024 * 1024;
+
+// Per-endpoint TTLs, first match wins. Timeframe rankings roll continuously;
+// per-output counts and Explorer aggregates move slowly enough that a
+// conversation-length cache is safe.
+export const DEFAULT_TTLS = [
+  { pattern: /^\/v1\/citations\//, ttlMs: 5 * 60 * 1000 },
+  { pattern: /^\/v1\/fetch\//, ttlMs: 30 * 60 * 1000 },
+  { pattern: /^\/v1\//, ttlMs: 60 * 60 * 1000 },
+  { pattern: /^\/explorer\/api\//, ttlMs: 10 * 60 * 1000 },
+];
+
+function canonicalise(value) {
+  if (Array.isArray(value)) return value.map(canonicalise);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .filter((key) => value[key] !== undefined && value[key] !== null)
+        .sort()
+        .map((key) => [key, canonicalise(value[key])]),
+    );
+  }
+  return value;
+}
+
+/**
+ * Builds the cache key for one upstream request.
+ * @param {string} partition - credential fingerprint (see credentialFingerprint)
+ * @param {string} endpoint - API endpoint path
+ * @param {Object} params - query params / Explorer filters, without key or digest
+ * @returns {string}
+ */
+export function responseCacheKey(partition, endpoint, params = {}) {
+  return `${partition}|${endpoint}|${JSON.stringify(canonicalise(params))}`;
+}
+
+/**
+ * In-memory LRU store bounded by entry count and total serialised bytes.
+ * @param {Object} [opts]
+ * @param {number} [opts.maxEntries]
+ * @param {number} [opts.maxBytes]
+ * @param {() => number} [opts.now] - injectable clock (tests)
+ */
+export function createMemoryStore({
+  maxEntries = DEFAULT_MAX_ENTRIES,
+  maxBytes = DEFAULT_MAX_BYTES,
+  now = () => Date.now(),
+} = {}) {
+  // key -> { text, bytes, expiresAt }; Map iteration order doubles as LRU order.
+  const entries = new Map();
+  let totalBytes = 0;
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (entry) {
+      totalBytes -= entry.bytes;
+      entries.delete(key);
+    }
+  }
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= now()) {
+        remove(key);
+        return undefined;
+      }
+      // Refresh recency.
+      entries.delete(key);
+      entries.set(key, entry);
+      return JSON.parse(entry.text);
+    },
+
+    async set(key, value, ttlMs) {
+      const text = JSON.stringify(value);
+      const bytes = Buffer.byteLength(text, 'utf8');
+      remove(key);
+      if (bytes > maxBytes) return;
+      entries.set(key, { text, bytes, expiresAt: now() + ttlMs });
+      totalBytes += bytes;
+      for (const oldest of entries.keys()) {
+        if (entries.size <= maxEntries && totalBytes <= maxBytes) break;
+        remove(oldest);
+      }
+    },
+
+    /** test/introspection helper: current number of entries */
+    size: () => entries.size,
+  };
+}
+
+/**
+ * On-disk store: one JSON file per entry under `dir`, named by a hash of the key so
+ * neither params nor credential fingerprints appear in file names. Survives restarts,
+ * which suits the stdio server (a fresh process per client session).
+ * @param {Object} opts
+ * @param {string} opts.dir - cache directory (created 0700 on first write)
+ * @param {number} [opts.maxEntries]
+ * @param {() => number} [opts.now] - injectable clock (tests)
+ */
+export function createDiskStore({ dir, maxEntries = DEFAULT_MAX_ENTRIES, now = () => Date.now() }) {
+  if (!dir) {
+    throw new Error('createDiskStore requires a dir');
+  }
+
+  const fileFor = (key) => path.join(dir, `${createHash('sha256').update(key).digest('hex')}.json`);
+
+  // Evict the least recently written files once over the entry bound.
+  async function prune() {
+    const names = (await readdir(dir)).filter((name) => name.endsWith('.json'));
+    if (names.length <= maxEntries) return;
+    const files = await Promise.all(names.map(async (name) => {
+      const file = path.join(dir, name);
+      return { file, mtimeMs: (await stat(file)).mtimeMs };
+    }));
+    files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    await Promise.all(files.slice(0, files.length - maxEntries).map(({ file }) => unlink(file).catch(() => {})));
+  }
+
+  return {
+    async get(key) {
+      const file = fileFor(key);
+      let entry;
+      try {
+        entry = JSON.parse(await readFile(file, 'utf8'));
+      } catch {
+        return undefined;
+      }
+      if (entry?.key !== key || !(entry.expiresAt > now())) {
+        await unlink(file).catch(() => {});
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      await mkdir(dir, { recursive: true, mode: 0o700 });
+      const text = JSON.stringify({ key, expiresAt: now() + ttlMs, value });
+      await writeFile(fileFor(key), text, { mode: 0o600 });
+      await prune();
+    },
+  };
+}
+
+/**
+ * Wraps a store with the per-endpoint TTL policy and the per-entry size cap. Store
+ * failures (e.g. an unwritable cache dir) are logged and treated as misses: the cache
+ * must never turn a good upstream response into a tool error.
+ * @param {Object} [opts]
+ * @param {{ get: Function, set: Function }} [opts.store] - defaults to an in-memory LRU
+ * @param {{ pattern: RegExp, ttlMs: number }[]} [opts.ttls] - per-endpoint TTLs, first match wins
+ */
+export function createResponseCache({ store = createMemoryStore(), ttls = DEFAULT_TTLS } = {}) {
+  function ttlFor(endpoint) {
+    return ttls.find(({ pattern }) => pattern.test(endpoint))?.ttlMs ?? 0;
+  }
+
+  return {
+    ttlFor,
+
+    async get(key) {
+      try {
+        return await store.get(key);
+      } catch (error) {
+        console.error('Response cache read failed:', error.message);
+        return undefined;
+      }
+    },
+
+    async set(key, endpoint, value) {
+      const ttlMs = ttlFor(endpoint);
+      if (ttlMs <= 0) return;
+      if (Buffer.byteLength(JSON.stringify(value), 'utf8') > MAX_ENTRY_BYTES) return;
+      try {
+        await store.set(key, value, ttlMs);
+      } catch (error) {
+        console.error('Response cache write failed:', error.message);
+      }
+    },
+  };
+}
+
+/**
+ * Builds the response cache from environment configuration:
+ * ALTMETRIC_CACHE (memory | disk | off, default memory), ALTMETRIC_CACHE_DIR (disk store
+ * location) and ALTMETRIC_CACHE_MAX_ENTRIES.
+ * @param {Object} env - typically process.env
+ * @returns {Object|null} a response cache, or null when caching is off
+ */
+export function responseCacheFromEnv(env) {
+  const mode = (env.ALTMETRIC_CACHE || 'memory').toLowerCase();
+  const maxEntries = Number.parseInt(env.ALTMETRIC_CACHE_MAX_ENTRIES, 10) || DEFAULT_MAX_ENTRIES;
+
+  switch (mode) {
+    case 'off':
+      return null;
+    case 'memory':
+      return createResponseCache({ store: createMemoryStore({ maxEntries }) });
+    case 'disk':
+      if (!env.ALTMETRIC_CACHE_DIR) {
+        throw new Error('ALTMETRIC_CACHE=disk requires ALTMETRIC_CACHE_DIR');
+      }
+      return createResponseCache({ store: createDiskStore({ dir: env.ALTMETRIC_CACHE_DIR, maxEntries }) });
+    default:
+      throw new Error(`Invalid ALTMETRIC_CACHE: ${mode} (expected memory, disk, or off)`);
+  }
+}
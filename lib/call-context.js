@@ -0,0 +1,26 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// Per-tool-call state that has to reach the request functions without being threaded
+// through every handler: the tools object (and its request closures) is shared by
+// concurrent calls, so call-specific flags cannot live on it. AsyncLocalStorage keeps
+// each call's context isolated across its awaits.
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs `fn` with `context` as the current tool call's context.
+ * @template T
+ * @param {Object} context
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export function runInCallContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * The context of the tool call currently executing, or undefined outside one.
+ * @returns {Object|undefined}
+ */
+export function currentCallContext() {
+  return storage.getStore();
+}
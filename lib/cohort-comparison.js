@@ -0,0 +1,180 @@
+import { sanitizeUpstreamText } from './output-guard.js';
+import { extractSeries } from './attention-trends.js';
+import { firstNumber, round } from './jsonapi.js';
+import { tableCell } from './summary-tables.js';
+
+// Side-by-side comparison for the compare_cohorts tool ("department A vs department
+// B", "this year's outputs vs last year's"). Answering that used to take three or
+// four Explorer tool calls per cohort and then arithmetic the model tends to get
+// wrong, so the handler fetches each cohort's output count, attention, mention
+// sources and demographics, and this module reduces them to comparable figures.
+//
+// Raw mention counts mostly measure cohort size, so every count also comes per
+// research output. The first cohort is the baseline: each figure in the other
+// cohorts carries its difference from the baseline, as an absolute delta and in
+// percent (null when the baseline is zero). Attention is read by extractSeries
+// (lib/attention-trends.js), which fails on a response it cannot read rather than
+// reporting no mentions, and upstream text (source and country names) is sanitised
+// before it reaches the summary.
+
+export const MAX_COHORTS = 5;
+
+const MAX_TOP_ITEMS = 5;
+const MAX_SUMMARY_SOURCES = 10;
+
+const COUNT_FIELDS = ['mention-count', 'mentions-count', 'mentions', 'count', 'total'];
+const COUNTRY_FIELDS = ['country-name', 'country', 'name'];
+
+function itemsOf(document) {
+  return Array.isArray(document?.data) ? document.data : [];
+}
+
+// Mentions per source in an attention response: each source's date series, summed.
+function mentionsBySource(attention) {
+  const totals = {};
+  for (const [source, points] of extractSeries(attention)) {
+    totals[source] = points.reduce((sum, { count }) => sum + count, 0);
+  }
+  return totals;
+}
+
+function perOutput(count, outputs) {
+  return outputs > 0 && count !== null ? round(count / outputs, 3) : null;
+}
+
+function percentChange(from, to) {
+  return from > 0 && to !== null ? round(((to - from) / from) * 100, 1) : null;
+}
+
+/**
+ * Reduces one cohort's Explorer responses to comparable figures.
+ * @param {string} name - the cohort's label
+ * @param {Object} responses
+ * @param {Object} responses.outputs - /research_outputs (one page; only meta is read)
+ * @param {Object} responses.attention - /research_outputs/attention
+ * @param {Object} responses.mentionSources - /research_outputs/mention_sources
+ * @param {Object} responses.demographics - /research_outputs/demographics
+ * @returns {Object} { name, outputs, total_mentions, mentions_per_output, mentions_by_source, unique_sources, top_sources, countries, top_countries }
+ * @throws {Error} when the attention response has items but no per-source histogram
+ */
+export function summarizeCohort(name, { outputs, attention, mentionSources, demographics }) {
+  const outputCount = outputs?.meta?.response?.['total-results'] ?? null;
+  const bySource = mentionsBySource(attention);
+  const summed = Object.values(bySource).reduce((sum, n) => sum + n, 0);
+  const totalMentions = attention?.meta?.response?.['total-mentions'] ?? summed;
+
+  const countries = itemsOf(demographics)
+    .map((item) => ({
+      country: COUNTRY_FIELDS.map((f) => item.attributes?.[f]).find((v) => typeof v === 'string') ?? String(item.id ?? 'unknown'),
+      mentions: firstNumber(item.attributes, COUNT_FIELDS) ?? 0,
+    }))
+    .sort((a, b) => b.mentions - a.mentions);
+
+  return {
+    name,
+    outputs: outputCount,
+    total_mentions: totalMentions,
+    mentions_per_output: perOutput(totalMentions, outputCount),
+    mentions_by_source: bySource,
+    unique_sources: mentionSources?.meta?.response?.['total-results'] ?? itemsOf(mentionSources).length,
+    top_sources: itemsOf(mentionSources).slice(0, MAX_TOP_ITEMS).map((item) => ({
+      name: item.attributes?.name ?? item.attributes?.title ?? String(item.id),
+      type: item.attributes?.['profile-type'] ?? item.attributes?.type ?? null,
+      mentions: firstNumber(item.attributes, COUNT_FIELDS),
+    })),
+    countries: countries.length,
+    top_countries: countries.slice(0, MAX_TOP_ITEMS),
+  };
+}
+
+/**
+ * Lines the cohorts up against the first (the baseline): totals and, per mention
+ * source, raw and per-output counts with their deltas from the baseline.
+ * @param {Object[]} cohorts - summarizeCohort outputs, baseline first
+ * @returns {{ baseline: string, cohorts: Object[], sources: Object[] }}
+ */
+export function compareCohorts(cohorts) {
+  const [baseline] = cohorts;
+  const sourceTotals = new Map();
+  for (const cohort of cohorts) {
+    for (const [source, count] of Object.entries(cohort.mentions_by_source)) {
+      sourceTotals.set(source, (sourceTotals.get(source) ?? 0) + count);
+    }
+  }
+
+  const figure = (cohort, count, baseCount) => {
+    const value = { cohort: cohort.name, mentions: count, per_output: perOutput(count, cohort.outputs) };
+    if (cohort === baseline) return value;
+    return {
+      ...value,
+      delta: count - baseCount,
+      delta_pct: percentChange(baseCount, count),
+      per_output_delta_pct: percentChange(perOutput(baseCount, baseline.outputs), value.per_output),
+    };
+  };
+
+  return {
+    baseline: baseline.name,
+    cohorts: cohorts.map((cohort) => (cohort === baseline ? cohort : {
+      ...cohort,
+      vs_baseline: {
+        outputs_delta_pct: percentChange(baseline.outputs, cohort.outputs),
+        mentions_delta_pct: percentChange(baseline.total_mentions, cohort.total_mentions),
+        mentions_per_output_delta_pct: percentChange(baseline.mentions_per_output, cohort.mentions_per_output),
+      },
+    })),
+    sources: [...sourceTotals]
+      .sort(([a, x], [b, y]) => y - x || a.localeCompare(b))
+      .map(([source]) => ({
+        source,
+        values: cohorts.map((cohort) => figure(
+          cohort,
+          cohort.mentions_by_source[source] ?? 0,
+          baseline.mentions_by_source[source] ?? 0,
+        )),
+      })),
+  };
+}
+
+const formatNumber = (n) => (n === null || n === undefined ? 'n/a' : n.toLocaleString('en-US'));
+const formatPct = (pct) => (pct === null || pct === undefined ? '' : `${pct > 0 ? '+' : ''}${pct}%`);
+
+function countCell(mentions, perOutputValue, deltaPct) {
+  const perText = perOutputValue === null ? '' : ` (${formatNumber(perOutputValue)}/output)`;
+  const delta = formatPct(deltaPct);
+  return `${formatNumber(mentions)}${perText}${delta ? `, ${delta}` : ''}`;
+}
+
+/**
+ * Markdown table of a compareCohorts result for the text summary. Deltas are per
+ * output, against the baseline column.
+ * @param {Object} comparison - compareCohorts output
+ * @param {string} demographicsSource - which demographics source the countries reflect
+ * @returns {string}
+ */
+export function describeComparison(comparison, demographicsSource) {
+  const { cohorts, sources } = comparison;
+  // Cohort names and sources come from the caller and upstream; the figures are ours.
+  const row = (label, cells) => `| ${label} | ${cells.join(' | ')} |`;
+
+  const lines = [
+    `Compared ${cohorts.length} cohorts; deltas are per research output, against "${tableCell(comparison.baseline)}".`,
+    row('', cohorts.map((c) => tableCell(c.name))),
+    `|---|${cohorts.map(() => '---').join('|')}|`,
+    row('Research outputs', cohorts.map((c) => formatNumber(c.outputs))),
+    row('Mentions', cohorts.map((c) => countCell(c.total_mentions, c.mentions_per_output, c.vs_baseline?.mentions_per_output_delta_pct))),
+    row('Unique sources', cohorts.map((c) => formatNumber(c.unique_sources))),
+    ...sources.slice(0, MAX_SUMMARY_SOURCES).map(({ source, values }) => row(
+      tableCell(source, 40),
+      values.map((v) => countCell(v.mentions, v.per_output, v.per_output_delta_pct)),
+    )),
+    row(tableCell(`Top countries (${demographicsSource})`), cohorts.map((c) => tableCell(c.top_countries
+      .slice(0, 3)
+      .map(({ country }) => sanitizeUpstreamText(country, 40))
+      .join(', ') || 'none'))),
+  ];
+  if (sources.length > MAX_SUMMARY_SOURCES) {
+    lines.push(`${sources.length - MAX_SUMMARY_SOURCES} smaller sources in structured data`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,149 @@
+import { makeExplorerApiRequest } from './api-client.js';
+import { EXPLORER_TIMEFRAMES, EXPLORER_SCOPES, DETAILS_SOURCES } from './tools.js';
+
+// Argument completion (MCP completion/complete). Explorer filters take opaque IDs -
+// journal_id, author_id, department_id, publisher_id, funder and affiliation GRID IDs -
+// that a user has no way to discover, so they guessed. Completion looks them up in the
+// caller's own Explorer data: a research_outputs search for the typed text, whose
+// JSON:API `included` block carries the related journals, authors, departments and so
+// on. The typed text matches an object's ID prefix or any of its text attributes.
+//
+// MCP defines completion for prompt arguments and resource-template variables (not tool
+// arguments), so completers are keyed by argument name and apply to any prompt argument
+// or template variable of that name (see lib/prompts.js, and lib/resources.js, whose
+// Explorer search template carries the explore_* filters for this reason). A list
+// variable is completed entry by entry, comma-separated. Static vocabularies -
+// timeframes, SDG numbers, Details Page sources - are completed locally without a
+// request.
+//
+// Completion runs per keystroke and is best effort: dynamic lookups wait for a few
+// characters, go through the response cache, and an upstream failure completes nothing
+// rather than surfacing an error in the client's input box.
+
+// The protocol caps a completion response at 100 values.
+export const MAX_COMPLETION_VALUES = 100;
+const MIN_LOOKUP_LENGTH = 2;
+const LOOKUP_PAGE_SIZE = 100;
+
+const SDG_NUMBERS = Array.from({ length: 17 }, (_, i) => String(i + 1));
+
+// Argument name -> JSON:API types in research_outputs' `included` block holding its IDs.
+const EXPLORER_ID_TYPES = {
+  journal_id: ['journal'],
+  author_id: ['author'],
+  department_id: ['department'],
+  publisher_id: ['publisher'],
+  funders: ['funder'],
+  affiliations: ['affiliation', 'institution', 'organisation', 'organization'],
+};
+
+function prefixMatches(values, typed) {
+  const needle = typed.toLowerCase();
+  return values.filter((value) => value.toLowerCase().startsWith(needle));
+}
+
+// Splits a comma-separated list into the entry being typed and those before it.
+function splitList(typed) {
+  const parts = typed.split(',');
+  const last = parts.pop().trim();
+  const chosen = parts.map((part) => part.trim()).filter(Boolean);
+  return { last, chosen, prefix: chosen.length > 0 ? `${chosen.join(',')},` : '' };
+}
+
+// Complete the last entry of a comma-separated list, keeping the earlier entries.
+function completeListEntry(values, typed) {
+  const { last, chosen, prefix } = splitList(typed);
+  return prefixMatches(values.filter((value) => !chosen.includes(value)), last).map((value) => prefix + value);
+}
+
+const STATIC_COMPLETERS = {
+  timeframe: (typed) => prefixMatches(EXPLORER_TIMEFRAMES, typed),
+  scope: (typed) => prefixMatches(EXPLORER_SCOPES, typed),
+  sustainable_development_goals: (typed) => prefixMatches(SDG_NUMBERS, typed),
+  sources: (typed) => completeListEntry(DETAILS_SOURCES, typed),
+};
+
+// Variable names of an RFC 6570 template: "a://b/{id}{?q,journal_id}" -> ["id", "q", "journal_id"].
+function templateVariables(uriTemplate) {
+  return [...uriTemplate.matchAll(/\{([^}]*)\}/g)]
+    .flatMap(([, expression]) => expression.replace(/^[+#./;?&]/, '').split(','))
+    .map((variable) => variable.replace(/(\*|:\d+)$/, ''));
+}
+
+function matchesIncluded(item, needle) {
+  if (String(item.id).toLowerCase().startsWith(needle)) return true;
+  return Object.values(item.attributes || {})
+    .some((value) => typeof value === 'string' && value.toLowerCase().includes(needle));
+}
+
+function completionResult(values) {
+  return {
+    completion: {
+      values: values.slice(0, MAX_COMPLETION_VALUES),
+      total: values.length,
+      hasMore: values.length > MAX_COMPLETION_VALUES,
+    },
+  };
+}
+
+/**
+ * Creates the argument completer for a caller.
+ * @param {Object} resolvers
+ * @param {() => Promise<{apiKey: string, apiSecret: string, baseUrl: string}>} [resolvers.explorer] - Explorer API credential resolver; dynamic lookups are scoped to these credentials
+ * @param {Object} [options]
+ * @param {{ definitions: Object[] }} [options.prompts] - Prompt library (lib/prompts.js) whose arguments can be completed
+ * @param {{ templates: Object[] }} [options.resources] - Resource templates (lib/resources.js) whose variables can be completed
+ * @param {Object} [options.cache] - Response cache for upstream GETs (lib/cache.js)
+ * @param {Object|false} [options.retry] - Upstream retry policy overrides
+ * @param {{explorer?: Object}} [options.rateLimiters] - Client-side limiters per API (lib/rate-limiter.js)
+ * @returns {{ complete: (ref: Object, argument: {name: string, value: string}) => Promise<Object> }}
+ */
+export function createCompletions({ explorer } = {}, { prompts, resources, cache = null, retry, rateLimiters = {} } = {}) {
+  const requestOptions = { cache, retry, rateLimiter: rateLimiters.explorer };
+
+  async function lookupExplorerIds(types, typed) {
+    const needle = typed.trim().toLowerCase();
+    if (!explorer || needle.length < MIN_LOOKUP_LENGTH) return [];
+
+    const { apiKey, apiSecret, baseUrl } = await explorer();
+    const response = await makeExplorerApiRequest('/explorer/api/research_outputs', {
+      q: typed.trim(),
+      'page[size]': LOOKUP_PAGE_SIZE,
+    }, apiKey, apiSecret, baseUrl, requestOptions);
+
+    const ids = (response.included || [])
+      .filter((item) => types.includes(item.type) && matchesIncluded(item, needle))
+      .map((item) => String(item.id));
+    return [...new Set(ids)];
+  }
+
+  function isCompletable(ref, name) {
+    if (ref?.type === 'ref/resource') {
+      const template = resources?.templates.find((definition) => definition.uriTemplate === ref.uri);
+      return Boolean(template && templateVariables(template.uriTemplate).includes(name));
+    }
+    if (ref?.type !== 'ref/prompt') return false;
+    const prompt = prompts?.definitions.find((definition) => definition.name === ref.name);
+    return Boolean(prompt?.arguments?.some((argument) => argument.name === name));
+  }
+
+  return {
+    async complete(ref, { name, value = '' } = {}) {
+      if (!isCompletable(ref, name)) return completionResult([]);
+
+      if (STATIC_COMPLETERS[name]) {
+        return completionResult(STATIC_COMPLETERS[name](value));
+      }
+      if (EXPLORER_ID_TYPES[name]) {
+        try {
+          const { last, chosen, prefix } = splitList(value);
+          const ids = await lookupExplorerIds(EXPLORER_ID_TYPES[name], last);
+          return completionResult(ids.filter((id) => !chosen.includes(id)).map((id) => prefix + id));
+        } catch (error) {
+          console.error(`Completion lookup for ${name} failed:`, error.message);
+        }
+      }
+      return completionResult([]);
+    },
+  };
+}
@@ -0,0 +1,14 @@
+import { createHash } from 'node:crypto';
+
+/**
+ * Stable, non-reversible identifier for a credential (or any tuple of secrets), used to
+ * partition server-side state - caches, quotas - per principal. The HTTP transport serves
+ * many callers from one process, so anything keyed on upstream data must also be keyed on
+ * whose credentials fetched it; hashing keeps the raw key out of map keys and file names.
+ *
+ * @param {...string} parts - credential parts (e.g. product, base URL, API key)
+ * @returns {string} hex digest prefix
+ */
+export function credentialFingerprint(...parts) {
+  return createHash('sha256').update(parts.map((p) => String(p ?? '')).join('\0')).digest('hex').slice(0, 32);
+}
@@ -0,0 +1,213 @@
+import { scanForInjection, REDACTED_PLACEHOLDER } from './output-guard.js';
+
+// Tabular export (output_format = csv | tsv | ndjson) for the tools whose results are
+// lists of records - explore_research_outputs, explore_journals,
+// explore_mention_sources, get_batch_attention_data, and continue_result slices of
+// them. Users pipe these into spreadsheets, and hand-converting JSON:API documents was
+// the slow, error-prone part.
+//
+// Each record becomes one flat row: a JSON:API item contributes its id, type and
+// attributes (nested objects flattened to dotted column names), a batch result its
+// own fields. Columns are the union across rows, a few identifying columns first and
+// the rest in alphabetical order, so the same query always yields the same header.
+// The export rides alongside structuredContent as an MCP embedded resource.
+//
+// The size guard (lib/output-limits.js) trims rows after the handler has run. It
+// budgets the export's share of each row with exportCosts, then calls refreshExports
+// once to re-render the attached export from the rows that survived.
+//
+// Cells that trip the prompt-injection scan (lib/output-guard.js) are redacted, since
+// the export is text the model may read; raw values stay in structuredContent. Text
+// cells a spreadsheet would evaluate as a formula are prefixed with an apostrophe.
+
+export const OUTPUT_FORMATS = ['json', 'csv', 'tsv', 'ndjson'];
+
+const FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  tsv: { extension: 'tsv', mimeType: 'text/tab-separated-values' },
+  ndjson: { extension: 'ndjson', mimeType: 'application/x-ndjson' },
+};
+
+const LEADING_COLUMNS = ['rank', 'id', 'type', 'altmetric_id', 'doi', 'title', 'name'];
+
+// Marks an attached export block with what it was rendered from, without the marker
+// ever reaching the wire (JSON serialisation skips symbol keys).
+const EXPORT = Symbol('export');
+
+function flattenInto(row, prefix, value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      flattenInto(row, prefix ? `${prefix}.${key}` : key, child);
+    }
+    return;
+  }
+  if (Array.isArray(value)) {
+    row[prefix] = value.every((item) => item === null || typeof item !== 'object')
+      ? value.join('; ')
+      : JSON.stringify(value);
+    return;
+  }
+  row[prefix] = value;
+}
+
+/**
+ * Flattens a tool's structuredContent into export rows: JSON:API `data` items (id, type
+ * and attributes) or a batch tool's `results`.
+ * @param {Object} structuredContent
+ * @returns {Object[]} flat rows, one per record
+ */
+export function exportRows(structuredContent) {
+  const { data, results } = structuredContent || {};
+  if (Array.isArray(data)) {
+    return data.map((item) => {
+      const row = {};
+      flattenInto(row, '', { id: item?.id, type: item?.type, ...(item?.attributes || {}) });
+      return row;
+    });
+  }
+  if (Array.isArray(results)) {
+    return results.map((item) => {
+      const row = {};
+      flattenInto(row, '', item);
+      return row;
+    });
+  }
+  return [];
+}
+
+/**
+ * Column order for a set of rows: identifying columns first, then the rest sorted.
+ * @param {Object[]} rows
+ * @returns {string[]}
+ */
+export function exportColumns(rows) {
+  const seen = new Set();
+  for (const row of rows) {
+    for (const key of Object.keys(row)) seen.add(key);
+  }
+  const leading = LEADING_COLUMNS.filter((column) => seen.has(column));
+  const rest = [...seen].filter((column) => !LEADING_COLUMNS.includes(column)).sort();
+  return [...leading, ...rest];
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'string') return String(value);
+  if (scanForInjection(value)) return REDACTED_PLACEHOLDER;
+  return /^[=+@\t\r]|^-[^\d.]/.test(value) ? `'${value}` : value;
+}
+
+function csvCell(value) {
+  const text = cellText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// TSV has no quoting, so separators inside a value become spaces.
+function tsvCell(value) {
+  return cellText(value).replace(/[\t\r\n]+/g, ' ');
+}
+
+const SEPARATORS = { csv: '\r\n', tsv: '\n', ndjson: '\n' };
+
+// The header line (null for NDJSON) and one line per row.
+function renderLines(rows, format) {
+  const columns = exportColumns(rows);
+  switch (format) {
+    case 'csv':
+      return {
+        header: columns.map(csvCell).join(','),
+        lines: rows.map((row) => columns.map((column) => csvCell(row[column])).join(',')),
+      };
+    case 'tsv':
+      return {
+        header: columns.map(tsvCell).join('\t'),
+        lines: rows.map((row) => columns.map((column) => tsvCell(row[column])).join('\t')),
+      };
+    case 'ndjson':
+      return {
+        header: null,
+        lines: rows.map((row) => JSON.stringify(Object.fromEntries(columns
+          .filter((column) => row[column] !== undefined)
+          .map((column) => [column, typeof row[column] === 'string' ? cellText(row[column]) : row[column]])))),
+      };
+    default:
+      throw new Error(`Unsupported output_format: ${format}`);
+  }
+}
+
+/**
+ * Renders rows in a tabular format.
+ * @param {Object[]} rows - flat rows (see exportRows)
+ * @param {'csv'|'tsv'|'ndjson'} format
+ * @returns {string}
+ */
+export function formatRows(rows, format) {
+  const { header, lines } = renderLines(rows, format);
+  return (header === null ? lines : [header, ...lines]).join(SEPARATORS[format]);
+}
+
+function renderBlock(block, result) {
+  const { toolName, format } = block[EXPORT];
+  const rows = exportRows(result.structuredContent);
+  const { extension, mimeType } = FORMATS[format];
+  block.resource = {
+    uri: `altmetric://export/${toolName}.${extension}`,
+    mimeType,
+    text: formatRows(rows, format),
+  };
+  return rows.length;
+}
+
+/**
+ * Attaches the result's rows in `format` as an embedded resource, with a line in the
+ * text summary saying so. A 'json' format, or a result without rows, is left as is.
+ * @param {Object} result - the tool result
+ * @param {string} toolName
+ * @param {string} format - one of OUTPUT_FORMATS
+ * @returns {Object} the same result
+ */
+export function attachExport(result, toolName, format) {
+  if (!FORMATS[format] || !result || result.isError || !Array.isArray(result.content)) return result;
+  const block = { type: 'resource', [EXPORT]: { toolName, format } };
+  const count = renderBlock(block, result);
+  if (count === 0) return result;
+  result.content.push(block);
+  const summary = result.content.find((c) => c && c.type === 'text');
+  if (summary) {
+    summary.text += `\n\n${format.toUpperCase()} export attached as ${block.resource.uri}`;
+  }
+  return result;
+}
+
+/**
+ * What the exports attached to a result cost, so the size guard can pick how many rows
+ * to keep without re-rendering them at each candidate length. Lines are rendered with
+ * the columns of all current rows; a trimmed export has no more columns, so it costs
+ * no more than this.
+ * @param {Object} result
+ * @returns {{fixed: string, rows: string[]}|null} the attached blocks with no rows
+ *   (URI, MIME type and header) and the text each row adds, as serialised into the
+ *   result; null when no export is attached
+ */
+export function exportCosts(result) {
+  const blocks = Array.isArray(result?.content) ? result.content.filter((block) => block?.[EXPORT]) : [];
+  if (blocks.length === 0) return null;
+  const rows = exportRows(result.structuredContent);
+  const rendered = blocks.map((block) => ({ block, format: block[EXPORT].format, ...renderLines(rows, block[EXPORT].format) }));
+  return {
+    fixed: JSON.stringify(rendered.map(({ block, header }) => ({ ...block, resource: { ...block.resource, text: header ?? '' } }))),
+    rows: rows.map((_, i) => JSON.stringify(rendered.map(({ format, lines }) => `${SEPARATORS[format]}${lines[i]}`).join(''))),
+  };
+}
+
+/**
+ * Re-renders any export attached by attachExport from the result's current rows,
+ * dropping it when no rows remain. Called by the size guard after trimming.
+ * @param {Object} result
+ * @returns {Object} the same result
+ */
+export function refreshExports(result) {
+  if (!result || !Array.isArray(result.content)) return result;
+  result.content = result.content.filter((block) => !block?.[EXPORT] || renderBlock(block, result) > 0);
+  return result;
+}
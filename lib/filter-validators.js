@@ -1,8 +1,8 @@
-// Runtime validation of Explorer API filter values. The MCP `inputSchema`
-// declared on each tool is descriptive only — the framework does not enforce
-// it at runtime — so handlers receive whatever the LLM produced. These
-// validators check for malformed inputs, missing fields, and excessive
-// sizes before any value reaches the outbound URL.
+// Runtime validation of Explorer API filter values. lib/schema-validator.js
+// enforces each tool's `inputSchema` (types, enums, bounds); these validators are
+// a second check for what the schemas do not express - value formats such as
+// dates and IDs, control characters, and list sizes - before any value reaches
+// the outbound URL.
 
 export const MAX_STRING_LEN = 1024;
 export const MAX_ARRAY_LEN = 200;
@@ -0,0 +1,269 @@
+import { extract as extractDoi } from '@altmetric/identifiers/doi';
+import { extract as extractArxiv } from '@altmetric/identifiers/arxiv';
+import { extract as extractPubmed } from '@altmetric/identifiers/pubmed';
+import { extract as extractHandle } from '@altmetric/identifiers/handle';
+import { extract as extractIsbn } from '@altmetric/identifiers/isbn';
+import { extract as extractNct } from '@altmetric/identifiers/nct';
+import { detectIdentifier } from './validators.js';
+
+// Identifiers out of what people actually have: a reference manager export or a pasted
+// bibliography rather than a clean DOI list. Used by the extract_identifiers tool and
+// by identifiers_file (lib/identifier-files.js).
+//
+// Each format is read where it keeps identifiers:
+//   - bibtex: the doi, pmid, eprint, url and isbn fields
+//   - ris: the DO, AN, UR, L1, L2, LK and SN tags
+//   - csl_json: DOI, PMID, ISBN and URL, plus arXiv IDs in number and note (Zotero)
+//   - csv/tsv: if the header names identifier columns (doi, pmid, arxiv_id, ...) only
+//     those are read; otherwise every cell, except bare numbers - a year or a page
+//     count would otherwise pass as a PubMed ID
+//   - text: a line that is an identifier on its own is taken whole (so a bare number
+//     is a PubMed ID, as everywhere else); other lines are scanned with the DOI, arXiv,
+//     ISBN and NCT extractors, and for PubMed IDs, Handles and Altmetric IDs written
+//     after a label or resolver URL ("PMID: 123", hdl.handle.net/...,
+//     altmetric.com/details/...) - in prose any number would pass as a PubMed ID, and
+//     any "24/7" as a Handle
+// Fields and matches of a known type are read with the @altmetric/identifiers
+// extractors, and everything goes through detectIdentifier (lib/validators.js). The
+// result is deduplicated and written the way get_batch_attention_data and the Explorer
+// `identifiers` filter read it: Altmetric IDs with an "altmetric:" prefix, arXiv IDs
+// with "arXiv:", the rest in their normalised form.
+
+export const CITATION_FORMATS = ['bibtex', 'ris', 'csl_json', 'csv', 'tsv', 'text'];
+
+// CSV/TSV header names that mark a column of identifiers, and the type a bare number
+// in that column is read as.
+const IDENTIFIER_COLUMNS = [
+  { pattern: /^(pmids?|pubmed([ _-]?ids?)?)$/, bareNumber: 'pmid' },
+  { pattern: /^altmetric([ _-]?ids?)?$/, bareNumber: 'altmetric' },
+  { pattern: /^(dois?|arxiv([ _-]?ids?)?|isbns?|handles?|urls?|uris?|urns?|nct([ _-]?ids?)?|bibcodes?|repec([ _-]?ids?)?|identifiers?|ids?)$/, bareNumber: 'pmid' },
+];
+
+const RIS_TAGS = new Set(['DO', 'AN', 'UR', 'L1', 'L2', 'LK', 'SN']);
+const BIBTEX_FIELDS = new Set(['doi', 'pmid', 'eprint', 'url', 'isbn']);
+
+// What scanText runs over running text, and how each match is handed to
+// detectIdentifier. An extractor with a `label` only reads the word after one.
+const TEXT_EXTRACTORS = [
+  { extract: extractArxiv, toInput: (id) => `arXiv:${id}` },
+  { label: /\bPMID:?\s*|pubmed\.ncbi\.nlm\.nih\.gov\/|ncbi\.nlm\.nih\.gov\/pubmed\//gi, extract: extractPubmed, toInput: (id) => `PMID:${id}` },
+  { label: /\bhdl:\s*|hdl\.handle\.net\//gi, extract: extractHandle, toInput: (handle) => `hdl:${handle}` },
+  { extract: extractIsbn, toInput: (isbn) => `ISBN ${isbn}` },
+  { extract: extractNct, toInput: (id) => id },
+  // The package has no extractor for Altmetric IDs, which are plain numbers.
+  { label: /\baltmetric:\s*|altmetric\.com\/details\//gi, extract: (word) => word.match(/^\d+/) ?? [], toInput: (id) => `altmetric:${id}` },
+];
+
+function canonical({ identifier, identifier_type: type }) {
+  if (type === 'id') return `altmetric:${identifier}`;
+  if (type === 'arxiv') return `arXiv:${identifier}`;
+  return identifier;
+}
+
+function detect(value) {
+  try {
+    return detectIdentifier(value);
+  } catch {
+    return null;
+  }
+}
+
+function scanText(text, found) {
+  // Sentence punctuation after a DOI in prose is not part of it.
+  extractDoi(text).forEach((doi) => found(detect(doi.replace(/[.,;:]+$/, ''))));
+  for (const { label, extract, toInput } of TEXT_EXTRACTORS) {
+    const spans = label
+      ? [...text.matchAll(label)].map((match) => text.slice(match.index + match[0].length).match(/^\S*/)[0].replace(/[.,;:)\]]+$/, ''))
+      : [text];
+    spans.forEach((span) => extract(span).forEach((id) => found(detect(toInput(id)))));
+  }
+}
+
+// Minimal RFC 4180 reader: quoted fields may hold delimiters, quotes ("") and newlines.
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
+
+function fromTable(text, delimiter, found) {
+  const rows = parseDelimited(text, delimiter);
+  if (rows.length === 0) return;
+  const columns = rows[0]
+    .map((name, index) => ({ index, kind: IDENTIFIER_COLUMNS.find(({ pattern }) => pattern.test(name.trim().toLowerCase())) }))
+    .filter(({ kind }) => kind);
+
+  if (columns.length > 0) {
+    for (const cells of rows.slice(1)) {
+      for (const { index, kind } of columns) {
+        const value = (cells[index] ?? '').trim();
+        if (/^\d+$/.test(value) && kind.bareNumber === 'altmetric') {
+          found(detect(`altmetric:${value}`));
+        } else if (value) {
+          found(detect(value));
+        }
+      }
+    }
+    return;
+  }
+
+  const singleColumn = rows.every((cells) => cells.length === 1);
+  for (const cells of rows) {
+    for (const cell of cells) {
+      const value = cell.trim();
+      if (!value || (/^\d+$/.test(value) && !singleColumn)) continue;
+      found(detect(value));
+    }
+  }
+}
+
+function fromText(text, found) {
+  for (const line of text.split(/\r?\n/)) {
+    const value = line.trim();
+    if (!value) continue;
+    const detected = detect(value);
+    if (detected) {
+      found(detected);
+    } else {
+      scanText(value, found);
+    }
+  }
+}
+
+function fromRis(text, found) {
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^([A-Z][A-Z0-9])\s{1,2}-\s?(.*)$/);
+    if (!match || !RIS_TAGS.has(match[1])) continue;
+    const [, tag, value] = match;
+    if (tag === 'DO') {
+      extractDoi(value).forEach((doi) => found(detect(doi)));
+    } else if (value.trim()) {
+      found(detect(value.trim()));
+    }
+  }
+}
+
+function fromBibtex(text, found) {
+  const fieldPattern = /(\w+)\s*=\s*(?:\{((?:[^{}]|\{[^{}]*\})*)\}|"([^"]*)"|(\d+))/g;
+  for (const [, rawName, braced, quotedValue, bare] of text.matchAll(fieldPattern)) {
+    const name = rawName.toLowerCase();
+    if (!BIBTEX_FIELDS.has(name)) continue;
+    const value = (braced ?? quotedValue ?? bare).replace(/[{}]/g, '').trim();
+    if (name === 'doi') {
+      extractDoi(value).forEach((doi) => found(detect(doi)));
+    } else if (name === 'eprint') {
+      extractArxiv(value).forEach((id) => found(detect(`arXiv:${id}`)));
+    } else if (name === 'pmid') {
+      extractPubmed(value).forEach((id) => found(detect(`PMID:${id}`)));
+    } else if (name === 'isbn') {
+      extractIsbn(value).forEach((isbn) => found(detect(`ISBN ${isbn}`)));
+    } else {
+      found(detect(value));
+    }
+  }
+}
+
+function fromCslJson(text, found) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not valid CSL-JSON: ${error.message}`);
+  }
+  const items = Array.isArray(data) ? data : Array.isArray(data?.items) ? data.items : [data];
+  for (const item of items) {
+    if (!item || typeof item !== 'object') continue;
+    const value = (name) => {
+      const raw = item[name] ?? item[name.toLowerCase()];
+      return typeof raw === 'string' || typeof raw === 'number' ? String(raw).trim() : '';
+    };
+    extractDoi(value('DOI')).forEach((doi) => found(detect(doi)));
+    extractPubmed(value('PMID')).forEach((id) => found(detect(`PMID:${id}`)));
+    extractIsbn(value('ISBN')).forEach((isbn) => found(detect(`ISBN ${isbn}`)));
+    if (value('URL')) found(detect(value('URL')));
+    scanText(`${value('number')}\n${value('note')}`, found);
+  }
+}
+
+/**
+ * Guesses the format of pasted citation data.
+ * @param {string} text
+ * @returns {string} one of CITATION_FORMATS, 'text' when nothing more specific fits
+ */
+export function detectCitationFormat(text) {
+  const body = String(text).replace(/^\uFEFF/, '').trim();
+  if (/^[[{]/.test(body)) {
+    try {
+      JSON.parse(body);
+      return 'csl_json';
+    } catch {
+      // Not JSON after all; fall through.
+    }
+  }
+  if (/^\s*@\w+\s*[{(]/m.test(body)) return 'bibtex';
+  if (/^TY {2}- /m.test(body)) return 'ris';
+  return 'text';
+}
+
+/**
+ * Picks the identifiers out of citation data.
+ * @param {string} text - the data: a BibTeX or RIS export, CSL-JSON, a CSV/TSV table, or free text
+ * @param {string} [format='auto'] - one of CITATION_FORMATS, or 'auto' to detect it
+ * @returns {{format: string, identifiers: string[], by_type: Object<string, string[]>}} the format read, unique identifiers in the order found, and the same grouped by detectIdentifier type
+ * @throws {Error} When CSL-JSON does not parse
+ */
+export function extractIdentifiers(text, format = 'auto') {
+  const body = String(text).replace(/^\uFEFF/, '');
+  const resolved = format === 'auto' ? detectCitationFormat(body) : format;
+  const seen = new Set();
+  const byType = {};
+  const found = (detected) => {
+    if (!detected) return;
+    const value = canonical(detected);
+    if (seen.has(value)) return;
+    seen.add(value);
+    (byType[detected.identifier_type] ??= []).push(value);
+  };
+
+  switch (resolved) {
+    case 'bibtex': fromBibtex(body, found); break;
+    case 'ris': fromRis(body, found); break;
+    case 'csl_json': fromCslJson(body, found); break;
+    case 'csv': fromTable(body, ',', found); break;
+    case 'tsv': fromTable(body, '\t', found); break;
+    default: fromText(body, found);
+  }
+  return { format: resolved, identifiers: [...seen], by_type: byType };
+}
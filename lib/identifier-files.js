@@ -0,0 +1,95 @@
+import { realpath, stat, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { extractIdentifiers } from './identifier-extraction.js';
+
+// Bulk identifier input from local files (stdio only). An agent cannot realistically
+// paste 25,000 identifiers into an Explorer tool's `identifiers` argument, or 100,000
+// into translate_identifiers, but it can point at the CSV a user exported. With
+// ALTMETRIC_IDENTIFIERS_DIR set, every tool that takes `identifiers` also takes
+// `identifiers_file`: a path inside that directory, whose identifiers are added to
+// `identifiers` before the tool runs, so they follow the existing list and translate
+// paths and limits.
+//
+// The directory is an allowlist, not a default: paths are resolved against it and
+// through symlinks, and anything outside it is refused. The HTTP server never sets it,
+// since its "local files" would be the server's.
+//
+// The format follows the extension, and identifiers are picked out of it by
+// extractIdentifiers (lib/identifier-extraction.js), as extract_identifiers does.
+
+export const IDENTIFIERS_DIR_ENV = 'ALTMETRIC_IDENTIFIERS_DIR';
+export const MAX_IDENTIFIER_FILE_BYTES = 20 * 1024 * 1024;
+
+const FORMATS = {
+  '.txt': 'auto',
+  '.csv': 'csv',
+  '.tsv': 'tsv',
+  '.ris': 'ris',
+  '.bib': 'bibtex',
+  '.bibtex': 'bibtex',
+  '.json': 'csl_json',
+};
+
+/**
+ * Reads the identifier file root from the environment.
+ * @param {Object} env - process.env
+ * @returns {string|null} absolute directory, or null when file input is off
+ */
+export function identifierFileRootFromEnv(env) {
+  const value = env[IDENTIFIERS_DIR_ENV];
+  return value ? path.resolve(value) : null;
+}
+
+// Whether `target` lies strictly below `root`; a name that merely starts with ".."
+// (..refs.csv) is inside.
+function isInside(root, target) {
+  const relative = path.relative(root, target);
+  return relative !== '' && relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative);
+}
+
+/**
+ * Reads and parses an identifier file inside `root`.
+ * @param {string} file - path, relative to `root` or absolute within it
+ * @param {string} root - the allowlisted directory (identifierFileRootFromEnv)
+ * @returns {Promise<{file: string, format: string, identifiers: string[], by_type: Object<string, string[]>}>} the path relative to `root`, and what extractIdentifiers found in it
+ * @throws {Error} when the path leaves `root`, is not a readable file of a supported type, or is too large
+ */
+export async function readIdentifierFile(file, root) {
+  const format = FORMATS[path.extname(file).toLowerCase()];
+  if (!format) {
+    throw new Error(`Identifier files must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  // The path is checked before it is looked up, and again once symlinks are resolved,
+  // with the same error either way, so a caller cannot tell which files exist outside.
+  const outside = new Error(`Files must be inside ${IDENTIFIERS_DIR_ENV} (${root})`);
+  let realRoot;
+  try {
+    realRoot = await realpath(root);
+  } catch {
+    throw new Error(`${IDENTIFIERS_DIR_ENV} (${root}) is not readable`);
+  }
+  if (!isInside(realRoot, path.resolve(realRoot, file))) {
+    throw outside;
+  }
+  let resolved;
+  try {
+    resolved = await realpath(path.resolve(realRoot, file));
+  } catch {
+    throw new Error(`File not found: ${file}`);
+  }
+  if (!isInside(realRoot, resolved)) {
+    throw outside;
+  }
+  const relative = path.relative(realRoot, resolved);
+
+  const info = await stat(resolved);
+  if (!info.isFile()) {
+    throw new Error(`Not a file: ${file}`);
+  }
+  if (info.size > MAX_IDENTIFIER_FILE_BYTES) {
+    throw new Error(`${file} is larger than ${MAX_IDENTIFIER_FILE_BYTES / (1024 * 1024)} MB`);
+  }
+
+  return { file: relative, ...extractIdentifiers(await readFile(resolved, 'utf8'), format) };
+}
@@ -0,0 +1,169 @@
+import { detectIdentifier } from './validators.js';
+
+// Session bookkeeping for Explorer identifier lists. The read tools create lists
+// implicitly from an `identifiers` argument and hand back only { id, counts }, so
+// there was no way to see which identifiers Explorer could not place, or to reuse a
+// list without keeping its opaque id around. The identifier list tools
+// (create_identifier_list, get_identifier_list, list_identifier_lists) record every
+// list created in the session here, under an optional name that the read tools'
+// identifier_list_id then accepts in place of the id.
+//
+// The identifier_lists endpoint reports only counts per recognised type, so the
+// identifiers it cannot place are worked out locally: anything detectIdentifier
+// (lib/validators.js) does not recognise, or recognises as a type Explorer lists do
+// not take. Only the first MAX_STORED_UNRECOGNIZED are kept per list.
+//
+// Like the result cursors (lib/result-cursors.js), the registry is process memory
+// partitioned by owner - 'stdio', or a credential fingerprint under HTTP - and
+// bounded: per-owner entry count, a TTL, and a cap on owners.
+
+export const DEFAULT_MAX_LISTS_PER_OWNER = 50;
+export const DEFAULT_LIST_TTL_MS = 24 * 60 * 60 * 1000;
+export const DEFAULT_MAX_OWNERS = 1_000;
+export const MAX_STORED_UNRECOGNIZED = 100;
+
+// Identifier types an Explorer identifier list accepts, as named by detectIdentifier.
+const LIST_IDENTIFIER_TYPES = new Set(['doi', 'handle', 'isbn', 'uri', 'urn', 'pmid', 'arxiv', 'ads', 'repec', 'nct_id', 'id']);
+
+/**
+ * Splits pasted file contents (one identifier per line, or a CSV/TSV column) into
+ * identifiers: newlines, commas, tabs and semicolons separate, surrounding quotes
+ * and blank entries are dropped.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseIdentifierText(text) {
+  return String(text)
+    .split(/[\r\n,;\t]+/)
+    .map((value) => value.trim().replace(/^(["'])(.*)\1$/, '$2').trim())
+    .filter((value) => value !== '');
+}
+
+/**
+ * The identifiers an Explorer identifier list will not recognise.
+ * @param {string[]} identifiers
+ * @returns {{identifier: string, reason: string}[]}
+ */
+export function findUnrecognizedIdentifiers(identifiers) {
+  const unrecognized = [];
+  for (const identifier of identifiers) {
+    try {
+      const { identifier_type: type } = detectIdentifier(identifier);
+      if (!LIST_IDENTIFIER_TYPES.has(type)) {
+        unrecognized.push({ identifier, reason: `${type} identifiers are not supported in identifier lists` });
+      }
+    } catch {
+      unrecognized.push({ identifier, reason: 'not a recognisable identifier' });
+    }
+  }
+  return unrecognized;
+}
+
+/**
+ * In-memory registry of the identifier lists created in a session.
+ * @param {Object} [opts]
+ * @param {number} [opts.maxPerOwner] - oldest lists are forgotten beyond this
+ * @param {number} [opts.ttlMs] - how long a list stays in the registry
+ * @param {number} [opts.maxOwners] - least recently active owners are dropped beyond this
+ * @param {() => number} [opts.now] - injectable clock (tests)
+ * @returns {{ record: Function, list: Function, find: Function, forOwner: Function }}
+ */
+export function createIdentifierListRegistry({
+  maxPerOwner = DEFAULT_MAX_LISTS_PER_OWNER,
+  ttlMs = DEFAULT_LIST_TTL_MS,
+  maxOwners = DEFAULT_MAX_OWNERS,
+  now = () => Date.now(),
+} = {}) {
+  // owner -> Map(list id -> entry); both Maps in age order.
+  const owners = new Map();
+
+  function entriesFor(owner) {
+    const entries = owners.get(owner);
+    if (!entries) return new Map();
+    const at = now();
+    for (const [id, entry] of entries) {
+      if (entry.expiresAt <= at) entries.delete(id);
+    }
+    return entries;
+  }
+
+  const copy = ({ expiresAt, ...entry }) => structuredClone(entry);
+
+  const registry = {
+    /**
+     * Records a list created (or found again) by the identifier_lists endpoint. A name
+     * moves to the newest list that claims it; recording a known id refreshes it.
+     * @param {string} owner
+     * @param {{id: string, name?: string|null, counts?: Object, submitted?: number, unrecognized?: Object[]}} list
+     * @returns {Object} the stored entry
+     */
+    record(owner, { id, name = null, counts = {}, submitted = null, unrecognized = [] }) {
+      const entries = entriesFor(owner);
+      const previous = entries.get(id);
+      if (name) {
+        for (const entry of entries.values()) {
+          if (entry.name === name) entry.name = null;
+        }
+      }
+      entries.delete(id);
+      const entry = {
+        id,
+        name: name ?? previous?.name ?? null,
+        counts,
+        submitted: submitted ?? previous?.submitted ?? null,
+        unrecognized: (unrecognized.length > 0 ? unrecognized : previous?.unrecognized ?? []).slice(0, MAX_STORED_UNRECOGNIZED),
+        unrecognized_total: unrecognized.length > 0 ? unrecognized.length : previous?.unrecognized_total ?? 0,
+        created_at: previous?.created_at ?? new Date(now()).toISOString(),
+        expiresAt: now() + ttlMs,
+      };
+      entries.set(id, entry);
+      for (const oldest of entries.keys()) {
+        if (entries.size <= maxPerOwner) break;
+        entries.delete(oldest);
+      }
+
+      owners.delete(owner);
+      owners.set(owner, entries);
+      for (const oldestOwner of owners.keys()) {
+        if (owners.size <= maxOwners) break;
+        owners.delete(oldestOwner);
+      }
+      return copy(entry);
+    },
+
+    /**
+     * The owner's lists, newest first.
+     * @param {string} owner
+     * @returns {Object[]}
+     */
+    list(owner) {
+      return [...entriesFor(owner).values()].reverse().map(copy);
+    },
+
+    /**
+     * Looks a list up by name or id.
+     * @param {string} owner
+     * @param {string} ref - a name given to create_identifier_list, or a list id
+     * @returns {Object|null}
+     */
+    find(owner, ref) {
+      const entries = entriesFor(owner);
+      const entry = entries.get(ref) ?? [...entries.values()].find((e) => e.name === ref);
+      return entry ? copy(entry) : null;
+    },
+
+    /**
+     * Binds the registry to one owner, for handing to a single caller's tools.
+     * @param {string} owner
+     * @returns {{ record: Function, list: Function, find: Function }}
+     */
+    forOwner(owner) {
+      return {
+        record: (list) => registry.record(owner, list),
+        list: () => registry.list(owner),
+        find: (ref) => registry.find(owner, ref),
+      };
+    },
+  };
+  return registry;
+}
@@ -0,0 +1,88 @@
+// Readers for the records the analysis tools summarise: Explorer JSON:API documents
+// (attributes, relationships and the `included` records they link to) and the Details
+// Page API records read alongside them. lib/attention-trends.js,
+// lib/cohort-comparison.js, lib/sentiment-summary.js, lib/top-mentioners.js,
+// lib/policy-impact.js, lib/patent-citations.js, lib/source-citations.js,
+// lib/score-context.js, lib/score-history.js and lib/summary-tables.js all read
+// records this way, so the readers live here rather than in each of them.
+//
+// Fields are named by path ("author.name" reads attributes.author.name), and a reader
+// given several takes the first that holds a usable value.
+
+/**
+ * Reads a dotted path from a record.
+ * @param {Object} record
+ * @param {string} path - e.g. "author.name"
+ * @returns {*} the value, or undefined when any step is missing
+ */
+export function lookup(record, path) {
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), record);
+}
+
+/**
+ * The first non-blank string among `fields`, trimmed.
+ * @param {Object} record
+ * @param {string[]} fields - paths, in order of preference
+ * @returns {string|null}
+ */
+export function firstString(record, fields) {
+  const value = fields.map((field) => lookup(record, field)).find((v) => typeof v === 'string' && v.trim() !== '');
+  return value ? value.trim() : null;
+}
+
+/**
+ * The first finite number among `fields`.
+ * @param {Object} record
+ * @param {string[]} fields - paths, in order of preference
+ * @returns {number|null}
+ */
+export function firstNumber(record, fields) {
+  const value = fields.map((field) => lookup(record, field)).find((v) => typeof v === 'number' && Number.isFinite(v));
+  return value ?? null;
+}
+
+/**
+ * A relationship's linkage as a list of {id, type}, whether it is to-one or to-many.
+ * @param {Object} relationships - a JSON:API item's relationships
+ * @param {string[]} names - relationship names, in order of preference; the first with any linkage is read
+ * @returns {{id: string, type: string}[]}
+ */
+export function linkage(relationships, names) {
+  for (const name of names) {
+    const data = relationships?.[name]?.data;
+    const links = (Array.isArray(data) ? data : [data]).filter((link) => link && link.id != null);
+    if (links.length > 0) return links.map(({ id, type }) => ({ id: String(id), type: type ?? name }));
+  }
+  return [];
+}
+
+/**
+ * A JSON:API document's included records, keyed "type:id" as linkage names them.
+ * @param {Object} document
+ * @returns {Map<string, Object>}
+ */
+export function includedIndex(document) {
+  return new Map((Array.isArray(document?.included) ? document.included : [])
+    .filter((record) => record && record.id != null)
+    .map((record) => [`${record.type}:${record.id}`, record]));
+}
+
+/**
+ * A date as YYYY-MM-DD: Details Page API dates are Unix seconds, Explorer's ISO strings.
+ * @param {string|number} value
+ * @returns {string|null} null when the value is not a date
+ */
+export function isoDate(value) {
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value ?? NaN);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Rounds to a number of decimal places.
+ * @param {number} value
+ * @param {number} [places=2]
+ * @returns {number}
+ */
+export function round(value, places = 2) {
+  return Math.round(value * 10 ** places) / 10 ** places;
+}
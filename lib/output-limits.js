@@ -10,26 +10,115 @@
 // most-recoverable parts first and tell the model how to get the rest, so a
 // too-big response becomes a smaller usable one rather than a hard failure.
 //
-// The budget targets the most-constrained common client (Claude Code's ~25k
-// tokens, MAX_MCP_OUTPUT_TOKENS). Bytes are a proxy for tokens and the ratio is
-// content-dependent: dense Explorer JSON (DOIs, badge URLs, grid IDs, project
-// codes) fragments to ~2 chars/token - far below the ~4 of prose - so 25k tokens
-// is only ~40KB for the densest endpoint. We pin the cap there (verified by live
-// measurement against research_outputs, the densest), which is conservative for
-// compact endpoints like journals but always lands inside the client's cap. This
+// The budget is expressed in tokens. A byte cap had to be pinned to the densest
+// endpoint: Explorer JSON full of DOIs, badge URLs, grid IDs and project codes
+// fragments to ~2 chars/token - far below the ~4 of prose - so 25k tokens was
+// only ~40KB for research_outputs, which starved compact endpoints like
+// explore_journals. estimateTokens() counts the serialized result the way a BPE
+// tokenizer splits it (letter and digit runs, punctuation clusters), so dense
+// and compact payloads each get as many rows as the client will actually take.
+// The budget defaults to Claude Code's 25k, honours MAX_MCP_OUTPUT_TOKENS, and
+// an HTTP client can declare its own cap per request (see
+// resultTokenBudgetFromHeader). The only byte cap is the clients' own hard
+// ceiling (MAX_RESULT_BYTES), which no token budget may push a result past. This
 // is only a last resort - pagination and the include_related=false default keep
-// normal results far smaller (a 25-item mentions page is ~17KB).
+// normal results far smaller.
 
-export const MAX_RESULT_BYTES = 40 * 1024;
+import { exportCosts, refreshExports } from './export-formats.js';
+import { refreshSummaryTables } from './summary-tables.js';
+
+export const DEFAULT_MAX_RESULT_TOKENS = 25_000;
+
+// Bounds for a client-declared budget: below the floor even one Explorer item
+// rarely fits, and above the ceiling MAX_RESULT_BYTES binds first anyway.
+export const MIN_RESULT_TOKENS = 1_000;
+export const MAX_RESULT_TOKENS = 200_000;
+
+// Byte cap for any budget. Kept under the ~1MB at which claude.ai/Desktop reject a
+// result.
+export const MAX_RESULT_BYTES = 768 * 1024;
+
+// Request header an HTTP client uses to declare its own output cap in tokens,
+// named after Claude Code's MAX_MCP_OUTPUT_TOKENS setting.
+export const RESULT_TOKEN_BUDGET_HEADER = 'x-max-mcp-output-tokens';
 
 // Headroom reserved when trimming the data[] array. The truncation note and the
 // `meta.truncated/returned/available` annotation are appended *after* the trim
 // is measured, so the trim has to aim below the budget - otherwise those few
 // hundred bytes tip a just-fitting result back over and it gets discarded.
 const SIZE_SAFETY_MARGIN = 1024;
+const TOKEN_SAFETY_MARGIN = 512;
+
+// Pieces a BPE tokenizer rarely merges across: runs of ASCII letters, runs of
+// digits, whitespace, clusters of ASCII punctuation, and any other character.
+const TOKEN_PIECES = /[A-Za-z]+|[0-9]+|\s+|[!-/:-@[-`{-~]+|[^]/gu;
+
+// The per-piece costs overcount prose; the padding covers identifier-heavy JSON,
+// where real tokenizers split hardest. With it, research_outputs-style records
+// estimate at ~1.6 chars/token, the ratio measured live for that endpoint
+// (25k tokens in ~40KB).
+const TOKEN_ESTIMATE_PADDING = 1.25;
 
-function byteLength(value) {
-  return Buffer.byteLength(JSON.stringify(value), 'utf8');
+/**
+ * Estimates how many tokens a client's tokenizer will count for `text`. Letter
+ * runs cost one token per 4 characters, digit runs one per 3, punctuation
+ * clusters one per 2, a multi-character whitespace run one, and any other
+ * (non-ASCII) character one each.
+ * @param {string} text
+ * @returns {number} estimated token count
+ */
+export function estimateTokens(text) {
+  let tokens = 0;
+  for (const [piece] of String(text).matchAll(TOKEN_PIECES)) {
+    const first = piece.charCodeAt(0);
+    if (/[A-Za-z]/.test(piece[0])) tokens += Math.ceil(piece.length / 4);
+    else if (first >= 48 && first <= 57) tokens += Math.ceil(piece.length / 3);
+    else if (/\s/.test(piece[0])) tokens += piece.length > 1 ? 1 : 0;
+    else if (first < 128) tokens += Math.ceil(piece.length / 2);
+    else tokens += 1;
+  }
+  return Math.ceil(tokens * TOKEN_ESTIMATE_PADDING);
+}
+
+function parseTokenBudget(raw) {
+  return /^\d+$/.test(String(raw).trim()) ? Number(raw) : NaN;
+}
+
+/**
+ * Reads the default result budget from MAX_MCP_OUTPUT_TOKENS - the variable Claude
+ * Code uses for its own cap - falling back to DEFAULT_MAX_RESULT_TOKENS.
+ * @param {Object} env - typically process.env
+ * @returns {number} token budget
+ */
+export function resultTokenBudgetFromEnv(env) {
+  const raw = env.MAX_MCP_OUTPUT_TOKENS;
+  if (raw === undefined || raw === '') return DEFAULT_MAX_RESULT_TOKENS;
+  const value = parseTokenBudget(raw);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error(`Invalid MAX_MCP_OUTPUT_TOKENS: ${raw} (expected a positive integer)`);
+  }
+  return Math.min(Math.max(value, MIN_RESULT_TOKENS), MAX_RESULT_TOKENS);
+}
+
+/**
+ * Reads a client-declared budget from the RESULT_TOKEN_BUDGET_HEADER request
+ * header, clamped to [MIN_RESULT_TOKENS, MAX_RESULT_TOKENS]. The header is only a
+ * hint, so a missing or malformed value falls back rather than failing the request.
+ * @param {string|string[]|undefined} value - the raw header value
+ * @param {number} [fallback] - budget to use when the header is absent or invalid
+ * @returns {number} token budget
+ */
+export function resultTokenBudgetFromHeader(value, fallback = DEFAULT_MAX_RESULT_TOKENS) {
+  const raw = Array.isArray(value) ? value[0] : value;
+  if (raw === undefined || raw === '') return fallback;
+  const parsed = parseTokenBudget(raw);
+  if (!Number.isFinite(parsed) || parsed <= 0) return fallback;
+  return Math.min(Math.max(parsed, MIN_RESULT_TOKENS), MAX_RESULT_TOKENS);
+}
+
+function measure(value) {
+  const json = JSON.stringify(value);
+  return { bytes: Buffer.byteLength(json, 'utf8'), tokens: estimateTokens(json) };
 }
 
 function appendNote(result, note) {
@@ -49,65 +138,127 @@ function sizeOf(included) {
   return 0;
 }
 
-// Trims `result` in place until it serializes under `maxBytes`, returning it.
-// Strategy, cheapest-to-recover first:
+// The longest leading slice of sc[key] that fits the budgets less the safety margins
+// (the truncation note and meta are appended after the trim, so it aims below the
+// budget - otherwise those few hundred bytes tip a just-fitting result back over).
+// Re-serialising the whole result per candidate length took seconds on a
+// multi-thousand-item payload, so each item is measured once instead, together with
+// the line it adds to any attached export (exportCosts), adding up from the size of
+// the rest of the result and stopping at the first item that does not fit. Token
+// estimates are not quite additive across item boundaries, so the pick is rendered,
+// export included, and checked against a real measurement, stepping back a little
+// until it fits. Leaves sc[key] at the returned length, and the export rendered from
+// it, when that is at least 1.
+function largestFittingPrefix(result, sc, key, { maxBytes, maxTokens }, fits) {
+  const items = sc[key];
+  const exports = exportCosts(result);
+  sc[key] = [];
+  let { bytes, tokens } = measure({ ...result, content: (result.content || []).filter((block) => block?.type !== 'resource') });
+  if (exports) {
+    bytes += Buffer.byteLength(exports.fixed, 'utf8');
+    tokens += estimateTokens(exports.fixed);
+  }
+  const within = () => bytes <= maxBytes - SIZE_SAFETY_MARGIN && tokens <= maxTokens - TOKEN_SAFETY_MARGIN;
+  let best = 0;
+  for (const [i, item] of items.entries()) {
+    // +1 for the comma between items.
+    const json = `${JSON.stringify(item) ?? 'null'}${exports ? exports.rows[i] : ''}`;
+    bytes += Buffer.byteLength(json, 'utf8') + 1;
+    if (!within()) break;
+    tokens += estimateTokens(json) + 1;
+    if (!within()) break;
+    best += 1;
+  }
+  while (best >= 1) {
+    sc[key] = items.slice(0, best);
+    refreshExports(result);
+    if (fits(true)) break;
+    best = Math.min(best - 1, Math.floor(best * 0.95));
+  }
+  return best;
+}
+
+// Trims `result` in place until it fits both the token budget and the byte cap,
+// returning it. Strategy, cheapest-to-recover first:
 //   1. drop the JSON:API `included` dictionary (pure denormalization the model
 //      can refetch; on mentions it embeds full research-output records)
-//   2. trim the paginated `data` array from the end
+//   2. trim the paginated `data` array (or a batch tool's `results`) from the end
 //   3. last resort: replace the payload with an explanatory error
-export function enforceResultSizeLimit(result, maxBytes = MAX_RESULT_BYTES) {
+// `limits` is either { maxTokens, maxBytes, stash } or, as before budgets were
+// counted in tokens, a plain byte cap; maxBytes defaults to MAX_RESULT_BYTES.
+// `stash(remainder, { offset, total, tool })` holds the trimmed tail of that array
+// and returns a cursor for continue_result (lib/result-cursors.js), or null when it
+// cannot; without it the tail is dropped.
+export function enforceResultSizeLimit(result, limits = {}) {
   if (!result || typeof result !== 'object') return result;
-  if (byteLength(result) <= maxBytes) return result;
+  const { maxTokens = DEFAULT_MAX_RESULT_TOKENS, maxBytes = MAX_RESULT_BYTES, stash } =
+    typeof limits === 'number' ? { maxBytes: limits } : limits;
+  // An attached CSV/TSV/NDJSON export (lib/export-formats.js) mirrors the rows, so
+  // whatever changes the rows re-renders it before measuring. A summary table
+  // (lib/summary-tables.js) only shrinks with the rows, so it is rebuilt once at the end.
+  const fits = (margin = false) => {
+    const json = JSON.stringify(result);
+    // Bytes first: an oversized result is not worth tokenising.
+    return Buffer.byteLength(json, 'utf8') <= maxBytes - (margin ? SIZE_SAFETY_MARGIN : 0)
+      && estimateTokens(json) <= maxTokens - (margin ? TOKEN_SAFETY_MARGIN : 0);
+  };
+  if (fits()) return result;
 
   const sc = result.structuredContent;
   const notes = [];
 
+  let fitsNow = false;
   if (sc && typeof sc === 'object' && sizeOf(sc.included) > 0) {
     delete sc.included;
     notes.push('related objects (the "included" block) omitted to fit size limits; set include_related=false (the default) or look them up separately');
+    fitsNow = fits();
   }
 
   let trimmed = false;
-  if (byteLength(result) > maxBytes && sc && Array.isArray(sc.data) && sc.data.length > 1) {
-    const original = sc.data.length;
-    const items = sc.data;
-    // Binary-search the largest leading slice that fits. Popping one item at a
-    // time re-serializes the whole result O(n) times - tens of seconds on a
-    // multi-thousand-item payload (e.g. a broad explore_journals query). Slice
-    // length -> fits is monotonic, so a binary search over [1, original] finds
-    // the boundary in O(log n) serializations. Aim below the budget by
-    // SIZE_SAFETY_MARGIN so the note + meta we append next still fit.
-    const target = maxBytes - SIZE_SAFETY_MARGIN;
-    let low = 1, high = original, best = 0;
-    while (low <= high) {
-      const mid = (low + high) >>> 1;
-      sc.data = items.slice(0, mid);
-      if (byteLength(result) <= target) { best = mid; low = mid + 1; }
-      else { high = mid - 1; }
-    }
+  const key = ['data', 'results'].find((name) => Array.isArray(sc?.[name]));
+  if (!fitsNow && key && sc[key].length > 1) {
+    const original = sc[key].length;
+    const items = sc[key];
+    const best = largestFittingPrefix(result, sc, key, { maxBytes, maxTokens }, fits);
     if (best >= 1) {
-      sc.data = items.slice(0, best);
-      notes.push(`showing ${best} of ${original} items to fit size limits; narrow your filters, or paginate if the endpoint supports it`);
-      sc.meta = { ...(sc.meta || {}), truncated: true, returned: best, available: original };
+      // A continue_result slice reports its position in the original result.
+      const continuation = sc.meta?.continuation;
+      const offset = continuation?.offset ?? 0;
+      const total = continuation?.total ?? original;
+      const info = { offset: offset + best, total };
+      if (continuation?.tool) info.tool = continuation.tool;
+      const cursor = stash?.(items.slice(best), info) ?? null;
+      const shown = continuation
+        ? `showing items ${offset + 1}-${offset + best} of ${total}`
+        : `showing ${best} of ${original} items`;
+      notes.push(cursor
+        ? `${shown} to fit size limits; call continue_result with cursor "${cursor}" for the next ${original - best} (the cursor works once and expires soon)`
+        : `${shown} to fit size limits; narrow your filters, or paginate if the endpoint supports it`);
+      sc.meta = { ...(sc.meta || {}), truncated: true, returned: best, available: original, ...(cursor ? { next_cursor: cursor } : {}) };
       trimmed = true;
     } else {
       // Not even one item fits the target; keep one so the last-resort path
       // below replaces it rather than silently returning empty data.
-      sc.data = items.slice(0, 1);
+      sc[key] = items.slice(0, 1);
+      refreshExports(result);
     }
   }
 
   // Last resort, only when we could not produce a fitting trimmed result (a
   // single oversized item, or a non-array payload). A successful trim is never
   // discarded here, even if its note/meta nudge it slightly over the budget.
-  if (!trimmed && byteLength(result) > maxBytes) {
+  if (!trimmed && !fits()) {
     result.structuredContent = {
       error: 'result_too_large',
       message: 'A single result exceeds the size limit. Narrow your query (e.g. add filters, a smaller timeframe, or fewer requested sections).',
     };
     notes.push('result too large to return; narrow your query');
+    refreshExports(result);
   }
 
-  if (notes.length) appendNote(result, notes.join('; '));
+  if (notes.length) {
+    refreshSummaryTables(result);
+    appendNote(result, notes.join('; '));
+  }
   return result;
 }
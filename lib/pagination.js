@@ -0,0 +1,160 @@
+// Server-side page walking for the paginated Explorer endpoints
+// (research_outputs, mentions). Without it an agent that needs more than one
+// page (max 100 items) burns a tool call per page; here we read
+// meta.response['total-pages'] from the first page, fetch the rest with
+// bounded concurrency and merge the JSON:API documents into one. The merged
+// result still goes through enforceResultSizeLimit in the entry points, so
+// walking more pages never lets a result exceed the client's cap.
+
+import { MAX_PAGE_SIZE, MAX_PAGE_NUMBER } from './filter-validators.js';
+
+// Default and hard ceiling on how many items one auto-paginated call merges.
+// 10 full pages keeps the upstream fan-out modest; the size guard trims what
+// the client cannot take anyway.
+export const DEFAULT_AUTO_PAGINATE_ITEMS = 500;
+export const MAX_AUTO_PAGINATE_ITEMS = 1000;
+
+// Pages fetched in parallel. Explorer is happy with a few concurrent reads;
+// more than that mostly trips rate limits.
+export const AUTO_PAGINATE_CONCURRENCY = 4;
+
+/**
+ * Maps `items` through async `fn`, running at most `limit` calls at a time.
+ * Results keep the input order. Rejects with the first error.
+ * @param {Array} items
+ * @param {number} limit
+ * @param {(item: any, index: number) => Promise<any>} fn
+ * @returns {Promise<Array>}
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Encodes where the next auto-paginated call should resume. Opaque to the
+ * model; it carries no filters, so the caller passes the same filters again.
+ * @param {{ page: number, pageSize: number, skip: number }} position
+ * @returns {string}
+ */
+export function encodeContinuation({ page, pageSize, skip }) {
+  return Buffer.from(JSON.stringify({ p: page, s: pageSize, o: skip })).toString('base64url');
+}
+
+/**
+ * Decodes a token produced by encodeContinuation.
+ * @param {string} token
+ * @returns {{ page: number, pageSize: number, skip: number }}
+ * @throws {Error} If the token is malformed or out of range
+ */
+export function decodeContinuation(token) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid continuation token');
+  }
+  const { p: page, s: pageSize, o: skip } = decoded || {};
+  if (!Number.isInteger(page) || page < 1 || page > MAX_PAGE_NUMBER ||
+      !Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE ||
+      !Number.isInteger(skip) || skip < 0 || skip >= pageSize) {
+    throw new Error('Invalid continuation token');
+  }
+  return { page, pageSize, skip };
+}
+
+function includedKey(item) {
+  return `${item?.type}:${item?.id}`;
+}
+
+/**
+ * Walks a paginated JSON:API endpoint and merges the pages.
+ *
+ * @param {(pageNumber: number, pageSize: number) => Promise<Object>} fetchPage - fetches one page
+ * @param {Object} opts
+ * @param {number} [opts.startPage] - first page to fetch (1-based)
+ * @param {number} [opts.pageSize] - items per page
+ * @param {number} [opts.skip] - items to drop from the start of the first page (resuming mid-page)
+ * @param {number} [opts.maxItems] - cap on merged items
+ * @param {number} [opts.concurrency] - pages fetched in parallel
+ * @returns {Promise<{ data: Array, included?: Array, meta: Object }>} merged document;
+ *   meta.pagination describes the walk and carries a `continuation` token when the cap was hit
+ */
+export async function fetchAllPages(fetchPage, {
+  startPage = 1,
+  pageSize = MAX_PAGE_SIZE,
+  skip = 0,
+  maxItems = DEFAULT_AUTO_PAGINATE_ITEMS,
+  concurrency = AUTO_PAGINATE_CONCURRENCY,
+} = {}) {
+  const first = await fetchPage(startPage, pageSize);
+  const totalPages = first.meta?.response?.['total-pages'] || 1;
+
+  // Enough pages to cover `maxItems` after the skipped head of the first page.
+  const pagesWanted = Math.ceil((maxItems + skip) / pageSize);
+  const lastPage = Math.min(totalPages, startPage + pagesWanted - 1, MAX_PAGE_NUMBER);
+  const remaining = [];
+  for (let page = startPage + 1; page <= lastPage; page++) remaining.push(page);
+
+  const rest = await mapWithConcurrency(remaining, concurrency, (page) => fetchPage(page, pageSize));
+  const pages = [first, ...rest];
+
+  const merged = pages.flatMap((page) => (Array.isArray(page.data) ? page.data : []));
+  const data = merged.slice(skip, skip + maxItems);
+
+  // Related objects are shared across pages (the same journal or author is
+  // referenced by many mentions), so de-duplicate by JSON:API type + id.
+  const seen = new Set();
+  const included = [];
+  for (const page of pages) {
+    for (const item of Array.isArray(page.included) ? page.included : []) {
+      const key = includedKey(item);
+      if (!seen.has(key)) {
+        seen.add(key);
+        included.push(item);
+      }
+    }
+  }
+
+  // Resume right after the last returned item: either later in the last
+  // fetched page (cap landed mid-page) or at the next unfetched page.
+  const consumed = skip + data.length;
+  const moreInFetched = consumed < merged.length;
+  const moreUpstream = lastPage < totalPages;
+  let continuation = null;
+  if (moreInFetched || moreUpstream) {
+    const page = startPage + Math.floor(consumed / pageSize);
+    if (page <= MAX_PAGE_NUMBER) {
+      continuation = encodeContinuation({ page, pageSize, skip: consumed % pageSize });
+    }
+  }
+
+  const result = {
+    data,
+    meta: {
+      ...(first.meta || {}),
+      pagination: {
+        first_page: startPage,
+        last_page: lastPage,
+        pages_fetched: pages.length,
+        page_size: pageSize,
+        total_pages: totalPages,
+        returned: data.length,
+        continuation,
+      },
+    },
+  };
+  if (included.length > 0) result.included = included;
+  return result;
+}
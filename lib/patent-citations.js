@@ -0,0 +1,203 @@
+import { sanitizeUpstreamText } from './output-guard.js';
+import { firstString, isoDate } from './jsonapi.js';
+import { citationsFromDetails, citationsFromMentions, largestGroups } from './source-citations.js';
+
+// Patent citations for the track_patent_citations tool, for tech-transfer questions
+// ("which of our outputs are cited in patents, where, and by whom?") that patent
+// mentions, one source among many in get_citation_details and explore_mentions,
+// could not answer without tallying by hand.
+//
+// As in lib/policy-impact.js, the citations come from either API, read by
+// lib/source-citations.js into a citation per output-patent pair:
+//   - Details Page API: the patent posts of /v1/fetch, one response per output. A post
+//     has title, url, patent_number (the publication number, e.g. "US-10123456-B2"),
+//     jurisdiction (the issuing office), assignees (a list of names), filing_date and
+//     posted_on (the publication date).
+//   - Explorer API: mentions whose source type is patent, with the same attributes
+//     spelt patent-number, filing-date and posted-on. The assignee is taken from the
+//     mention's author profile when the mention names none.
+// A patent citing several outputs is counted once, identified by its publication
+// number (or URL, or title). A record without a jurisdiction takes it from the
+// publication number's office prefix (US, EP, WO, ...). Patents are grouped by
+// jurisdiction, assignee and filing year, and the outputs with patent uptake are
+// listed, most cited first. The patents go in `data`, which the output limit trims;
+// the output list keeps the first MAX_OUTPUT_ROWS, as the patents list the outputs
+// each one cites.
+//
+// Titles and assignees are sanitised before they reach the summary.
+
+export const PATENT_SOURCE = 'patent';
+
+const MAX_SUMMARY_ROWS = 10;
+const MAX_SUMMARY_OUTPUTS = 20;
+const MAX_OUTPUT_ROWS = 50;
+
+// The fields of a `posts.patent` entry, and their kebab-case spellings in Explorer
+// mention attributes.
+const DETAILS_FIELDS = { number: 'patent_number', jurisdiction: 'jurisdiction', assignees: 'assignees', filed: 'filing_date', published: 'posted_on' };
+const MENTION_FIELDS = { number: 'patent-number', jurisdiction: 'jurisdiction', assignees: 'assignees', filed: 'filing-date', published: 'posted-on' };
+
+function assigneesOf(value) {
+  return (Array.isArray(value) ? value : [])
+    .filter((name) => typeof name === 'string' && name.trim() !== '')
+    .map((name) => name.trim());
+}
+
+// The office a publication number was issued by: "US-10123456-B2", "EP1234567A1", "WO2019/123456".
+function officeOf(number) {
+  const match = number?.match(/^([A-Z]{2})[\s-]?\d/i);
+  return match ? match[1].toUpperCase() : null;
+}
+
+function readPatent(record, fields, fallbackAssignees = []) {
+  const number = firstString(record, [fields.number]);
+  const jurisdiction = firstString(record, [fields.jurisdiction]);
+  const assignees = assigneesOf(record[fields.assignees]);
+  return {
+    title: firstString(record, ['title']),
+    url: firstString(record, ['url']),
+    patent_number: number,
+    jurisdiction: jurisdiction ? jurisdiction.toUpperCase() : officeOf(number),
+    assignees: assignees.length > 0 ? assignees : fallbackAssignees,
+    filed_on: isoDate(firstString(record, [fields.filed])),
+    published_on: isoDate(firstString(record, [fields.published])),
+  };
+}
+
+/**
+ * Patent citations in Details Page API /v1/fetch responses.
+ * @param {{input: string, data: Object}[]} fetched - one response per research output, with the identifier it was fetched by
+ * @returns {Object[]} citations: { title, url, patent_number, jurisdiction, assignees, filed_on, published_on, output: { id, doi, title, input } }
+ */
+export function patentCitationsFromDetails(fetched) {
+  return citationsFromDetails(fetched, [PATENT_SOURCE], (post) => readPatent(post, DETAILS_FIELDS));
+}
+
+/**
+ * Patent citations among Explorer mentions.
+ * @param {Object} document - a /research_outputs/mentions response (data, and optionally included)
+ * @returns {Object[]} citations in the patentCitationsFromDetails shape, one per research output a mention references
+ */
+export function patentCitationsFromMentions(document) {
+  return citationsFromMentions(document, [PATENT_SOURCE], (attributes, profile) => {
+    const profileName = firstString(profile, ['name']);
+    return readPatent(attributes, MENTION_FIELDS, profileName ? [profileName] : []);
+  });
+}
+
+// Publication numbers are written with and without separators ("US-10123456-B2").
+function patentKey({ patent_number: number, url, title }) {
+  if (number) return number.toUpperCase().replace(/[\s/-]/g, '');
+  if (url) return url.toLowerCase().replace(/\/+$/, '');
+  return title ? title.toLowerCase() : null;
+}
+
+const earliest = (a, b) => (!a ? b : !b ? a : a < b ? a : b);
+
+/**
+ * Groups patent citations by patent, jurisdiction, assignee and filing year, and
+ * lists the research outputs with patent uptake.
+ * @param {Object[]} citations - from patentCitationsFromDetails or patentCitationsFromMentions
+ * @returns {Object} { citations, patents, outputs_with_patents, by_jurisdiction, by_assignee, by_filing_year, outputs, data }, data holding the patents
+ */
+export function summarizePatentCitations(citations) {
+  const patents = new Map();
+  const outputs = new Map();
+  for (const citation of citations) {
+    const { output: cited, ...fields } = citation;
+    const key = patentKey(citation) ?? `patent:${patents.size}`;
+    if (!patents.has(key)) patents.set(key, { ...fields, outputs: new Set() });
+    const patent = patents.get(key);
+    patent.filed_on = earliest(patent.filed_on, citation.filed_on);
+    patent.published_on = earliest(patent.published_on, citation.published_on);
+    patent.jurisdiction ??= citation.jurisdiction;
+    if (patent.assignees.length === 0) patent.assignees = citation.assignees;
+    patent.outputs.add(cited.id);
+
+    if (!outputs.has(cited.id)) {
+      outputs.set(cited.id, { ...cited, patents: new Set(), jurisdictions: new Set(), first_filed: null, first_published: null });
+    }
+    const output = outputs.get(cited.id);
+    output.patents.add(key);
+    output.doi ??= cited.doi;
+    output.title ??= cited.title;
+    if (citation.jurisdiction) output.jurisdictions.add(citation.jurisdiction);
+    output.first_filed = earliest(output.first_filed, citation.filed_on);
+    output.first_published = earliest(output.first_published, citation.published_on);
+  }
+
+  const patentList = [...patents.values()]
+    .map(({ outputs: cited, ...patent }) => ({ ...patent, outputs: [...cited] }))
+    .sort((a, b) => (a.filed_on ?? a.published_on ?? '9999').localeCompare(b.filed_on ?? b.published_on ?? '9999'));
+
+  const tally = (keysOf) => {
+    const groups = new Map();
+    for (const patent of patentList) {
+      for (const key of keysOf(patent)) {
+        if (!groups.has(key)) groups.set(key, { patents: 0, outputs: new Set() });
+        const group = groups.get(key);
+        group.patents += 1;
+        patent.outputs.forEach((id) => group.outputs.add(id));
+      }
+    }
+    return [...groups];
+  };
+  const largest = (groups) => largestGroups(groups.sort(([, a], [, b]) => b.patents - a.patents || b.outputs.size - a.outputs.size));
+  const row = (name) => ([key, { patents: count, outputs: cited, merged }]) => ({ [name]: key, patents: count, outputs: cited.size, ...(merged ? { merged } : {}) });
+
+  return {
+    citations: citations.length,
+    patents: patentList.length,
+    outputs_with_patents: outputs.size,
+    by_jurisdiction: largest(tally((patent) => [patent.jurisdiction ?? 'unknown'])).map(row('jurisdiction')),
+    by_assignee: largest(tally((patent) => (patent.assignees.length > 0 ? patent.assignees : ['unknown']))).map(row('assignee')),
+    by_filing_year: tally((patent) => [patent.filed_on?.slice(0, 4) ?? 'unknown'])
+      .map(row('year')).sort((a, b) => a.year.localeCompare(b.year)),
+    outputs: [...outputs.values()]
+      .map(({ patents: cited, jurisdictions, ...output }) => ({ ...output, patents: cited.size, jurisdictions: [...jurisdictions].sort() }))
+      .sort((a, b) => b.patents - a.patents || (a.first_filed ?? '9999').localeCompare(b.first_filed ?? '9999'))
+      .slice(0, MAX_OUTPUT_ROWS),
+    data: patentList,
+  };
+}
+
+const clean = (text, max = 60) => sanitizeUpstreamText(String(text), max);
+
+function rows(label, items, key) {
+  const shown = items.filter((row) => row.merged === undefined).slice(0, MAX_SUMMARY_ROWS).map((row) => `${clean(row[key])} (${row.patents})`);
+  const hidden = items.reduce((sum, row) => sum + (row.merged ?? 1), 0) - shown.length;
+  const more = hidden > 0 ? `, +${hidden} more` : '';
+  return `${label}: ${shown.join(', ')}${more}`;
+}
+
+/**
+ * Short narrative of a summarizePatentCitations result.
+ * @param {Object} summary
+ * @param {number} [outputsRead] - how many outputs were looked at, when known
+ * @returns {string}
+ */
+export function describePatentCitations(summary, outputsRead) {
+  if (summary.patents === 0) return 'No patent citations found.';
+  const of = outputsRead != null ? ` of ${outputsRead}` : '';
+  const lines = [
+    `${summary.patents} patent(s) cite ${summary.outputs_with_patents}${of} research output(s); ${summary.citations} citation(s) in all.`,
+    rows('By jurisdiction', summary.by_jurisdiction, 'jurisdiction'),
+    rows('By assignee', summary.by_assignee, 'assignee'),
+    `By filing year: ${summary.by_filing_year.map((row) => `${row.year} (${row.patents})`).join(', ')}`,
+    'Outputs with patent uptake:',
+  ];
+  for (const output of summary.outputs.slice(0, MAX_SUMMARY_OUTPUTS)) {
+    const id = output.doi ?? output.input ?? output.id;
+    const name = output.title ? `${clean(output.title, 80)} (${id})` : id;
+    const where = output.jurisdictions.length > 0 ? ` in ${output.jurisdictions.join(', ')}` : '';
+    const filed = output.first_filed ? `, first filed ${output.first_filed}` : '';
+    lines.push(`- ${name}: ${output.patents} patent(s)${where}${filed}`);
+  }
+  if (summary.outputs_with_patents > MAX_SUMMARY_OUTPUTS) {
+    const where = summary.outputs_with_patents > summary.outputs.length
+      ? `; the structured output list has the first ${summary.outputs.length}`
+      : ' in structured data';
+    lines.push(`(+${summary.outputs_with_patents - MAX_SUMMARY_OUTPUTS} more outputs${where})`);
+  }
+  return lines.join('\n');
+}
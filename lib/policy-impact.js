@@ -0,0 +1,197 @@
+import { sanitizeUpstreamText } from './output-guard.js';
+import { firstString, isoDate } from './jsonapi.js';
+import { citationsFromDetails, citationsFromMentions, largestGroups } from './source-citations.js';
+
+// Policy and guideline citations for the track_policy_impact tool. Funders ask about
+// policy impact more than anything else, but the citations were buried among the
+// other sources in get_citation_details and explore_mentions, one record per
+// output-document pair.
+//
+// The citations come from either API, read by lib/source-citations.js into a citation
+// per output-document pair:
+//   - Details Page API: the policy and guideline posts of /v1/fetch, one response
+//     per research output. A post has title, url, posted_on, and the issuing
+//     organisation as source: { title, country }, the country in lower case ("gb").
+//   - Explorer API: mentions whose source type is policy or guideline, with title,
+//     url and posted-on. The issuing organisation is the mention's author profile,
+//     read from its name and country-code.
+// A document citing several outputs appears once per output, so documents are
+// de-duplicated by URL (or, lacking one, by organisation and title) and each keeps
+// the outputs it cites. The documents are then grouped by issuing organisation and by
+// country, and every cited output gets the date of its first policy citation. The
+// documents go in `data`, which the output limit trims; the timeline keeps the first
+// MAX_TIMELINE_ROWS outputs, as the documents list the outputs each one cites.
+//
+// Titles and organisation names are sanitised before they reach the summary.
+
+export const POLICY_SOURCES = ['policy', 'guideline'];
+
+const MAX_SUMMARY_ROWS = 10;
+const MAX_SUMMARY_TIMELINE = 20;
+const MAX_TIMELINE_ROWS = 50;
+
+// Where a document's date and issuing organisation are read: a `posts.policy` or
+// `posts.guideline` entry names the organisation under its `source`, and an Explorer
+// mention in its author profile. Both carry `title` and `url`.
+const DETAILS_FIELDS = { posted: 'posted_on', organisation: 'source.title', country: 'source.country' };
+const MENTION_FIELDS = { posted: 'posted-on', organisation: 'name', country: 'country-code' };
+
+// `issuer` holds the organisation fields: the post itself, or the mention's author profile.
+function readDocument(kind, record, issuer, fields) {
+  return {
+    kind,
+    title: firstString(record, ['title']),
+    url: firstString(record, ['url']),
+    organisation: firstString(issuer, [fields.organisation]),
+    // Details gives "gb", Explorer "GB".
+    country: firstString(issuer, [fields.country])?.toUpperCase() ?? null,
+    posted_on: isoDate(firstString(record, [fields.posted])),
+  };
+}
+
+/**
+ * Policy and guideline citations in Details Page API /v1/fetch responses.
+ * @param {{input: string, data: Object}[]} fetched - one response per research output, with the identifier it was fetched by
+ * @returns {Object[]} citations: { kind, title, url, organisation, country, posted_on, output: { id, doi, title, input } }
+ */
+export function policyCitationsFromDetails(fetched) {
+  return citationsFromDetails(fetched, POLICY_SOURCES, (post, kind) => readDocument(kind, post, post, DETAILS_FIELDS));
+}
+
+/**
+ * Policy and guideline citations among Explorer mentions.
+ * @param {Object} document - a /research_outputs/mentions response (data, and optionally included)
+ * @returns {Object[]} citations in the policyCitationsFromDetails shape, one per research output a mention references
+ */
+export function policyCitationsFromMentions(document) {
+  return citationsFromMentions(document, POLICY_SOURCES, (attributes, profile, kind) => readDocument(kind, attributes, profile, MENTION_FIELDS));
+}
+
+// The same document is cited once per output; its URL identifies it best.
+function documentKey({ url, organisation, title }) {
+  if (url) {
+    try {
+      const parsed = new URL(url);
+      return `${parsed.host.toLowerCase()}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+    } catch {
+      return url.toLowerCase();
+    }
+  }
+  return title ? `${(organisation ?? '').toLowerCase()}|${title.toLowerCase()}` : null;
+}
+
+const earliest = (a, b) => (!a ? b : !b ? a : a < b ? a : b);
+
+/**
+ * Groups policy and guideline citations into documents, organisations, countries and
+ * a first-citation timeline per research output.
+ * @param {Object[]} citations - from policyCitationsFromDetails or policyCitationsFromMentions
+ * @returns {Object} { citations, documents, multi_output_documents, outputs_cited, by_kind, by_organisation, by_country, timeline, data }, data holding the documents
+ */
+export function summarizePolicyImpact(citations) {
+  const documents = new Map();
+  const outputs = new Map();
+  for (const citation of citations) {
+    const { output: cited, ...fields } = citation;
+    const key = documentKey(citation) ?? `${citation.kind}:${documents.size}`;
+    if (!documents.has(key)) documents.set(key, { ...fields, outputs: new Set() });
+    const document = documents.get(key);
+    document.posted_on = earliest(document.posted_on, citation.posted_on);
+    document.organisation ??= citation.organisation;
+    document.country ??= citation.country;
+    document.outputs.add(cited.id);
+
+    if (!outputs.has(cited.id)) {
+      outputs.set(cited.id, { ...cited, documents: new Set(), first_policy_citation: null, first_document: null });
+    }
+    const output = outputs.get(cited.id);
+    output.documents.add(key);
+    output.doi ??= cited.doi;
+    output.title ??= cited.title;
+    if (citation.posted_on && (!output.first_policy_citation || citation.posted_on < output.first_policy_citation)) {
+      output.first_policy_citation = citation.posted_on;
+      output.first_document = { title: citation.title, organisation: citation.organisation, kind: citation.kind };
+    }
+  }
+
+  const documentList = [...documents.values()]
+    .map(({ outputs: cited, ...document }) => ({ ...document, outputs: [...cited] }))
+    .sort((a, b) => (a.posted_on ?? '9999').localeCompare(b.posted_on ?? '9999'));
+
+  const group = (keyOf) => {
+    const groups = new Map();
+    for (const document of documentList) {
+      const key = keyOf(document);
+      if (!groups.has(key)) groups.set(key, { documents: 0, outputs: new Set(), organisations: new Set(), country: document.country });
+      const entry = groups.get(key);
+      entry.documents += 1;
+      document.outputs.forEach((id) => entry.outputs.add(id));
+      if (document.organisation) entry.organisations.add(document.organisation);
+    }
+    return [...groups].sort(([, a], [, b]) => b.documents - a.documents || b.outputs.size - a.outputs.size);
+  };
+  const merged = (entry) => (entry.merged ? { merged: entry.merged } : {});
+
+  const byKind = Object.fromEntries(POLICY_SOURCES.map((kind) => [kind, documentList.filter((document) => document.kind === kind).length]));
+  const byOrganisation = largestGroups(group((document) => document.organisation ?? 'unknown'))
+    .map(([organisation, entry]) => ({ organisation, country: entry.country ?? null, documents: entry.documents, outputs: entry.outputs.size, ...merged(entry) }));
+  const byCountry = largestGroups(group((document) => document.country ?? 'unknown'))
+    .map(([country, entry]) => ({ country, documents: entry.documents, organisations: entry.organisations.size, outputs: entry.outputs.size, ...merged(entry) }));
+  const timeline = [...outputs.values()]
+    .map(({ documents: cited, ...output }) => ({ ...output, documents: cited.size }))
+    .sort((a, b) => (a.first_policy_citation ?? '9999').localeCompare(b.first_policy_citation ?? '9999'));
+
+  return {
+    citations: citations.length,
+    documents: documentList.length,
+    multi_output_documents: documentList.filter((document) => document.outputs.length > 1).length,
+    outputs_cited: outputs.size,
+    by_kind: byKind,
+    by_organisation: byOrganisation,
+    by_country: byCountry,
+    timeline: timeline.slice(0, MAX_TIMELINE_ROWS),
+    data: documentList,
+  };
+}
+
+const clean = (text, max = 60) => sanitizeUpstreamText(String(text), max);
+
+function outputName(output) {
+  const id = output.doi ?? output.input ?? output.id;
+  return output.title ? `${clean(output.title, 80)} (${id})` : id;
+}
+
+function rows(label, items, format) {
+  const shown = items.filter((row) => row.merged === undefined).slice(0, MAX_SUMMARY_ROWS).map(format);
+  const hidden = items.reduce((sum, row) => sum + (row.merged ?? 1), 0) - shown.length;
+  const more = hidden > 0 ? `, +${hidden} more` : '';
+  return `${label}: ${shown.join(', ')}${more}`;
+}
+
+/**
+ * Short narrative of a summarizePolicyImpact result.
+ * @param {Object} summary
+ * @returns {string}
+ */
+export function describePolicyImpact(summary) {
+  if (summary.documents === 0) return 'No policy or guideline citations found.';
+  const lines = [
+    `${summary.documents} policy document(s) and guideline(s) (${summary.by_kind.policy} policy, ${summary.by_kind.guideline} guideline) ` +
+      `cite ${summary.outputs_cited} research output(s); ${summary.citations} citation(s) in all, ` +
+      `${summary.multi_output_documents} document(s) citing more than one output.`,
+    rows('By organisation', summary.by_organisation, (row) => `${clean(row.organisation)} (${row.documents})`),
+    rows('By country', summary.by_country, (row) => `${clean(row.country, 40)} (${row.documents})`),
+    'First policy citation per output:',
+  ];
+  for (const output of summary.timeline.slice(0, MAX_SUMMARY_TIMELINE)) {
+    const first = output.first_document?.organisation ? ` by ${clean(output.first_document.organisation)}` : '';
+    lines.push(`- ${output.first_policy_citation ?? 'date unknown'}: ${outputName(output)}${first}; ${output.documents} document(s)`);
+  }
+  if (summary.outputs_cited > MAX_SUMMARY_TIMELINE) {
+    const where = summary.outputs_cited > summary.timeline.length
+      ? `; the structured timeline has the first ${summary.timeline.length}`
+      : ' in structured data';
+    lines.push(`(+${summary.outputs_cited - MAX_SUMMARY_TIMELINE} more outputs${where})`);
+  }
+  return lines.join('\n');
+}
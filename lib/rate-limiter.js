@@ -0,0 +1,154 @@
+// Client-side request scheduler for the Altmetric APIs. Details Page API keys carry
+// hard per-second and per-day quotas, and get_batch_attention_data plus parallel agent
+// calls regularly tripped them: the upstream answers with 429s that cost a round trip
+// and, once the daily quota is gone, fail every call until midnight.
+//
+// Each credential gets a token bucket (keyed by credentialFingerprint, so the raw key
+// never becomes a map key). A call reserves a token up front and sleeps until it is
+// due, which queues concurrent calls in FIFO order without an explicit queue: the
+// bucket goes negative by one token per waiting caller. The daily budget is counted
+// per upstream attempt (retries spend quota too) and resets at UTC midnight.
+
+// Buckets tracked at once; the least recently used credential is forgotten first
+// (and starts again with a full bucket and budget if it returns).
+const MAX_TRACKED_KEYS = 10_000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Creates a per-key token-bucket limiter.
+ * @param {Object} opts
+ * @param {number} [opts.ratePerSecond] - sustained requests per second (omit for no rate limit)
+ * @param {number} [opts.burst] - bucket size; defaults to max(1, ratePerSecond)
+ * @param {number} [opts.dailyBudget] - requests per UTC day (omit for no budget)
+ * @param {string} [opts.label] - API name used in error messages
+ * @param {() => number} [opts.now] - injectable clock (tests)
+ */
+export function createRateLimiter({
+  ratePerSecond,
+  burst = Math.max(1, ratePerSecond || 0),
+  dailyBudget,
+  label = 'API',
+  now = () => Date.now(),
+} = {}) {
+  // key -> { tokens, updatedAt, day, usedToday }; Map order doubles as LRU order.
+  const buckets = new Map();
+
+  function bucketFor(key) {
+    let bucket = buckets.get(key);
+    if (bucket) {
+      buckets.delete(key);
+    } else {
+      bucket = { tokens: burst, updatedAt: now(), day: utcDay(now()), usedToday: 0 };
+      if (buckets.size >= MAX_TRACKED_KEYS) {
+        buckets.delete(buckets.keys().next().value);
+      }
+    }
+    buckets.set(key, bucket);
+
+    const today = utcDay(now());
+    if (bucket.day !== today) {
+      bucket.day = today;
+      bucket.usedToday = 0;
+    }
+    if (ratePerSecond) {
+      const elapsed = (now() - bucket.updatedAt) / 1000;
+      bucket.tokens = Math.min(burst, bucket.tokens + elapsed * ratePerSecond);
+    }
+    bucket.updatedAt = now();
+    return bucket;
+  }
+
+  function snapshot(bucket) {
+    const quota = {};
+    if (ratePerSecond) quota.requests_per_second = ratePerSecond;
+    if (dailyBudget) {
+      quota.daily_budget = dailyBudget;
+      quota.remaining_today = Math.max(0, dailyBudget - bucket.usedToday);
+      quota.resets_at = new Date((bucket.day + 1) * DAY_MS).toISOString();
+    }
+    return quota;
+  }
+
+  return {
+    /**
+     * Waits for a request slot for `key` and spends one unit of its daily budget.
+     * Throws, without spending anything, when the budget is exhausted or the wait
+     * would run past `deadline`.
+     * @param {string} key - credential fingerprint
+     * @param {Object} [opts]
+     * @param {number} [opts.deadline] - epoch ms the caller must be done by
+     * @returns {Promise<Object>} quota snapshot after this request
+     */
+    async acquire(key, { deadline = Infinity } = {}) {
+      const bucket = bucketFor(key);
+
+      if (dailyBudget && bucket.usedToday >= dailyBudget) {
+        throw new Error(`Daily ${label} request budget of ${dailyBudget} exhausted for this API key; resets at ${snapshot(bucket).resets_at}`);
+      }
+
+      let waitMs = 0;
+      if (ratePerSecond) {
+        waitMs = bucket.tokens >= 1 ? 0 : Math.ceil(((1 - bucket.tokens) / ratePerSecond) * 1000);
+        if (now() + waitMs >= deadline) {
+          throw new Error(`${label} request queue is full: too many concurrent requests for this API key, try again shortly`);
+        }
+        bucket.tokens -= 1;
+      }
+      bucket.usedToday += 1;
+      const quota = snapshot(bucket);
+
+      if (waitMs > 0) {
+        await sleep(waitMs);
+      }
+      return quota;
+    },
+
+    /**
+     * Current quota for `key`, without spending anything.
+     * @param {string} key - credential fingerprint
+     * @returns {Object}
+     */
+    quota(key) {
+      return snapshot(bucketFor(key));
+    },
+  };
+}
+
+function utcDay(ms) {
+  return Math.floor(ms / DAY_MS);
+}
+
+function parsePositive(env, name, parse) {
+  const raw = env[name];
+  if (raw === undefined || raw === '') return undefined;
+  const value = parse(raw);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error(`Invalid ${name}: ${raw} (expected a positive number)`);
+  }
+  return value;
+}
+
+/**
+ * Builds the per-API limiters from environment configuration:
+ * ALTMETRIC_DETAILS_RATE_LIMIT / ALTMETRIC_EXPLORER_RATE_LIMIT (requests per second,
+ * fractions allowed) and ALTMETRIC_DETAILS_DAILY_BUDGET / ALTMETRIC_EXPLORER_DAILY_BUDGET
+ * (requests per UTC day). An API with neither setting is not limited.
+ * @param {Object} env - typically process.env
+ * @returns {{ details: Object|null, explorer: Object|null }}
+ */
+export function rateLimitersFromEnv(env) {
+  const build = (prefix, label) => {
+    const ratePerSecond = parsePositive(env, `${prefix}_RATE_LIMIT`, Number);
+    const dailyBudget = parsePositive(env, `${prefix}_DAILY_BUDGET`, (raw) => (/^\d+$/.test(raw) ? Number(raw) : NaN));
+    if (!ratePerSecond && !dailyBudget) return null;
+    return createRateLimiter({ ratePerSecond, dailyBudget, label });
+  };
+
+  return {
+    details: build('ALTMETRIC_DETAILS', 'Details Page API'),
+    explorer: build('ALTMETRIC_EXPLORER', 'Explorer API'),
+  };
+}
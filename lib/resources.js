@@ -0,0 +1,203 @@
+import { validateIdentifier } from './validators.js';
+import { validateFilterValue } from './filter-validators.js';
+import { makeDetailsApiRequest, makeExplorerApiRequest, makeExplorerIdentifierListRequest } from './api-client.js';
+import { sanitizeUpstreamText, UNTRUSTED_MARKER } from './output-guard.js';
+import { enforceResultSizeLimit, DEFAULT_MAX_RESULT_TOKENS } from './output-limits.js';
+
+// MCP resources: a paper's attention record addressed by URI, so a client can attach
+// it to a conversation as context without the model making a tool call. Only
+// templates are advertised (there is no finite list of papers to enumerate); reads
+// go through the same request functions as the tools, so they share the response
+// cache, retries and client-side rate limits.
+//
+// Identifiers may arrive percent-encoded (an RFC 6570 client expands `{doi}` with
+// the DOI's slash as %2F) or raw (a hand-typed altmetric://doi/10.1038/x), so the
+// captured segment is decoded before validation.
+//
+// Unlike a tool result, a resource has no summary: the JSON itself is what the model
+// reads. So every string in it goes through sanitizeUpstreamText, the contents open
+// with UNTRUSTED_MARKER, and the record is held to the same token and byte budget as
+// tool results (enforceResultSizeLimit drops an Explorer `included` block first).
+
+// JSON-RPC error code the MCP spec assigns to reads of an unknown resource.
+export const RESOURCE_NOT_FOUND = -32002;
+
+// Long enough for an abstract; anything longer is cut like summary text.
+const MAX_RESOURCE_STRING_LENGTH = 2_000;
+
+// Query variables of the Explorer search template. MCP completes resource-template
+// variables but not tool arguments, so this template is how a client gets completion
+// (lib/completions.js) for the Explorer filters the explore_* tools take. List filters
+// are comma-separated, as RFC 6570 expands a list variable.
+export const EXPLORER_SEARCH_FILTERS = ['q', 'timeframe', 'scope', 'journal_id', 'author_id', 'department_id', 'publisher_id', 'funders', 'affiliations', 'sustainable_development_goals'];
+const EXPLORER_SEARCH_SINGLE_VALUED = new Set(['q', 'timeframe', 'scope']);
+const EXPLORER_SEARCH_PAGE_SIZE = 25;
+
+/**
+ * Creates resource templates and the reader for them. Like createTools, a template is
+ * registered only when its API's credential resolver is supplied, and credentials are
+ * resolved per read.
+ *
+ * @param {Object} resolvers
+ * @param {() => Promise<{apiKey: string, baseUrl: string}>} [resolvers.details] - Details Page API credential resolver
+ * @param {() => Promise<{apiKey: string, apiSecret: string, baseUrl: string}>} [resolvers.explorer] - Explorer API credential resolver
+ * @param {Object} [options]
+ * @param {Object} [options.cache] - Response cache for upstream GETs (lib/cache.js)
+ * @param {Object|false} [options.retry] - Upstream retry policy overrides
+ * @param {{details?: Object, explorer?: Object}} [options.rateLimiters] - Client-side limiters per API (lib/rate-limiter.js)
+ * @param {number} [options.maxTokens] - Token budget for one read, as for tool results (lib/output-limits.js)
+ * @returns {{ templates: Object[], read: (uri: string) => Promise<Object|null> }}
+ *   `read` resolves to a ReadResourceResult, or null when no template matches the URI
+ */
+export function createResources({ details, explorer } = {}, { cache = null, retry, rateLimiters = {}, maxTokens = DEFAULT_MAX_RESULT_TOKENS } = {}) {
+  const templates = [
+    ...(details ? detailsPageResources(details, { cache, retry, rateLimiter: rateLimiters.details }) : []),
+    ...(explorer ? explorerResources(explorer, { cache, retry, rateLimiter: rateLimiters.explorer }) : []),
+  ];
+
+  return {
+    templates: templates.map(({ definition }) => definition),
+
+    async read(uri) {
+      for (const { pattern, query, read } of templates) {
+        const match = pattern.exec(uri);
+        if (match) {
+          const argument = query ? new URLSearchParams(match[1] ?? '') : decodeSegment(match[1]);
+          return jsonContents(uri, await read(argument), maxTokens);
+        }
+      }
+      return null;
+    },
+  };
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw new Error(`Invalid resource URI: malformed percent-encoding in "${segment}"`);
+  }
+}
+
+function sanitizeStrings(value) {
+  if (typeof value === 'string') return sanitizeUpstreamText(value, MAX_RESOURCE_STRING_LENGTH);
+  if (Array.isArray(value)) return value.map(sanitizeStrings);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, sanitizeStrings(item)]));
+  }
+  return value;
+}
+
+function jsonContents(uri, data, maxTokens) {
+  const result = enforceResultSizeLimit({
+    content: [{ type: 'text', text: UNTRUSTED_MARKER }],
+    structuredContent: sanitizeStrings(data),
+  }, { maxTokens });
+  return {
+    contents: [
+      { uri, mimeType: 'text/plain', text: result.content[0].text },
+      // Compact, so the text is the size the budget measured.
+      { uri, mimeType: 'application/json', text: JSON.stringify(result.structuredContent) },
+    ],
+  };
+}
+
+function detailsPageResources(resolveDetails, requestOptions) {
+  const detailsRequest = async (endpoint) => {
+    const { apiKey, baseUrl } = await resolveDetails();
+    return makeDetailsApiRequest(endpoint, {}, apiKey, baseUrl, {}, requestOptions);
+  };
+
+  return [
+    {
+      definition: {
+        uriTemplate: 'altmetric://doi/{doi}',
+        name: 'altmetric_doi',
+        title: 'Altmetric record by DOI',
+        description: 'Attention record for a research output identified by DOI: Altmetric score, mention counts per source, readership and bibliographic metadata (Details Page API).',
+        mimeType: 'application/json',
+      },
+      pattern: /^altmetric:\/\/doi\/(.+)$/,
+      read: async (doi) => {
+        validateIdentifier(doi, 'doi');
+        return detailsRequest(`/v1/doi/${encodeURIComponent(doi)}`);
+      },
+    },
+    {
+      definition: {
+        uriTemplate: 'altmetric://id/{altmetric_id}',
+        name: 'altmetric_id',
+        title: 'Altmetric record by Altmetric ID',
+        description: 'Attention record for a research output identified by its Altmetric ID: Altmetric score, mention counts per source, readership and bibliographic metadata (Details Page API).',
+        mimeType: 'application/json',
+      },
+      pattern: /^altmetric:\/\/id\/([^/]+)$/,
+      read: async (altmetricId) => {
+        validateIdentifier(altmetricId, 'id');
+        return detailsRequest(`/v1/id/${altmetricId}`);
+      },
+    },
+  ];
+}
+
+function explorerResources(resolveExplorer, requestOptions) {
+  return [
+    {
+      definition: {
+        uriTemplate: 'altmetric://explorer/research_output/{id}',
+        name: 'altmetric_explorer_research_output',
+        title: 'Explorer research output',
+        description: 'Explorer record for a research output identified by its Altmetric ID: attention totals per source, sentiment breakdown and bibliographic metadata (Explorer API).',
+        mimeType: 'application/json',
+      },
+      pattern: /^altmetric:\/\/explorer\/research_output\/([^/]+)$/,
+      read: async (altmetricId) => {
+        validateIdentifier(altmetricId, 'id');
+        const { apiKey, apiSecret, baseUrl } = await resolveExplorer();
+        // Explorer has no single-output endpoint: scope research_outputs to a
+        // one-item identifier list (idempotent, so repeat reads reuse the list).
+        const list = await makeExplorerIdentifierListRequest(`altmetric:${altmetricId}`, apiKey, apiSecret, baseUrl, requestOptions);
+        const listId = list.data?.id;
+        if (!listId) {
+          throw new Error('Explorer did not return an identifier list for this research output');
+        }
+        const response = await makeExplorerApiRequest('/explorer/api/research_outputs', {
+          scope: 'all',
+          identifier_list_id: listId,
+          'page[size]': 1,
+        }, apiKey, apiSecret, baseUrl, requestOptions);
+        const [output] = response.data || [];
+        if (!output) {
+          throw new Error(`Not found: no research output with Altmetric ID ${altmetricId}`);
+        }
+        return { data: output, included: response.included };
+      },
+    },
+    {
+      definition: {
+        uriTemplate: `altmetric://explorer/research_outputs{?${EXPLORER_SEARCH_FILTERS.join(',')}}`,
+        name: 'altmetric_explorer_research_outputs',
+        title: 'Explorer research outputs by filter',
+        description: `The first ${EXPLORER_SEARCH_PAGE_SIZE} Explorer research outputs matching a search and filters, as explore_research_outputs returns them. Journal, author, department, publisher, funder and affiliation IDs are completed from your Explorer data; give several as a comma-separated list (Explorer API).`,
+        mimeType: 'application/json',
+      },
+      pattern: /^altmetric:\/\/explorer\/research_outputs(?:\?(.*))?$/,
+      query: true,
+      read: async (query) => {
+        const filters = { 'page[size]': EXPLORER_SEARCH_PAGE_SIZE };
+        for (const key of EXPLORER_SEARCH_FILTERS) {
+          const raw = query.get(key);
+          if (raw === null || raw.trim() === '') continue;
+          const value = EXPLORER_SEARCH_SINGLE_VALUED.has(key)
+            ? raw.trim()
+            : raw.split(',').map((entry) => entry.trim()).filter(Boolean);
+          validateFilterValue(key, value);
+          filters[key] = value;
+        }
+        const { apiKey, apiSecret, baseUrl } = await resolveExplorer();
+        const response = await makeExplorerApiRequest('/explorer/api/research_outputs', filters, apiKey, apiSecret, baseUrl, requestOptions);
+        return { data: response.data ?? [], meta: response.meta };
+      },
+    },
+  ];
+}
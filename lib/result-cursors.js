@@ -0,0 +1,112 @@
+import { randomBytes } from 'node:crypto';
+
+// Continuation cursors for results trimmed by enforceResultSizeLimit
+// (lib/output-limits.js). Trimming used to drop the tail of `data` outright, and
+// some endpoints - explore_journals, an all_pages fetch - have no upstream page
+// the model could ask for instead, so the only recourse was re-querying with
+// narrower filters. The trimmed remainder is now held here under an opaque cursor,
+// and the continue_result tool hands it back a budget-sized slice at a time.
+//
+// Cursors are random, single-use and short-lived, and every entry records the
+// owner (a credential fingerprint under HTTP) that created it: a cursor presented
+// by anyone else is treated as unknown. Entries are stored serialised, so the
+// caller mutating a returned slice never touches the stash. The store is
+// in-process memory, bounded by entry count and total bytes; under a
+// multi-instance HTTP deployment a cursor only resolves on the instance that
+// issued it, and a miss tells the model to re-run the query.
+
+export const DEFAULT_CURSOR_TTL_MS = 15 * 60 * 1000;
+export const DEFAULT_MAX_CURSORS = 200;
+export const DEFAULT_MAX_CURSOR_BYTES = 50 * 1024 * 1024;
+
+/**
+ * In-memory store of trimmed result remainders.
+ * @param {Object} [opts]
+ * @param {number} [opts.ttlMs] - how long a cursor stays valid
+ * @param {number} [opts.maxEntries] - oldest cursors are evicted beyond this
+ * @param {number} [opts.maxBytes] - total serialised size across all cursors
+ * @param {() => number} [opts.now] - injectable clock (tests)
+ * @returns {{ stash: Function, take: Function, forOwner: Function, size: () => number }}
+ */
+export function createResultCursorStore({
+  ttlMs = DEFAULT_CURSOR_TTL_MS,
+  maxEntries = DEFAULT_MAX_CURSORS,
+  maxBytes = DEFAULT_MAX_CURSOR_BYTES,
+  now = () => Date.now(),
+} = {}) {
+  // cursor -> { owner, text, bytes, expiresAt, tool, offset, total }; Map order is age order.
+  const entries = new Map();
+  let totalBytes = 0;
+
+  function remove(cursor) {
+    const entry = entries.get(cursor);
+    if (entry) {
+      totalBytes -= entry.bytes;
+      entries.delete(cursor);
+    }
+  }
+
+  function evictExpired() {
+    const at = now();
+    for (const [cursor, entry] of entries) {
+      if (entry.expiresAt <= at) remove(cursor);
+    }
+  }
+
+  const store = {
+    /**
+     * Holds `items` for later retrieval.
+     * @param {string} owner - who may take the cursor
+     * @param {Array} items - the trimmed remainder
+     * @param {{tool: string, offset: number, total: number}} info - where the items sit in the original result
+     * @returns {string|null} the cursor, or null when the items are too large to hold
+     */
+    stash(owner, items, { tool, offset, total }) {
+      const text = JSON.stringify(items);
+      const bytes = Buffer.byteLength(text, 'utf8');
+      if (bytes > maxBytes) return null;
+
+      evictExpired();
+      const cursor = randomBytes(18).toString('base64url');
+      entries.set(cursor, { owner, text, bytes, expiresAt: now() + ttlMs, tool, offset, total });
+      totalBytes += bytes;
+      for (const oldest of entries.keys()) {
+        if (entries.size <= maxEntries && totalBytes <= maxBytes) break;
+        remove(oldest);
+      }
+      return cursor;
+    },
+
+    /**
+     * Removes and returns a stashed remainder. Cursors are single-use.
+     * @param {string} owner - must match the owner that stashed it
+     * @param {string} cursor
+     * @returns {{items: Array, tool: string, offset: number, total: number}|null} null when unknown, expired or not the owner's
+     */
+    take(owner, cursor) {
+      const entry = entries.get(cursor);
+      if (!entry || entry.owner !== owner) return null;
+      remove(cursor);
+      if (entry.expiresAt <= now()) return null;
+      const { text, tool, offset, total } = entry;
+      return { items: JSON.parse(text), tool, offset, total };
+    },
+
+    /**
+     * Binds the store to one owner, for handing to a single caller's tools.
+     * @param {string} owner
+     * @returns {{ ttlMs: number, stash: (items: Array, info: Object) => string|null, take: (cursor: string) => Object|null }}
+     */
+    forOwner(owner) {
+      return {
+        ttlMs,
+        stash: (items, info) => store.stash(owner, items, info),
+        take: (cursor) => store.take(owner, cursor),
+      };
+    },
+
+    /** test/introspection helper: current number of cursors */
+    size: () => entries.size,
+  };
+  return store;
+}
@@ -0,0 +1,155 @@
+// Runtime enforcement of each tool's declared inputSchema. MCP clients are not
+// required to validate arguments against it, so handlers used to receive whatever
+// the model produced: a misspelt argument was silently ignored, and an out-of-enum
+// value (search_citations' timeframe, get_batch_attention_data's sort_by) went
+// straight upstream and came back as an opaque HTTP 400.
+//
+// This is a small validator for the JSON Schema subset our tool schemas use - type,
+// enum, required, properties, additionalProperties, items and the numeric/length
+// bounds - rather than a general-purpose implementation. It collects every
+// violation instead of stopping at the first, so the model can fix all of them in
+// one retry. lib/filter-validators.js still applies the value-level checks (date
+// formats, control characters, list sizes) that the schemas do not express.
+
+// Enough to fix a call without flooding the context when, say, every element of
+// a 10,000-item array is the wrong type.
+export const MAX_REPORTED_VIOLATIONS = 20;
+
+const MAX_ECHOED_VALUE_LENGTH = 60;
+
+function describe(value) {
+  const text = JSON.stringify(value) ?? String(value);
+  return text.length > MAX_ECHOED_VALUE_LENGTH ? `${text.slice(0, MAX_ECHOED_VALUE_LENGTH)}…` : text;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return typeOf(value) === 'object';
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function check(schema, value, path, violations) {
+  if (!schema || typeof schema !== 'object') return;
+  const at = path || '(arguments)';
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      violations.push({ path: at, message: `must be ${types.join(' or ')} (got ${typeOf(value)} ${describe(value)})` });
+      return;
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some((allowed) => allowed === value)) {
+    violations.push({ path: at, message: `must be one of: ${schema.enum.join(', ')} (got ${describe(value)})` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      violations.push({ path: at, message: `must be at least ${schema.minimum} (got ${value})` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      violations.push({ path: at, message: `must be at most ${schema.maximum} (got ${value})` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      violations.push({ path: at, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      violations.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      violations.push({ path: at, message: `must match ${schema.pattern} (got ${describe(value)})` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      violations.push({ path: at, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      violations.push({ path: at, message: `must have at most ${schema.maxItems} items (got ${value.length})` });
+    }
+    if (schema.items) {
+      for (let i = 0; i < value.length && violations.length < MAX_REPORTED_VIOLATIONS; i++) {
+        check(schema.items, value[i], joinPath(path, i), violations);
+      }
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        violations.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (violations.length >= MAX_REPORTED_VIOLATIONS) break;
+      if (Object.hasOwn(properties, key)) {
+        // Models often send null for an optional argument they mean to leave out, and
+        // the handlers already read null as absent, so only a required null is an error.
+        if (child === null && !(schema.required || []).includes(key)) continue;
+        check(properties[key], child, joinPath(path, key), violations);
+      } else if (schema.additionalProperties === false) {
+        violations.push({
+          path: joinPath(path, key),
+          message: `is not a recognised argument; accepted arguments: ${Object.keys(properties).join(', ')}`,
+        });
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(schema.additionalProperties, child, joinPath(path, key), violations);
+      }
+    }
+  }
+}
+
+/**
+ * Validates tool arguments against the tool's inputSchema.
+ * @param {Object} schema - JSON Schema (the tool definition's inputSchema)
+ * @param {*} args - the call's arguments; undefined is treated as {}
+ * @returns {{path: string, message: string}[]} violations, at most MAX_REPORTED_VIOLATIONS; empty when valid
+ */
+export function validateToolArguments(schema, args) {
+  const violations = [];
+  check(schema, args ?? {}, '', violations);
+  return violations.slice(0, MAX_REPORTED_VIOLATIONS);
+}
+
+/**
+ * Builds the tool result for a call rejected by validateToolArguments: a readable list
+ * for the model plus the violations as structured data.
+ * @param {string} toolName
+ * @param {{path: string, message: string}[]} violations
+ * @returns {Object} an isError CallToolResult
+ */
+export function invalidArgumentsResult(toolName, violations) {
+  const lines = violations.map(({ path, message }) => `- ${path}: ${message}`);
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Invalid arguments for ${toolName}; nothing was sent to the API. Fix these and call again:\n${lines.join('\n')}`,
+      },
+    ],
+    structuredContent: { error: 'invalid_arguments', tool: toolName, violations },
+    isError: true,
+  };
+}
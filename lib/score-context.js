@@ -0,0 +1,114 @@
+import { round } from './jsonapi.js';
+import { tableCell } from './summary-tables.js';
+
+// Percentile context for Altmetric Attention Scores, for get_citation_counts and the
+// benchmark_output tool. A score on its own says little: 40 is exceptional in one field
+// and routine in another, and a paper published last week has had less time to be
+// noticed. The Details Page API already ranks every output in the `context` block of
+// /v1/{type}/{id}, against four cohorts (SCORE_CONTEXTS), each with the cohort size,
+// the output's rank, the scores it is higher than, the cohort mean and a percentile.
+//
+// Comparing outputs on these percentiles rather than raw scores discounts the
+// differences between journals and publication dates. A percentile missing from the
+// block is worked out from higher_than and count.
+
+export const SCORE_CONTEXTS = [
+  { key: 'all', upstream: 'all', label: 'of all outputs', column: 'All' },
+  { key: 'journal', upstream: 'journal', label: 'in its journal', column: 'Journal' },
+  { key: 'similar_age', upstream: 'similar_age_3m', label: 'among outputs of similar age', column: 'Similar age' },
+  { key: 'similar_age_journal', upstream: 'similar_age_journal_3m', label: 'in its journal among outputs of similar age', column: 'Journal, similar age' },
+];
+
+const number = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+/**
+ * Reads the percentile context of a Details Page API record.
+ * @param {Object} data - a /v1/{type}/{id} response
+ * @returns {Object<string, {percentile: number|null, rank: number|null, count: number|null, higher_than: number|null, mean: number|null}|null>} one entry per SCORE_CONTEXTS key, null where the block has none
+ */
+export function readScoreContext(data) {
+  const context = data?.context && typeof data.context === 'object' ? data.context : {};
+  return Object.fromEntries(SCORE_CONTEXTS.map(({ key, upstream }) => {
+    const block = context[upstream];
+    if (!block || typeof block !== 'object') return [key, null];
+    const count = number(block.count);
+    const higherThan = number(block.higher_than);
+    const percentile = number(block.pct) ?? (count > 0 && higherThan !== null ? round((higherThan / count) * 100, 1) : null);
+    return [key, { percentile, rank: number(block.rank), count, higher_than: higherThan, mean: number(block.mean) }];
+  }));
+}
+
+function ordinal(value) {
+  const n = Math.floor(value);
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] ?? 'th');
+  return `${n}${suffix}`;
+}
+
+/**
+ * One line of percentiles for a text summary.
+ * @param {Object} context - from readScoreContext
+ * @returns {string|null} e.g. "Percentiles: 98th of all outputs (rank 1,204 of 25,000,000); 91st in its journal", or null when there are none
+ */
+export function describeScoreContext(context) {
+  const parts = SCORE_CONTEXTS
+    .filter(({ key }) => context[key]?.percentile != null)
+    .map(({ key, label }) => {
+      const { percentile, rank, count } = context[key];
+      const position = rank !== null && count !== null ? ` (rank ${rank.toLocaleString('en-US')} of ${count.toLocaleString('en-US')})` : '';
+      return `${ordinal(percentile)} ${label}${position}`;
+    });
+  return parts.length > 0 ? `Percentiles: ${parts.join('; ')}` : null;
+}
+
+/**
+ * Lines several outputs up on their percentiles.
+ * @param {{input: string, data: Object}[]} records - /v1/{type}/{id} responses, with the identifier each was fetched by
+ * @param {Object} [opts]
+ * @param {string} [opts.rankBy='similar_age'] - the SCORE_CONTEXTS key to order by; outputs without it come last, by score
+ * @returns {{rank_by: string, outputs: Object[]}} each output's identifiers, title, journal, score and percentile context
+ */
+export function benchmarkOutputs(records, { rankBy = 'similar_age' } = {}) {
+  const outputs = records.map(({ input, data }) => {
+    const context = readScoreContext(data);
+    return {
+      input,
+      altmetric_id: data?.altmetric_id ?? null,
+      doi: data?.doi ?? null,
+      title: data?.title ?? null,
+      journal: data?.journal ?? null,
+      score: number(data?.score),
+      percentiles: Object.fromEntries(SCORE_CONTEXTS.map(({ key }) => [key, context[key]?.percentile ?? null])),
+      context,
+    };
+  });
+  const percentileOf = (output) => output.percentiles[rankBy] ?? -1;
+  outputs.sort((a, b) => percentileOf(b) - percentileOf(a) || (b.score ?? -1) - (a.score ?? -1));
+  return { rank_by: rankBy, outputs };
+}
+
+const cell = (text) => tableCell(text);
+
+/**
+ * Markdown table of a benchmarkOutputs result.
+ * @param {Object} benchmark
+ * @returns {string}
+ */
+export function describeBenchmark(benchmark) {
+  const { outputs, rank_by: rankBy } = benchmark;
+  const by = SCORE_CONTEXTS.find(({ key }) => key === rankBy);
+  const percentile = (value) => (value == null ? 'n/a' : ordinal(value));
+  const lines = [
+    `${outputs.length} output(s) ranked by percentile ${by.label}:`,
+    `| # | Output | Score | ${SCORE_CONTEXTS.map(({ column }) => column).join(' | ')} |`,
+    `|---|---|---|${SCORE_CONTEXTS.map(() => '---').join('|')}|`,
+    ...outputs.map((output, index) => {
+      const name = output.title ? `${output.title} (${output.doi ?? output.input})` : output.doi ?? output.input;
+      const percentiles = SCORE_CONTEXTS.map(({ key }) => percentile(output.percentiles[key]));
+      return `| ${index + 1} | ${cell(name)} | ${output.score ?? 'n/a'} | ${percentiles.join(' | ')} |`;
+    }),
+  ];
+  if (outputs.some((output) => output.percentiles[rankBy] == null)) {
+    lines.push(`Outputs without a percentile ${by.label} are listed last, by score.`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,177 @@
+import { round } from './jsonapi.js';
+import { tableCell } from './summary-tables.js';
+
+// Score history for the analyze_score_history tool. Besides the current score, a
+// Details Page API record carries `history` (`altmetric_score.score_history` in the
+// /v1/fetch layout): the score gained over the last 1d, 2d ... 6d, 1w, 1m, 3m, 6m and
+// 1y, with "at" for all time. get_citation_counts passes the block through untouched,
+// and cumulative windows are easy to misread as a time series, so this module turns
+// them into something that answers "is this output still being talked about?":
+//   - series: each window's gain, and the score the output had that long ago
+//   - periods: the gain in the non-overlapping stretches between the week, month,
+//     3 month, 6 month and year marks, with the points gained per day in each
+//   - velocity: points per day over the last month; prior_velocity: the same over the
+//     two months before; acceleration: the difference between the two
+//   - a trend: "rising" or "fading" when velocity is more than TREND_THRESHOLD_PCT
+//     above or below prior_velocity, otherwise "steady". Under MIN_TREND_GAIN points
+//     in three months counts as "fading" for an output that had attention before
+//     (and "steady" for one that never had any), so rounding noise on a quiet output
+//     is not read as a surge or a collapse.
+// The windows are cumulative, so a gain missing upstream leaves its periods null
+// rather than guessed, and a gain that shrinks with a longer window is read as zero.
+
+export const HISTORY_WINDOWS = [
+  { key: '1d', days: 1 },
+  { key: '2d', days: 2 },
+  { key: '3d', days: 3 },
+  { key: '4d', days: 4 },
+  { key: '5d', days: 5 },
+  { key: '6d', days: 6 },
+  { key: '1w', days: 7 },
+  { key: '1m', days: 30 },
+  { key: '3m', days: 90 },
+  { key: '6m', days: 180 },
+  { key: '1y', days: 365 },
+];
+export const SCORE_TRENDS = ['rising', 'steady', 'fading'];
+
+const PERIOD_MARKS = ['1w', '1m', '3m', '6m', '1y'];
+const PERIOD_LABELS = { '1w': 'last week', '1m': '1 week to 1 month ago', '3m': '1 to 3 months ago', '6m': '3 to 6 months ago', '1y': '6 months to 1 year ago' };
+const TABLE_WINDOWS = ['1w', '1m', '3m', '6m', '1y'];
+const TREND_THRESHOLD_PCT = 50;
+const MIN_TREND_GAIN = 1;
+
+const number = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+const daysOf = Object.fromEntries(HISTORY_WINDOWS.map(({ key, days }) => [key, days]));
+
+/**
+ * Reads the score history of a Details Page API record.
+ * @param {Object} data - a /v1/{type}/{id} or /v1/fetch response
+ * @returns {{score: number|null, series: {window: string, days: number, gained: number|null, score_then: number|null}[]}|null} null when the record has no history
+ */
+export function readScoreHistory(data) {
+  const history = data?.history ?? data?.altmetric_score?.score_history;
+  if (!history || typeof history !== 'object') return null;
+  const score = number(data.score) ?? number(data.altmetric_score?.score) ?? number(history.at);
+  const series = HISTORY_WINDOWS.map(({ key, days }) => {
+    const gained = number(history[key]);
+    return {
+      window: key,
+      days,
+      gained,
+      score_then: gained !== null && score !== null ? round(Math.max(0, score - gained)) : null,
+    };
+  });
+  return series.some(({ gained }) => gained !== null) ? { score, series } : null;
+}
+
+function periodsOf(gains) {
+  return PERIOD_MARKS.map((mark, i) => {
+    const previous = PERIOD_MARKS[i - 1];
+    const from = previous ? gains[previous] : 0;
+    const gained = gains[mark] !== null && from !== null ? round(Math.max(0, gains[mark] - from)) : null;
+    const days = daysOf[mark] - (previous ? daysOf[previous] : 0);
+    return { period: mark, label: PERIOD_LABELS[mark], days, gained, per_day: gained === null ? null : round(gained / days, 3) };
+  });
+}
+
+function trendOf(score, gains, velocity, priorVelocity) {
+  if (gains['3m'] < MIN_TREND_GAIN) return (score ?? 0) > gains['3m'] ? 'fading' : 'steady';
+  if (priorVelocity === 0) return 'rising';
+  const change = ((velocity - priorVelocity) / priorVelocity) * 100;
+  if (change > TREND_THRESHOLD_PCT) return 'rising';
+  if (change < -TREND_THRESHOLD_PCT) return 'fading';
+  return 'steady';
+}
+
+/**
+ * Velocity, acceleration and trend of one output's score history.
+ * @param {{score: number|null, series: Object[]}} history - from readScoreHistory
+ * @returns {{periods: Object[], velocity: number|null, prior_velocity: number|null, acceleration: number|null, change_pct: number|null, trend: string|null}} the rates are in points per day; trend is null without the 1m and 3m gains
+ */
+export function scoreVelocity({ score, series }) {
+  const gains = Object.fromEntries(series.map(({ window, gained }) => [window, gained]));
+  const periods = periodsOf(gains);
+  if (gains['1m'] === null || gains['3m'] === null) {
+    return { periods, velocity: null, prior_velocity: null, acceleration: null, change_pct: null, trend: null };
+  }
+  const velocity = round(gains['1m'] / daysOf['1m'], 3);
+  const priorVelocity = round(Math.max(0, gains['3m'] - gains['1m']) / (daysOf['3m'] - daysOf['1m']), 3);
+  return {
+    periods,
+    velocity,
+    prior_velocity: priorVelocity,
+    acceleration: round(velocity - priorVelocity, 3),
+    change_pct: priorVelocity > 0 ? round(((velocity - priorVelocity) / priorVelocity) * 100, 1) : null,
+    trend: trendOf(score, gains, velocity, priorVelocity),
+  };
+}
+
+/**
+ * Reads and classifies the score history of several outputs.
+ * @param {{input: string, data: Object}[]} records - Details Page API responses, with the identifier each was fetched by
+ * @returns {{outputs: Object[], by_trend: Object<string, number>, without_history: number}} outputs fastest first, those without history last
+ */
+export function analyzeScoreHistory(records) {
+  const outputs = records.map(({ input, data }) => {
+    const citation = data?.citation ?? data;
+    const history = readScoreHistory(data);
+    return {
+      input,
+      altmetric_id: citation?.altmetric_id ?? null,
+      doi: citation?.doi ?? null,
+      title: citation?.title ?? null,
+      score: history?.score ?? number(data?.score),
+      series: history?.series ?? [],
+      ...(history
+        ? scoreVelocity(history)
+        : { periods: [], velocity: null, prior_velocity: null, acceleration: null, change_pct: null, trend: null }),
+    };
+  });
+  outputs.sort((a, b) => (b.velocity ?? -1) - (a.velocity ?? -1) || (b.score ?? -1) - (a.score ?? -1));
+  const byTrend = Object.fromEntries(SCORE_TRENDS.map((trend) => [trend, outputs.filter((output) => output.trend === trend).length]));
+  return { outputs, by_trend: byTrend, without_history: outputs.filter((output) => output.trend === null).length };
+}
+
+const cell = (text) => tableCell(text);
+const points = (value) => (value === null ? 'n/a' : `${round(value)}`);
+
+function outputName(output) {
+  return cell(output.title ? `${output.title} (${output.doi ?? output.input})` : output.doi ?? output.input);
+}
+
+function narrative(output) {
+  if (output.trend === null) {
+    return `${outputName(output)}: no score history${output.score !== null ? ` (score ${points(output.score)})` : ''}`;
+  }
+  const change = output.change_pct !== null ? ` (${output.change_pct > 0 ? '+' : ''}${output.change_pct}%)` : '';
+  return `${outputName(output)}: ${output.trend}, score ${points(output.score)}; ` +
+    `${output.velocity}/day over the last month against ${output.prior_velocity}/day in the two months before${change}`;
+}
+
+/**
+ * A short narrative and a table of gains for an analyzeScoreHistory result.
+ * @param {Object} analysis
+ * @returns {string}
+ */
+export function describeScoreHistory(analysis) {
+  const { outputs, by_trend: byTrend, without_history: withoutHistory } = analysis;
+  const counts = SCORE_TRENDS.filter((trend) => byTrend[trend] > 0).map((trend) => `${byTrend[trend]} ${trend}`);
+  if (withoutHistory > 0) counts.push(`${withoutHistory} without history`);
+  const lines = [
+    `${outputs.length} output(s): ${counts.join(', ')}. Velocity is Altmetric score points gained per day.`,
+    ...outputs.map((output) => `- ${narrative(output)}`),
+  ];
+  const tabled = outputs.filter((output) => output.series.length > 0);
+  if (tabled.length > 0) {
+    const gained = (output, key) => points(output.series.find(({ window }) => window === key)?.gained ?? null);
+    lines.push(
+      '',
+      'Score gained in the last:',
+      `| Output | Score | ${TABLE_WINDOWS.join(' | ')} | Trend |`,
+      `|---|---|${TABLE_WINDOWS.map(() => '---').join('|')}|---|`,
+      ...tabled.map((output) => `| ${outputName(output)} | ${points(output.score)} | ${TABLE_WINDOWS.map((key) => gained(output, key)).join(' | ')} | ${output.trend ?? 'n/a'} |`),
+    );
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,312 @@
+import { sanitizeUpstreamText } from './output-guard.js';
+import { bucketLabel } from './attention-trends.js';
+import { firstString, round } from './jsonapi.js';
+
+// Sentiment roll-up for the summarize_sentiment tool. Explorer scores X and Bluesky
+// mentions on a seven-point scale, but only per record: each research output carries
+// `sentiment-analysis-totals` (its mentions per category) and each mention a
+// `sentiment-analysis` (one category per research output it references). Nothing
+// aggregates them, so "how is this department's work being received?" meant paging
+// through records and tallying by hand.
+//
+// Two bases:
+//   - mentions: every mention-output pair is one scored unit, broken down by source,
+//     by country and by time bucket (the mention's source-type, country-code and
+//     posted-on; bucketLabel, lib/attention-trends.js), and tallied per research output
+//   - outputs: the per-output totals, which cover all of an output's mentions, not
+//     only those fetched - but have no source, country or date breakdown
+// Each group reports its distribution over SENTIMENT_LEVELS, a mean score on the
+// -3..+3 scale, and the negative and positive shares. A thousand mentions can span
+// eighty countries and a year of days, so only the MAX_GROUP_ROWS largest sources and
+// countries and the MAX_PERIOD_ROWS latest periods get rows of their own; the rest are
+// summed into one row whose key is null and whose `merged` counts the groups in it.
+//
+// An output is flagged as unusually negative when it has at least MIN_SCORED_FOR_FLAG
+// scored mentions and either most of them are negative, or its mean is more than
+// FLAG_Z standard deviations below the mean of the other such outputs (the deviation is
+// floored at MIN_SD, so a uniform set does not flag a hair's difference).
+//
+// Both attributes name Explorer's seven categories, "strong-negative" to
+// "strong-positive": `sentiment-analysis-totals` maps each to a count, and
+// `sentiment-analysis` maps each referenced research output's id to one of them. A
+// record whose attribute is present but in neither shape is counted as unreadable
+// and reported, rather than read as unscored. Titles, sources and countries are
+// sanitised before they reach the summary.
+
+export const SENTIMENT_LEVELS = [
+  'strong_negative', 'moderate_negative', 'slight_negative', 'neutral',
+  'slight_positive', 'moderate_positive', 'strong_positive',
+];
+export const MIN_SCORED_FOR_FLAG = 10;
+
+const FLAG_Z = 2;
+const FLAG_NEGATIVE_SHARE = 0.5;
+const MIN_SD = 0.25;
+// Flagging against the other outputs needs enough of them to speak of.
+const MIN_OTHERS_FOR_Z = 3;
+const MAX_FLAGGED = 20;
+const MAX_SUMMARY_ROWS = 10;
+const MAX_GROUP_ROWS = 20;
+// A year of weeks.
+const MAX_PERIOD_ROWS = 53;
+const MAX_SUMMARY_PERIODS = 12;
+
+const LEVEL_OF_CATEGORY = Object.fromEntries(SENTIMENT_LEVELS.map((level) => [level.replace('_', '-'), level]));
+
+/**
+ * Maps an Explorer sentiment category to one of SENTIMENT_LEVELS.
+ * @param {string} category - e.g. "strong-negative", "neutral"
+ * @returns {string|null} the level, or null when the value is not a category
+ */
+export function sentimentLevel(category) {
+  return (typeof category === 'string' && Object.hasOwn(LEVEL_OF_CATEGORY, category)) ? LEVEL_OF_CATEGORY[category] : null;
+}
+
+function emptyDistribution() {
+  return Object.fromEntries(SENTIMENT_LEVELS.map((level) => [level, 0]));
+}
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// An absent attribute, or an empty one, means the record was not scored.
+const isUnscored = (value) => value == null || (isObject(value) && Object.keys(value).length === 0);
+
+/**
+ * A research output's mentions per sentiment level, from its sentiment-analysis-totals.
+ * @param {Object} attributes - the output's JSON:API attributes
+ * @returns {Object<string, number>|null} counts per level, or null when it has none or they are in another shape
+ */
+export function outputSentimentTotals(attributes) {
+  const totals = attributes?.['sentiment-analysis-totals'];
+  if (!isObject(totals)) return null;
+  const distribution = emptyDistribution();
+  let found = false;
+  for (const [category, count] of Object.entries(totals)) {
+    const level = sentimentLevel(category);
+    if (level && typeof count === 'number') {
+      distribution[level] += count;
+      found = true;
+    }
+  }
+  return found ? distribution : null;
+}
+
+/**
+ * The sentiments a mention carries, one per research output it references.
+ * @param {Object} attributes - the mention's JSON:API attributes
+ * @returns {{output: string, level: string}[]} empty when it has none or they are in another shape
+ */
+export function mentionSentiments(attributes) {
+  const sentiments = attributes?.['sentiment-analysis'];
+  if (!isObject(sentiments)) return [];
+  return Object.entries(sentiments)
+    .map(([output, category]) => ({ output, level: sentimentLevel(category) }))
+    .filter(({ level }) => level !== null);
+}
+
+/**
+ * Scored count, mean score and shares of a distribution.
+ * @param {Object<string, number>} distribution - counts per SENTIMENT_LEVELS entry
+ * @returns {{scored: number, mean_score: number|null, negative_share: number|null, neutral_share: number|null, positive_share: number|null, distribution: Object}}
+ */
+export function describeDistribution(distribution) {
+  const scored = SENTIMENT_LEVELS.reduce((sum, level) => sum + distribution[level], 0);
+  const share = (levels) => (scored > 0 ? round(levels.reduce((sum, level) => sum + distribution[level], 0) / scored, 3) : null);
+  return {
+    scored,
+    mean_score: scored > 0
+      ? round(SENTIMENT_LEVELS.reduce((sum, level, i) => sum + (i - 3) * distribution[level], 0) / scored)
+      : null,
+    negative_share: share(SENTIMENT_LEVELS.slice(0, 3)),
+    neutral_share: share(['neutral']),
+    positive_share: share(SENTIMENT_LEVELS.slice(4)),
+    distribution,
+  };
+}
+
+function tally(groups, key, level) {
+  if (!groups.has(key)) groups.set(key, emptyDistribution());
+  groups.get(key)[level] += 1;
+}
+
+// The groups in `order`, the first `limit` of them as rows and the rest summed into one.
+function groupRows(groups, keyName, order, limit) {
+  const entries = [...groups].sort(order);
+  const rows = entries.slice(0, limit).map(([key, distribution]) => ({ [keyName]: key, ...describeDistribution(distribution) }));
+  const rest = entries.slice(limit);
+  if (rest.length === 0) return rows;
+  const merged = emptyDistribution();
+  rest.forEach(([, distribution]) => SENTIMENT_LEVELS.forEach((level) => { merged[level] += distribution[level]; }));
+  return [...rows, { [keyName]: null, merged: rest.length, ...describeDistribution(merged) }];
+}
+
+const scoredOf = (distribution) => SENTIMENT_LEVELS.reduce((sum, level) => sum + distribution[level], 0);
+const bySize = ([, a], [, b]) => scoredOf(b) - scoredOf(a);
+const latestFirst = ([a], [b]) => b.localeCompare(a);
+
+const meanOf = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+function flagOutputs(outputs) {
+  const eligible = outputs.filter((output) => output.scored >= MIN_SCORED_FOR_FLAG);
+
+  const flagged = [];
+  for (const output of eligible) {
+    const reasons = [];
+    if (output.negative_share >= FLAG_NEGATIVE_SHARE) {
+      reasons.push(`${Math.round(output.negative_share * 100)}% of scored mentions negative`);
+    }
+    // Measured against the others, so an outlier does not widen its own yardstick.
+    const others = eligible.filter((other) => other !== output).map((other) => other.mean_score);
+    if (others.length >= MIN_OTHERS_FOR_Z) {
+      const othersMean = meanOf(others);
+      const sd = Math.max(Math.sqrt(meanOf(others.map((v) => (v - othersMean) ** 2))), MIN_SD);
+      if (output.mean_score <= othersMean - FLAG_Z * sd) {
+        reasons.push(`mean ${output.mean_score} against ${round(othersMean)} for the other outputs`);
+      }
+    }
+    if (reasons.length > 0) flagged.push({ ...output, reasons });
+  }
+  flagged.sort((a, b) => a.mean_score - b.mean_score);
+  return {
+    outputs_considered: eligible.length,
+    set_mean_score: eligible.length > 0 ? round(meanOf(eligible.map((output) => output.mean_score))) : null,
+    flagged_outputs: flagged.slice(0, MAX_FLAGGED),
+  };
+}
+
+/**
+ * Rolls up the sentiment of a set of Explorer mentions or research outputs.
+ * @param {Object[]} items - JSON:API items from /research_outputs/mentions or /research_outputs
+ * @param {Object} opts
+ * @param {'mentions'|'outputs'} opts.basis - which endpoint the items came from
+ * @param {'day'|'week'|'month'} [opts.interval] - time bucket for the mentions basis
+ * @returns {Object} { basis, interval, analysed, with_sentiment, unreadable, overall, by_source, by_country, by_period, outputs_considered, set_mean_score, flagged_outputs }
+ */
+export function summarizeSentiment(items, { basis, interval = 'week' }) {
+  const overall = emptyDistribution();
+  const perOutput = new Map();
+  let withSentiment = 0;
+  let unreadable = 0;
+
+  if (basis === 'outputs') {
+    for (const item of items) {
+      const distribution = outputSentimentTotals(item?.attributes);
+      if (!distribution) {
+        if (!isUnscored(item?.attributes?.['sentiment-analysis-totals'])) unreadable += 1;
+        continue;
+      }
+      withSentiment += 1;
+      SENTIMENT_LEVELS.forEach((level) => { overall[level] += distribution[level]; });
+      perOutput.set(String(item.id), { title: item.attributes?.title ?? null, distribution });
+    }
+    const outputs = [...perOutput].map(([id, { title, distribution }]) => ({ id, title, ...describeDistribution(distribution) }));
+    return {
+      basis,
+      interval: null,
+      analysed: items.length,
+      with_sentiment: withSentiment,
+      unreadable,
+      overall: describeDistribution(overall),
+      by_source: null,
+      by_country: null,
+      by_period: null,
+      ...flagOutputs(outputs),
+    };
+  }
+
+  const bySource = new Map();
+  const byCountry = new Map();
+  const byPeriod = new Map();
+  for (const item of items) {
+    const attributes = item?.attributes ?? {};
+    const sentiments = mentionSentiments(attributes);
+    if (sentiments.length === 0) {
+      if (!isUnscored(attributes['sentiment-analysis'])) unreadable += 1;
+      continue;
+    }
+    withSentiment += 1;
+    const source = firstString(attributes, ['source-type']) ?? 'unknown';
+    const country = firstString(attributes, ['country-code']) ?? 'unknown';
+    const posted = new Date(firstString(attributes, ['posted-on']) ?? NaN);
+    for (const { output, level } of sentiments) {
+      overall[level] += 1;
+      tally(bySource, source, level);
+      tally(byCountry, country, level);
+      if (!Number.isNaN(posted.getTime())) tally(byPeriod, bucketLabel(posted, interval), level);
+      if (output) tally(perOutput, output, level);
+    }
+  }
+
+  const outputs = [...perOutput].map(([id, distribution]) => ({ id, title: null, ...describeDistribution(distribution) }));
+  return {
+    basis,
+    interval,
+    analysed: items.length,
+    with_sentiment: withSentiment,
+    unreadable,
+    overall: describeDistribution(overall),
+    by_source: groupRows(bySource, 'source', bySize, MAX_GROUP_ROWS),
+    by_country: groupRows(byCountry, 'country', bySize, MAX_GROUP_ROWS),
+    // Oldest first, with the periods before the latest MAX_PERIOD_ROWS summed ahead of them.
+    by_period: groupRows(byPeriod, 'period', latestFirst, MAX_PERIOD_ROWS).reverse(),
+    ...flagOutputs(outputs),
+  };
+}
+
+const percent = (share) => `${Math.round(share * 100)}%`;
+const signed = (value) => (value > 0 ? `+${value}` : String(value));
+
+// The number of groups behind some rows, counting a summed row's merged groups.
+const groupCount = (rows) => rows.reduce((sum, row) => sum + (row.merged ?? 1), 0);
+
+function groupLine(label, rows, key, limit) {
+  const named = rows.filter((row) => row[key] !== null);
+  const shown = named.slice(0, limit)
+    .map((row) => `${sanitizeUpstreamText(String(row[key]), 40)} ${signed(row.mean_score)} (${row.scored})`);
+  const hidden = groupCount(rows) - shown.length;
+  const more = hidden > 0 ? `, +${hidden} more` : '';
+  return `${label}: ${shown.join(', ')}${more}`;
+}
+
+/**
+ * Short narrative of a summarizeSentiment result.
+ * @param {Object} summary
+ * @returns {string}
+ */
+export function describeSentiment(summary) {
+  const { overall, basis } = summary;
+  const unit = basis === 'outputs' ? 'research outputs' : 'mentions';
+  const unreadable = summary.unreadable > 0
+    ? `\nWarning: ${summary.unreadable} of the ${unit} carried a sentiment attribute in a shape this tool does not recognise, and were left out.`
+    : '';
+  if (overall.scored === 0) {
+    return `None of the ${summary.analysed} ${unit} analysed carries a sentiment score. Sentiment is computed for X and Bluesky mentions only, and is absent if your organization has AI features restricted.${unreadable}`;
+  }
+  const lines = [
+    `Sentiment of ${overall.scored} scored mentions across ${summary.with_sentiment} of ${summary.analysed} ${unit} analysed: ` +
+      `mean ${signed(overall.mean_score)} on a -3 to +3 scale; ${percent(overall.negative_share)} negative, ` +
+      `${percent(overall.neutral_share)} neutral, ${percent(overall.positive_share)} positive.`,
+  ];
+  if (basis === 'mentions') {
+    lines.push('Counts are mention-output pairs: a mention referencing two outputs is scored for each.');
+    if (summary.by_source.length > 0) lines.push(groupLine('By source', summary.by_source, 'source', MAX_SUMMARY_ROWS));
+    if (summary.by_country.length > 0) lines.push(groupLine('By country', summary.by_country, 'country', MAX_SUMMARY_ROWS));
+    if (summary.by_period.length > 0) {
+      const recent = summary.by_period.filter((row) => row.period !== null).slice(-MAX_SUMMARY_PERIODS);
+      const periods = groupCount(summary.by_period);
+      lines.push(`${groupLine(`By ${summary.interval}`, recent, 'period', MAX_SUMMARY_PERIODS)}` +
+        (periods > recent.length ? ` (last ${recent.length} of ${periods})` : ''));
+    }
+  }
+
+  if (summary.flagged_outputs.length > 0) {
+    lines.push(`Unusually negative (${summary.flagged_outputs.length} of ${summary.outputs_considered} outputs with ${MIN_SCORED_FOR_FLAG}+ scored mentions):`);
+    for (const output of summary.flagged_outputs) {
+      const name = output.title ? `${sanitizeUpstreamText(output.title, 80)} (${output.id})` : output.id;
+      lines.push(`- ${name}: mean ${signed(output.mean_score)}, ${output.scored} scored - ${output.reasons.join('; ')}`);
+    }
+  } else {
+    lines.push(`No output stands out as unusually negative (${summary.outputs_considered} with ${MIN_SCORED_FOR_FLAG}+ scored mentions).`);
+  }
+  return lines.join('\n') + unreadable;
+}
@@ -0,0 +1,86 @@
+import { firstString, includedIndex, linkage } from './jsonapi.js';
+
+// Citations of research outputs by one kind of source, read from either API into one
+// shape: a citation per output-source pair. track_policy_impact (policy and
+// guideline) and track_patent_citations (patent) read their citations this way, and
+// differ only in the fields they take from each post or mention:
+//   - Details Page API: the posts of /v1/fetch under `posts.<kind>`, one response per
+//     research output, the output read from the response's `citation`
+//   - Explorer API: /research_outputs/mentions items whose `source-type` is one of the
+//     kinds, with the `author` profile and the `research-outputs` they reference looked
+//     up among the included records. A mention referencing several outputs gives a
+//     citation for each.
+// Both tools return their documents (or patents) in a `data` array the output limit
+// can trim, and keep their groupings to MAX_GROUP_ROWS rows (see largestGroups).
+
+export const MAX_GROUP_ROWS = 20;
+
+const AUTHOR_RELATIONSHIP = 'author';
+const OUTPUT_RELATIONSHIP = 'research-outputs';
+
+/**
+ * Citations of the given kinds in Details Page API /v1/fetch responses.
+ * @param {{input: string, data: Object}[]} fetched - one response per research output, with the identifier it was fetched by
+ * @param {string[]} kinds - `posts` keys to read, e.g. ['policy', 'guideline']
+ * @param {function(Object, string): Object} readPost - the citation fields of one post, given the post and its kind
+ * @returns {Object[]} readPost's fields with output: { id, doi, title, input }
+ */
+export function citationsFromDetails(fetched, kinds, readPost) {
+  return fetched.flatMap(({ input, data }) => {
+    const citation = data?.citation ?? {};
+    const output = {
+      id: String(citation.altmetric_id ?? data?.altmetric_id ?? input),
+      doi: citation.doi ?? data?.doi ?? null,
+      title: citation.title ?? data?.title ?? null,
+      input,
+    };
+    return kinds.flatMap((kind) => (Array.isArray(data?.posts?.[kind]) ? data.posts[kind] : [])
+      .filter((post) => post && typeof post === 'object')
+      .map((post) => ({ ...readPost(post, kind), output })));
+  });
+}
+
+/**
+ * Citations of the given kinds among Explorer mentions.
+ * @param {Object} document - a /research_outputs/mentions response (data, and optionally included)
+ * @param {string[]} kinds - source types to keep, lower case
+ * @param {function(Object, Object, string): Object} readMention - the citation fields of one mention, given its attributes, its author profile's attributes ({} without one) and its kind
+ * @returns {Object[]} citations in the citationsFromDetails shape, the output's input null
+ */
+export function citationsFromMentions(document, kinds, readMention) {
+  const included = includedIndex(document);
+  const mentions = Array.isArray(document?.data) ? document.data : [];
+
+  return mentions.flatMap((mention) => {
+    const attributes = mention?.attributes ?? {};
+    const kind = firstString(attributes, ['source-type'])?.toLowerCase();
+    if (!kinds.includes(kind)) return [];
+    const [author] = linkage(mention.relationships, [AUTHOR_RELATIONSHIP]);
+    const profile = author ? included.get(`${author.type}:${author.id}`)?.attributes ?? {} : {};
+    const citation = readMention(attributes, profile, kind);
+    return linkage(mention.relationships, [OUTPUT_RELATIONSHIP]).map(({ id, type }) => {
+      const record = included.get(`${type}:${id}`)?.attributes ?? {};
+      return { ...citation, output: { id, doi: firstString(record, ['doi']), title: firstString(record, ['title']), input: null } };
+    });
+  });
+}
+
+/**
+ * The first `limit` groups, with the rest summed into one keyed null: its numbers
+ * added up, its sets merged, and `merged` counting the groups in it.
+ * @param {[string, Object][]} groups - [key, tallies] pairs, largest first
+ * @param {number} [limit=MAX_GROUP_ROWS]
+ * @returns {[string|null, Object][]}
+ */
+export function largestGroups(groups, limit = MAX_GROUP_ROWS) {
+  const rest = groups.slice(limit);
+  if (rest.length === 0) return groups;
+  const merged = { merged: rest.length };
+  for (const [, tallies] of rest) {
+    for (const [name, value] of Object.entries(tallies)) {
+      if (typeof value === 'number') merged[name] = (merged[name] ?? 0) + value;
+      else if (value instanceof Set) merged[name] = new Set([...(merged[name] ?? []), ...value]);
+    }
+  }
+  return [...groups.slice(0, limit), [null, merged]];
+}
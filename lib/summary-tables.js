@@ -0,0 +1,182 @@
+import { sanitizeUpstreamText, UNTRUSTED_MARKER } from './output-guard.js';
+import { lookup } from './jsonapi.js';
+
+// Opt-in markdown tables in the text summary (table_rows = N). The stock summaries
+// ("Showing 25 results on page 1 of 4") say almost nothing about the records, so a
+// model had to dig through structuredContent to answer even "which paper got the most
+// news coverage?". With table_rows set, the first N records are rendered as a compact
+// table of the columns that matter for each tool.
+//
+// Every tool has a column spec: a header and the record fields to read it from, in
+// order of preference. Explorer attribute names vary between endpoints (and over API
+// versions), so a spec lists the candidates and a column no record fills is dropped
+// rather than shown empty. Cells are upstream text, so they go through
+// sanitizeUpstreamText like the rest of the summary, shortened, with pipes and line
+// breaks escaped so a value cannot break the table.
+//
+// The size guard (lib/output-limits.js) trims records after the tool has run, so it
+// calls refreshSummaryTables to rebuild the table from the records that survived.
+
+export const MAX_TABLE_ROWS = 50;
+const MAX_CELL_LENGTH = 80;
+
+// Marks a summary block with the table appended to it and what it was rendered from,
+// without the marker ever reaching the wire (JSON serialisation skips symbol keys).
+const TABLE = Symbol('summary-table');
+
+const column = (header, ...paths) => ({ header, paths });
+const dateColumn = (header, ...paths) => ({ header, paths, date: true });
+
+// Details Page API citation records (search_citations, get_batch_attention_data).
+const DETAILS_COLUMNS = [
+  column('#', 'rank'),
+  column('Title', 'title'),
+  column('Score', 'score'),
+  column('News', 'cited_by_msm_count'),
+  column('X', 'cited_by_tweeters_count'),
+  column('Blogs', 'cited_by_feeds_count'),
+  column('Policy', 'cited_by_policies_count'),
+  dateColumn('Published', 'published_on'),
+];
+
+const EXPLORER_COUNT_COLUMNS = [
+  column('News', 'mention-counts.news', 'mention-counts.msm'),
+  column('X', 'mention-counts.x', 'mention-counts.twitter', 'mention-counts.tweet'),
+  column('Policy', 'mention-counts.policy'),
+];
+
+export const TABLE_COLUMNS = {
+  search_citations: DETAILS_COLUMNS,
+  get_batch_attention_data: DETAILS_COLUMNS,
+  explore_research_outputs: [
+    column('Title', 'title'),
+    column('Score', 'altmetric-score', 'score'),
+    ...EXPLORER_COUNT_COLUMNS,
+    dateColumn('Published', 'publication-date', 'published-on', 'publication-date-display'),
+  ],
+  explore_journals: [
+    column('Journal', 'title', 'name'),
+    column('Outputs', 'research-output-count', 'output-count'),
+    column('Mentions', 'mention-count', 'total-mentions', 'mention-counts.total'),
+    ...EXPLORER_COUNT_COLUMNS,
+  ],
+  explore_mention_sources: [
+    column('Source', 'name', 'title'),
+    column('Type', 'profile-type', 'source-type', 'type'),
+    column('Mentions', 'mention-count', 'mentions-count', 'mention-counts.total'),
+    column('Followers', 'followers', 'follower-count'),
+    column('Country', 'country', 'country-code'),
+  ],
+  explore_mentions: [
+    dateColumn('Posted', 'posted-on', 'published-at', 'posted-at'),
+    column('Source', 'source-type', 'type'),
+    column('Title', 'title'),
+    column('Author', 'author.name', 'author-name'),
+    column('URL', 'url'),
+  ],
+};
+
+function firstValue(record, paths) {
+  for (const path of paths) {
+    const value = lookup(record, path);
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  return undefined;
+}
+
+function formatDate(value) {
+  // Details Page dates are Unix seconds; Explorer's are ISO strings.
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Upstream text as a markdown table cell: sanitised, shortened, with pipes escaped and
+ * line breaks flattened so the value cannot break the table.
+ * @param {*} text
+ * @param {number} [maxLength=80]
+ * @returns {string}
+ */
+export function tableCell(text, maxLength = MAX_CELL_LENGTH) {
+  return sanitizeUpstreamText(String(text), maxLength).replace(/\|/g, '\\|').replace(/\s*[\r\n]+\s*/g, ' ');
+}
+
+function cell(value, { date }) {
+  if (value === undefined) return '';
+  return tableCell(date ? formatDate(value) : (typeof value === 'object' ? JSON.stringify(value) : String(value)));
+}
+
+// The records a tool's structuredContent carries: JSON:API items (flattened to their
+// attributes) or a Details Page list.
+function recordsOf(structuredContent) {
+  const { data, results } = structuredContent || {};
+  if (Array.isArray(data)) return data.map((item) => item?.attributes ?? item ?? {});
+  if (Array.isArray(results)) return results;
+  return [];
+}
+
+/**
+ * Renders the first `rows` records of a tool's structuredContent as a markdown table.
+ * @param {string} toolName - selects the column spec (TABLE_COLUMNS)
+ * @param {Object} structuredContent
+ * @param {number} rows - how many records to show (at most MAX_TABLE_ROWS)
+ * @returns {string|null} the table, or null when the tool has no spec or no records
+ */
+export function renderSummaryTable(toolName, structuredContent, rows) {
+  const spec = TABLE_COLUMNS[toolName];
+  const records = recordsOf(structuredContent);
+  if (!spec || records.length === 0 || !(rows > 0)) return null;
+
+  const shown = records.slice(0, Math.min(rows, MAX_TABLE_ROWS));
+  const columns = spec.filter(({ paths }) => shown.some((record) => firstValue(record, paths) !== undefined));
+  if (columns.length === 0) return null;
+
+  const lines = [
+    `| ${columns.map(({ header }) => header).join(' | ')} |`,
+    `|${columns.map(() => '---').join('|')}|`,
+    ...shown.map((record) => `| ${columns.map((col) => cell(firstValue(record, col.paths), col)).join(' | ')} |`),
+  ];
+  return `Top ${shown.length} of ${records.length}:\n${lines.join('\n')}`;
+}
+
+/**
+ * Appends a summary table to the result's text, using `sourceTool`'s column spec. A
+ * continue_result slice uses the spec of the tool it continues.
+ * @param {Object} result - the tool result
+ * @param {string} toolName
+ * @param {number} [rows] - table_rows; 0 or absent leaves the result as is
+ * @returns {Object} the same result
+ */
+export function appendSummaryTable(result, toolName, rows) {
+  if (!(rows > 0) || !result || result.isError || !Array.isArray(result.content)) return result;
+  const sourceTool = result.structuredContent?.meta?.continuation?.tool ?? toolName;
+  const table = renderSummaryTable(sourceTool, result.structuredContent, rows);
+  const summary = result.content.find((c) => c && c.type === 'text');
+  if (!table || !summary) return result;
+
+  const marker = summary.text.includes(UNTRUSTED_MARKER) ? '' : `${UNTRUSTED_MARKER}\n`;
+  const appended = `\n\n${marker}${table}`;
+  summary.text += appended;
+  summary[TABLE] = { sourceTool, rows, marker, appended };
+  return result;
+}
+
+/**
+ * Rebuilds any table appended by appendSummaryTable from the result's current records,
+ * removing it when none remain. Called by the size guard after trimming.
+ * @param {Object} result
+ * @returns {Object} the same result
+ */
+export function refreshSummaryTables(result) {
+  if (!result || !Array.isArray(result.content)) return result;
+  for (const block of result.content) {
+    const state = block?.[TABLE];
+    if (!state || typeof block.text !== 'string') continue;
+    const table = renderSummaryTable(state.sourceTool, result.structuredContent, state.rows);
+    const appended = table ? `\n\n${state.marker}${table}` : '';
+    block.text = block.text.replace(state.appended, () => appended);
+    if (table) state.appended = appended;
+    else delete block[TABLE];
+  }
+  return result;
+}
@@ -1,7 +1,62 @@
-import { validateIdentifier } from './validators.js';
-import { validateFilterValue } from './filter-validators.js';
+import { validateIdentifier, detectIdentifier } from './validators.js';
 import { sanitizeUpstreamText, UNTRUSTED_MARKER } from './output-guard.js';
-import { makeDetailsApiRequest, makeExplorerApiRequest, makeExplorerIdentifierListRequest } from './api-client.js';
+import {
+  makeDetailsApiRequest,
+  makeExplorerApiRequest,
+  makeExplorerIdentifierListRequest,
+  makeExplorerIdentifierListGetRequest,
+} from './api-client.js';
+import {
+  fetchAllPages,
+  mapWithConcurrency,
+  decodeContinuation,
+  DEFAULT_AUTO_PAGINATE_ITEMS,
+  MAX_AUTO_PAGINATE_ITEMS,
+} from './pagination.js';
+import { validateFilterValue, MAX_PAGE_SIZE } from './filter-validators.js';
+import { runInCallContext, currentCallContext } from './call-context.js';
+import { attachExport, OUTPUT_FORMATS } from './export-formats.js';
+import { appendSummaryTable, TABLE_COLUMNS, MAX_TABLE_ROWS } from './summary-tables.js';
+import {
+  analyzeAttentionTrend,
+  describeAttentionTrend,
+  TREND_INTERVALS,
+  DEFAULT_ROLLING_WINDOW,
+  MAX_TREND_BUCKETS,
+} from './attention-trends.js';
+import { summarizeCohort, compareCohorts, describeComparison, MAX_COHORTS } from './cohort-comparison.js';
+import { summarizeSentiment, describeSentiment, MIN_SCORED_FOR_FLAG } from './sentiment-summary.js';
+import {
+  readScoreContext,
+  describeScoreContext,
+  benchmarkOutputs,
+  describeBenchmark,
+  SCORE_CONTEXTS,
+} from './score-context.js';
+import { analyzeScoreHistory, describeScoreHistory } from './score-history.js';
+import { rankMentioners, describeMentioners, MENTIONER_RANKINGS, MAX_MENTIONERS } from './top-mentioners.js';
+import {
+  policyCitationsFromDetails,
+  policyCitationsFromMentions,
+  summarizePolicyImpact,
+  describePolicyImpact,
+  POLICY_SOURCES,
+} from './policy-impact.js';
+import {
+  patentCitationsFromDetails,
+  patentCitationsFromMentions,
+  summarizePatentCitations,
+  describePatentCitations,
+  PATENT_SOURCE,
+} from './patent-citations.js';
+import {
+  createIdentifierListRegistry,
+  findUnrecognizedIdentifiers,
+  parseIdentifierText,
+} from './identifier-lists.js';
+import { readIdentifierFile } from './identifier-files.js';
+import { extractIdentifiers, CITATION_FORMATS } from './identifier-extraction.js';
+import { MAX_ARG_STRING_BYTES } from './args-limits.js';
 
 /**
  * Creates tool definitions and handlers.
@@ -11,46 +66,393 @@ import { makeDetailsApiRequest, makeExplorerApiRequest, makeExplorerIdentifierLi
  * from the caller's OAuth bearer). A group is registered only when its resolver is
  * supplied.
  *
+ * Shared infrastructure (the response cache, the rate limiters) is passed in rather than
+ * created here: under HTTP the tools are rebuilt per request, but both must outlive it.
+ *
  * @param {Object} resolvers
  * @param {() => Promise<{apiKey: string, baseUrl: string}>} [resolvers.details] - Details Page API credential resolver
  * @param {() => Promise<{apiKey: string, apiSecret: string, baseUrl: string}>} [resolvers.explorer] - Explorer API credential resolver
+ * @param {Object} [options]
+ * @param {Object} [options.cache] - Response cache for upstream GETs (lib/cache.js); partitioned per credential
+ * @param {Object|false} [options.retry] - Upstream retry policy overrides (see DEFAULT_RETRY_POLICY in lib/api-client.js)
+ * @param {{details?: Object, explorer?: Object}} [options.rateLimiters] - Client-side limiters per API (lib/rate-limiter.js)
+ * @param {Object} [options.resultCursors] - This caller's view of the result cursor store (lib/result-cursors.js, forOwner); registers continue_result
+ * @param {Object} [options.identifierLists] - This caller's view of the identifier list registry (lib/identifier-lists.js, forOwner); defaults to one private to these tools
+ * @param {string|null} [options.identifiersFileRoot] - Directory identifiers_file and extract_identifiers' file may read from (lib/identifier-files.js); those arguments are offered only when set
  * @returns {Object} Tools object with definitions and handlers
  */
-export function createTools({ details, explorer } = {}) {
+export function createTools({ details, explorer } = {}, {
+  cache = null,
+  retry,
+  rateLimiters = {},
+  resultCursors = null,
+  identifierLists = createIdentifierListRegistry().forOwner('local'),
+  identifiersFileRoot = null,
+} = {}) {
+  const requestOptions = { cache, retry };
+  const detailsOptions = { ...requestOptions, api: 'details', rateLimiter: rateLimiters.details };
+  const explorerOptions = { ...requestOptions, api: 'explorer', rateLimiter: rateLimiters.explorer };
+  const apiTools = {
+    ...(details ? detailsPageTools(details, detailsOptions) : {}),
+    ...(explorer ? explorerTools(explorer, explorerOptions, identifierLists) : {}),
+    ...(explorer ? identifierListTools(explorer, explorerOptions, identifierLists) : {}),
+    ...(details || explorer ? sourceCitationTools({ details, explorer }, { detailsOptions, explorerOptions, identifierLists }) : {}),
+  };
+  // extract_identifiers feeds the API tools and continue_result only pages through what
+  // they returned, so both are offered only alongside them.
+  const hasApiTools = Object.keys(apiTools).length > 0;
   const tools = {
-    ...(details ? detailsPageTools(details) : {}),
-    ...(explorer ? explorerTools(explorer) : {}),
+    ...apiTools,
+    ...(hasApiTools ? extractionTools(identifiersFileRoot) : {}),
+    ...(resultCursors && hasApiTools ? continuationTools(resultCursors) : {}),
   };
   // Each tool already declares its behaviour hints (readOnlyHint/idempotentHint/openWorldHint)
   // inline; here we add the top-level display title (Tool.title) so clients - and the Claude
   // connector review - show a friendly name instead of the snake_case tool id.
-  for (const { definition } of Object.values(tools)) {
+  for (const tool of Object.values(tools)) {
+    const { definition, handler } = tool;
     definition.title ??= TOOL_TITLES[definition.name] ?? definition.name;
+    // Schemas are enforced at call time (lib/schema-validator.js), so undeclared
+    // arguments are rejected rather than silently ignored.
+    definition.inputSchema.additionalProperties ??= false;
+    if (cache && definition.annotations?.openWorldHint !== false) {
+      definition.inputSchema.properties.bypass_cache = BYPASS_CACHE_PROPERTY;
+    }
+    if (EXPORTABLE_TOOLS.includes(definition.name)) {
+      definition.inputSchema.properties.output_format = OUTPUT_FORMAT_PROPERTY;
+    }
+    if (TABLE_TOOLS.includes(definition.name)) {
+      definition.inputSchema.properties.table_rows = TABLE_ROWS_PROPERTY;
+    }
+    if (identifiersFileRoot && definition.inputSchema.properties.identifiers) {
+      definition.inputSchema.properties.identifiers_file = IDENTIFIERS_FILE_PROPERTY;
+      // A file can stand in for the array, so neither is required on its own.
+      if (definition.inputSchema.required) {
+        definition.inputSchema.required = definition.inputSchema.required.filter((key) => key !== 'identifiers');
+      }
+    }
+    // Run each call in its own context so per-call flags (bypass_cache) reach the
+    // request closures, and per-call reports (upstream retries, remaining quota) come
+    // back, without leaking into concurrent calls.
+    tool.handler = async (args = {}) => {
+      const { bypass_cache, output_format, table_rows, identifiers_file, ...rest } = args;
+      const fileInput = identifiers_file != null ? await readIdentifierFile(identifiers_file, identifiersFileRoot) : null;
+      if (fileInput) {
+        if (fileInput.identifiers.length === 0) {
+          throw new Error(`No identifiers found in ${fileInput.file}`);
+        }
+        rest.identifiers = [...(rest.identifiers ?? []), ...fileInput.identifiers];
+      }
+      const context = { bypassCache: bypass_cache === true, retries: 0, quota: {} };
+      const result = await runInCallContext(context, () => handler(rest));
+      const withFile = fileInput ? withIdentifierFileMeta(result, fileInput) : result;
+      const withTable = appendSummaryTable(withCallMeta(withFile, context), definition.name, table_rows);
+      return attachExport(withTable, definition.name, output_format);
+    };
   }
   return tools;
 }
 
+// Advertised on every tool when a response cache is configured.
+const BYPASS_CACHE_PROPERTY = {
+  type: 'boolean',
+  description: 'Skip the server\'s response cache and fetch fresh data from Altmetric. Repeated identical queries are otherwise served from cache for a few minutes (up to an hour for per-output counts). Only needed when you expect the data to have just changed.',
+};
+
+// Tools whose results are lists of records, which can also be returned as a CSV, TSV
+// or NDJSON export (lib/export-formats.js).
+const EXPORTABLE_TOOLS = [
+  'explore_research_outputs',
+  'explore_journals',
+  'explore_mention_sources',
+  'get_batch_attention_data',
+  'continue_result',
+];
+
+const OUTPUT_FORMAT_PROPERTY = {
+  type: 'string',
+  title: 'Output Format',
+  enum: OUTPUT_FORMATS,
+  description: 'Also return the records as a flat table for spreadsheets: "csv", "tsv" or "ndjson", attached as an embedded resource next to the usual JSON. Each row is one record (id, type and attributes, nested fields as dotted columns). Default "json" attaches nothing.',
+  default: 'json',
+};
+
+// Tools with a column spec for the opt-in summary table (lib/summary-tables.js).
+const TABLE_TOOLS = [...Object.keys(TABLE_COLUMNS), 'continue_result'];
+
+const TABLE_ROWS_PROPERTY = {
+  type: 'integer',
+  title: 'Table Rows',
+  minimum: 0,
+  maximum: MAX_TABLE_ROWS,
+  description: `Also render the first N records as a markdown table in the text summary (title, score, key mention counts, date - the columns vary by tool), so they can be read without parsing the JSON. Default 0 (no table); at most ${MAX_TABLE_ROWS}.`,
+  default: 0,
+};
+
+// Advertised, when ALTMETRIC_IDENTIFIERS_DIR is set (stdio only), on every tool that
+// takes an `identifiers` array.
+const IDENTIFIERS_FILE_PROPERTY = {
+  type: 'string',
+  title: 'Identifiers File',
+  description: 'Path to a local .txt, .csv, .tsv, .ris, .bib or CSL-JSON .json file of identifiers, relative to the directory the server allows files from (ALTMETRIC_IDENTIFIERS_DIR). DOIs, PubMed IDs, arXiv IDs, Altmetric IDs and the other supported types are picked out of it as extract_identifiers does and added to `identifiers`.',
+};
+
+// extractIdentifiers' by_type reduced to a count per type.
+function identifierTypeCounts(byType) {
+  return Object.fromEntries(Object.entries(byType).map(([type, values]) => [type, values.length]));
+}
+
+// Report what identifiers_file contributed: a line ahead of the summary, and the
+// per-type counts in structuredContent.meta.
+function withIdentifierFileMeta(result, { file, format, identifiers, by_type }) {
+  const text = result?.content?.find((block) => block.type === 'text');
+  if (text) {
+    const types = Object.entries(identifierTypeCounts(by_type)).map(([type, count]) => `${count} ${type}`).join(', ');
+    text.text = `Read ${identifiers.length} identifier(s) from ${file} (${types}).\n${text.text}`;
+  }
+  const content = result?.structuredContent;
+  if (content && typeof content === 'object' && !Array.isArray(content)) {
+    content.meta = { ...content.meta, identifiers_file: { file, format, identifiers: identifiers.length, by_type: identifierTypeCounts(by_type) } };
+  }
+  return result;
+}
+
+// Per-call request options: the shared infrastructure plus this call's flags.
+function upstreamOptions({ api, ...requestOptions }) {
+  const context = currentCallContext();
+  return {
+    ...requestOptions,
+    bypassCache: context?.bypassCache ?? false,
+    onRetry: () => {
+      if (context) context.retries += 1;
+    },
+    onQuota: (quota) => {
+      if (context) context.quota[api] = quota;
+    },
+  };
+}
+
+const QUOTA_API_NAMES = { details: 'Details Page API', explorer: 'Explorer API' };
+
+// Report how many upstream retries a call needed, and the caller's remaining
+// client-side quota (lib/rate-limiter.js), in structuredContent.meta - so a slow
+// answer is explainable and the model can plan its remaining calls. A daily budget
+// is also summarised in the text, which is what most models actually read.
+function withCallMeta(result, context) {
+  const content = result?.structuredContent;
+  if (!content || typeof content !== 'object' || Array.isArray(content)) {
+    return result;
+  }
+  if (context.retries > 0) {
+    content.meta = { ...content.meta, retries: context.retries };
+  }
+  if (Object.keys(context.quota).length > 0) {
+    content.meta = { ...content.meta, quota: context.quota };
+    const budgets = Object.entries(context.quota)
+      .filter(([, quota]) => quota.daily_budget)
+      .map(([api, quota]) => `${QUOTA_API_NAMES[api]}: ${quota.remaining_today} of ${quota.daily_budget} requests left today (resets ${quota.resets_at})`);
+    if (budgets.length > 0 && Array.isArray(result.content)) {
+      result.content.push({ type: 'text', text: `Remaining quota - ${budgets.join('; ')}` });
+    }
+  }
+  return result;
+}
+
 // Human-readable display titles for each tool (MCP Tool.title).
 const TOOL_TITLES = {
   get_citation_counts: 'Get citation counts',
   get_citation_details: 'Get citation details',
   search_citations: 'Search citations',
   get_batch_attention_data: 'Get batch attention data',
+  benchmark_output: 'Benchmark output',
+  analyze_score_history: 'Analyze score history',
   translate_identifiers: 'Translate identifiers',
   explore_research_outputs: 'Explore research outputs',
   explore_attention_summary: 'Explore attention summary',
+  analyze_attention_trend: 'Analyze attention trend',
   explore_mentions: 'Explore mentions',
+  summarize_sentiment: 'Summarize sentiment',
+  analyze_top_mentioners: 'Analyze top mentioners',
+  track_policy_impact: 'Track policy impact',
+  track_patent_citations: 'Track patent citations',
   explore_demographics: 'Explore demographics',
   explore_mention_sources: 'Explore mention sources',
   explore_journals: 'Explore journals',
+  compare_cohorts: 'Compare cohorts',
+  create_identifier_list: 'Create identifier list',
+  get_identifier_list: 'Get identifier list',
+  list_identifier_lists: 'List identifier lists',
+  extract_identifiers: 'Extract identifiers',
+  continue_result: 'Continue result',
 };
 
-function detailsPageTools(resolveDetails) {
-  // Resolve credentials per call: static env creds under stdio, brokered per request under HTTP.
-  const detailsRequest = async (endpoint, params = {}, fetchOptions = {}) => {
+// Serves the rest of a result that enforceResultSizeLimit trimmed to fit the client's
+// output budget (see lib/result-cursors.js). The slice returned here goes through the
+// same size guard in the entry points, which issues a fresh cursor for whatever still
+// does not fit, so the model can keep calling until next_cursor is absent.
+function continuationTools(resultCursors) {
+  return {
+    continue_result: {
+      definition: {
+        name: 'continue_result',
+        description: 'Fetch the next items of a tool result that was truncated to fit size limits. When a result says "call continue_result with cursor ..." (structuredContent.meta.next_cursor), pass that cursor here to get the following items without re-running the query. Each cursor works once and expires after a few minutes; a result that is still too large comes back with a new cursor.',
+        annotations: {
+          readOnlyHint: true,
+          idempotentHint: false,
+          openWorldHint: false,
+        },
+        inputSchema: {
+          type: 'object',
+          properties: {
+            cursor: {
+              type: 'string',
+              title: 'Cursor',
+              description: 'The next_cursor value from a truncated result',
+              maxLength: 64,
+            },
+          },
+          required: ['cursor'],
+        },
+      },
+      handler: async (args) => {
+        const entry = resultCursors.take(args.cursor);
+        if (!entry) {
+          return {
+            content: [{ type: 'text', text: 'Unknown or expired cursor. Cursors work once and expire after a few minutes; re-run the original query to get the data again.' }],
+            isError: true,
+          };
+        }
+
+        const { items, tool, offset, total } = entry;
+        const summary = `Continuing ${tool} from item ${offset + 1} of ${total} (${items.length} items remaining)`;
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: summary,
+            },
+          ],
+          structuredContent: {
+            data: items,
+            meta: { continuation: { tool, offset, total } },
+          },
+        };
+      },
+    },
+  };
+}
+
+// Identifier types each lookup endpoint accepts: /v1/{type}/{id} takes them all,
+// /v1/fetch only DOIs and Altmetric IDs.
+const COUNTS_IDENTIFIER_TYPES = ['doi', 'pmid', 'arxiv', 'id', 'ads', 'handle', 'nct_id', 'repec', 'urn', 'uri', 'isbn', 'ssrn', 'dimensions_publication_id'];
+const DETAILS_IDENTIFIER_TYPES = ['doi', 'id'];
+
+// identifier_type "auto" (the default) classifies and normalises the identifier
+// (detectIdentifier in lib/validators.js); an explicit type is validated as given.
+function resolveIdentifier({ identifier, identifier_type = 'auto' }, supportedTypes, toolName) {
+  if (identifier_type !== 'auto') {
+    validateIdentifier(identifier, identifier_type);
+    return { identifier, identifier_type, detected: false };
+  }
+  const resolved = detectIdentifier(identifier);
+  if (!supportedTypes.includes(resolved.identifier_type)) {
+    throw new Error(
+      `"${identifier}" was detected as identifier type "${resolved.identifier_type}", which ${toolName} does not accept ` +
+      `(supported: ${supportedTypes.join(', ')}). Look up its Altmetric ID with translate_identifiers first.`,
+    );
+  }
+  validateIdentifier(resolved.identifier, resolved.identifier_type);
+  return { ...resolved, detected: true };
+}
+
+// Report the detected type alongside the upstream record, so the model can see what
+// "auto" chose; an explicit identifier_type leaves the record as returned.
+function withDetectedIdentifier(data, { identifier, identifier_type, detected }) {
+  if (!detected || !data || typeof data !== 'object') return data;
+  return { ...data, meta: { ...data.meta, identifier: { type: identifier_type, value: identifier, detected: true } } };
+}
+
+// get_batch_attention_data fans a large batch out over several upstream calls: the
+// translate POST takes a chunk of identifiers at a time, and /v1/id/{ids} carries as
+// many IDs as fit comfortably in a URL path.
+const MAX_BATCH_IDENTIFIERS = 10_000;
+const BATCH_TRANSLATE_CHUNK_SIZE = 1_000;
+const BATCH_ID_CHUNK_SIZE = 100;
+const BATCH_CONCURRENCY = 4;
+
+// benchmark_output and analyze_score_history make one /v1/{type}/{id} request per output.
+const MAX_ATTENTION_RECORDS = 50;
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// The /v1/{type}/{id} record of each input, a few requests at a time. Outputs Altmetric
+// does not know are reported in notFound, and inputs that could not be read for another
+// reason (an invalid identifier, rate limiting after retries, a 5xx) in failed, with the
+// error; when nothing could be read, such a failure fails the call.
+async function fetchAttentionRecords(detailsRequest, inputs, toolName) {
+  const responses = await mapWithConcurrency(inputs, BATCH_CONCURRENCY, async (input) => {
+    try {
+      const { identifier, identifier_type } = resolveIdentifier({ identifier: input }, COUNTS_IDENTIFIER_TYPES, toolName);
+      return { input, data: await detailsRequest(`/v1/${identifier_type}/${encodeURIComponent(identifier)}`, {}) };
+    } catch (error) {
+      return { input, error: error.message };
+    }
+  });
+  return partitionResponses(responses);
+}
+
+// Splits per-output responses into those read, those Altmetric has no record of, and
+// those that failed otherwise; throws the first failure when none was read.
+function partitionResponses(responses) {
+  const found = responses.filter((response) => !response.error);
+  const failures = responses.filter((response) => response.error).map(({ input, error }) => ({ input, reason: error }));
+  const notFound = failures.filter(({ reason }) => reason.startsWith('Not found'));
+  const failed = failures.filter(({ reason }) => !reason.startsWith('Not found'));
+  if (found.length === 0 && failed.length > 0) {
+    throw new Error(failed[0].reason);
+  }
+  return { found, notFound, failed };
+}
+
+// What get_batch_attention_data sends /v1/translate for an input whose type detection
+// worked out: DOIs bare, and PubMed and arXiv IDs prefixed, since bare they are numbers
+// translate could read as another type. Anything else goes as the caller wrote it.
+function translationForm(input, detected) {
+  switch (detected?.identifier_type) {
+    case 'doi':
+      return detected.identifier;
+    case 'pmid':
+      return `pmid:${detected.identifier}`;
+    case 'arxiv':
+      return `arXiv:${detected.identifier}`;
+    default:
+      return input.trim();
+  }
+}
+
+function formatNotFetchedLine(label, notFound) {
+  if (notFound.length === 0) return '';
+  return `\n${label} (${notFound.length}): ${notFound.slice(0, 10).map(({ input, reason }) => `${input} (${reason})`).join('; ')}` +
+    (notFound.length > 10 ? `; +${notFound.length - 10} more` : '');
+}
+
+// Resolve credentials per call: static env creds under stdio, brokered per request under HTTP.
+function detailsRequester(resolveDetails, requestOptions) {
+  return async (endpoint, params = {}, fetchOptions = {}) => {
     const { apiKey, baseUrl } = await resolveDetails();
-    return makeDetailsApiRequest(endpoint, params, apiKey, baseUrl, fetchOptions);
+    return makeDetailsApiRequest(endpoint, params, apiKey, baseUrl, fetchOptions, upstreamOptions(requestOptions));
   };
+}
+
+function detailsPageTools(resolveDetails, requestOptions) {
+  const detailsRequest = detailsRequester(resolveDetails, requestOptions);
 
   return {
     get_citation_counts: {
@@ -68,22 +470,21 @@ function detailsPageTools(resolveDetails) {
             identifier: {
               type: 'string',
               title: 'Research Output Identifier',
-              description: 'The identifier for the research output (e.g., DOI: "10.1038/nature12373", PubMed ID: "123456", arXiv ID: "1234.5678")',
+              description: 'The identifier for the research output (e.g., DOI: "10.1038/nature12373", PubMed ID: "123456", arXiv ID: "1234.5678"). doi.org, arxiv.org and PubMed URLs and "doi:"/"arXiv:"/"PMID:" prefixes are accepted.',
             },
             identifier_type: {
               type: 'string',
               title: 'Identifier Type',
-              enum: ['doi', 'pmid', 'arxiv', 'id', 'ads', 'handle', 'nct_id', 'repec', 'urn', 'uri', 'isbn', 'ssrn', 'dimensions_publication_id'],
-              description: 'The type of identifier being used. "id" refers to the Altmetric attention score ID. Supported types: DOI, PubMed ID, arXiv ID, ADS Bibcode, Handle, NCT ID, RePEc, URN, URI, ISBN, SSRN, Dimensions Publication ID.',
-              default: 'doi',
+              enum: ['auto', ...COUNTS_IDENTIFIER_TYPES],
+              description: 'The type of identifier being used. "auto" (the default) works it out from the identifier and reports the type chosen; a bare number is read as a PubMed ID, so prefix Altmetric IDs with "altmetric:" or set "id". "id" refers to the Altmetric attention score ID. Supported types: DOI, PubMed ID, arXiv ID, ADS Bibcode, Handle, NCT ID, RePEc, URN, URI, ISBN, SSRN, Dimensions Publication ID.',
+              default: 'auto',
             },
           },
           required: ['identifier'],
         },
       },
       handler: async (args) => {
-        const { identifier, identifier_type = 'doi' } = args;
-        validateIdentifier(identifier, identifier_type);
+        const { identifier, identifier_type, detected } = resolveIdentifier(args, COUNTS_IDENTIFIER_TYPES, 'get_citation_counts');
         const endpoint = `/v1/${identifier_type}/${encodeURIComponent(identifier)}`;
         const data = await detailsRequest(endpoint, {});
 
@@ -93,10 +494,13 @@ function detailsPageTools(resolveDetails) {
         const totalAccounts = data.cited_by_accounts_count || 0;
         const totalPosts = data.cited_by_posts_count || 0;
 
+        const percentiles = describeScoreContext(readScoreContext(data));
+
         const summary = `${UNTRUSTED_MARKER}\n` +
-          `Citation data for ${identifier_type.toUpperCase()}: ${identifier}\n` +
+          `Citation data for ${identifier_type.toUpperCase()}: ${identifier}${detected ? ' (type detected automatically)' : ''}\n` +
           `Title: ${title}\n` +
           `Altmetric Score: ${score}\n` +
+          (percentiles ? `${percentiles}\n` : '') +
           `Total mentions: ${totalAccounts} unique sources, ${totalPosts} posts`;
 
         return {
@@ -106,7 +510,7 @@ function detailsPageTools(resolveDetails) {
               text: summary,
             },
           ],
-          structuredContent: data,
+          structuredContent: withDetectedIdentifier(data, { identifier, identifier_type, detected }),
         };
       },
     },
@@ -131,19 +535,19 @@ function detailsPageTools(resolveDetails) {
             identifier_type: {
               type: 'string',
               title: 'Identifier Type',
-              enum: ['doi', 'id'],
-              description: 'The type of identifier being used. "id" refers to the Altmetric attention score ID.',
-              default: 'doi',
+              enum: ['auto', ...DETAILS_IDENTIFIER_TYPES],
+              description: 'The type of identifier being used. "auto" (the default) works it out from the identifier - a DOI, doi.org URL, or "altmetric:"-prefixed Altmetric ID - and reports the type chosen. "id" refers to the Altmetric attention score ID. For other identifier types, look up the Altmetric ID with translate_identifiers first.',
+              default: 'auto',
             },
             include_sources: {
               type: 'string',
               title: 'Include Sources',
-              description: 'Comma-separated list of sources to include in the response (e.g., "twitter,news,blogs"). Use this to limit response size. Available sources: facebook, blogs, linkedin, video, pinterest, gplus, twitter, bluesky, reddit, news, f1000, rh, qna, forum, peer_reviews, policy, guideline, patent, weibo.',
+              description: `Comma-separated list of sources to include in the response (e.g., "twitter,news,blogs"). Use this to limit response size. Available sources: ${DETAILS_SOURCES.join(', ')}.`,
             },
             exclude_sources: {
               type: 'string',
               title: 'Exclude Sources',
-              description: 'Comma-separated list of sources to exclude from the response (e.g., "twitter,facebook"). Use this to reduce response size. Available sources: facebook, blogs, linkedin, video, pinterest, gplus, twitter, bluesky, reddit, news, f1000, rh, qna, forum, peer_reviews, policy, guideline, patent, weibo.',
+              description: `Comma-separated list of sources to exclude from the response (e.g., "twitter,facebook"). Use this to reduce response size. Available sources: ${DETAILS_SOURCES.join(', ')}.`,
             },
             post_types: {
               type: 'string',
@@ -160,8 +564,8 @@ function detailsPageTools(resolveDetails) {
         },
       },
       handler: async (args) => {
-        const { identifier, identifier_type = 'doi', include_sources, exclude_sources, post_types, include_sections } = args;
-        validateIdentifier(identifier, identifier_type);
+        const { include_sources, exclude_sources, post_types, include_sections } = args;
+        const { identifier, identifier_type, detected } = resolveIdentifier(args, DETAILS_IDENTIFIER_TYPES, 'get_citation_details');
         const endpoint = `/v1/fetch/${identifier_type}/${encodeURIComponent(identifier)}`;
 
         const params = {};
@@ -182,7 +586,7 @@ function detailsPageTools(resolveDetails) {
         const filterText = filters.length > 0 ? ` (${filters.join(', ')})` : '';
 
         const summary = `${UNTRUSTED_MARKER}\n` +
-          `Detailed citation data for ${identifier_type.toUpperCase()}: ${identifier}\n` +
+          `Detailed citation data for ${identifier_type.toUpperCase()}: ${identifier}${detected ? ' (type detected automatically)' : ''}\n` +
           `Title: ${title}\n` +
           `Altmetric Score: ${score}\n` +
           `Total posts: ${totalPosts}${filterText}\n` +
@@ -195,7 +599,7 @@ function detailsPageTools(resolveDetails) {
               text: summary,
             },
           ],
-          structuredContent: data,
+          structuredContent: withDetectedIdentifier(data, { identifier, identifier_type, detected }),
         };
       },
     },
@@ -297,7 +701,7 @@ function detailsPageTools(resolveDetails) {
     get_batch_attention_data: {
       definition: {
         name: 'get_batch_attention_data',
-        description: 'Get attention metrics for multiple publications at once. Use this when comparing papers or finding which has most/least attention. Much more efficient than calling get_citation_counts multiple times.',
+        description: 'Get attention metrics for multiple publications at once. Use this when comparing papers or finding which has most/least attention. Much more efficient than calling get_citation_counts multiple times. Accepts up to 10,000 mixed identifiers (DOIs, PubMed IDs, arXiv IDs, Handles, ISBNs, "altmetric:"-prefixed Altmetric IDs, ...) and reports which Altmetric ID each one matched.',
         annotations: {
           readOnlyHint: true,
           idempotentHint: true,
@@ -306,11 +710,17 @@ function detailsPageTools(resolveDetails) {
         inputSchema: {
           type: 'object',
           properties: {
+            identifiers: {
+              type: 'array',
+              items: { type: 'string' },
+              title: 'Identifiers',
+              description: `Research output identifiers of any supported type, mixed freely (e.g., ["10.1038/nature12373", "PMID: 23903748", "arXiv:1501.00001", "altmetric:241939"]). Resolver URLs and type prefixes are accepted; a bare number is read as a PubMed ID. Max ${MAX_BATCH_IDENTIFIERS.toLocaleString('en-US')} (together with dois).`,
+            },
             dois: {
               type: 'array',
               items: { type: 'string' },
               title: 'DOIs',
-              description: 'List of DOIs to fetch attention data for (max 100)',
+              description: 'List of DOIs to fetch attention data for. Equivalent to passing them in identifiers; kept for existing callers.',
             },
             sort_by: {
               type: 'string',
@@ -325,74 +735,154 @@ function detailsPageTools(resolveDetails) {
               description: 'Max results to return (default: all)',
             },
           },
-          required: ['dois'],
         },
       },
       handler: async (args) => {
-        const { dois, sort_by = 'score', limit } = args;
+        const { sort_by = 'score', limit } = args;
+        const inputs = [...new Set([...(args.identifiers || []), ...(args.dois || [])])];
 
-        if (!dois || dois.length === 0) {
+        if (inputs.length === 0) {
           return {
-            content: [{ type: 'text', text: 'No DOIs provided' }],
-            structuredContent: { error: 'No DOIs provided' },
+            content: [{ type: 'text', text: 'No identifiers provided' }],
+            structuredContent: { error: 'No identifiers provided' },
           };
         }
 
-        if (dois.length > 100) {
+        if (inputs.length > MAX_BATCH_IDENTIFIERS) {
+          const message = `Too many identifiers. Maximum is ${MAX_BATCH_IDENTIFIERS.toLocaleString('en-US')}.`;
           return {
-            content: [{ type: 'text', text: 'Too many DOIs. Maximum is 100.' }],
-            structuredContent: { error: 'Too many DOIs. Maximum is 100.' },
+            content: [{ type: 'text', text: message }],
+            structuredContent: { error: message },
           };
         }
 
-        // Translate DOIs to Altmetric IDs
-        const translateData = await detailsRequest('/v1/translate', {}, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-          body: `ids=${dois.join('|')}`,
+        // Detect each input's type where it is recognisable (doi.org URLs, "PMID:"
+        // prefixes, ...) and send /v1/translate a form that keeps it; anything else goes
+        // as given, for translate's own detection. Altmetric IDs need no translation and
+        // are checked by the lookup below.
+        const normalised = new Map();
+        for (const input of inputs) {
+          let detected = null;
+          try {
+            detected = detectIdentifier(input);
+          } catch {
+            // Left for /v1/translate to recognise.
+          }
+          normalised.set(input, {
+            identifier: detected?.identifier ?? input.trim(),
+            identifier_type: detected?.identifier_type ?? null,
+            sent: translationForm(input, detected),
+          });
+        }
+
+        const inputToAltmetricId = {};
+        const toTranslate = [];
+        for (const [input, { identifier, identifier_type, sent }] of normalised) {
+          if (identifier_type === 'id') {
+            inputToAltmetricId[input] = identifier;
+          } else {
+            toTranslate.push(sent);
+          }
+        }
+
+        // Translate the rest in chunks, a few at a time. A chunk that fails leaves its
+        // identifiers unread rather than failing the batch.
+        const translated = {};
+        const untranslated = new Map();
+        const translateChunks = chunk([...new Set(toTranslate)], BATCH_TRANSLATE_CHUNK_SIZE);
+        await mapWithConcurrency(translateChunks, BATCH_CONCURRENCY, async (ids) => {
+          try {
+            const data = await detailsRequest('/v1/translate', {}, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+              body: `ids=${ids.join('|')}`,
+            });
+            Object.assign(translated, data);
+          } catch (error) {
+            ids.forEach((id) => untranslated.set(id, error.message));
+          }
         });
 
-        const doiToAltmetricId = {};
-        const notFoundDois = [];
-        for (const doi of dois) {
-          if (translateData[doi]) {
-            doiToAltmetricId[doi] = translateData[doi];
+        const notFound = [];
+        const failed = [];
+        for (const [input, { identifier_type, sent }] of normalised) {
+          if (identifier_type === 'id') continue;
+          if (translated[sent]) {
+            inputToAltmetricId[input] = String(translated[sent]);
+          } else if (untranslated.has(sent)) {
+            failed.push({ input, reason: untranslated.get(sent) });
+          } else {
+            notFound.push(input);
+          }
+        }
+
+        // Fetch attention data for the matched IDs, in chunks the /v1/id path can carry,
+        // keeping the error of any chunk that fails.
+        const idChunks = chunk([...new Set(Object.values(inputToAltmetricId))], BATCH_ID_CHUNK_SIZE);
+        const pages = await mapWithConcurrency(idChunks, BATCH_CONCURRENCY, async (ids) => {
+          try {
+            const idsData = await detailsRequest(`/v1/id/${ids.join(',')}`, {});
+            return { citations: idsData.results || [idsData] };
+          } catch (error) {
+            return { ids, error: error.message };
+          }
+        });
+        const citations = pages.flatMap((page) => page.citations ?? []);
+        const lookupErrors = new Map(pages.flatMap(({ ids, error }) => (error ? ids.map((id) => [id, error]) : [])));
+
+        // An Altmetric ID the lookup did not return (an "altmetric:" input, or a stale
+        // translation) is not found; one whose chunk failed for another reason was not read.
+        const returned = new Set(citations.map((c) => String(c.altmetric_id)));
+        for (const [input, id] of Object.entries(inputToAltmetricId)) {
+          if (returned.has(id)) continue;
+          delete inputToAltmetricId[input];
+          const error = lookupErrors.get(id);
+          if (error && !error.startsWith('Not found')) {
+            failed.push({ input, reason: error });
           } else {
-            notFoundDois.push(doi);
+            notFound.push(input);
           }
         }
 
-        const altmetricIds = Object.values(doiToAltmetricId);
-        if (altmetricIds.length === 0) {
+        if (citations.length === 0) {
+          // Nothing was read: a failure other than "not found" (bad credentials, a
+          // free-tier key, the API being down) is the call failing.
+          if (failed.length > 0) {
+            throw new Error(failed[0].reason);
+          }
           return {
-            content: [{ type: 'text', text: `None of the ${dois.length} DOIs were found in Altmetric` }],
-            structuredContent: { total_queried: dois.length, found: 0, not_found: notFoundDois, results: [] },
+            content: [{ type: 'text', text: `None of the ${inputs.length} identifiers were found in Altmetric` }],
+            structuredContent: { total_queried: inputs.length, found: 0, not_found: notFound, mapping: {}, results: [] },
           };
         }
 
-        // Fetch attention data for all matched IDs
-        const idsData = await detailsRequest(`/v1/id/${altmetricIds.join(',')}`, {});
-
-        const altmetricIdToDoi = Object.fromEntries(
-          Object.entries(doiToAltmetricId).map(([doi, id]) => [id, doi])
-        );
-        const citations = idsData.results || [idsData];
-        const results = citations.map(c => ({
-          doi: altmetricIdToDoi[c.altmetric_id] || c.doi,
-          altmetric_id: c.altmetric_id,
-          title: c.title || 'Unknown title',
-          score: c.score || 0,
-          cited_by_accounts_count: c.cited_by_accounts_count || 0,
-          cited_by_posts_count: c.cited_by_posts_count || 0,
-          cited_by_tweeters_count: c.cited_by_tweeters_count || 0,
-          cited_by_msm_count: c.cited_by_msm_count || 0,
-          cited_by_feeds_count: c.cited_by_feeds_count || 0,
-          cited_by_fbwalls_count: c.cited_by_fbwalls_count || 0,
-          cited_by_policies_count: c.cited_by_policies_count || 0,
-          cited_by_wikipedia_count: c.cited_by_wikipedia_count || 0,
-        }));
+        // Every input that matched each Altmetric ID, so results keep the caller's own
+        // identifiers whatever their type.
+        const inputsByAltmetricId = {};
+        for (const [input, id] of Object.entries(inputToAltmetricId)) {
+          (inputsByAltmetricId[id] ||= []).push(input);
+        }
+        const results = citations.map(c => {
+          const matched = inputsByAltmetricId[String(c.altmetric_id)] || [];
+          const inputDoi = matched.find((input) => normalised.get(input).identifier_type === 'doi');
+          return {
+            doi: inputDoi ? normalised.get(inputDoi).identifier : c.doi,
+            altmetric_id: c.altmetric_id,
+            identifiers: matched.map((input) => ({ input, identifier_type: normalised.get(input).identifier_type })),
+            title: c.title || 'Unknown title',
+            score: c.score || 0,
+            cited_by_accounts_count: c.cited_by_accounts_count || 0,
+            cited_by_posts_count: c.cited_by_posts_count || 0,
+            cited_by_tweeters_count: c.cited_by_tweeters_count || 0,
+            cited_by_msm_count: c.cited_by_msm_count || 0,
+            cited_by_feeds_count: c.cited_by_feeds_count || 0,
+            cited_by_fbwalls_count: c.cited_by_fbwalls_count || 0,
+            cited_by_policies_count: c.cited_by_policies_count || 0,
+            cited_by_wikipedia_count: c.cited_by_wikipedia_count || 0,
+          };
+        });
 
-        const batchData = { found: Object.keys(doiToAltmetricId), not_found: notFoundDois, results };
+        const batchData = { found: Object.keys(inputToAltmetricId), not_found: notFound, failed, results };
 
         // Sort results based on sort_by parameter
         const sortKeyMap = {
@@ -418,13 +908,19 @@ function detailsPageTools(resolveDetails) {
         }));
 
         // Create human-readable summary
-        const totalQueried = dois.length;
+        const totalQueried = inputs.length;
         const totalFound = batchData.found.length;
         const totalNotFound = batchData.not_found.length;
+        const typeCounts = {};
+        for (const { identifier_type } of normalised.values()) {
+          const type = identifier_type || 'other';
+          typeCounts[type] = (typeCounts[type] || 0) + 1;
+        }
+        const typeText = Object.entries(typeCounts).map(([type, count]) => `${count} ${type}`).join(', ');
 
         let summary = `${UNTRUSTED_MARKER}\n`;
-        summary += `Batch attention data for ${totalQueried} DOIs\n`;
-        summary += `Found: ${totalFound}, Not found: ${totalNotFound}\n`;
+        summary += `Batch attention data for ${totalQueried} identifiers (${typeText})\n`;
+        summary += `Found: ${totalFound}, Not found: ${totalNotFound}${failed.length > 0 ? `, Not fetched: ${failed.length}` : ''}\n`;
         summary += `Sorted by: ${sort_by}\n\n`;
 
         if (batchData.results.length > 0) {
@@ -434,6 +930,7 @@ function detailsPageTools(resolveDetails) {
             summary += `${item.rank}. "${sanitizeUpstreamText(item.title)}" (Score: ${item.score})\n`;
           });
         }
+        summary += formatNotFetchedLine('Not fetched', failed);
 
         return {
           content: [{ type: 'text', text: summary }],
@@ -441,12 +938,128 @@ function detailsPageTools(resolveDetails) {
             total_queried: totalQueried,
             found: totalFound,
             not_found: batchData.not_found,
+            ...(failed.length > 0 ? { failed } : {}),
+            mapping: inputToAltmetricId,
             results: batchData.results,
           },
         };
       },
     },
 
+    benchmark_output: {
+      definition: {
+        name: 'benchmark_output',
+        description: `Put Altmetric Attention Scores in context: for one or more research outputs, report the percentile each score ranks at against all outputs, outputs in the same journal, outputs of a similar age, and outputs of a similar age in the same journal (from the Details Page API's context data), and rank the outputs on one of those percentiles rather than on raw scores, which are not comparable across fields and publication dates. Up to ${MAX_ATTENTION_RECORDS} outputs, one request each. Available with free tier API keys.`,
+        annotations: {
+          readOnlyHint: true,
+          idempotentHint: true,
+          openWorldHint: true,
+        },
+        inputSchema: {
+          type: 'object',
+          properties: {
+            identifiers: {
+              type: 'array',
+              items: { type: 'string' },
+              minItems: 1,
+              title: 'Identifiers',
+              description: `The research outputs to benchmark (e.g., ["10.1038/nature12373", "PMID: 23903748", "altmetric:241939"]). Any type get_citation_counts accepts; a bare number is read as a PubMed ID. At most ${MAX_ATTENTION_RECORDS}.`,
+            },
+            rank_by: {
+              type: 'string',
+              title: 'Rank By',
+              enum: SCORE_CONTEXTS.map(({ key }) => key),
+              description: 'The percentile to rank the outputs by: "all" outputs, same "journal", "similar_age" (default; outputs published around the same time) or "similar_age_journal".',
+              default: 'similar_age',
+            },
+          },
+          required: ['identifiers'],
+        },
+      },
+      handler: async (args) => {
+        const { rank_by: rankBy = 'similar_age' } = args;
+        const inputs = [...new Set(args.identifiers ?? [])];
+        if (inputs.length === 0 || inputs.length > MAX_ATTENTION_RECORDS) {
+          const message = inputs.length === 0
+            ? 'No identifiers provided'
+            : `Too many identifiers. Maximum is ${MAX_ATTENTION_RECORDS}.`;
+          return {
+            content: [{ type: 'text', text: message }],
+            structuredContent: { error: message },
+          };
+        }
+
+        const { found, notFound, failed } = await fetchAttentionRecords(detailsRequest, inputs, 'benchmark_output');
+        const benchmark = benchmarkOutputs(found, { rankBy });
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `${UNTRUSTED_MARKER}\n` +
+                (found.length > 0 ? describeBenchmark(benchmark) : `None of the ${inputs.length} outputs were found in Altmetric.`) +
+                formatNotFetchedLine('Not benchmarked', notFound) +
+                formatNotFetchedLine('Failed', failed),
+            },
+          ],
+          structuredContent: { ...benchmark, not_found: notFound, ...(failed.length > 0 ? { failed } : {}) },
+        };
+      },
+    },
+
+    analyze_score_history: {
+      definition: {
+        name: 'analyze_score_history',
+        description: `Show how attention to research outputs is moving: read the score history in each output's Details Page API record (score gained over the last day, week, month, 3 months, 6 months and year), work out the velocity of attention (score points per day over the last month against the two months before) and its acceleration, and classify each output as rising, steady or fading. Returns the series and per-period rates for every output plus a short narrative. Up to ${MAX_ATTENTION_RECORDS} outputs, one request each. Available with free tier API keys.`,
+        annotations: {
+          readOnlyHint: true,
+          idempotentHint: true,
+          openWorldHint: true,
+        },
+        inputSchema: {
+          type: 'object',
+          properties: {
+            identifiers: {
+              type: 'array',
+              items: { type: 'string' },
+              minItems: 1,
+              title: 'Identifiers',
+              description: `The research outputs to analyse (e.g., ["10.1038/nature12373", "arXiv:1501.00001"]). Any type get_citation_counts accepts; a bare number is read as a PubMed ID. At most ${MAX_ATTENTION_RECORDS}.`,
+            },
+          },
+          required: ['identifiers'],
+        },
+      },
+      handler: async (args) => {
+        const inputs = [...new Set(args.identifiers ?? [])];
+        if (inputs.length === 0 || inputs.length > MAX_ATTENTION_RECORDS) {
+          const message = inputs.length === 0
+            ? 'No identifiers provided'
+            : `Too many identifiers. Maximum is ${MAX_ATTENTION_RECORDS}.`;
+          return {
+            content: [{ type: 'text', text: message }],
+            structuredContent: { error: message },
+          };
+        }
+
+        const { found, notFound, failed } = await fetchAttentionRecords(detailsRequest, inputs, 'analyze_score_history');
+        const analysis = analyzeScoreHistory(found);
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `${UNTRUSTED_MARKER}\n` +
+                (found.length > 0 ? describeScoreHistory(analysis) : `None of the ${inputs.length} outputs were found in Altmetric.`) +
+                formatNotFetchedLine('Not analysed', notFound) +
+                formatNotFetchedLine('Failed', failed),
+            },
+          ],
+          structuredContent: { ...analysis, not_found: notFound, ...(failed.length > 0 ? { failed } : {}) },
+        };
+      },
+    },
+
     translate_identifiers: {
       definition: {
         name: 'translate_identifiers',
@@ -504,8 +1117,14 @@ function detailsPageTools(resolveDetails) {
   };
 }
 
-const EXPLORER_TIMEFRAMES = ['at', '1d', '3d', '1w', '1m', '3m', '6m', '1y'];
-const EXPLORER_SCOPES = ['all', 'institution'];
+export const EXPLORER_TIMEFRAMES = ['at', '1d', '3d', '1w', '1m', '3m', '6m', '1y'];
+export const EXPLORER_SCOPES = ['all', 'institution'];
+
+// Source keys accepted by get_citation_details' include_sources / exclude_sources.
+export const DETAILS_SOURCES = [
+  'facebook', 'blogs', 'linkedin', 'video', 'pinterest', 'gplus', 'twitter', 'bluesky', 'reddit',
+  'news', 'f1000', 'rh', 'qna', 'forum', 'peer_reviews', 'policy', 'guideline', 'patent', 'weibo',
+];
 
 const SHARED_FILTER_KEYS = [
   'q', 'scope', 'title', 'published_after', 'published_before', 'timeframe',
@@ -520,6 +1139,23 @@ const PAGINATION_KEY_MAP = {
   page_size: 'page[size]',
 };
 
+// Schema for the auto-pagination arguments, shared by the two endpoints that
+// support it (explore_research_outputs and explore_mentions).
+const AUTO_PAGINATION_PROPERTIES = {
+  all_pages: {
+    type: 'boolean',
+    description: `Fetch every page server-side and return one merged result instead of a single page (up to max_items, default ${DEFAULT_AUTO_PAGINATE_ITEMS}). Starts at page_number if given. Saves a tool call per page; the merged result is still trimmed to fit client size limits.`,
+  },
+  max_items: {
+    type: 'number',
+    description: `Cap on items merged when fetching all pages (1-${MAX_AUTO_PAGINATE_ITEMS}, default ${DEFAULT_AUTO_PAGINATE_ITEMS}). Setting it implies all_pages. When the cap stops the walk early the result carries a continuation token.`,
+  },
+  continuation: {
+    type: 'string',
+    description: 'Continuation token from a previous all_pages result (meta.pagination.continuation). Resumes exactly where that result stopped; pass the same filters again. Implies all_pages; do not combine with page_number or page_size.',
+  },
+};
+
 // The identifier_lists endpoint accepts up to 25,000 identifiers per list.
 const MAX_IDENTIFIER_LIST_SIZE = 25_000;
 
@@ -538,12 +1174,72 @@ function buildFilters(args, extraKeys = []) {
   return filters;
 }
 
+// Auto-pagination options for explore_research_outputs and explore_mentions.
+// Returns null in the default single-page mode; otherwise the fetchAllPages
+// options. A continuation token pins the start page and page size, so it is
+// mutually exclusive with page_number/page_size.
+function autoPaginationOptions(args) {
+  const { all_pages, max_items, continuation } = args;
+  if (!all_pages && max_items == null && continuation == null) return null;
+
+  if (max_items != null &&
+      (!Number.isInteger(max_items) || max_items < 1 || max_items > MAX_AUTO_PAGINATE_ITEMS)) {
+    throw new Error(`Invalid max_items: must be an integer between 1 and ${MAX_AUTO_PAGINATE_ITEMS}`);
+  }
+  const maxItems = max_items ?? DEFAULT_AUTO_PAGINATE_ITEMS;
+
+  if (continuation != null) {
+    if (args.page_number != null || args.page_size != null) {
+      throw new Error('Pass either continuation or page_number/page_size, not both');
+    }
+    const { page, pageSize, skip } = decodeContinuation(continuation);
+    return { startPage: page, pageSize, skip, maxItems };
+  }
+
+  if (args.page_number != null) validateFilterValue('page_number', args.page_number);
+  if (args.page_size != null) validateFilterValue('page_size', args.page_size);
+  return {
+    startPage: args.page_number || 1,
+    pageSize: args.page_size || MAX_PAGE_SIZE,
+    skip: 0,
+    maxItems,
+  };
+}
+
+// Fetch one page, or walk several when auto-pagination is requested. Paging
+// keys are set per page here, so `filters` must not already carry them.
+function fetchExplorerPages(explorerRequest, endpoint, filters, paging) {
+  if (!paging) return explorerRequest(endpoint, filters);
+  return fetchAllPages(
+    (pageNumber, pageSize) => explorerRequest(endpoint, {
+      ...filters,
+      'page[number]': pageNumber,
+      'page[size]': pageSize,
+    }),
+    paging,
+  );
+}
+
+// Summary lines describing an auto-paginated fetch, including how to resume
+// when the item cap stopped the walk early.
+function formatAutoPaginationLines(data, noun) {
+  const p = data.meta.pagination;
+  const total = data.meta?.response?.['total-results'];
+  const pages = p.first_page === p.last_page ? `page ${p.first_page}` : `pages ${p.first_page}-${p.last_page}`;
+  let text = `Fetched ${p.returned} ${noun} from ${pages} of ${p.total_pages} (page size ${p.page_size})\n` +
+    `Total matching ${noun}: ${total ?? p.returned}`;
+  if (p.continuation) {
+    text += `\nMore ${noun} available: call again with the same filters and continuation="${p.continuation}"`;
+  }
+  return text;
+}
+
 // Turn a raw `identifiers` array into a reusable identifier list and return
 // its id, so the Explorer read tools can be scoped to an arbitrary cohort
 // without the caller managing the intermediate list themselves. Returns null
 // when no identifiers were supplied. The underlying POST is idempotent (same
 // content -> same id), so the read tools stay effectively read-only.
-async function resolveIdentifierList(args, apiKey, apiSecret, baseUrl) {
+async function resolveIdentifierList(args, apiKey, apiSecret, baseUrl, options = {}) {
   const { identifiers } = args;
   if (identifiers == null) return null;
 
@@ -565,7 +1261,7 @@ async function resolveIdentifierList(args, apiKey, apiSecret, baseUrl) {
   // Join with newlines (not spaces) so the digest is unambiguous under
   // form-encoding - see makeExplorerIdentifierListRequest.
   const joined = identifiers.join('\n');
-  const response = await makeExplorerIdentifierListRequest(joined, apiKey, apiSecret, baseUrl);
+  const response = await makeExplorerIdentifierListRequest(joined, apiKey, apiSecret, baseUrl, options);
   const list = response.data || {};
   return { id: list.id, counts: list.counts || {} };
 }
@@ -573,26 +1269,176 @@ async function resolveIdentifierList(args, apiKey, apiSecret, baseUrl) {
 // One-line summary of which identifier types were recognised in a created
 // list, e.g. "Identifier list <id>: 2 dois, 1 altmetric_ids".
 function formatIdentifierListLine(list) {
-  const recognized = Object.entries(list.counts || {})
+  return `Identifier list ${list.id}: ${formatIdentifierCounts(list.counts)}\n`;
+}
+
+function formatIdentifierCounts(counts) {
+  const recognized = Object.entries(counts || {})
     .filter(([, count]) => count > 0)
     .map(([type, count]) => `${count} ${type}`)
     .join(', ');
-  return `Identifier list ${list.id}: ${recognized || 'no recognized identifiers'}\n`;
+  return recognized || 'no recognized identifiers';
 }
 
-function explorerTools(resolveExplorer) {
-  // Resolve credentials per call: static env creds under stdio, brokered per request under HTTP.
-  const explorerRequest = async (endpoint, filters = {}) => {
+// Filters accepted by the attention endpoint, shared by explore_attention_summary and
+// analyze_attention_trend (which analyses the same series). Copied into each schema,
+// since createTools adds per-tool properties to it.
+const ATTENTION_FILTER_PROPERTIES = {
+  q: {
+    type: 'string',
+    description: 'Search query for title, author name, editor name, or journal',
+  },
+  scope: {
+    type: 'string',
+    enum: EXPLORER_SCOPES,
+    description: 'Scope of search: all research or institutional only',
+  },
+  title: {
+    type: 'string',
+    description: 'Search specifically in titles',
+  },
+  published_after: {
+    type: 'string',
+    description: 'Filter by publication date (YYYY-MM-DD)',
+  },
+  published_before: {
+    type: 'string',
+    description: 'Filter by publication date (YYYY-MM-DD)',
+  },
+  timeframe: {
+    type: 'string',
+    enum: EXPLORER_TIMEFRAMES,
+    description: 'Timeframe for mentions',
+  },
+  orcid: {
+    type: 'string',
+    description: 'Filter by author ORCID identifier',
+  },
+  identifier_list_id: {
+    type: 'string',
+    description: 'Filter by the ID of an existing identifier list (created in the Altmetric Explorer UI, via the Identifier Lists API, or with create_identifier_list - whose list name is accepted here too). To scope a query to a raw list of identifiers without obtaining an ID first, use the `identifiers` parameter instead - it builds the list for you. Mutually exclusive with `identifiers`.',
+  },
+  identifiers: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'A raw list of scholarly identifiers to scope this query to (e.g., ["10.1038/nplants.2015.3", "altmetric:12345", "29317830"]). The server creates (or finds) an identifier list from these and applies it automatically. Supported types: DOI, Handle, ISBN, URI, URN, PubMed ID, arXiv ID, ADS Bibcode, RePEc ID, NCT ID, and Altmetric ID. Prefix Altmetric IDs with "altmetric:" to disambiguate them from PubMed IDs. Up to 25,000 identifiers. Mutually exclusive with `identifier_list_id`.',
+  },
+  researcher_id: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Filter by Dimensions Researcher ID (e.g., ["ur.015071462574.28"]). Shown in the researcher\'s Dimensions profile URL.',
+  },
+  grant_id: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Filter by Dimensions grant ID (e.g., ["grant.13864430"]). Shown in the grant\'s Dimensions URL.',
+  },
+  type: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Filter by research output type (e.g., ["article", "dataset"])',
+  },
+  open_access_types: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Filter by access status (e.g., ["closed", "oa_all", "bronze", "green", "gold", "hybrid"])',
+  },
+  journal_id: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Filter by journal IDs',
+  },
+  doi_prefix: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Filter by DOI prefix (e.g., ["10.1013"])',
+  },
+  author_id: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Filter by author IDs from your Explorer instance',
+  },
+  department_id: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Filter by department IDs from your Explorer instance',
+  },
+  publisher_id: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Filter by publisher IDs (UUIDs)',
+  },
+  funders: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Filter by funder GRID IDs',
+  },
+  handle_prefix: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Filter by Handle.net prefix',
+  },
+  affiliations: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Filter by affiliation GRID IDs',
+  },
+  field_of_research_codes: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Filter by field of research codes',
+  },
+  sustainable_development_goals: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Filter by UN Sustainable Development Goal numbers',
+  },
+  order: {
+    type: 'string',
+    description: 'Sort order (e.g., "score_desc", "publication_date_asc", "msm", "twitter")',
+  },
+};
+
+// compare_cohorts: each cohort takes the attention filters; a sort order means nothing
+// to the aggregate endpoints it calls.
+const { order: _order, ...COHORT_FILTER_PROPERTIES } = ATTENTION_FILTER_PROPERTIES;
+const DEMOGRAPHICS_SOURCES = ['tweet', 'fbwall', 'msm', 'policy', 'guideline'];
+const SENTIMENT_BASES = ['mentions', 'outputs'];
+// Cohorts fetched at once; each makes four requests in parallel.
+const COHORT_CONCURRENCY = 2;
+
+// Same per-call credential resolution as detailsRequester.
+function explorerRequester(resolveExplorer, requestOptions) {
+  return async (endpoint, filters = {}) => {
     const { apiKey, apiSecret, baseUrl } = await resolveExplorer();
-    return makeExplorerApiRequest(endpoint, filters, apiKey, apiSecret, baseUrl);
+    return makeExplorerApiRequest(endpoint, filters, apiKey, apiSecret, baseUrl, upstreamOptions(requestOptions));
   };
+}
 
-  // Same per-call resolution for identifier-list creation, so the read tools
-  // can scope to an ad-hoc cohort under either transport.
-  const resolveList = async (args) => {
+// Same per-call resolution for identifier-list creation, so the read tools
+// can scope to an ad-hoc cohort under either transport.
+// Every list created here is recorded in the session registry, and an
+// identifier_list_id naming a list from create_identifier_list resolves to its id.
+function identifierListResolver(resolveExplorer, requestOptions, identifierLists) {
+  return async (args) => {
     const { apiKey, apiSecret, baseUrl } = await resolveExplorer();
-    return resolveIdentifierList(args, apiKey, apiSecret, baseUrl);
+    const list = await resolveIdentifierList(args, apiKey, apiSecret, baseUrl, upstreamOptions(requestOptions));
+    if (list) {
+      identifierLists.record({
+        ...list,
+        submitted: args.identifiers.length,
+        unrecognized: findUnrecognizedIdentifiers(args.identifiers),
+      });
+      return list;
+    }
+    const named = args.identifier_list_id != null ? identifierLists.find(args.identifier_list_id) : null;
+    return named && named.name === args.identifier_list_id ? { id: named.id, counts: named.counts } : null;
   };
+}
+
+function explorerTools(resolveExplorer, requestOptions, identifierLists) {
+  const explorerRequest = explorerRequester(resolveExplorer, requestOptions);
+  const resolveList = identifierListResolver(resolveExplorer, requestOptions, identifierLists);
 
   return {
     explore_research_outputs: {
@@ -639,7 +1485,7 @@ function explorerTools(resolveExplorer) {
             },
             identifier_list_id: {
               type: 'string',
-              description: 'Filter by the ID of an existing identifier list (created in the Altmetric Explorer UI or via the Identifier Lists API). To scope a query to a raw list of identifiers without obtaining an ID first, use the `identifiers` parameter instead - it builds the list for you. Mutually exclusive with `identifiers`.',
+              description: 'Filter by the ID of an existing identifier list (created in the Altmetric Explorer UI, via the Identifier Lists API, or with create_identifier_list - whose list name is accepted here too). To scope a query to a raw list of identifiers without obtaining an ID first, use the `identifiers` parameter instead - it builds the list for you. Mutually exclusive with `identifiers`.',
             },
             identifiers: {
               type: 'array',
@@ -728,14 +1574,16 @@ function explorerTools(resolveExplorer) {
               type: 'number',
               description: 'Results per page (max: 100, default: 25)',
             },
+            ...AUTO_PAGINATION_PROPERTIES,
           },
         },
       },
       handler: async (args) => {
+        const paging = autoPaginationOptions(args);
         const list = await resolveList(args);
-        const filters = buildFilters(list ? { ...args, identifier_list_id: list.id } : args, ['page_number', 'page_size']);
+        const filters = buildFilters(list ? { ...args, identifier_list_id: list.id } : args, paging ? [] : ['page_number', 'page_size']);
 
-        const data = await explorerRequest('/explorer/api/research_outputs', filters);
+        const data = await fetchExplorerPages(explorerRequest, '/explorer/api/research_outputs', filters, paging);
 
         // Create human-readable summary
         const resultsCount = data.data ? data.data.length : 0;
@@ -747,8 +1595,10 @@ function explorerTools(resolveExplorer) {
 
         const summary = (list ? formatIdentifierListLine(list) : '') +
           `Research outputs${queryText}${scopeText}\n` +
-          `Showing ${resultsCount} results on page ${currentPage} of ${totalPages}\n` +
-          `Total matching outputs: ${totalCount}`;
+          (paging
+            ? formatAutoPaginationLines(data, 'outputs')
+            : `Showing ${resultsCount} results on page ${currentPage} of ${totalPages}\n` +
+              `Total matching outputs: ${totalCount}`);
 
         return {
           content: [
@@ -773,149 +1623,100 @@ function explorerTools(resolveExplorer) {
         },
         inputSchema: {
           type: 'object',
-          properties: {
-            q: {
-              type: 'string',
-              description: 'Search query for title, author name, editor name, or journal',
-            },
-            scope: {
-              type: 'string',
-              enum: EXPLORER_SCOPES,
-              description: 'Scope of search: all research or institutional only',
+          properties: { ...ATTENTION_FILTER_PROPERTIES },
+        },
+      },
+      handler: async (args) => {
+        const list = await resolveList(args);
+        const filters = buildFilters(list ? { ...args, identifier_list_id: list.id } : args);
+
+        const data = await explorerRequest('/explorer/api/research_outputs/attention', filters);
+
+        // Create human-readable summary
+        const sourcesCount = data.data ? data.data.length : 0;
+        const totalMentions = data.meta?.response?.['total-mentions'] || 0;
+        const queryText = args.q ? ` for query "${args.q}"` : '';
+        const scopeText = args.scope ? ` (scope: ${args.scope})` : '';
+        const timeText = args.timeframe ? ` in timeframe: ${args.timeframe}` : '';
+
+        const summary = (list ? formatIdentifierListLine(list) : '') +
+          `Attention summary${queryText}${scopeText}${timeText}\n` +
+          `${sourcesCount} attention sources tracked\n` +
+          `Aggregated mention data by source and date included in structured data`;
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: summary,
             },
-            title: {
-              type: 'string',
-              description: 'Search specifically in titles',
-            },
-            published_after: {
-              type: 'string',
-              description: 'Filter by publication date (YYYY-MM-DD)',
-            },
-            published_before: {
-              type: 'string',
-              description: 'Filter by publication date (YYYY-MM-DD)',
-            },
-            timeframe: {
-              type: 'string',
-              enum: EXPLORER_TIMEFRAMES,
-              description: 'Timeframe for mentions',
-            },
-            orcid: {
-              type: 'string',
-              description: 'Filter by author ORCID identifier',
-            },
-            identifier_list_id: {
+          ],
+          structuredContent: data,
+        };
+      },
+    },
+
+    analyze_attention_trend: {
+      definition: {
+        name: 'analyze_attention_trend',
+        description: 'Analyse how attention to the research outputs matching your query changes over time. Fetches the same data as explore_attention_summary (mentions by source and date, same filters), buckets it by day, week or month, and computes per source and overall: mentions per bucket, growth from the previous bucket, a rolling average, spikes (buckets well above the preceding baseline), the peak, and whether attention is rising, falling or steady. Returns a short narrative plus the derived series: the bucket periods, the combined figures in total, and one entry per source in data, largest first. Requires Explorer API credentials.',
+        annotations: {
+          readOnlyHint: true,
+          idempotentHint: true,
+          openWorldHint: true,
+        },
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ...ATTENTION_FILTER_PROPERTIES,
+            interval: {
               type: 'string',
-              description: 'Filter by the ID of an existing identifier list (created in the Altmetric Explorer UI or via the Identifier Lists API). To scope a query to a raw list of identifiers without obtaining an ID first, use the `identifiers` parameter instead - it builds the list for you. Mutually exclusive with `identifiers`.',
-            },
-            identifiers: {
-              type: 'array',
-              items: { type: 'string' },
-              description: 'A raw list of scholarly identifiers to scope this query to (e.g., ["10.1038/nplants.2015.3", "altmetric:12345", "29317830"]). The server creates (or finds) an identifier list from these and applies it automatically. Supported types: DOI, Handle, ISBN, URI, URN, PubMed ID, arXiv ID, ADS Bibcode, RePEc ID, NCT ID, and Altmetric ID. Prefix Altmetric IDs with "altmetric:" to disambiguate them from PubMed IDs. Up to 25,000 identifiers. Mutually exclusive with `identifier_list_id`.',
-            },
-            researcher_id: {
-              type: 'array',
-              items: { type: 'string' },
-              description: 'Filter by Dimensions Researcher ID (e.g., ["ur.015071462574.28"]). Shown in the researcher\'s Dimensions profile URL.',
-            },
-            grant_id: {
-              type: 'array',
-              items: { type: 'string' },
-              description: 'Filter by Dimensions grant ID (e.g., ["grant.13864430"]). Shown in the grant\'s Dimensions URL.',
-            },
-            type: {
-              type: 'array',
-              items: { type: 'string' },
-              description: 'Filter by research output type (e.g., ["article", "dataset"])',
-            },
-            open_access_types: {
-              type: 'array',
-              items: { type: 'string' },
-              description: 'Filter by access status (e.g., ["closed", "oa_all", "bronze", "green", "gold", "hybrid"])',
-            },
-            journal_id: {
-              type: 'array',
-              items: { type: 'string' },
-              description: 'Filter by journal IDs',
-            },
-            doi_prefix: {
-              type: 'array',
-              items: { type: 'string' },
-              description: 'Filter by DOI prefix (e.g., ["10.1013"])',
-            },
-            author_id: {
-              type: 'array',
-              items: { type: 'string' },
-              description: 'Filter by author IDs from your Explorer instance',
-            },
-            department_id: {
-              type: 'array',
-              items: { type: 'string' },
-              description: 'Filter by department IDs from your Explorer instance',
-            },
-            publisher_id: {
-              type: 'array',
-              items: { type: 'string' },
-              description: 'Filter by publisher IDs (UUIDs)',
-            },
-            funders: {
-              type: 'array',
-              items: { type: 'string' },
-              description: 'Filter by funder GRID IDs',
+              enum: TREND_INTERVALS,
+              description: `Bucket size for the series. Prefer "week" or "month" for long timeframes; at most ${MAX_TREND_BUCKETS} buckets. Default "week".`,
+              default: 'week',
             },
-            handle_prefix: {
-              type: 'array',
-              items: { type: 'string' },
-              description: 'Filter by Handle.net prefix',
-            },
-            affiliations: {
-              type: 'array',
-              items: { type: 'string' },
-              description: 'Filter by affiliation GRID IDs',
-            },
-            field_of_research_codes: {
-              type: 'array',
-              items: { type: 'string' },
-              description: 'Filter by field of research codes',
-            },
-            sustainable_development_goals: {
-              type: 'array',
-              items: { type: 'string' },
-              description: 'Filter by UN Sustainable Development Goal numbers',
-            },
-            order: {
-              type: 'string',
-              description: 'Sort order (e.g., "score_desc", "publication_date_asc", "msm", "twitter")',
+            rolling_window: {
+              type: 'integer',
+              minimum: 2,
+              maximum: 12,
+              description: `Number of buckets in the rolling average, in the baseline a spike is measured against, and in each half of the rising/falling comparison. Default ${DEFAULT_ROLLING_WINDOW}.`,
+              default: DEFAULT_ROLLING_WINDOW,
             },
           },
         },
       },
       handler: async (args) => {
+        const { interval = 'week', rolling_window: window = DEFAULT_ROLLING_WINDOW } = args;
         const list = await resolveList(args);
         const filters = buildFilters(list ? { ...args, identifier_list_id: list.id } : args);
 
         const data = await explorerRequest('/explorer/api/research_outputs/attention', filters);
+        const analysis = analyzeAttentionTrend(data, { interval, window });
 
-        // Create human-readable summary
-        const sourcesCount = data.data ? data.data.length : 0;
-        const totalMentions = data.meta?.response?.['total-mentions'] || 0;
         const queryText = args.q ? ` for query "${args.q}"` : '';
         const scopeText = args.scope ? ` (scope: ${args.scope})` : '';
         const timeText = args.timeframe ? ` in timeframe: ${args.timeframe}` : '';
+        const heading = (list ? formatIdentifierListLine(list) : '') +
+          `Attention trend${queryText}${scopeText}${timeText}\n`;
 
-        const summary = (list ? formatIdentifierListLine(list) : '') +
-          `Attention summary${queryText}${scopeText}${timeText}\n` +
-          `${sourcesCount} attention sources tracked\n` +
-          `Aggregated mention data by source and date included in structured data`;
+        if (!analysis) {
+          return {
+            content: [{ type: 'text', text: `${heading}No mentions by date were returned for this query.` }],
+            structuredContent: { interval, rolling_window: window, buckets: 0, periods: [], total: null, data: [] },
+          };
+        }
 
+        // The sources go in data[] so an oversized result sheds the smallest ones
+        // (lib/output-limits.js) rather than the whole analysis.
+        const { sources, ...overall } = analysis;
         return {
           content: [
             {
               type: 'text',
-              text: summary,
+              text: `${heading}${describeAttentionTrend(analysis)}`,
             },
           ],
-          structuredContent: data,
+          structuredContent: { ...overall, data: sources },
         };
       },
     },
@@ -977,7 +1778,7 @@ function explorerTools(resolveExplorer) {
             },
             identifier_list_id: {
               type: 'string',
-              description: 'Filter by the ID of an existing identifier list (created in the Altmetric Explorer UI or via the Identifier Lists API). To scope a query to a raw list of identifiers without obtaining an ID first, use the `identifiers` parameter instead - it builds the list for you. Mutually exclusive with `identifiers`.',
+              description: 'Filter by the ID of an existing identifier list (created in the Altmetric Explorer UI, via the Identifier Lists API, or with create_identifier_list - whose list name is accepted here too). To scope a query to a raw list of identifiers without obtaining an ID first, use the `identifiers` parameter instead - it builds the list for you. Mutually exclusive with `identifiers`.',
             },
             identifiers: {
               type: 'array',
@@ -1070,18 +1871,20 @@ function explorerTools(resolveExplorer) {
               type: 'boolean',
               description: 'Whether to embed related objects (the mention author profile, journal, and the full mentioned research-output records) in the response. Defaults to false to keep responses small. When true the response embeds, for every mention, the full referenced research-output records (title, per-source and historical mention counts, Attention Score, sentiment totals) plus author profiles and journals - a large block that can exceed client size limits on busy queries; otherwise the related objects appear only as id/type references. Set true only when you specifically need that related data.',
             },
+            ...AUTO_PAGINATION_PROPERTIES,
           },
         },
       },
       handler: async (args) => {
+        const paging = autoPaginationOptions(args);
         const list = await resolveList(args);
-        const filters = buildFilters(list ? { ...args, identifier_list_id: list.id } : args, ['mentioned_after', 'mentioned_before', 'countries', 'page_number', 'page_size']);
+        const filters = buildFilters(list ? { ...args, identifier_list_id: list.id } : args, ['mentioned_after', 'mentioned_before', 'countries', ...(paging ? [] : ['page_number', 'page_size'])]);
         // Suppress the JSON:API `included` block by default (sending include=);
         // it embeds full research-output records per mention and is the main
         // driver of oversized responses. include_related=true restores it.
         if (!args.include_related) filters.include = '';
 
-        const data = await explorerRequest('/explorer/api/research_outputs/mentions', filters);
+        const data = await fetchExplorerPages(explorerRequest, '/explorer/api/research_outputs/mentions', filters, paging);
 
         // Create human-readable summary
         const mentionsCount = data.data ? data.data.length : 0;
@@ -1092,8 +1895,10 @@ function explorerTools(resolveExplorer) {
 
         const summary = (list ? formatIdentifierListLine(list) : '') +
           `Individual mentions${queryText}\n` +
-          `Showing ${mentionsCount} mentions on page ${currentPage} of ${totalPages}\n` +
-          `Total mentions: ${totalCount}`;
+          (paging
+            ? formatAutoPaginationLines(data, 'mentions')
+            : `Showing ${mentionsCount} mentions on page ${currentPage} of ${totalPages}\n` +
+              `Total mentions: ${totalCount}`);
 
         return {
           content: [
@@ -1107,6 +1912,177 @@ function explorerTools(resolveExplorer) {
       },
     },
 
+    summarize_sentiment: {
+      definition: {
+        name: 'summarize_sentiment',
+        description: `Roll up the sentiment of the mentions of research outputs matching your query. Walks the pages of mentions (or research outputs) server-side, up to max_items, and aggregates their seven-point sentiment into a distribution, a mean score from -3 to +3 and negative/neutral/positive shares - overall, by source, by country and by day, week or month - and flags outputs with unusually negative reception (mostly negative, or well below the other outputs; ${MIN_SCORED_FOR_FLAG}+ scored mentions). basis "outputs" uses each output's sentiment totals instead: complete per output, but with no source, country or date breakdown. Sentiment is computed for X and Bluesky mentions only. Requires Explorer API credentials.`,
+        annotations: {
+          readOnlyHint: true,
+          idempotentHint: true,
+          openWorldHint: true,
+        },
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ...ATTENTION_FILTER_PROPERTIES,
+            mentioned_after: {
+              type: 'string',
+              description: 'Only mentions posted after this date (YYYY-MM-DD). basis "mentions" only.',
+            },
+            mentioned_before: {
+              type: 'string',
+              description: 'Only mentions posted before this date (YYYY-MM-DD). basis "mentions" only.',
+            },
+            basis: {
+              type: 'string',
+              enum: SENTIMENT_BASES,
+              description: 'What to aggregate: "mentions" (default) scores each fetched mention, with source, country and time breakdowns; "outputs" sums each fetched research output\'s sentiment totals, which cover all its mentions.',
+              default: 'mentions',
+            },
+            interval: {
+              type: 'string',
+              enum: TREND_INTERVALS,
+              description: 'Time bucket for the breakdown over time (basis "mentions"). Default "week".',
+              default: 'week',
+            },
+            max_items: {
+              type: 'integer',
+              minimum: 1,
+              maximum: MAX_AUTO_PAGINATE_ITEMS,
+              description: `How many mentions (or outputs) to fetch and aggregate, from the first page on (default ${DEFAULT_AUTO_PAGINATE_ITEMS}, at most ${MAX_AUTO_PAGINATE_ITEMS}). The result says when more matched.`,
+              default: DEFAULT_AUTO_PAGINATE_ITEMS,
+            },
+          },
+        },
+      },
+      handler: async (args) => {
+        const { basis = 'mentions', interval = 'week', max_items: maxItems = DEFAULT_AUTO_PAGINATE_ITEMS } = args;
+        const list = await resolveList(args);
+        const scoped = list ? { ...args, identifier_list_id: list.id } : args;
+        const filters = buildFilters(scoped, basis === 'mentions' ? ['mentioned_after', 'mentioned_before'] : []);
+        // Only the records' own attributes are read; leave the related objects out.
+        if (basis === 'mentions') filters.include = '';
+
+        const endpoint = basis === 'mentions' ? '/explorer/api/research_outputs/mentions' : '/explorer/api/research_outputs';
+        const data = await fetchExplorerPages(explorerRequest, endpoint, filters, { startPage: 1, pageSize: MAX_PAGE_SIZE, skip: 0, maxItems });
+        const summary = summarizeSentiment(data.data ?? [], { basis, interval });
+        const matching = data.meta?.response?.['total-results'] ?? summary.analysed;
+
+        const queryText = args.q ? ` for query "${args.q}"` : '';
+        const scopeText = args.scope ? ` (scope: ${args.scope})` : '';
+        const timeText = args.timeframe ? ` in timeframe: ${args.timeframe}` : '';
+        const coverage = matching > summary.analysed
+          ? `\nBased on the first ${summary.analysed} of ${matching} matching ${basis}; raise max_items (up to ${MAX_AUTO_PAGINATE_ITEMS}) or narrow the filters to cover more.`
+          : '';
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: (list ? formatIdentifierListLine(list) : '') +
+                `${UNTRUSTED_MARKER}\nSentiment${queryText}${scopeText}${timeText}\n${describeSentiment(summary)}${coverage}`,
+            },
+          ],
+          structuredContent: { ...summary, matching },
+        };
+      },
+    },
+
+    analyze_top_mentioners: {
+      definition: {
+        name: 'analyze_top_mentioners',
+        description: `Find the accounts, outlets and policy bodies driving attention to the research outputs matching your query. Walks the pages of mentions server-side, up to max_items, groups them by author or source (from the mention's relationships and, with include_profiles, the embedded author profiles) and ranks the mentioners by mention count, reach (followers) or the number of distinct outputs they mentioned. Returns a ranked table with each mentioner's profile type, counts, reach and first/last mention dates. Unlike explore_mention_sources, which ranks sources by mention count over all matching mentions, this covers only the mentions fetched but can rank by reach and by breadth. Requires Explorer API credentials.`,
+        annotations: {
+          readOnlyHint: true,
+          idempotentHint: true,
+          openWorldHint: true,
+        },
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ...ATTENTION_FILTER_PROPERTIES,
+            mentioned_after: {
+              type: 'string',
+              description: 'Only mentions posted after this date (YYYY-MM-DD)',
+            },
+            mentioned_before: {
+              type: 'string',
+              description: 'Only mentions posted before this date (YYYY-MM-DD)',
+            },
+            rank_by: {
+              type: 'string',
+              enum: MENTIONER_RANKINGS,
+              description: 'How to rank mentioners: "mentions" (default) by how many of the fetched mentions they posted, "reach" by follower count, "outputs" by how many distinct research outputs they mentioned.',
+              default: 'mentions',
+            },
+            profile_types: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Only rank mentioners of these profile or source types (e.g., ["news", "policy"], ["tweet"]).',
+            },
+            limit: {
+              type: 'integer',
+              minimum: 1,
+              maximum: MAX_MENTIONERS,
+              description: `How many mentioners to return (default 20, at most ${MAX_MENTIONERS}).`,
+              default: 20,
+            },
+            include_profiles: {
+              type: 'boolean',
+              description: 'Fetch the mentions with their related objects, so names, profile types and follower counts come from the author profiles (default true). They are read server-side and not returned. Set false for a faster, lighter walk that relies on the mentions\' own author fields, which may lack follower counts.',
+              default: true,
+            },
+            max_items: {
+              type: 'integer',
+              minimum: 1,
+              maximum: MAX_AUTO_PAGINATE_ITEMS,
+              description: `How many mentions to fetch and group, from the first page on (default ${DEFAULT_AUTO_PAGINATE_ITEMS}, at most ${MAX_AUTO_PAGINATE_ITEMS}). The result says when more matched.`,
+              default: DEFAULT_AUTO_PAGINATE_ITEMS,
+            },
+          },
+        },
+      },
+      handler: async (args) => {
+        const {
+          rank_by: rankBy = 'mentions',
+          limit = 20,
+          include_profiles: includeProfiles = true,
+          max_items: maxItems = DEFAULT_AUTO_PAGINATE_ITEMS,
+        } = args;
+        const list = await resolveList(args);
+        const filters = buildFilters(list ? { ...args, identifier_list_id: list.id } : args, ['mentioned_after', 'mentioned_before']);
+        if (!includeProfiles) filters.include = '';
+
+        const data = await fetchExplorerPages(explorerRequest, '/explorer/api/research_outputs/mentions', filters, { startPage: 1, pageSize: MAX_PAGE_SIZE, skip: 0, maxItems });
+        const ranking = rankMentioners(data, { rankBy, limit, types: args.profile_types });
+        const matching = data.meta?.response?.['total-results'] ?? ranking.analysed;
+
+        const queryText = args.q ? ` for query "${args.q}"` : '';
+        const scopeText = args.scope ? ` (scope: ${args.scope})` : '';
+        const timeText = args.timeframe ? ` in timeframe: ${args.timeframe}` : '';
+        const notes = [
+          matching > ranking.analysed
+            ? `Based on the first ${ranking.analysed} of ${matching} matching mentions; raise max_items (up to ${MAX_AUTO_PAGINATE_ITEMS}) or narrow the filters to cover more.`
+            : null,
+          !includeProfiles && ranking.with_reach === 0 && ranking.top.length > 0
+            ? 'Set include_profiles to read follower counts from the author profiles.'
+            : null,
+        ].filter(Boolean);
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: (list ? formatIdentifierListLine(list) : '') +
+                `${UNTRUSTED_MARKER}\nTop mentioners${queryText}${scopeText}${timeText}\n${describeMentioners(ranking)}` +
+                notes.map((note) => `\n${note}`).join(''),
+            },
+          ],
+          structuredContent: { ...ranking, matching },
+        };
+      },
+    },
+
     explore_demographics: {
       definition: {
         name: 'explore_demographics',
@@ -1121,7 +2097,7 @@ function explorerTools(resolveExplorer) {
           properties: {
             filter: {
               type: 'string',
-              enum: ['tweet', 'fbwall', 'msm', 'policy', 'guideline'],
+              enum: DEMOGRAPHICS_SOURCES,
               description: 'Demographic source to view. Defaults to X (tweet) if not specified.',
             },
             q: {
@@ -1156,7 +2132,7 @@ function explorerTools(resolveExplorer) {
             },
             identifier_list_id: {
               type: 'string',
-              description: 'Filter by the ID of an existing identifier list (created in the Altmetric Explorer UI or via the Identifier Lists API). To scope a query to a raw list of identifiers without obtaining an ID first, use the `identifiers` parameter instead - it builds the list for you. Mutually exclusive with `identifiers`.',
+              description: 'Filter by the ID of an existing identifier list (created in the Altmetric Explorer UI, via the Identifier Lists API, or with create_identifier_list - whose list name is accepted here too). To scope a query to a raw list of identifiers without obtaining an ID first, use the `identifiers` parameter instead - it builds the list for you. Mutually exclusive with `identifiers`.',
             },
             identifiers: {
               type: 'array',
@@ -1323,7 +2299,7 @@ function explorerTools(resolveExplorer) {
             },
             identifier_list_id: {
               type: 'string',
-              description: 'Filter by the ID of an existing identifier list (created in the Altmetric Explorer UI or via the Identifier Lists API). To scope a query to a raw list of identifiers without obtaining an ID first, use the `identifiers` parameter instead - it builds the list for you. Mutually exclusive with `identifiers`.',
+              description: 'Filter by the ID of an existing identifier list (created in the Altmetric Explorer UI, via the Identifier Lists API, or with create_identifier_list - whose list name is accepted here too). To scope a query to a raw list of identifiers without obtaining an ID first, use the `identifiers` parameter instead - it builds the list for you. Mutually exclusive with `identifiers`.',
             },
             identifiers: {
               type: 'array',
@@ -1497,7 +2473,7 @@ function explorerTools(resolveExplorer) {
             },
             identifier_list_id: {
               type: 'string',
-              description: 'Filter by the ID of an existing identifier list (created in the Altmetric Explorer UI or via the Identifier Lists API). To scope a query to a raw list of identifiers without obtaining an ID first, use the `identifiers` parameter instead - it builds the list for you. Mutually exclusive with `identifiers`.',
+              description: 'Filter by the ID of an existing identifier list (created in the Altmetric Explorer UI, via the Identifier Lists API, or with create_identifier_list - whose list name is accepted here too). To scope a query to a raw list of identifiers without obtaining an ID first, use the `identifiers` parameter instead - it builds the list for you. Mutually exclusive with `identifiers`.',
             },
             identifiers: {
               type: 'array',
@@ -1608,5 +2584,651 @@ function explorerTools(resolveExplorer) {
         };
       },
     },
+
+    compare_cohorts: {
+      definition: {
+        name: 'compare_cohorts',
+        description: `Compare the attention of two to ${MAX_COHORTS} cohorts of research outputs side by side - e.g. two departments, or this year's outputs against last year's. Each cohort is a named set of the usual Explorer filters (including identifiers). For each one the tool fetches the number of matching outputs, mentions by source (as explore_attention_summary), the mention sources (as explore_mention_sources) and the countries mentions come from (as explore_demographics). It returns totals, mentions per source, and every count per research output, with deltas against the first cohort. Makes four Explorer requests per cohort. Requires Explorer API credentials.`,
+        annotations: {
+          readOnlyHint: true,
+          idempotentHint: true,
+          openWorldHint: true,
+        },
+        inputSchema: {
+          type: 'object',
+          properties: {
+            cohorts: {
+              type: 'array',
+              minItems: 2,
+              maxItems: MAX_COHORTS,
+              description: 'The cohorts to compare, baseline first. Each has a name and the Explorer filters that select it, e.g. [{"name": "Biology", "department_id": ["d1"]}, {"name": "Chemistry", "department_id": ["d2"]}].',
+              items: {
+                type: 'object',
+                properties: {
+                  name: {
+                    type: 'string',
+                    minLength: 1,
+                    maxLength: 80,
+                    description: 'Label for this cohort in the comparison (must be unique)',
+                  },
+                  ...COHORT_FILTER_PROPERTIES,
+                },
+                required: ['name'],
+                additionalProperties: false,
+              },
+            },
+            shared_filters: {
+              type: 'object',
+              description: 'Filters applied to every cohort, e.g. {"timeframe": "1y", "scope": "institution"}. A cohort\'s own value for the same filter wins.',
+              properties: { ...COHORT_FILTER_PROPERTIES },
+              additionalProperties: false,
+            },
+            demographics_source: {
+              type: 'string',
+              enum: DEMOGRAPHICS_SOURCES,
+              description: 'Which mentions the country breakdown covers (as explore_demographics\' filter). Defaults to X (tweet).',
+              default: 'tweet',
+            },
+          },
+          required: ['cohorts'],
+        },
+      },
+      handler: async (args) => {
+        const { cohorts, shared_filters: shared = {}, demographics_source: demographicsSource = 'tweet' } = args;
+        const names = cohorts.map(({ name }) => name);
+        const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+        if (duplicate !== undefined) {
+          const message = `Cohort names must be unique; "${duplicate}" is used more than once.`;
+          return {
+            content: [{ type: 'text', text: message }],
+            structuredContent: { error: message },
+          };
+        }
+
+        const summaries = await mapWithConcurrency(cohorts, COHORT_CONCURRENCY, async ({ name, ...own }) => {
+          const cohortArgs = { ...shared, ...own };
+          const list = await resolveList(cohortArgs);
+          const filters = buildFilters(list ? { ...cohortArgs, identifier_list_id: list.id } : cohortArgs);
+          const [outputs, attention, mentionSources, demographics] = await Promise.all([
+            explorerRequest('/explorer/api/research_outputs', { ...filters, 'page[size]': 1 }),
+            explorerRequest('/explorer/api/research_outputs/attention', filters),
+            explorerRequest('/explorer/api/research_outputs/mention_sources', { ...filters, 'page[size]': 5, include: '' }),
+            explorerRequest('/explorer/api/research_outputs/demographics', { ...filters, filter: demographicsSource }),
+          ]);
+          const summary = summarizeCohort(name, { outputs, attention, mentionSources, demographics });
+          return list ? { ...summary, identifier_list: list } : summary;
+        });
+
+        const comparison = compareCohorts(summaries);
+        const listLines = summaries
+          .filter((cohort) => cohort.identifier_list)
+          .map((cohort) => `${cohort.name}: ${formatIdentifierListLine(cohort.identifier_list)}`)
+          .join('');
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `${listLines}${UNTRUSTED_MARKER}\n${describeComparison(comparison, demographicsSource)}`,
+            },
+          ],
+          structuredContent: { demographics_source: demographicsSource, ...comparison },
+        };
+      },
+    },
+  };
+}
+
+// How many unrecognised identifiers the identifier list tools spell out in their summary.
+const MAX_LISTED_UNRECOGNIZED = 20;
+
+function identifierListLabel(entry) {
+  return entry.name ? `"${entry.name}" (${entry.id})` : entry.id;
+}
+
+// Summary lines for a registry entry: the recognised counts, then what was not recognised.
+function describeIdentifierList(entry) {
+  let text = `Identifier list ${identifierListLabel(entry)}: ${formatIdentifierCounts(entry.counts)}\n`;
+  if (entry.submitted != null) {
+    text += `${entry.submitted} identifiers submitted; ${entry.unrecognized_total || 'none'} not recognised`;
+    text += entry.unrecognized_total ? ':\n' : '\n';
+    for (const { identifier, reason } of entry.unrecognized.slice(0, MAX_LISTED_UNRECOGNIZED)) {
+      text += `- ${sanitizeUpstreamText(identifier, 200)} (${reason})\n`;
+    }
+    if (entry.unrecognized_total > MAX_LISTED_UNRECOGNIZED) {
+      text += `- …and ${entry.unrecognized_total - MAX_LISTED_UNRECOGNIZED} more\n`;
+    }
+  }
+  return text;
+}
+
+// Explicit identifier list management (see lib/identifier-lists.js). Creating a list is
+// the same idempotent POST the read tools make for `identifiers`, so it is safe to retry;
+// the list is then recorded in this caller's registry under the given name.
+function identifierListTools(resolveExplorer, requestOptions, identifierLists) {
+  return {
+    create_identifier_list: {
+      definition: {
+        name: 'create_identifier_list',
+        description: `Create (or find) a named Explorer identifier list from an array of identifiers or the pasted contents of a text/CSV file, and report which identifiers could not be recognised. Pass the name (or the returned id) as identifier_list_id to any Explorer tool to scope it to the list for the rest of the session. Supported types: DOI, Handle, ISBN, URI, URN, PubMed ID, arXiv ID, ADS Bibcode, RePEc ID, NCT ID, and Altmetric ID (prefixed "altmetric:"). Up to ${MAX_IDENTIFIER_LIST_SIZE.toLocaleString('en-US')} identifiers. Requires Explorer API credentials.`,
+        annotations: {
+          readOnlyHint: false,
+          destructiveHint: false,
+          idempotentHint: true,
+          openWorldHint: true,
+        },
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              minLength: 1,
+              maxLength: 80,
+              description: 'Name to reuse the list by in this session (e.g. "2024 biology outputs"). Naming a second list the same moves the name to it.',
+            },
+            identifiers: {
+              type: 'array',
+              items: { type: 'string' },
+              maxItems: MAX_IDENTIFIER_LIST_SIZE,
+              description: 'The identifiers, e.g. ["10.1038/nplants.2015.3", "altmetric:12345", "29317830"]',
+            },
+            identifiers_text: {
+              type: 'string',
+              description: 'Contents of a file of identifiers: one per line, or separated by commas, tabs or semicolons (a CSV column works). Combined with `identifiers` if both are given.',
+            },
+          },
+          required: ['name'],
+        },
+      },
+      handler: async (args) => {
+        const { name, identifiers = [], identifiers_text: text } = args;
+        const combined = [...new Set([...identifiers.map((v) => v.trim()), ...(text != null ? parseIdentifierText(text) : [])])]
+          .filter((v) => v !== '');
+        if (combined.length === 0) {
+          const message = 'No identifiers provided. Pass identifiers or identifiers_text.';
+          return {
+            content: [{ type: 'text', text: message }],
+            structuredContent: { error: message },
+          };
+        }
+
+        const { apiKey, apiSecret, baseUrl } = await resolveExplorer();
+        const list = await resolveIdentifierList({ identifiers: combined }, apiKey, apiSecret, baseUrl, upstreamOptions(requestOptions));
+        const entry = identifierLists.record({
+          ...list,
+          name,
+          submitted: combined.length,
+          unrecognized: findUnrecognizedIdentifiers(combined),
+        });
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: describeIdentifierList(entry) +
+                `Pass identifier_list_id: "${name}" (or "${entry.id}") to an Explorer tool to scope it to this list.`,
+            },
+          ],
+          structuredContent: entry,
+        };
+      },
+    },
+
+    get_identifier_list: {
+      definition: {
+        name: 'get_identifier_list',
+        description: 'Fetch an Explorer identifier list\'s metadata - how many identifiers of each type it holds - by id, or by the name given to create_identifier_list in this session. For lists created in this session it also reports the identifiers that could not be recognised. Requires Explorer API credentials.',
+        annotations: {
+          readOnlyHint: true,
+          idempotentHint: true,
+          openWorldHint: true,
+        },
+        inputSchema: {
+          type: 'object',
+          properties: {
+            list: {
+              type: 'string',
+              minLength: 1,
+              description: 'The identifier list id, or its name from create_identifier_list',
+            },
+          },
+          required: ['list'],
+        },
+      },
+      handler: async (args) => {
+        const known = identifierLists.find(args.list);
+        const id = known?.id ?? args.list;
+        const { apiKey, apiSecret, baseUrl } = await resolveExplorer();
+        const response = await makeExplorerIdentifierListGetRequest(id, apiKey, apiSecret, baseUrl, upstreamOptions(requestOptions));
+        const upstream = response.data || {};
+
+        // The list's own content, where the API returns it, is the authority on what
+        // it holds; otherwise fall back to what this session recorded at creation.
+        const content = Array.isArray(upstream.content) ? upstream.content
+          : typeof upstream.content === 'string' ? parseIdentifierText(upstream.content) : null;
+        const details = content
+          ? { submitted: content.length, unrecognized: findUnrecognizedIdentifiers(content) }
+          : {};
+        const entry = known || content
+          ? identifierLists.record({ id: upstream.id ?? id, counts: upstream.counts || {}, ...details })
+          : { id: upstream.id ?? id, name: null, counts: upstream.counts || {}, submitted: null, unrecognized: [], unrecognized_total: 0 };
+
+        return {
+          content: [{ type: 'text', text: describeIdentifierList(entry).trimEnd() }],
+          structuredContent: { ...entry, in_session: Boolean(known) },
+        };
+      },
+    },
+
+    list_identifier_lists: {
+      definition: {
+        name: 'list_identifier_lists',
+        description: 'List the identifier lists created in this session (by create_identifier_list, or implicitly by an Explorer tool\'s identifiers argument), newest first, with their names, ids and identifier counts. Lists are remembered for 24 hours. Makes no API call.',
+        annotations: {
+          readOnlyHint: true,
+          idempotentHint: true,
+          openWorldHint: false,
+        },
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+      },
+      handler: async () => {
+        const lists = identifierLists.list();
+        const lines = lists.map((entry) => `- ${identifierListLabel(entry)}: ${formatIdentifierCounts(entry.counts)}` +
+          (entry.unrecognized_total ? ` - ${entry.unrecognized_total} not recognised` : '') +
+          ` - created ${entry.created_at}`);
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: lists.length > 0
+                ? `${lists.length} identifier list${lists.length === 1 ? '' : 's'} in this session:\n${lines.join('\n')}`
+                : 'No identifier lists have been created in this session.',
+            },
+          ],
+          structuredContent: { lists },
+        };
+      },
+    },
+  };
+}
+
+// Each identifier is one /v1/fetch request on the Details Page API.
+const MAX_SOURCE_IDENTIFIERS = 200;
+const SOURCE_API_CHOICES = ['auto', 'details', 'explorer'];
+
+// track_policy_impact and track_patent_citations pick one kind of mention out of
+// everything Altmetric tracks for a set of outputs (lib/policy-impact.js,
+// lib/patent-citations.js). Both read whichever API is configured: the Details Page API
+// for a set of identifiers, one output per request, or Explorer for a filter set. They
+// are offered with either, so their schemas follow what is there.
+//
+// Explorer's mentions endpoint cannot filter by source type, and policy documents and
+// patents are a sliver of all mentions, so scanning the mentions of a filter set found
+// few of them. The outputs matching the filters are read first instead (up to
+// MAX_AUTO_PAGINATE_ITEMS), those whose mention-counts include the kind are kept, and
+// only their mentions are read, scoped by an identifier list of their Altmetric IDs.
+function sourceCitationTools({ details, explorer }, { detailsOptions, explorerOptions, identifierLists }) {
+  const detailsRequest = details ? detailsRequester(details, detailsOptions) : null;
+  const explorerRequest = explorer ? explorerRequester(explorer, explorerOptions) : null;
+  const resolveList = explorer ? identifierListResolver(explorer, explorerOptions, identifierLists) : null;
+
+  const apisText = [detailsRequest && 'for a set of identifiers (Details Page API)', explorerRequest && 'for an Explorer filter set']
+    .filter(Boolean).join(' or ');
+
+  const inputSchema = (noun) => {
+    const identifiers = {
+      type: 'array',
+      items: { type: 'string' },
+      description: detailsRequest
+        ? `The research outputs to track, e.g. a DOI set (["10.1038/nplants.2015.3", "altmetric:12345", "PMID: 29317830"]). Read from the Details Page API, one output at a time, up to ${MAX_SOURCE_IDENTIFIERS}; identifiers other than DOIs and "altmetric:"-prefixed Altmetric IDs are looked up first.` +
+          (explorerRequest ? ' With api "explorer" they scope the Explorer query instead, as in the other Explorer tools.' : '')
+        : ATTENTION_FILTER_PROPERTIES.identifiers.description,
+    };
+    const properties = explorerRequest
+      ? {
+          ...ATTENTION_FILTER_PROPERTIES,
+          identifiers,
+          mentioned_after: {
+            type: 'string',
+            description: `Only ${noun} after this date (YYYY-MM-DD). Explorer only.`,
+          },
+          mentioned_before: {
+            type: 'string',
+            description: `Only ${noun} before this date (YYYY-MM-DD). Explorer only.`,
+          },
+          max_items: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_AUTO_PAGINATE_ITEMS,
+            description: `How many mentions to read of the outputs with ${noun}, from the first page on (default ${DEFAULT_AUTO_PAGINATE_ITEMS}, at most ${MAX_AUTO_PAGINATE_ITEMS}). Explorer only; the result says when more matched.`,
+            default: DEFAULT_AUTO_PAGINATE_ITEMS,
+          },
+        }
+      : { identifiers };
+    if (detailsRequest && explorerRequest) {
+      properties.api = {
+        type: 'string',
+        enum: SOURCE_API_CHOICES,
+        description: 'Which API to read: "details" for the identifiers given (complete per output), "explorer" for the filters (and identifiers, as a list). "auto" (default) uses the Details Page API when identifiers are given and no other filter is, Explorer otherwise.',
+        default: 'auto',
+      };
+    }
+    return { type: 'object', properties };
+  };
+
+  // Reads the mentions from `sources` for the outputs `args` describes: the Details Page
+  // responses ({ api: 'details', ... }) or the Explorer mentions ({ api: 'explorer', ... }),
+  // or { error } for input the chosen API cannot take. `order` ranks the Explorer outputs
+  // when the caller gives none, so those most cited by `sources` are read first.
+  const collect = async (args, sources, { order } = {}) => {
+    const { api = 'auto' } = args;
+    const explorerFilters = Object.keys(args).filter((key) => key !== 'identifiers' && key !== 'api' && args[key] != null);
+    const useDetails = api === 'details' ||
+      (api === 'auto' && detailsRequest !== null && (args.identifiers?.length > 0 || !explorerRequest) && explorerFilters.length === 0);
+
+    if (!useDetails) {
+      if (!explorerRequest) {
+        return { error: 'Filtering by query needs Explorer API credentials; pass identifiers to read them from the Details Page API.' };
+      }
+      const { max_items: maxItems = DEFAULT_AUTO_PAGINATE_ITEMS } = args;
+      const list = await resolveList(args);
+      const scoped = list ? { ...args, identifier_list_id: list.id } : args;
+      const outputFilters = { ...buildFilters(order && args.order == null ? { ...scoped, order } : scoped), include: '' };
+      const outputs = await fetchExplorerPages(explorerRequest, '/explorer/api/research_outputs', outputFilters, { startPage: 1, pageSize: MAX_PAGE_SIZE, skip: 0, maxItems: MAX_AUTO_PAGINATE_ITEMS });
+      const outputsScanned = outputs.data?.length ?? 0;
+      const cited = (outputs.data ?? [])
+        .filter((output) => sources.some((source) => Number(output?.attributes?.['mention-counts']?.[source]) > 0))
+        .map((output) => `altmetric:${output.id}`);
+
+      const collected = {
+        api: 'explorer',
+        list,
+        outputsScanned,
+        outputsMatching: outputs.meta?.response?.['total-results'] ?? outputsScanned,
+        outputsCited: cited.length,
+        document: { data: [] },
+        scanned: 0,
+        matching: 0,
+      };
+      if (cited.length === 0) return collected;
+
+      // Not recorded in the session's identifier lists: the caller never named it.
+      const { apiKey, apiSecret, baseUrl } = await explorer();
+      const citedList = await resolveIdentifierList({ identifiers: cited }, apiKey, apiSecret, baseUrl, upstreamOptions(explorerOptions));
+      const filters = buildFilters({
+        identifier_list_id: citedList.id,
+        mentioned_after: args.mentioned_after,
+        mentioned_before: args.mentioned_before,
+      }, ['mentioned_after', 'mentioned_before']);
+      // Related objects are kept: they name the organisations behind the mentions and the outputs.
+      const document = await fetchExplorerPages(explorerRequest, '/explorer/api/research_outputs/mentions', filters, { startPage: 1, pageSize: MAX_PAGE_SIZE, skip: 0, maxItems });
+      const scanned = document.data?.length ?? 0;
+      return { ...collected, document, scanned, matching: document.meta?.response?.['total-results'] ?? scanned };
+    }
+
+    const inputs = [...new Set(args.identifiers ?? [])];
+    if (inputs.length === 0) {
+      return { error: 'Pass the identifiers of the research outputs to track.' };
+    }
+    if (explorerFilters.length > 0) {
+      return { error: `The Details Page API takes identifiers only; ${explorerFilters.join(', ')} need api "explorer".` };
+    }
+    if (inputs.length > MAX_SOURCE_IDENTIFIERS) {
+      return { error: `Too many identifiers for the Details Page API (at most ${MAX_SOURCE_IDENTIFIERS}, one request each). Narrow the set${explorerRequest ? ', or use api "explorer"' : ''}.` };
+    }
+
+    // /v1/fetch takes DOIs and Altmetric IDs; anything else is looked up first.
+    const targets = [];
+    const toTranslate = new Map();
+    for (const input of inputs) {
+      let detected = null;
+      try {
+        detected = detectIdentifier(input);
+      } catch {
+        // Left for /v1/translate to recognise.
+      }
+      if (detected && DETAILS_IDENTIFIER_TYPES.includes(detected.identifier_type)) {
+        targets.push({ input, ...detected });
+      } else {
+        toTranslate.set(input, translationForm(input, detected));
+      }
+    }
+    const notTranslated = [];
+    if (toTranslate.size > 0) {
+      const translated = await detailsRequest('/v1/translate', {}, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: `ids=${[...new Set(toTranslate.values())].join('|')}`,
+      });
+      for (const [input, identifier] of toTranslate) {
+        if (translated[identifier]) {
+          targets.push({ input, identifier: String(translated[identifier]), identifier_type: 'id' });
+        } else {
+          notTranslated.push({ input, error: 'Not found in Altmetric' });
+        }
+      }
+    }
+
+    const responses = await mapWithConcurrency(targets, BATCH_CONCURRENCY, async ({ input, identifier, identifier_type }) => {
+      try {
+        const data = await detailsRequest(`/v1/fetch/${identifier_type}/${encodeURIComponent(identifier)}`, {
+          include_sources: sources.join(','),
+          include_sections: 'citation,posts',
+        });
+        return { input, data };
+      } catch (error) {
+        return { input, error: error.message };
+      }
+    });
+    const { found: fetched, notFound, failed } = partitionResponses([...notTranslated, ...responses]);
+    return { api: 'details', requested: inputs.length, fetched, notFound, failed };
+  };
+
+  // The text around a tool's own summary, and the structured fields describing what was read.
+  const framing = (collected, args, label, noun) => {
+    if (collected.api === 'details') {
+      const { requested, fetched, notFound, failed } = collected;
+      return {
+        heading: `${UNTRUSTED_MARKER}\n${label} of ${fetched.length} of ${requested} research outputs (Details Page API)\n`,
+        footer: formatNotFetchedLine('Not found', notFound) + formatNotFetchedLine('Failed', failed),
+        meta: { api: 'details', requested, fetched: fetched.length, not_found: notFound, ...(failed.length > 0 ? { failed } : {}) },
+      };
+    }
+    const { list, outputsScanned, outputsMatching, outputsCited, scanned, matching } = collected;
+    const queryText = args.q ? ` for query "${args.q}"` : '';
+    const scopeText = args.scope ? ` (scope: ${args.scope})` : '';
+    const timeText = args.timeframe ? ` in timeframe: ${args.timeframe}` : '';
+    const details = detailsRequest ? ', or pass identifiers with api "details"' : '';
+    return {
+      heading: (list ? formatIdentifierListLine(list) : '') + `${UNTRUSTED_MARKER}\n${label}${queryText}${scopeText}${timeText}\n` +
+        `${outputsCited} of ${outputsScanned} research outputs read have ${noun}\n`,
+      footer: (outputsMatching > outputsScanned
+        ? `\nRead the first ${outputsScanned} of ${outputsMatching} matching research outputs; ${noun} of the rest are not counted. Narrow the filters${details} to cover them.`
+        : '') +
+        (matching > scanned
+          ? `\nRead the first ${scanned} of ${matching} mentions of the outputs with ${noun}; ${noun} among the rest are not counted. Raise max_items (up to ${MAX_AUTO_PAGINATE_ITEMS}) or narrow the filters to cover more.`
+          : ''),
+      meta: {
+        api: 'explorer',
+        outputs_scanned: outputsScanned,
+        outputs_matching: outputsMatching,
+        outputs_cited: outputsCited,
+        mentions_scanned: scanned,
+        matching,
+      },
+    };
+  };
+
+  const reject = (message) => ({
+    content: [{ type: 'text', text: message }],
+    structuredContent: { error: message },
+  });
+
+  return {
+    track_policy_impact: {
+      definition: {
+        name: 'track_policy_impact',
+        description: `Track the policy impact of research outputs: collects the policy documents and guidelines citing them ${apisText}, de-duplicates documents that cite several outputs, groups the documents by issuing organisation and country, and gives each cited output the date of its first policy citation. Returns a short narrative plus the documents, groupings and timeline as structured data.`,
+        annotations: {
+          readOnlyHint: true,
+          idempotentHint: true,
+          openWorldHint: true,
+        },
+        inputSchema: inputSchema('policy citations'),
+      },
+      handler: async (args) => {
+        const collected = await collect(args, POLICY_SOURCES, { order: 'policy' });
+        if (collected.error) return reject(collected.error);
+        const citations = collected.api === 'details'
+          ? policyCitationsFromDetails(collected.fetched)
+          : policyCitationsFromMentions(collected.document);
+        const summary = summarizePolicyImpact(citations);
+        const { heading, footer, meta } = framing(collected, args, 'Policy impact', 'policy citations');
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `${heading}${describePolicyImpact(summary)}${footer}`,
+            },
+          ],
+          structuredContent: { ...meta, ...summary },
+        };
+      },
+    },
+
+    track_patent_citations: {
+      definition: {
+        name: 'track_patent_citations',
+        description: `Find the patents citing research outputs, ${apisText}: extracts the patent mentions, counts each patent once however many outputs it cites, groups the patents by jurisdiction, assignee and filing year where the records have them, and lists the outputs with patent uptake, most cited first. Returns a short narrative plus the patents, groupings and outputs as structured data.`,
+        annotations: {
+          readOnlyHint: true,
+          idempotentHint: true,
+          openWorldHint: true,
+        },
+        inputSchema: inputSchema('patent citations'),
+      },
+      handler: async (args) => {
+        const collected = await collect(args, [PATENT_SOURCE]);
+        if (collected.error) return reject(collected.error);
+        const citations = collected.api === 'details'
+          ? patentCitationsFromDetails(collected.fetched)
+          : patentCitationsFromMentions(collected.document);
+        const summary = summarizePatentCitations(citations);
+        const { heading, footer, meta } = framing(collected, args, 'Patent citations', 'patent citations');
+        const outputsRead = collected.api === 'details' ? collected.fetched.length : undefined;
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `${heading}${describePatentCitations(summary, outputsRead)}${footer}`,
+            },
+          ],
+          structuredContent: { ...meta, ...summary },
+        };
+      },
+    },
+  };
+}
+
+const CITATION_FORMAT_LABELS = {
+  bibtex: 'BibTeX',
+  ris: 'RIS',
+  csl_json: 'CSL-JSON',
+  csv: 'CSV',
+  tsv: 'TSV',
+  text: 'text',
+};
+
+// Identifiers shown in the text summary; the full set is in structuredContent.data,
+// where an oversized result is trimmed with a continue_result cursor for the rest.
+const EXTRACTED_PREVIEW = 20;
+
+// Turns a reference library into something the API tools take (see
+// lib/identifier-extraction.js). It makes no API call, but is only useful alongside the
+// tools it feeds, so it is registered with them.
+function extractionTools(identifiersFileRoot) {
+  const properties = {
+    text: {
+      type: 'string',
+      title: 'Text',
+      description: `Citation data: a BibTeX or RIS export, CSL-JSON (as exported by Zotero or Mendeley), a CSV/TSV table, or free text such as a pasted reference list. Up to ${MAX_ARG_STRING_BYTES / 1024} KB.`,
+    },
+    format: {
+      type: 'string',
+      title: 'Format',
+      enum: ['auto', ...CITATION_FORMATS],
+      description: 'Format of `text`. Default "auto" recognises CSL-JSON, BibTeX and RIS, and reads anything else as free text.',
+      default: 'auto',
+    },
+  };
+  if (identifiersFileRoot) {
+    properties.file = {
+      type: 'string',
+      title: 'File',
+      description: 'Instead of `text`, a local .bib, .ris, .json (CSL-JSON), .csv, .tsv or .txt file, relative to the directory the server allows files from (ALTMETRIC_IDENTIFIERS_DIR). The format follows the extension; a .txt file is detected like "auto".',
+    };
+  }
+
+  return {
+    extract_identifiers: {
+      definition: {
+        name: 'extract_identifiers',
+        description: 'Pull research output identifiers (DOIs, PubMed IDs, arXiv IDs, Handles, ISBNs, NCT IDs, Altmetric IDs, ...) out of a reference library or pasted bibliography - BibTeX, RIS, CSL-JSON or free text - and return them deduplicated, with a count per type. The `data` array in the result can be passed as-is as `identifiers` to get_batch_attention_data, translate_identifiers, create_identifier_list or an Explorer tool\'s `identifiers` filter. Makes no API call.',
+        annotations: {
+          readOnlyHint: true,
+          idempotentHint: true,
+          openWorldHint: false,
+        },
+        inputSchema: {
+          type: 'object',
+          properties,
+        },
+      },
+      handler: async (args) => {
+        const { text, format = 'auto', file } = args;
+        if ((text == null) === (file == null)) {
+          const message = identifiersFileRoot ? 'Pass either text or file.' : 'Pass the citation data as text.';
+          return {
+            content: [{ type: 'text', text: message }],
+            structuredContent: { error: message },
+          };
+        }
+
+        const extracted = file != null
+          ? await readIdentifierFile(file, identifiersFileRoot)
+          : extractIdentifiers(text, format);
+        const { identifiers } = extracted;
+        const byType = identifierTypeCounts(extracted.by_type);
+        const source = `${CITATION_FORMAT_LABELS[extracted.format]} ${extracted.file ?? 'input'}`;
+
+        let summary;
+        if (identifiers.length === 0) {
+          summary = `No identifiers found in ${source}.`;
+        } else {
+          const types = Object.entries(byType).map(([type, count]) => `${count} ${type}`).join(', ');
+          summary = `Found ${identifiers.length} identifier(s) in ${source} (${types}):\n` +
+            identifiers.slice(0, EXTRACTED_PREVIEW).map((identifier) => `- ${identifier}`).join('\n') +
+            (identifiers.length > EXTRACTED_PREVIEW ? `\n...and ${identifiers.length - EXTRACTED_PREVIEW} more` : '') +
+            '\nPass structuredContent.data as `identifiers` to get_batch_attention_data or an Explorer tool.';
+        }
+
+        return {
+          content: [{ type: 'text', text: summary }],
+          structuredContent: {
+            format: extracted.format,
+            ...(extracted.file ? { file: extracted.file } : {}),
+            total: identifiers.length,
+            by_type: byType,
+            data: identifiers,
+          },
+        };
+      },
+    },
   };
 }
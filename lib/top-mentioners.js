@@ -0,0 +1,157 @@
+import { firstNumber, firstString, includedIndex, linkage, round } from './jsonapi.js';
+import { tableCell } from './summary-tables.js';
+
+// Who is driving the attention, for the analyze_top_mentioners tool. explore_mentions
+// returns one record per mention, and explore_mention_sources ranks sources by mention
+// count only, so "which accounts, outlets and policy bodies matter most here?" meant
+// paging through mentions and tallying authors by hand.
+//
+// A mention's author is its `author` relationship, and the matching record in
+// `included`, when the response carries one, supplies the name, profile type and
+// follower count (its `name`, `profile-type` and `followers`). Without a profile the
+// mention's own `author` attribute ({name, followers}) and `source-type` are used,
+// and a mention with neither a relationship nor an author name is counted as
+// unattributed. A profile without a name is counted too, and reported, since it
+// means the profiles are in a shape this module does not read.
+//
+// Each mentioner is ranked by one of MENTIONER_RANKINGS:
+//   - mentions: how many of the fetched mentions it posted
+//   - reach: its audience (followers, subscribers), the largest value seen, as
+//     profiles are snapshots and a count can change between mentions
+//   - outputs: how many distinct research outputs its mentions reference
+// Ties are broken by the other two, in that order. Names and types are sanitised
+// before they reach the summary.
+
+export const MENTIONER_RANKINGS = ['mentions', 'reach', 'outputs'];
+export const MAX_MENTIONERS = 100;
+
+function attributionOf(mention, profiles) {
+  const attributes = mention?.attributes ?? {};
+  const [link] = linkage(mention?.relationships, ['author']);
+  const record = link ? profiles.get(`${link.type}:${link.id}`) : undefined;
+  const profile = record?.attributes ?? {};
+  const name = firstString(profile, ['name']) ?? firstString(attributes, ['author.name']);
+  const type = firstString(profile, ['profile-type']) ?? firstString(attributes, ['source-type']);
+  if (!link && !name) return null;
+  const reaches = [firstNumber(profile, ['followers']), firstNumber(attributes, ['author.followers'])].filter((v) => v !== null);
+  return {
+    // Without a profile ID, the same name on two platforms is two mentioners.
+    key: link ? `${link.type}:${link.id}` : `${type ?? ''}:${name.toLowerCase()}`,
+    id: link?.id ?? null,
+    name: name ?? link.id,
+    type,
+    reach: reaches.length > 0 ? Math.max(...reaches) : null,
+    unreadProfile: Boolean(record) && firstString(profile, ['name']) === null,
+  };
+}
+
+const byField = (field) => (a, b) => (b[field] ?? -1) - (a[field] ?? -1);
+const COMPARATORS = {
+  mentions: [byField('mentions'), byField('reach'), byField('outputs')],
+  reach: [byField('reach'), byField('mentions'), byField('outputs')],
+  outputs: [byField('outputs'), byField('mentions'), byField('reach')],
+};
+
+/**
+ * Groups Explorer mentions by who posted them and ranks the mentioners.
+ * @param {Object} document - a /research_outputs/mentions response (data, and optionally included)
+ * @param {Object} [opts]
+ * @param {'mentions'|'reach'|'outputs'} [opts.rankBy='mentions'] - one of MENTIONER_RANKINGS
+ * @param {number} [opts.limit=20] - how many mentioners to return (at most MAX_MENTIONERS)
+ * @param {string[]} [opts.types] - only mentioners of these profile or source types (e.g. ["news", "policy"])
+ * @returns {Object} { rank_by, analysed, attributed, unattributed, excluded_by_type, unread_profiles, mentioners, with_reach, top }
+ */
+export function rankMentioners(document, { rankBy = 'mentions', limit = 20, types } = {}) {
+  const mentions = Array.isArray(document?.data) ? document.data : [];
+  const profiles = includedIndex(document);
+  const wanted = types?.length ? new Set(types.map((type) => type.toLowerCase())) : null;
+
+  const groups = new Map();
+  let unattributed = 0;
+  let excluded = 0;
+  let unreadProfiles = 0;
+  for (const mention of mentions) {
+    const author = attributionOf(mention, profiles);
+    if (!author) {
+      unattributed += 1;
+      continue;
+    }
+    if (author.unreadProfile) unreadProfiles += 1;
+    if (wanted && !wanted.has(author.type?.toLowerCase())) {
+      excluded += 1;
+      continue;
+    }
+    if (!groups.has(author.key)) {
+      groups.set(author.key, { id: author.id, name: author.name, type: author.type, reach: null, mentions: 0, outputs: new Set(), dates: [] });
+    }
+    const group = groups.get(author.key);
+    group.mentions += 1;
+    group.type ??= author.type;
+    if (author.reach !== null) group.reach = Math.max(group.reach ?? 0, author.reach);
+    linkage(mention.relationships, ['research-outputs']).forEach(({ id }) => group.outputs.add(id));
+    const posted = firstString(mention.attributes, ['posted-on']);
+    if (posted && !Number.isNaN(new Date(posted).getTime())) group.dates.push(new Date(posted).toISOString().slice(0, 10));
+  }
+
+  const attributed = mentions.length - unattributed;
+  const ranked = [...groups.values()].map(({ outputs, dates, ...group }) => {
+    dates.sort();
+    return {
+      ...group,
+      outputs: outputs.size,
+      share: attributed - excluded > 0 ? round(group.mentions / (attributed - excluded), 3) : null,
+      first_mentioned: dates[0] ?? null,
+      last_mentioned: dates.at(-1) ?? null,
+    };
+  });
+  const [primary, ...tiebreaks] = COMPARATORS[rankBy] ?? COMPARATORS.mentions;
+  ranked.sort((a, b) => primary(a, b) || tiebreaks.reduce((order, compare) => order || compare(a, b), 0) || a.name.localeCompare(b.name));
+
+  return {
+    rank_by: COMPARATORS[rankBy] ? rankBy : 'mentions',
+    analysed: mentions.length,
+    attributed,
+    unattributed,
+    excluded_by_type: excluded,
+    unread_profiles: unreadProfiles,
+    mentioners: ranked.length,
+    with_reach: ranked.filter((mentioner) => mentioner.reach !== null).length,
+    top: ranked.slice(0, Math.min(limit, MAX_MENTIONERS)),
+  };
+}
+
+const formatCount = (value) => (value == null ? 'n/a' : value.toLocaleString('en-US'));
+const cell = (text) => tableCell(text, 60);
+
+/**
+ * Short narrative and ranked table of a rankMentioners result.
+ * @param {Object} ranking
+ * @returns {string}
+ */
+export function describeMentioners(ranking) {
+  if (ranking.top.length === 0) {
+    const reason = ranking.excluded_by_type > 0
+      ? `none of the ${ranking.attributed} attributed mentions is from a mentioner of the requested types`
+      : 'none of them names its author or source';
+    return `No mentioners found: ${ranking.analysed} mentions analysed, and ${reason}.`;
+  }
+
+  const lines = [
+    `${formatCount(ranking.mentioners)} mentioners across ${formatCount(ranking.attributed - ranking.excluded_by_type)} mentions ` +
+      `(${formatCount(ranking.analysed)} analysed` +
+      (ranking.unattributed > 0 ? `, ${formatCount(ranking.unattributed)} without an author` : '') +
+      (ranking.excluded_by_type > 0 ? `, ${formatCount(ranking.excluded_by_type)} of other types` : '') +
+      `). Top ${ranking.top.length} by ${ranking.rank_by}:`,
+    '| # | Mentioner | Type | Mentions | Outputs | Reach | Last mentioned |',
+    '|---|---|---|---|---|---|---|',
+    ...ranking.top.map((mentioner, index) => `| ${index + 1} | ${cell(mentioner.name)} | ${cell(mentioner.type ?? '')} | ` +
+      `${formatCount(mentioner.mentions)} | ${formatCount(mentioner.outputs)} | ${formatCount(mentioner.reach)} | ${mentioner.last_mentioned ?? ''} |`),
+  ];
+  if (ranking.with_reach === 0) {
+    lines.push('No follower counts were available, so reach is n/a.');
+  }
+  if (ranking.unread_profiles > 0) {
+    lines.push(`Warning: ${formatCount(ranking.unread_profiles)} mentions link to an author profile without a name; those mentioners are listed by ID.`);
+  }
+  return lines.join('\n');
+}
@@ -86,3 +86,104 @@ export function validateIdentifier(identifier, identifier_type) {
   // For identifier types without validation libraries (isbn, uri, ssrn, dimensions_publication_id)
   // we skip validation and let the API handle them
 }
+
+// Prefixes people paste in front of an identifier: resolver URLs and "scheme:" labels.
+const DOI_PREFIX = /^(?:(?:https?:\/\/)?(?:dx\.)?doi\.org\/|doi:\s*)/i;
+const ARXIV_PREFIX = /^(?:(?:https?:\/\/)?(?:www\.|export\.)?arxiv\.org\/(?:abs|pdf)\/|arxiv:\s*)/i;
+const PUBMED_PREFIX = /^(?:(?:https?:\/\/)?(?:pubmed\.ncbi\.nlm\.nih\.gov\/|(?:www\.)?ncbi\.nlm\.nih\.gov\/pubmed\/)|pmid:?\s*)/i;
+const HANDLE_PREFIX = /^(?:(?:https?:\/\/)?hdl\.handle\.net\/|hdl:\s*)/i;
+const ISBN_PREFIX = /^isbn(?:-1[03])?:?\s*/i;
+
+function isValidIsbn(digits) {
+  if (/^\d{9}[\dX]$/i.test(digits)) {
+    const sum = [...digits].reduce((acc, d, i) => acc + (d.toUpperCase() === 'X' ? 10 : Number(d)) * (10 - i), 0);
+    return sum % 11 === 0;
+  }
+  if (/^97[89]\d{10}$/.test(digits)) {
+    const sum = [...digits].reduce((acc, d, i) => acc + Number(d) * (i % 2 === 0 ? 1 : 3), 0);
+    return sum % 10 === 0;
+  }
+  return false;
+}
+
+/**
+ * Works out the identifier_type of a bare identifier and normalises it, stripping
+ * resolver URLs (doi.org, arxiv.org, pubmed, hdl.handle.net, clinicaltrials.gov) and
+ * "doi:", "arXiv:", "PMID:" style prefixes.
+ *
+ * Shapes are tried most specific first: a DOI is also a syntactically valid Handle, and
+ * a bare number is read as a PubMed ID, so Altmetric IDs need an "altmetric:" prefix (or
+ * an altmetric.com details URL) - the same convention as the Explorer `identifiers`
+ * parameter.
+ * @param {string} input - the identifier as given
+ * @returns {{identifier: string, identifier_type: string}} normalised identifier and its type
+ * @throws {Error} If no supported identifier type matches
+ */
+export function detectIdentifier(input) {
+  const raw = String(input ?? '').trim();
+  let match;
+
+  if ((match = raw.match(/^altmetric(?:[_ ]?id)?\s*:\s*(\d+)$/i))
+    || (match = raw.match(/^(?:https?:\/\/)?(?:www\.)?altmetric\.com\/details\/(\d+)(?:[/?#]\S*)?$/i))) {
+    return { identifier: match[1], identifier_type: 'id' };
+  }
+
+  if ((match = raw.match(/^(?:(?:https?:\/\/)?(?:www\.)?clinicaltrials\.gov\/\S*?)?(NCT\d{8})$/i))) {
+    return { identifier: extractNct(match[1].toUpperCase())[0] ?? match[1].toUpperCase(), identifier_type: 'nct_id' };
+  }
+
+  if (/^urn:/i.test(raw) && extractUrn(raw).length > 0) {
+    return { identifier: extractUrn(raw)[0], identifier_type: 'urn' };
+  }
+
+  if (/^repec:/i.test(raw) && extractRepec(raw).length > 0) {
+    return { identifier: extractRepec(raw)[0], identifier_type: 'repec' };
+  }
+
+  const doi = raw.replace(DOI_PREFIX, '');
+  if (/^10\.\d{4,9}\/\S+$/.test(doi) && extractDoi(doi).length > 0) {
+    return { identifier: extractDoi(doi)[0], identifier_type: 'doi' };
+  }
+
+  const hadArxivPrefix = ARXIV_PREFIX.test(raw);
+  const arxiv = raw.replace(ARXIV_PREFIX, '').replace(/\.pdf$/i, '');
+  if ((hadArxivPrefix || /^\d{4}\.\d{4,5}(?:v\d+)?$/.test(arxiv) || /^[a-z-]+(?:\.[A-Z]{2})?\/\d{7}(?:v\d+)?$/i.test(arxiv))
+    && extractArxiv(arxiv).length > 0) {
+    return { identifier: extractArxiv(arxiv)[0], identifier_type: 'arxiv' };
+  }
+
+  const pmid = raw.replace(PUBMED_PREFIX, '').replace(/\/$/, '');
+  if (/^\d{1,8}$/.test(pmid) && extractPubmed(pmid).length > 0) {
+    return { identifier: extractPubmed(pmid)[0], identifier_type: 'pmid' };
+  }
+
+  const isbn = raw.replace(ISBN_PREFIX, '').replace(/[\s-]/g, '');
+  if (isValidIsbn(isbn)) {
+    return { identifier: isbn.toUpperCase(), identifier_type: 'isbn' };
+  }
+
+  if (raw.length === 19 && /^\d{4}/.test(raw) && extractBibcode(raw)[0] === raw) {
+    return { identifier: raw, identifier_type: 'ads' };
+  }
+
+  if ((match = raw.match(/^(?:(?:https?:\/\/)?(?:www\.|papers\.)?ssrn\.com\/(?:\S*?)abstract(?:_id)?=|ssrn:\s*)(\d+)$/i))) {
+    return { identifier: match[1], identifier_type: 'ssrn' };
+  }
+
+  if (/^pub\.\d+$/.test(raw)) {
+    return { identifier: raw, identifier_type: 'dimensions_publication_id' };
+  }
+
+  const handle = raw.replace(HANDLE_PREFIX, '');
+  if (/^\d+(?:\.\d+)*\/\S+$/.test(handle) && extractHandle(handle).length > 0) {
+    return { identifier: extractHandle(handle)[0], identifier_type: 'handle' };
+  }
+
+  if (/^https?:\/\/\S+$/i.test(raw)) {
+    return { identifier: raw, identifier_type: 'uri' };
+  }
+
+  throw new Error(
+    `Could not determine the type of identifier "${raw}". Set identifier_type explicitly; Altmetric IDs need an "altmetric:" prefix.`,
+  );
+}
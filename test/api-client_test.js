@@ -7,6 +7,7 @@ import {
   makeDetailsApiRequest,
   makeExplorerApiRequest,
   makeExplorerIdentifierListRequest,
+  makeExplorerIdentifierListGetRequest,
   MAX_RESPONSE_BYTES,
 } from '../lib/api-client.js';
 
@@ -361,6 +362,36 @@ describe('API Client', function () {
     });
   });
 
+  describe('makeExplorerIdentifierListGetRequest', function () {
+    const apiKey = 'test_explorer_key';
+    const apiSecret = 'test_explorer_secret_key_12345';
+    const baseUrl = 'https://www.altmetric.com';
+
+    it('GETs the list by id, signed over the id', async function () {
+      fetchStub.resolves({
+        ok: true,
+        text: async () => JSON.stringify({ data: { id: 'abc', counts: { dois: 1 } } }),
+      });
+
+      const response = await makeExplorerIdentifierListGetRequest('abc', apiKey, apiSecret, baseUrl);
+
+      const url = new URL(fetchStub.firstCall.args[0]);
+      assert.strictEqual(url.pathname, '/explorer/api/identifier_lists/abc');
+      assert.strictEqual(url.searchParams.get('key'), apiKey);
+      assert.strictEqual(url.searchParams.get('digest'), generateIdentifierListDigest('abc', apiSecret));
+      assert.strictEqual(response.data.counts.dois, 1);
+    });
+
+    it('encodes the id into the path and reports API failures', async function () {
+      fetchStub.resolves({ ok: false, status: 404, text: async () => 'Not found' });
+      await assert.rejects(
+        async () => await makeExplorerIdentifierListGetRequest('a/../b', apiKey, apiSecret, baseUrl),
+        /Not found/,
+      );
+      assert.strictEqual(new URL(fetchStub.firstCall.args[0]).pathname, '/explorer/api/identifier_lists/a%2F..%2Fb');
+    });
+  });
+
   describe('outbound HTTP hardening', function () {
     const apiKey = 'test_api_key';
     const apiSecret = 'test_explorer_secret_key_12345';
@@ -470,6 +501,140 @@ describe('API Client', function () {
     });
   });
 
+  describe('retries', function () {
+    const apiKey = 'test_key';
+    const apiSecret = 'test_explorer_secret_key_12345';
+    const detailsUrl = 'https://api.altmetric.com';
+    const explorerUrl = 'https://www.altmetric.com';
+    const fast = { baseDelayMs: 1, maxDelayMs: 1 };
+    let consoleErrorStub;
+
+    const failure = (status, headers = {}) => ({
+      ok: false,
+      status,
+      headers: new Headers(headers),
+      text: async () => '',
+    });
+    const success = { ok: true, status: 200, text: async () => JSON.stringify({ score: 1 }) };
+
+    beforeEach(function () {
+      consoleErrorStub = sinon.stub(console, 'error');
+    });
+
+    afterEach(function () {
+      consoleErrorStub.restore();
+    });
+
+    for (const status of [429, 500, 502, 503, 504]) {
+      it(`retries a GET after HTTP ${status}`, async function () {
+        fetchStub.onFirstCall().resolves(failure(status));
+        fetchStub.onSecondCall().resolves(success);
+        const onRetry = sinon.spy();
+
+        const data = await makeDetailsApiRequest('/v1/doi/test', {}, apiKey, detailsUrl, {}, { retry: fast, onRetry });
+
+        assert.deepStrictEqual(data, { score: 1 });
+        assert.strictEqual(fetchStub.callCount, 2);
+        assert.strictEqual(onRetry.callCount, 1);
+        assert.strictEqual(onRetry.firstCall.args[0].attempt, 1);
+        assert.strictEqual(onRetry.firstCall.args[0].reason, `HTTP ${status}`);
+      });
+    }
+
+    it('does not retry other errors', async function () {
+      fetchStub.resolves(failure(501));
+      await assert.rejects(
+        makeDetailsApiRequest('/v1/doi/test', {}, apiKey, detailsUrl, {}, { retry: fast }),
+        /HTTP 501/,
+      );
+      assert.strictEqual(fetchStub.callCount, 1);
+    });
+
+    it('gives up after maxRetries and reports the last status', async function () {
+      fetchStub.resolves(failure(429));
+      await assert.rejects(
+        makeExplorerApiRequest('/explorer/api/research_outputs', {}, apiKey, apiSecret, explorerUrl, { retry: { ...fast, maxRetries: 2 } }),
+        /Rate limited/,
+      );
+      assert.strictEqual(fetchStub.callCount, 3);
+    });
+
+    it('retries network errors but not timeouts', async function () {
+      fetchStub.onFirstCall().rejects(new TypeError('fetch failed'));
+      fetchStub.onSecondCall().resolves(success);
+      await makeDetailsApiRequest('/v1/doi/test', {}, apiKey, detailsUrl, {}, { retry: fast });
+      assert.strictEqual(fetchStub.callCount, 2);
+
+      fetchStub.reset();
+      fetchStub.rejects(new DOMException('The operation was aborted due to timeout', 'TimeoutError'));
+      await assert.rejects(makeDetailsApiRequest('/v1/doi/test', {}, apiKey, detailsUrl, {}, { retry: fast }), /timeout/);
+      assert.strictEqual(fetchStub.callCount, 1);
+    });
+
+    it('never retries the translate POST', async function () {
+      fetchStub.resolves(failure(503));
+      await assert.rejects(
+        makeDetailsApiRequest('/v1/translate', {}, apiKey, detailsUrl, { method: 'POST', body: 'ids=x' }, { retry: fast }),
+      );
+      assert.strictEqual(fetchStub.callCount, 1);
+    });
+
+    it('retries the idempotent identifier_lists POST', async function () {
+      fetchStub.onFirstCall().resolves(failure(503));
+      fetchStub.onSecondCall().resolves({ ok: true, text: async () => JSON.stringify({ data: { id: 'abc' } }) });
+      const response = await makeExplorerIdentifierListRequest('10.1/x', apiKey, apiSecret, explorerUrl, { retry: fast });
+      assert.strictEqual(response.data.id, 'abc');
+      assert.strictEqual(fetchStub.callCount, 2);
+    });
+
+    it('waits for Retry-After (delta-seconds)', async function () {
+      const clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'Date'] });
+      try {
+        fetchStub.onFirstCall().resolves(failure(429, { 'Retry-After': '2' }));
+        fetchStub.onSecondCall().resolves(success);
+        const onRetry = sinon.spy();
+
+        const pending = makeDetailsApiRequest('/v1/doi/test', {}, apiKey, detailsUrl, {}, { onRetry });
+        await clock.tickAsync(1999);
+        assert.strictEqual(fetchStub.callCount, 1, 'must not retry before Retry-After elapses');
+        await clock.tickAsync(1);
+        await pending;
+
+        assert.strictEqual(fetchStub.callCount, 2);
+        assert.strictEqual(onRetry.firstCall.args[0].delayMs, 2000);
+      } finally {
+        clock.restore();
+      }
+    });
+
+    it('honours Retry-After given as an HTTP date', async function () {
+      const clock = sinon.useFakeTimers({ now: Date.UTC(2025, 0, 1), toFake: ['setTimeout', 'Date'] });
+      try {
+        const retryAt = new Date(Date.UTC(2025, 0, 1, 0, 0, 5)).toUTCString();
+        fetchStub.onFirstCall().resolves(failure(503, { 'Retry-After': retryAt }));
+        fetchStub.onSecondCall().resolves(success);
+        const onRetry = sinon.spy();
+
+        const pending = makeDetailsApiRequest('/v1/doi/test', {}, apiKey, detailsUrl, {}, { onRetry });
+        await clock.tickAsync(5000);
+        await pending;
+
+        assert.strictEqual(onRetry.firstCall.args[0].delayMs, 5000);
+      } finally {
+        clock.restore();
+      }
+    });
+
+    it('does not wait past the request deadline', async function () {
+      fetchStub.resolves(failure(429, { 'Retry-After': '3600' }));
+      await assert.rejects(
+        makeDetailsApiRequest('/v1/doi/test', {}, apiKey, detailsUrl, {}),
+        /Rate limited/,
+      );
+      assert.strictEqual(fetchStub.callCount, 1);
+    });
+  });
+
   describe('stderr scrubbing', function () {
     const apiKey = 'test_api_key';
     const apiSecret = 'test_explorer_secret_key_12345';
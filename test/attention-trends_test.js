@@ -0,0 +1,126 @@
+import assert from 'assert';
+import {
+  extractSeries,
+  bucketPeriods,
+  analyzeCounts,
+  analyzeAttentionTrend,
+  describeAttentionTrend,
+  MAX_TREND_BUCKETS,
+} from '../lib/attention-trends.js';
+
+const days = (start, counts) => Object.fromEntries(counts.map((count, i) => {
+  const d = new Date(`${start}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + i);
+  return [d.toISOString().slice(0, 10), count];
+}));
+
+describe('attention trends', function () {
+  describe('extractSeries', function () {
+    // A /research_outputs/attention response: one item per source, mentions per date.
+    const ATTENTION_RESPONSE = {
+      data: [
+        { id: 'twitter', type: 'attention', attributes: { histogram: { '2024-01-01': 12, '2024-01-02': 0, '2024-01-03': 7 } } },
+        { id: 'news', type: 'attention', attributes: { histogram: { '2024-01-01': 2, '2024-01-03': 1 } } },
+        { id: 'blogs', type: 'attention', attributes: { histogram: {} } },
+      ],
+      meta: { response: { 'total-mentions': 22 } },
+    };
+
+    it('reads each source\'s histogram, leaving out sources without mentions', function () {
+      const series = extractSeries(ATTENTION_RESPONSE);
+      assert.deepStrictEqual([...series.keys()], ['twitter', 'news']);
+      assert.deepStrictEqual(series.get('news').map(({ date, count }) => [date.toISOString().slice(0, 10), count]), [['2024-01-01', 2], ['2024-01-03', 1]]);
+    });
+
+    it('reads an empty response as no mentions', function () {
+      assert.strictEqual(extractSeries({ data: [] }).size, 0);
+      assert.strictEqual(extractSeries({}).size, 0);
+      assert.strictEqual(extractSeries({ data: [{ id: 'blogs', type: 'attention', attributes: { histogram: {} } }] }).size, 0);
+    });
+
+    it('fails on items without a histogram rather than reporting no mentions', function () {
+      assert.throws(() => extractSeries({ data: [{ id: 'x', attributes: { total: 5 } }] }), /1 item\(s\) but no per-source histogram/);
+      assert.throws(() => extractSeries({ data: [{ attributes: { date: '2024-01-01', news: 1 } }] }), /no per-source histogram/);
+      assert.throws(() => extractSeries({ data: [{ id: 'news', attributes: { histogram: { soon: 1 } } }] }), /no per-source histogram/);
+    });
+  });
+
+  describe('bucketPeriods', function () {
+    const series = new Map([['a', [{ date: new Date('2024-01-03T10:00:00Z') }, { date: new Date('2024-02-14T00:00:00Z') }]]]);
+
+    it('spans the points in Monday-starting weeks and months, gaps included', function () {
+      const weeks = bucketPeriods(series, 'week');
+      assert.strictEqual(weeks[0], '2024-01-01');
+      assert.strictEqual(weeks[weeks.length - 1], '2024-02-12');
+      assert.strictEqual(weeks.length, 7);
+      assert.deepStrictEqual(bucketPeriods(series, 'month'), ['2024-01', '2024-02']);
+      assert.strictEqual(bucketPeriods(series, 'day').length, 43);
+    });
+  });
+
+  describe('analyzeCounts', function () {
+    const periods = ['p1', 'p2', 'p3', 'p4', 'p5', 'p6'];
+
+    it('derives growth, rolling averages, the peak and spikes', function () {
+      const analysis = analyzeCounts(periods, [2, 4, 0, 3, 2, 20], 3);
+      assert.deepStrictEqual(analysis.counts, [2, 4, 0, 3, 2, 20]);
+      assert.deepStrictEqual(analysis.growth_pct, [null, 100, -100, null, -33.3, 900]);
+      assert.deepStrictEqual(analysis.rolling_average, [2, 3, 2, 2.33, 1.67, 8.33]);
+      assert.deepStrictEqual(analysis.peak, { period: 'p6', count: 20 });
+      assert.deepStrictEqual(analysis.spikes, [{ period: 'p6', count: 20 }]);
+      assert.strictEqual(analysis.total, 31);
+    });
+
+    it('does not call small bumps over a flat baseline spikes', function () {
+      assert.deepStrictEqual(analyzeCounts(periods, [0, 0, 0, 0, 0, 4], 3).spikes, []);
+    });
+
+    it('classifies the recent windows as rising, falling or steady', function () {
+      assert.strictEqual(analyzeCounts(periods, [1, 1, 1, 3, 3, 3], 3).trend, 'rising');
+      assert.strictEqual(analyzeCounts(periods, [3, 3, 3, 1, 1, 1], 3).recent_change_pct, -66.7);
+      assert.strictEqual(analyzeCounts(periods, [3, 3, 3, 1, 1, 1], 3).trend, 'falling');
+      assert.strictEqual(analyzeCounts(periods, [10, 10, 10, 11, 11, 11], 3).trend, 'steady');
+      assert.strictEqual(analyzeCounts(periods, [0, 0, 0, 1, 1, 1], 3).trend, 'rising');
+      assert.strictEqual(analyzeCounts(periods, [1, 1, 1, 1, 1, 1], 4).trend, null, 'too few buckets');
+    });
+  });
+
+  describe('analyzeAttentionTrend / describeAttentionTrend', function () {
+    const document = {
+      data: [
+        { id: 'twitter', attributes: { histogram: days('2024-01-01', [1, 1, 1, 1, 1, 1, 1, 30, 2, 2, 2, 2, 2, 2]) } },
+        { id: 'news', attributes: { histogram: days('2024-01-08', [1, 0, 1]) } },
+        { id: 'blogs', attributes: { histogram: {} } },
+      ],
+    };
+
+    it('buckets every source and the combined series, largest source first', function () {
+      const analysis = analyzeAttentionTrend(document, { interval: 'week', window: 1 });
+      assert.strictEqual(analysis.buckets, 2);
+      assert.deepStrictEqual([analysis.from, analysis.to], ['2024-01-01', '2024-01-08']);
+      assert.deepStrictEqual(analysis.periods, ['2024-01-01', '2024-01-08']);
+      assert.deepStrictEqual(analysis.total.counts, [7, 44]);
+      assert.deepStrictEqual(analysis.sources.map((s) => s.source), ['twitter', 'news']);
+      assert.deepStrictEqual(analysis.sources[1].counts, [0, 2]);
+    });
+
+    it('flags the daily spike and narrates it', function () {
+      const analysis = analyzeAttentionTrend(document, { interval: 'day', window: 4 });
+      assert.deepStrictEqual(analysis.total.spikes, [{ period: '2024-01-08', count: 31 }]);
+      const text = describeAttentionTrend(analysis);
+      assert.match(text, /^14 daily buckets from 2024-01-01 to 2024-01-14, rolling average over 4/);
+      assert.match(text, /All sources: 51 mentions, peak 31 \(2024-01-08\); last 4 days vs previous 4: [+-][\d.]+% \(\w+\); 1 spike: 2024-01-08 \(31\)/);
+      assert.match(text, /By source \(largest first\):\n- twitter: 49 mentions/);
+    });
+
+    it('has nothing to analyse without dated counts', function () {
+      assert.strictEqual(analyzeAttentionTrend({ data: [] }), null);
+    });
+
+    it('refuses series longer than the bucket cap', function () {
+      const long = { data: [{ id: 'x', attributes: { histogram: { '2000-01-01': 1, '2024-01-01': 1 } } }] };
+      assert.throws(() => analyzeAttentionTrend(long, { interval: 'day' }), new RegExp(`more than ${MAX_TREND_BUCKETS.toLocaleString('en-US')} days`));
+      assert.strictEqual(analyzeAttentionTrend(long, { interval: 'month' }).buckets, 289);
+    });
+  });
+});
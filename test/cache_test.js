@@ -0,0 +1,199 @@
+import assert from 'assert';
+import sinon from 'sinon';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import {
+  createMemoryStore,
+  createDiskStore,
+  createResponseCache,
+  responseCacheKey,
+  responseCacheFromEnv,
+  MAX_ENTRY_BYTES,
+} from '../lib/cache.js';
+import { makeDetailsApiRequest, makeExplorerApiRequest } from '../lib/api-client.js';
+
+describe('response cache', function () {
+  describe('responseCacheKey', function () {
+    it('is independent of param order and skips null/undefined params', function () {
+      assert.strictEqual(
+        responseCacheKey('p', '/v1/doi/x', { b: '2', a: '1', c: undefined, d: null }),
+        responseCacheKey('p', '/v1/doi/x', { a: '1', b: '2' }),
+      );
+    });
+
+    it('differs by partition and endpoint', function () {
+      assert.notStrictEqual(responseCacheKey('p1', '/e', {}), responseCacheKey('p2', '/e', {}));
+      assert.notStrictEqual(responseCacheKey('p', '/e1', {}), responseCacheKey('p', '/e2', {}));
+    });
+  });
+
+  describe('createMemoryStore', function () {
+    it('returns a fresh copy on every hit', async function () {
+      const store = createMemoryStore();
+      await store.set('k', { data: [1, 2] }, 1000);
+      const first = await store.get('k');
+      first.data.pop();
+      assert.deepStrictEqual(await store.get('k'), { data: [1, 2] }, 'mutating a hit must not touch the cache');
+    });
+
+    it('expires entries after their TTL', async function () {
+      let t = 0;
+      const store = createMemoryStore({ now: () => t });
+      await store.set('k', 'v', 100);
+      t = 99;
+      assert.strictEqual(await store.get('k'), 'v');
+      t = 100;
+      assert.strictEqual(await store.get('k'), undefined);
+    });
+
+    it('evicts the least recently used entry when over maxEntries', async function () {
+      const store = createMemoryStore({ maxEntries: 2 });
+      await store.set('a', 1, 1000);
+      await store.set('b', 2, 1000);
+      await store.get('a');
+      await store.set('c', 3, 1000);
+      assert.strictEqual(await store.get('b'), undefined, 'b was least recently used');
+      assert.strictEqual(await store.get('a'), 1);
+      assert.strictEqual(await store.get('c'), 3);
+      assert.strictEqual(store.size(), 2);
+    });
+
+    it('evicts to stay within maxBytes', async function () {
+      const store = createMemoryStore({ maxBytes: 20 });
+      await store.set('a', 'x'.repeat(10), 1000);
+      await store.set('b', 'y'.repeat(10), 1000);
+      assert.strictEqual(await store.get('a'), undefined);
+      assert.strictEqual(await store.get('b'), 'y'.repeat(10));
+    });
+  });
+
+  describe('createDiskStore', function () {
+    let dir;
+
+    beforeEach(async function () {
+      dir = await mkdtemp(path.join(os.tmpdir(), 'altmetric-cache-'));
+    });
+
+    afterEach(async function () {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('round-trips values and never writes the key into the file name', async function () {
+      const store = createDiskStore({ dir });
+      await store.set('partition|/v1/doi/10.1/x|{}', { score: 3 }, 1000);
+      assert.deepStrictEqual(await store.get('partition|/v1/doi/10.1/x|{}'), { score: 3 });
+      const [name] = await readdir(dir);
+      assert.match(name, /^[a-f0-9]{64}\.json$/);
+    });
+
+    it('treats expired entries as misses', async function () {
+      let t = 0;
+      const store = createDiskStore({ dir, now: () => t });
+      await store.set('k', 'v', 10);
+      t = 10;
+      assert.strictEqual(await store.get('k'), undefined);
+    });
+
+    it('prunes down to maxEntries', async function () {
+      const store = createDiskStore({ dir, maxEntries: 2 });
+      await store.set('a', 1, 1000);
+      await store.set('b', 2, 1000);
+      await store.set('c', 3, 1000);
+      assert.strictEqual((await readdir(dir)).length, 2);
+    });
+  });
+
+  describe('createResponseCache', function () {
+    it('applies per-endpoint TTLs, first match wins', function () {
+      const cache = createResponseCache();
+      assert.ok(cache.ttlFor('/v1/citations/1w') < cache.ttlFor('/v1/doi/10.1/x'));
+      assert.ok(cache.ttlFor('/explorer/api/research_outputs') > 0);
+      assert.strictEqual(cache.ttlFor('/somewhere/else'), 0);
+    });
+
+    it('does not store entries over the per-entry size cap', async function () {
+      const cache = createResponseCache();
+      await cache.set('k', '/v1/doi/x', { blob: 'x'.repeat(MAX_ENTRY_BYTES) });
+      assert.strictEqual(await cache.get('k'), undefined);
+    });
+
+    it('treats store failures as misses', async function () {
+      const consoleErrorStub = sinon.stub(console, 'error');
+      try {
+        const cache = createResponseCache({
+          store: { get: async () => { throw new Error('EACCES'); }, set: async () => { throw new Error('EACCES'); } },
+        });
+        await cache.set('k', '/v1/doi/x', { ok: true });
+        assert.strictEqual(await cache.get('k'), undefined);
+      } finally {
+        consoleErrorStub.restore();
+      }
+    });
+  });
+
+  describe('responseCacheFromEnv', function () {
+    it('defaults to an in-memory cache', function () {
+      assert.ok(responseCacheFromEnv({}));
+    });
+
+    it('returns null when caching is off', function () {
+      assert.strictEqual(responseCacheFromEnv({ ALTMETRIC_CACHE: 'off' }), null);
+    });
+
+    it('requires a directory for the disk store', function () {
+      assert.throws(() => responseCacheFromEnv({ ALTMETRIC_CACHE: 'disk' }), /ALTMETRIC_CACHE_DIR/);
+    });
+
+    it('rejects unknown modes', function () {
+      assert.throws(() => responseCacheFromEnv({ ALTMETRIC_CACHE: 'redis' }), /Invalid ALTMETRIC_CACHE/);
+    });
+  });
+
+  describe('request functions', function () {
+    const baseUrl = 'https://api.altmetric.com';
+    const explorerBaseUrl = 'https://www.altmetric.com';
+    const secret = 'test_explorer_secret_key_12345';
+    let fetchStub;
+
+    beforeEach(function () {
+      fetchStub = sinon.stub(global, 'fetch');
+      fetchStub.callsFake(async () => ({ ok: true, text: async () => JSON.stringify({ score: 1 }) }));
+    });
+
+    afterEach(function () {
+      fetchStub.restore();
+    });
+
+    it('serves a repeated Details GET from cache', async function () {
+      const cache = createResponseCache();
+      await makeDetailsApiRequest('/v1/doi/10.1/x', {}, 'key-a', baseUrl, {}, { cache });
+      const second = await makeDetailsApiRequest('/v1/doi/10.1/x', {}, 'key-a', baseUrl, {}, { cache });
+      assert.strictEqual(fetchStub.callCount, 1);
+      assert.deepStrictEqual(second, { score: 1 });
+    });
+
+    it('partitions entries per credential', async function () {
+      const cache = createResponseCache();
+      await makeExplorerApiRequest('/explorer/api/research_outputs', { q: 'x' }, 'key-a', secret, explorerBaseUrl, { cache });
+      await makeExplorerApiRequest('/explorer/api/research_outputs', { q: 'x' }, 'key-b', secret, explorerBaseUrl, { cache });
+      assert.strictEqual(fetchStub.callCount, 2, 'a different principal must not get the cached response');
+    });
+
+    it('skips the lookup but refreshes the entry when bypassCache is set', async function () {
+      const cache = createResponseCache();
+      await makeDetailsApiRequest('/v1/doi/10.1/x', {}, 'key-a', baseUrl, {}, { cache });
+      await makeDetailsApiRequest('/v1/doi/10.1/x', {}, 'key-a', baseUrl, {}, { cache, bypassCache: true });
+      await makeDetailsApiRequest('/v1/doi/10.1/x', {}, 'key-a', baseUrl, {}, { cache });
+      assert.strictEqual(fetchStub.callCount, 2);
+    });
+
+    it('never caches POSTs', async function () {
+      const cache = createResponseCache();
+      const post = { method: 'POST', body: 'ids=10.1/x' };
+      await makeDetailsApiRequest('/v1/translate', {}, 'key-a', baseUrl, post, { cache });
+      await makeDetailsApiRequest('/v1/translate', {}, 'key-a', baseUrl, post, { cache });
+      assert.strictEqual(fetchStub.callCount, 2);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+import assert from 'assert';
+import sinon from 'sinon';
+import { createCompletions } from '../lib/completions.js';
+import { createPrompts } from '../lib/prompts.js';
+import { createTools } from '../lib/tools.js';
+import { createResponseCache } from '../lib/cache.js';
+import { createResources } from '../lib/resources.js';
+
+const detailsResolver = async () => ({ apiKey: 'test_details_api_key', baseUrl: 'https://api.altmetric.com' });
+const explorerResolver = async () => ({
+  apiKey: 'test_explorer_api_key',
+  apiSecret: 'test_explorer_api_secret',
+  baseUrl: 'https://www.altmetric.com',
+});
+
+const resolvers = { details: detailsResolver, explorer: explorerResolver };
+const prompts = createPrompts(createTools(resolvers));
+const report = { type: 'ref/prompt', name: 'explorer_attention_report' };
+
+const valuesOf = (result) => result.completion.values;
+
+describe('argument completion', function () {
+  let fetchStub;
+  const completions = createCompletions(resolvers, { prompts });
+
+  beforeEach(function () {
+    fetchStub = sinon.stub(global, 'fetch');
+  });
+
+  afterEach(function () {
+    fetchStub.restore();
+  });
+
+  describe('static vocabularies', function () {
+    it('completes timeframes by prefix', async function () {
+      assert.deepStrictEqual(valuesOf(await completions.complete(report, { name: 'timeframe', value: '1' })), ['1d', '1w', '1m', '1y']);
+    });
+
+    it('completes SDG numbers', async function () {
+      assert.deepStrictEqual(
+        valuesOf(await completions.complete(report, { name: 'sustainable_development_goals', value: '1' })),
+        ['1', '10', '11', '12', '13', '14', '15', '16', '17'],
+      );
+    });
+
+    it('completes the last entry of a comma-separated sources list', async function () {
+      const ref = { type: 'ref/prompt', name: 'who_is_talking' };
+      assert.deepStrictEqual(valuesOf(await completions.complete(ref, { name: 'sources', value: 'news,p' })), [
+        'news,pinterest', 'news,peer_reviews', 'news,policy', 'news,patent',
+      ]);
+    });
+
+    it('makes no request for static completions', async function () {
+      await completions.complete(report, { name: 'timeframe', value: '' });
+      assert.strictEqual(fetchStub.callCount, 0);
+    });
+  });
+
+  describe('Explorer IDs', function () {
+    const included = [
+      { id: 'j-nature', type: 'journal', attributes: { title: 'Nature' } },
+      { id: 'j-natcomms', type: 'journal', attributes: { title: 'Nature Communications' } },
+      { id: 'j-science', type: 'journal', attributes: { title: 'Science' } },
+      { id: 'dept-9', type: 'department', attributes: { name: 'Nature Studies' } },
+    ];
+
+    it('looks IDs up in the included block of a research_outputs search', async function () {
+      fetchStub.resolves({ ok: true, text: async () => JSON.stringify({ data: [], included }) });
+
+      const result = await completions.complete(report, { name: 'journal_id', value: 'natu' });
+
+      assert.deepStrictEqual(valuesOf(result), ['j-nature', 'j-natcomms']);
+      const url = new URL(fetchStub.firstCall.args[0]);
+      assert.strictEqual(url.pathname, '/explorer/api/research_outputs');
+      assert.strictEqual(url.searchParams.get('filter[q]'), 'natu');
+    });
+
+    it('matches on ID prefix as well as attributes', async function () {
+      fetchStub.resolves({ ok: true, text: async () => JSON.stringify({ data: [], included }) });
+      assert.deepStrictEqual(valuesOf(await completions.complete(report, { name: 'department_id', value: 'dept' })), ['dept-9']);
+    });
+
+    it('waits for a couple of characters before looking anything up', async function () {
+      assert.deepStrictEqual(valuesOf(await completions.complete(report, { name: 'journal_id', value: 'n' })), []);
+      assert.strictEqual(fetchStub.callCount, 0);
+    });
+
+    it('completes nothing when the lookup fails', async function () {
+      const consoleErrorStub = sinon.stub(console, 'error');
+      try {
+        fetchStub.resolves({ ok: false, status: 401, text: async () => '' });
+        assert.deepStrictEqual(valuesOf(await completions.complete(report, { name: 'author_id', value: 'smith' })), []);
+      } finally {
+        consoleErrorStub.restore();
+      }
+    });
+
+    it('does not look up without Explorer credentials', async function () {
+      const detailsOnly = createCompletions({ details: detailsResolver }, { prompts });
+      assert.deepStrictEqual(valuesOf(await detailsOnly.complete(report, { name: 'journal_id', value: 'nature' })), []);
+      assert.strictEqual(fetchStub.callCount, 0);
+    });
+
+    it('serves repeated keystrokes from the response cache', async function () {
+      const cached = createCompletions(resolvers, { prompts, cache: createResponseCache() });
+      fetchStub.resolves({ ok: true, text: async () => JSON.stringify({ data: [], included }) });
+      await cached.complete(report, { name: 'journal_id', value: 'nature' });
+      await cached.complete(report, { name: 'journal_id', value: 'nature' });
+      assert.strictEqual(fetchStub.callCount, 1);
+    });
+  });
+
+  describe('references', function () {
+    it('completes only arguments the referenced prompt declares', async function () {
+      const ref = { type: 'ref/prompt', name: 'compare_attention' };
+      assert.deepStrictEqual(valuesOf(await completions.complete(ref, { name: 'timeframe', value: '1' })), []);
+    });
+
+    it('completes nothing for unknown prompts or resource templates', async function () {
+      assert.deepStrictEqual(valuesOf(await completions.complete({ type: 'ref/prompt', name: 'nope' }, { name: 'timeframe', value: '' })), []);
+      assert.deepStrictEqual(valuesOf(await completions.complete({ type: 'ref/resource', uri: 'altmetric://doi/{doi}' }, { name: 'doi', value: '10.' })), []);
+    });
+
+    it('completes the Explorer filters of the research_outputs resource template, entry by entry', async function () {
+      const resources = createResources(resolvers);
+      const search = resources.templates.find((template) => template.name === 'altmetric_explorer_research_outputs');
+      const withResources = createCompletions(resolvers, { prompts, resources });
+      fetchStub.resolves({ ok: true, text: async () => JSON.stringify({ data: [], included: [{ id: 'j-nature', type: 'journal', attributes: { title: 'Nature' } }, { id: 'j-natcomms', type: 'journal', attributes: { title: 'Nature Communications' } }] }) });
+
+      const ref = { type: 'ref/resource', uri: search.uriTemplate };
+      assert.deepStrictEqual(valuesOf(await withResources.complete(ref, { name: 'journal_id', value: 'j-nature, natu' })), ['j-nature,j-natcomms']);
+      assert.strictEqual(new URL(fetchStub.firstCall.args[0]).searchParams.get('filter[q]'), 'natu');
+      assert.deepStrictEqual(valuesOf(await withResources.complete(ref, { name: 'timeframe', value: '3' })), ['3d', '3m']);
+      assert.deepStrictEqual(valuesOf(await withResources.complete(ref, { name: 'orcid', value: '00' })), []);
+    });
+
+    it('caps the response at the protocol limit', async function () {
+      const many = Array.from({ length: 150 }, (_, i) => ({ id: `j-${i}`, type: 'journal', attributes: { title: `Journal ${i}` } }));
+      fetchStub.resolves({ ok: true, text: async () => JSON.stringify({ data: [], included: many }) });
+      const { completion } = await completions.complete(report, { name: 'journal_id', value: 'journal' });
+      assert.strictEqual(completion.values.length, 100);
+      assert.strictEqual(completion.total, 150);
+      assert.strictEqual(completion.hasMore, true);
+    });
+  });
+});
@@ -72,8 +72,12 @@ function startExplorerStub() {
 
       if (url.pathname === '/explorer/api/research_outputs') {
         lastExplorerApiRequest = { rawUrl: req.url, authorization: req.headers.authorization || null };
+        // A query for "bulk" returns more rows than a small output budget allows.
+        const data = url.searchParams.get('filter[q]') === 'bulk'
+          ? Array.from({ length: 200 }, (_, i) => ({ id: `ro-${i}`, type: 'research-output', attributes: { title: `Output number ${i}` } }))
+          : [];
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ data: [], meta: { response: { 'total-results': 0, 'total-pages': 1 } } }));
+        res.end(JSON.stringify({ data, meta: { response: { 'total-results': data.length, 'total-pages': 1 } } }));
         return;
       }
 
@@ -108,8 +112,8 @@ function parseSSE(body) {
 }
 
 // Stateless transport: every request stands alone — no initialize handshake, no session id.
-async function mcpPost(method, params, { token } = {}) {
-  const headers = { ...MCP_HEADERS };
+async function mcpPost(method, params, { token, headers: extraHeaders = {} } = {}) {
+  const headers = { ...MCP_HEADERS, ...extraHeaders };
   if (token) headers.Authorization = `Bearer ${token}`;
 
   const response = await fetch(`${BASE_URL}/mcp`, {
@@ -268,6 +272,31 @@ describe('HTTP transport (OAuth resource server)', function () {
       assert.strictEqual(lastDetailsApiRequest.authorization, null);
     });
 
+    it('trims to a client-declared token budget and continues from a cursor only for its owner', async function () {
+      const { data } = await mcpPost('tools/call', {
+        name: 'explore_research_outputs',
+        arguments: { q: 'bulk' },
+      }, { token: GOOD, headers: { 'X-Max-MCP-Output-Tokens': '2000' } });
+
+      const { meta } = data.result.structuredContent;
+      assert.strictEqual(meta.truncated, true);
+      assert.ok(meta.returned < 200);
+      assert.ok(meta.next_cursor, 'the trimmed rest should be held under a cursor');
+
+      const stranger = await mcpPost('tools/call', {
+        name: 'continue_result',
+        arguments: { cursor: meta.next_cursor },
+      }, { token: DETAILS_ONLY });
+      assert.strictEqual(stranger.data.result.isError, true, 'another caller must not read the cursor');
+
+      const next = await mcpPost('tools/call', {
+        name: 'continue_result',
+        arguments: { cursor: meta.next_cursor },
+      }, { token: GOOD });
+      assert.ok(!next.data.result.isError, JSON.stringify(next.data.result));
+      assert.strictEqual(next.data.result.structuredContent.data[0].id, `ro-${meta.returned}`);
+    });
+
     it('caches the brokered credentials (one broker hit reused across requests)', async function () {
       // GOOD made several requests above; each validates and builds its toolset, but the
       // entitlement map is brokered once and cached by token hash.
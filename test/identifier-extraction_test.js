@@ -0,0 +1,81 @@
+import assert from 'assert';
+import { extractIdentifiers, detectCitationFormat } from '../lib/identifier-extraction.js';
+
+describe('identifier extraction', function () {
+  describe('detectCitationFormat', function () {
+    it('recognises CSL-JSON, BibTeX and RIS, and falls back to text', function () {
+      assert.strictEqual(detectCitationFormat('[{"DOI": "10.1000/a"}]'), 'csl_json');
+      assert.strictEqual(detectCitationFormat('% library\n@article{key,\n doi = {10.1000/a}}'), 'bibtex');
+      assert.strictEqual(detectCitationFormat('TY  - JOUR\nDO  - 10.1000/a\nER  - '), 'ris');
+      assert.strictEqual(detectCitationFormat('[1] Smith J. doi:10.1000/a'), 'text');
+    });
+  });
+
+  describe('extractIdentifiers', function () {
+    it('takes identifier lines whole and scans the rest of free text', function () {
+      const text = '\uFEFF10.1038/nature12373\r\nPMID: 23903748\n\n' +
+        '[2] Jones (2020). See https://doi.org/10.1000/xyz, PMID 31234567 and arXiv:1501.00001v2.\n' +
+        'Trial NCT01234567; book ISBN 978-0-306-40615-7; https://www.altmetric.com/details/241939\n10.1038/nature12373\n';
+      assert.deepStrictEqual(extractIdentifiers(text), {
+        format: 'text',
+        identifiers: ['10.1038/nature12373', '23903748', '10.1000/xyz', 'arXiv:1501.00001v2', '31234567', '9780306406157', 'NCT01234567', 'altmetric:241939'],
+        by_type: {
+          doi: ['10.1038/nature12373', '10.1000/xyz'],
+          pmid: ['23903748', '31234567'],
+          arxiv: ['arXiv:1501.00001v2'],
+          isbn: ['9780306406157'],
+          nct_id: ['NCT01234567'],
+          id: ['altmetric:241939'],
+        },
+      });
+    });
+
+    it('does not read years or page numbers in running text as PubMed IDs', function () {
+      assert.deepStrictEqual(extractIdentifiers('Smith J (2019) Nature 500:12-15.').identifiers, []);
+    });
+
+    it('reads Handles in running text only after a label or resolver URL', function () {
+      const text = 'Open 24/7. Archived at hdl:2440/1234; mirror https://hdl.handle.net/1721.1/5678.';
+      assert.deepStrictEqual(extractIdentifiers(text).by_type, { handle: ['2440/1234', '1721.1/5678'] });
+    });
+
+    it('reads only the identifier columns of a CSV with a header', function () {
+      const csv = 'Title,Year,DOI,PubMed ID,Altmetric ID\n"Cells, and more",2019,10.1000/a,12345,999\nOther,2020,,,\n';
+      assert.deepStrictEqual(extractIdentifiers(csv, 'csv').identifiers, ['10.1000/a', '12345', 'altmetric:999']);
+    });
+
+    it('skips bare numbers in a headerless table of several columns', function () {
+      assert.deepStrictEqual(extractIdentifiers('Title\t2019\t10.1000/a\n', 'tsv').identifiers, ['10.1000/a']);
+      assert.deepStrictEqual(extractIdentifiers('12345\n67890\n', 'csv').identifiers, ['12345', '67890']);
+    });
+
+    it('reads DOIs and links from RIS tags', function () {
+      const ris = 'TY  - JOUR\nTI  - 10.9999/not-a-field\nDO  - 10.1000/a\nUR  - https://arxiv.org/abs/1501.00001\nER  - \n';
+      assert.deepStrictEqual(extractIdentifiers(ris, 'ris').identifiers, ['10.1000/a', 'arXiv:1501.00001']);
+    });
+
+    it('reads doi, pmid and eprint fields from BibTeX', function () {
+      const bib = '@article{key,\n  title = {On {DNA} 10.9999/x},\n  doi = {10.1000/a},\n  pmid = 12345,\n  eprint = "1501.00001",\n}\n';
+      assert.deepStrictEqual(extractIdentifiers(bib).identifiers, ['10.1000/a', '12345', 'arXiv:1501.00001']);
+    });
+
+    it('reads DOI, PMID, ISBN, URL and arXiv notes from CSL-JSON', function () {
+      const csl = JSON.stringify([
+        { type: 'article-journal', title: 'A', DOI: '10.1000/a', PMID: '12345' },
+        { type: 'book', ISBN: '978-0-306-40615-7, 0306406152; 0-19-852663-6', URL: 'https://hdl.handle.net/2440/1234' },
+        { type: 'article', number: 'arXiv:1501.00001', note: 'Published as 10.1000/a', issued: { 'date-parts': [[2019]] } },
+      ]);
+      assert.deepStrictEqual(extractIdentifiers(csl).by_type, {
+        doi: ['10.1000/a'],
+        pmid: ['12345'],
+        isbn: ['9780306406157', '9780198526636'],
+        handle: ['2440/1234'],
+        arxiv: ['arXiv:1501.00001'],
+      });
+    });
+
+    it('rejects CSL-JSON that does not parse', function () {
+      assert.throws(() => extractIdentifiers('[{', 'csl_json'), /Not valid CSL-JSON/);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import assert from 'assert';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, mkdir, writeFile, symlink, rm } from 'node:fs/promises';
+import {
+  readIdentifierFile,
+  identifierFileRootFromEnv,
+  IDENTIFIERS_DIR_ENV,
+} from '../lib/identifier-files.js';
+
+describe('identifier files', function () {
+  describe('readIdentifierFile', function () {
+    let root;
+    let outside;
+
+    beforeEach(async function () {
+      root = await mkdtemp(path.join(os.tmpdir(), 'altmetric-ids-'));
+      outside = await mkdtemp(path.join(os.tmpdir(), 'altmetric-outside-'));
+      await mkdir(path.join(root, 'exports'));
+      await writeFile(path.join(root, 'exports', 'refs.txt'), '10.1000/a\n');
+      await writeFile(path.join(root, 'library.bib'), '@article{a, doi = {10.1000/b}}\n');
+      await writeFile(path.join(outside, 'secret.txt'), '10.1000/secret\n');
+      await symlink(path.join(outside, 'secret.txt'), path.join(root, 'link.txt'));
+    });
+
+    afterEach(async function () {
+      await rm(root, { recursive: true, force: true });
+      await rm(outside, { recursive: true, force: true });
+    });
+
+    it('reads a file inside the root, in the format its extension names', async function () {
+      const result = await readIdentifierFile('exports/refs.txt', root);
+      assert.deepStrictEqual(result, { file: path.join('exports', 'refs.txt'), format: 'text', identifiers: ['10.1000/a'], by_type: { doi: ['10.1000/a'] } });
+      assert.strictEqual((await readIdentifierFile('library.bib', root)).format, 'bibtex');
+    });
+
+    it('refuses paths that leave the root, directly or through a symlink', async function () {
+      await assert.rejects(readIdentifierFile('../' + path.basename(outside) + '/secret.txt', root), /Files must be inside ALTMETRIC_IDENTIFIERS_DIR/);
+      await assert.rejects(readIdentifierFile(path.join(outside, 'secret.txt'), root), /must be inside/);
+      await assert.rejects(readIdentifierFile('link.txt', root), /must be inside/);
+    });
+
+    it('gives the same error for missing files outside the root', async function () {
+      const error = /^Error: Files must be inside ALTMETRIC_IDENTIFIERS_DIR/;
+      await assert.rejects(readIdentifierFile(path.join(outside, 'secret.txt'), root), error);
+      await assert.rejects(readIdentifierFile(path.join(outside, 'absent.txt'), root), error);
+      await assert.rejects(readIdentifierFile('../absent.txt', root), error);
+    });
+
+    it('reads names inside the root that start with two dots', async function () {
+      await writeFile(path.join(root, '..refs.txt'), '10.1000/c\n');
+      assert.deepStrictEqual((await readIdentifierFile('..refs.txt', root)).identifiers, ['10.1000/c']);
+    });
+
+    it('refuses unsupported extensions and missing files', async function () {
+      await assert.rejects(readIdentifierFile('refs.pdf', root), /must be one of: \.txt, \.csv/);
+      await assert.rejects(readIdentifierFile('missing.txt', root), /File not found: missing\.txt/);
+    });
+  });
+
+  it('takes the root from the environment, or none', function () {
+    assert.strictEqual(identifierFileRootFromEnv({}), null);
+    assert.strictEqual(identifierFileRootFromEnv({ [IDENTIFIERS_DIR_ENV]: '/data/ids' }), path.resolve('/data/ids'));
+  });
+});
@@ -0,0 +1,81 @@
+import assert from 'assert';
+import {
+  createIdentifierListRegistry,
+  findUnrecognizedIdentifiers,
+  parseIdentifierText,
+  MAX_STORED_UNRECOGNIZED,
+} from '../lib/identifier-lists.js';
+
+describe('identifier lists', function () {
+  describe('parseIdentifierText', function () {
+    it('splits lines and CSV/TSV separators, dropping quotes and blanks', function () {
+      assert.deepStrictEqual(
+        parseIdentifierText('10.1/a\r\n"10.1/b", \'altmetric:5\'\t29317830;\n\n'),
+        ['10.1/a', '10.1/b', 'altmetric:5', '29317830'],
+      );
+    });
+  });
+
+  describe('findUnrecognizedIdentifiers', function () {
+    it('reports what detection cannot place and types lists do not take', function () {
+      assert.deepStrictEqual(findUnrecognizedIdentifiers(['10.1/a', 'altmetric:5', 'hello', 'pub.1000000001']), [
+        { identifier: 'hello', reason: 'not a recognisable identifier' },
+        { identifier: 'pub.1000000001', reason: 'dimensions_publication_id identifiers are not supported in identifier lists' },
+      ]);
+    });
+  });
+
+  describe('createIdentifierListRegistry', function () {
+    it('records lists per owner, newest first, found by name or id', function () {
+      const registry = createIdentifierListRegistry({ now: () => 0 });
+      registry.record('alice', { id: 'l1', name: 'bio', counts: { dois: 1 }, submitted: 1 });
+      registry.record('alice', { id: 'l2', counts: { pmids: 2 } });
+
+      assert.deepStrictEqual(registry.list('alice').map((l) => l.id), ['l2', 'l1']);
+      assert.strictEqual(registry.find('alice', 'bio').id, 'l1');
+      assert.strictEqual(registry.find('alice', 'l2').counts.pmids, 2);
+      assert.strictEqual(registry.find('bob', 'bio'), null);
+      assert.strictEqual(registry.list('alice')[1].created_at, '1970-01-01T00:00:00.000Z');
+    });
+
+    it('moves a name to the newest list claiming it, and keeps details on re-record', function () {
+      const registry = createIdentifierListRegistry();
+      registry.record('alice', { id: 'l1', name: 'cohort', submitted: 3, unrecognized: [{ identifier: 'x', reason: 'r' }] });
+      registry.record('alice', { id: 'l2', name: 'cohort' });
+      assert.strictEqual(registry.find('alice', 'cohort').id, 'l2');
+      assert.strictEqual(registry.find('alice', 'l1').name, null);
+
+      registry.record('alice', { id: 'l1', counts: { dois: 3 } });
+      const again = registry.find('alice', 'l1');
+      assert.deepStrictEqual([again.submitted, again.unrecognized_total, again.counts.dois], [3, 1, 3]);
+    });
+
+    it('bounds entries per owner, owners, stored unrecognised identifiers and age', function () {
+      let clock = 0;
+      const registry = createIdentifierListRegistry({ maxPerOwner: 2, maxOwners: 2, ttlMs: 1000, now: () => clock });
+      ['l1', 'l2', 'l3'].forEach((id) => registry.record('alice', { id }));
+      assert.deepStrictEqual(registry.list('alice').map((l) => l.id), ['l3', 'l2']);
+
+      registry.record('bob', { id: 'b1' });
+      registry.record('carol', { id: 'c1' });
+      assert.deepStrictEqual(registry.list('alice'), [], 'least recently active owner dropped');
+
+      const many = Array.from({ length: MAX_STORED_UNRECOGNIZED + 5 }, (_, i) => ({ identifier: `x${i}`, reason: 'r' }));
+      const entry = registry.record('bob', { id: 'b2', unrecognized: many });
+      assert.strictEqual(entry.unrecognized.length, MAX_STORED_UNRECOGNIZED);
+      assert.strictEqual(entry.unrecognized_total, MAX_STORED_UNRECOGNIZED + 5);
+
+      clock = 1000;
+      assert.deepStrictEqual(registry.list('bob'), []);
+    });
+
+    it('binds an owner with forOwner and hands out copies', function () {
+      const registry = createIdentifierListRegistry();
+      const alice = registry.forOwner('alice');
+      alice.record({ id: 'l1', counts: { dois: 1 } });
+      alice.list()[0].counts.dois = 99;
+      assert.strictEqual(alice.find('l1').counts.dois, 1);
+      assert.strictEqual(registry.forOwner('bob').find('l1'), null);
+    });
+  });
+});
@@ -44,7 +44,7 @@ async function run() {
 
     // ---- 1. listTools -------------------------------------------------
     const { tools } = await client.listTools();
-    assert.strictEqual(tools.length, 11, `expected 11 tools, got ${tools.length}`);
+    assert.strictEqual(tools.length, 24, `expected 24 tools, got ${tools.length}`);
     console.log(`✓ listTools returned ${tools.length} tools\n`);
 
     // ---- 2. get_citation_counts (DOI) --------------------------------
@@ -158,6 +158,16 @@ async function run() {
       console.log('✓ explore_attention_summary');
     }
 
+    // ---- 9b. analyze_attention_trend ---------------------------------
+    {
+      const r = await client.callTool({
+        name: 'analyze_attention_trend',
+        arguments: { timeframe: '1m', interval: 'day' },
+      });
+      assert.ok(structuredOf(r), 'structuredContent must be present');
+      console.log(`✓ analyze_attention_trend: ${structuredOf(r)?.buckets ?? 0} buckets`);
+    }
+
     // ---- 10. explore_mentions ----------------------------------------
     {
       const r = await client.callTool({
@@ -215,6 +225,19 @@ async function run() {
       console.log('✓ filter validation rejects bad date before upstream call');
     }
 
+    // ---- 15. Resources: templates + read by DOI ----------------------
+    {
+      const { resourceTemplates } = await client.listResourceTemplates();
+      assert.ok(
+        resourceTemplates.some((t) => t.uriTemplate === 'altmetric://doi/{doi}'),
+        'the DOI resource template must be advertised',
+      );
+      const { contents } = await client.readResource({ uri: 'altmetric://doi/10.1089%2Fg4h.2020.0180' });
+      const record = JSON.parse(contents.find((c) => c.mimeType === 'application/json').text);
+      assert.ok(record.altmetric_id, 'resource contents must carry the attention record');
+      console.log(`✓ readResource(altmetric://doi/…): id=${record.altmetric_id}`);
+    }
+
     console.log('\n✓ All integration tests passed.\n');
   } catch (error) {
     console.error('\n✗ Integration test failed:', error.message);
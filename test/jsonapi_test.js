@@ -0,0 +1,43 @@
+import assert from 'assert';
+import { lookup, firstString, firstNumber, linkage, includedIndex, isoDate, round } from '../lib/jsonapi.js';
+
+describe('jsonapi readers', function () {
+  const attributes = { title: '  A title ', blank: ' ', author: { name: 'Ann', followers: 12 }, count: NaN };
+
+  it('reads dotted paths, and the first usable string or number', function () {
+    assert.strictEqual(lookup(attributes, 'author.name'), 'Ann');
+    assert.strictEqual(lookup(attributes, 'title.length.x'), undefined);
+    assert.strictEqual(firstString(attributes, ['blank', 'missing', 'title']), 'A title');
+    assert.strictEqual(firstString(attributes, ['blank']), null);
+    assert.strictEqual(firstNumber(attributes, ['count', 'author.followers']), 12);
+    assert.strictEqual(firstNumber(attributes, ['title']), null);
+  });
+
+  it('reads to-one and to-many linkage from the first relationship that has any', function () {
+    const relationships = {
+      author: { data: null },
+      profile: { data: { id: 7, type: 'profile' } },
+      'research-outputs': { data: [{ id: 'a', type: 'research-output' }, { id: 'b' }] },
+    };
+    assert.deepStrictEqual(linkage(relationships, ['author', 'profile']), [{ id: '7', type: 'profile' }]);
+    assert.deepStrictEqual(linkage(relationships, ['research-outputs']), [
+      { id: 'a', type: 'research-output' },
+      { id: 'b', type: 'research-outputs' },
+    ]);
+    assert.deepStrictEqual(linkage(undefined, ['author']), []);
+  });
+
+  it('indexes included records by type and id', function () {
+    const index = includedIndex({ included: [{ id: 1, type: 'profile', attributes: { name: 'X' } }, { type: 'orphan' }] });
+    assert.deepStrictEqual([...index.keys()], ['profile:1']);
+    assert.strictEqual(includedIndex({}).size, 0);
+  });
+
+  it('writes Unix-second and ISO dates as YYYY-MM-DD, and rounds', function () {
+    assert.strictEqual(isoDate(1704067200), '2024-01-01');
+    assert.strictEqual(isoDate('2021-10-19T12:00:00+00:00'), '2021-10-19');
+    assert.strictEqual(isoDate('soon'), null);
+    assert.strictEqual(round(1 / 3), 0.33);
+    assert.strictEqual(round(97.46, 1), 97.5);
+  });
+});
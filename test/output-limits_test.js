@@ -1,7 +1,19 @@
 import assert from 'assert';
-import { enforceResultSizeLimit, MAX_RESULT_BYTES } from '../lib/output-limits.js';
+import {
+  enforceResultSizeLimit,
+  estimateTokens,
+  resultTokenBudgetFromEnv,
+  resultTokenBudgetFromHeader,
+  MAX_RESULT_BYTES,
+  DEFAULT_MAX_RESULT_TOKENS,
+  MIN_RESULT_TOKENS,
+  MAX_RESULT_TOKENS,
+} from '../lib/output-limits.js';
+import { attachExport } from '../lib/export-formats.js';
+import { appendSummaryTable } from '../lib/summary-tables.js';
 
 const sizeOf = (r) => Buffer.byteLength(JSON.stringify(r), 'utf8');
+const tokensOf = (r) => estimateTokens(JSON.stringify(r));
 
 describe('enforceResultSizeLimit', function () {
   it('returns a small result unchanged, with no truncation note', function () {
@@ -22,7 +34,7 @@ describe('enforceResultSizeLimit', function () {
     assert.deepStrictEqual(out.structuredContent.data, [{ id: 1 }], 'data is untouched once included alone gets it under budget');
     assert.ok(out.content[0].text.includes('[truncated]'));
     assert.ok(out.content[0].text.includes('included'));
-    assert.ok(sizeOf(out) <= MAX_RESULT_BYTES);
+    assert.ok(tokensOf(out) <= DEFAULT_MAX_RESULT_TOKENS);
   });
 
   it('trims the data array from the end when dropping included is not enough', function () {
@@ -37,7 +49,56 @@ describe('enforceResultSizeLimit', function () {
     assert.strictEqual(out.structuredContent.meta.truncated, true);
     assert.strictEqual(out.structuredContent.meta.available, 400);
     assert.strictEqual(out.structuredContent.meta.returned, out.structuredContent.data.length);
-    assert.ok(sizeOf(out) <= MAX_RESULT_BYTES);
+    assert.ok(tokensOf(out) <= DEFAULT_MAX_RESULT_TOKENS);
+  });
+
+  it('trims a batch tool\'s results array the same way', function () {
+    const results = Array.from({ length: 400 }, (_, i) => ({ rank: i + 1, title: 'word '.repeat(100) }));
+    const out = enforceResultSizeLimit({ content: [{ type: 'text', text: 's' }], structuredContent: { found: 400, results } });
+
+    assert.ok(out.structuredContent.results.length < 400);
+    assert.strictEqual(out.structuredContent.results[0].rank, 1);
+    assert.strictEqual(out.structuredContent.meta.available, 400);
+    assert.strictEqual(out.structuredContent.found, 400);
+  });
+
+  it('re-renders an attached export to match the trimmed rows', function () {
+    const data = Array.from({ length: 300 }, (_, i) => ({ id: `ro-${i}`, type: 'research-output', attributes: { title: 'word '.repeat(40) } }));
+    const result = attachExport({ content: [{ type: 'text', text: 's' }], structuredContent: { data } }, 'explore_research_outputs', 'csv');
+
+    const out = enforceResultSizeLimit(result, { maxTokens: 10_000 });
+
+    const csvRows = out.content.find((c) => c.type === 'resource').resource.text.split('\r\n').length - 1;
+    assert.strictEqual(csvRows, out.structuredContent.data.length);
+    assert.ok(csvRows < 300);
+    assert.ok(tokensOf(out) <= 10_000);
+  });
+
+  it('budgets the export alongside the rows it mirrors when trimming a long list', function () {
+    this.timeout(2_000);
+    const data = Array.from({ length: 10_000 }, (_, i) => ({ id: `ro-${i}`, type: 'research-output', attributes: { title: `Output ${i}`, score: i } }));
+    const result = attachExport({ content: [{ type: 'text', text: 's' }], structuredContent: { data } }, 'explore_research_outputs', 'tsv');
+
+    const out = enforceResultSizeLimit(result);
+
+    const tsvRows = out.content.find((c) => c.type === 'resource').resource.text.split('\n').length - 1;
+    assert.strictEqual(tsvRows, out.structuredContent.data.length);
+    assert.ok(tokensOf(out) <= DEFAULT_MAX_RESULT_TOKENS);
+    assert.ok(tokensOf(out) > DEFAULT_MAX_RESULT_TOKENS * 0.8, 'fills most of the budget');
+  });
+
+  it('rebuilds a summary table from the trimmed rows', function () {
+    const results = Array.from({ length: 400 }, (_, i) => ({ rank: i + 1, title: `Output ${i + 1}`, blob: 'word '.repeat(100) }));
+    const result = appendSummaryTable({ content: [{ type: 'text', text: 's' }], structuredContent: { results } }, 'get_batch_attention_data', 50);
+    assert.match(result.content[0].text, /Top 50 of 400:/);
+
+    const out = enforceResultSizeLimit(result, { maxTokens: 5_000 });
+
+    const kept = out.structuredContent.results.length;
+    assert.ok(kept < 50);
+    assert.match(out.content[0].text, new RegExp(`Top ${kept} of ${kept}:`));
+    assert.doesNotMatch(out.content[0].text, new RegExp(`\\| ${kept + 1} \\| Output ${kept + 1} \\|`));
+    assert.ok(tokensOf(out) <= 5_000);
   });
 
   it('does not discard a successful trim when the appended note/meta lands at the boundary', function () {
@@ -66,4 +127,129 @@ describe('enforceResultSizeLimit', function () {
     assert.ok(out.content[0].text.includes('[truncated]'));
     assert.ok(sizeOf(out) <= MAX_RESULT_BYTES);
   });
+
+  it('fits more compact rows than dense ones into the same token budget', function () {
+    const compact = Array.from({ length: 2000 }, (_, i) => ({ title: `Journal of things number ${i}`, score: i }));
+    const dense = Array.from({ length: 2000 }, (_, i) => ({ doi: `10.${1000 + i}/x${i}.a${i}b${i}`, grid: `grid.${i}.${i % 9}` }));
+    const wrap = (data) => ({ content: [{ type: 'text', text: 's' }], structuredContent: { data } });
+
+    const compactOut = enforceResultSizeLimit(wrap(compact), { maxTokens: 5_000 });
+    const denseOut = enforceResultSizeLimit(wrap(dense), { maxTokens: 5_000 });
+
+    assert.ok(tokensOf(compactOut) <= 5_000);
+    assert.ok(tokensOf(denseOut) <= 5_000);
+    assert.ok(sizeOf(compactOut) > sizeOf(denseOut), 'the budget buys more bytes of prose-like data');
+  });
+
+  it('honours a larger token budget', function () {
+    const data = Array.from({ length: 400 }, (_, i) => ({ id: i, blob: 'y'.repeat(5000) }));
+    const atDefault = enforceResultSizeLimit({ content: [], structuredContent: { data: [...data] } });
+    const out = enforceResultSizeLimit({ content: [], structuredContent: { data } }, { maxTokens: 100_000 });
+    assert.ok(out.structuredContent.meta.returned > atDefault.structuredContent.meta.returned);
+    assert.ok(tokensOf(out) <= 100_000);
+    assert.ok(sizeOf(out) <= MAX_RESULT_BYTES);
+  });
+
+  it('gives a compact payload more rows than the old fixed 40KB cap did', function () {
+    // explore_journals-shaped rows: short titles and counts, few identifiers.
+    const data = Array.from({ length: 1000 }, (_, i) => ({
+      id: `journal-${i}`,
+      type: 'journal',
+      attributes: { title: `Journal of Applied Research ${i}`, issns: [`1234-${String(5000 + i).padStart(4, '0')}`], 'mention-count': 900 - (i % 900), 'outputs-count': 40 },
+    }));
+    const wrap = () => ({ content: [{ type: 'text', text: 's' }], structuredContent: { data: data.map((row) => ({ ...row })) } });
+
+    const byBytes = enforceResultSizeLimit(wrap(), 40 * 1024);
+    const out = enforceResultSizeLimit(wrap());
+
+    assert.ok(out.structuredContent.meta.returned > byBytes.structuredContent.meta.returned,
+      `${out.structuredContent.meta.returned} rows against ${byBytes.structuredContent.meta.returned}`);
+    assert.ok(tokensOf(out) <= DEFAULT_MAX_RESULT_TOKENS);
+    assert.ok(sizeOf(out) > 40 * 1024);
+  });
+
+  it('trims a very long array quickly', function () {
+    this.timeout(2_000);
+    const data = Array.from({ length: 20_000 }, (_, i) => ({ id: i, title: `Output ${i}`, blob: 'word '.repeat(20) }));
+    const out = enforceResultSizeLimit({ content: [], structuredContent: { data } });
+    assert.ok(out.structuredContent.meta.returned > 0);
+    assert.ok(tokensOf(out) <= DEFAULT_MAX_RESULT_TOKENS);
+  });
+
+  it('still applies the byte cap when the token budget is generous', function () {
+    const data = Array.from({ length: 100 }, (_, i) => ({ id: i, v: 'word '.repeat(200) }));
+    const out = enforceResultSizeLimit({ content: [], structuredContent: { data } }, { maxTokens: MAX_RESULT_TOKENS, maxBytes: 16 * 1024 });
+    assert.strictEqual(out.structuredContent.meta.truncated, true);
+    assert.ok(sizeOf(out) <= 16 * 1024);
+  });
+});
+
+describe('enforceResultSizeLimit continuation cursors', function () {
+  const wrap = (data, meta) => ({ content: [{ type: 'text', text: 's' }], structuredContent: { data, ...(meta ? { meta } : {}) } });
+  const rows = (n) => Array.from({ length: n }, (_, i) => ({ id: i, blob: 'word '.repeat(100) }));
+
+  it('hands the trimmed remainder to stash and reports its cursor', function () {
+    const stashed = [];
+    const out = enforceResultSizeLimit(wrap(rows(100)), {
+      maxTokens: 5_000,
+      stash: (items, info) => { stashed.push({ items, info }); return 'c1'; },
+    });
+
+    const { returned } = out.structuredContent.meta;
+    assert.strictEqual(out.structuredContent.meta.next_cursor, 'c1');
+    assert.strictEqual(stashed[0].items[0].id, returned);
+    assert.strictEqual(stashed[0].items.length, 100 - returned);
+    assert.deepStrictEqual(stashed[0].info, { offset: returned, total: 100 });
+    assert.match(out.content[0].text, /call continue_result with cursor "c1"/);
+  });
+
+  it('reports positions in the original result when trimming a continuation slice', function () {
+    let info;
+    const out = enforceResultSizeLimit(wrap(rows(60), { continuation: { tool: 'explore_journals', offset: 40, total: 100 } }), {
+      maxTokens: 5_000,
+      stash: (items, i) => { info = i; return 'c2'; },
+    });
+
+    const { returned } = out.structuredContent.meta;
+    assert.deepStrictEqual(info, { offset: 40 + returned, total: 100, tool: 'explore_journals' });
+    assert.match(out.content[0].text, new RegExp(`showing items 41-${40 + returned} of 100`));
+  });
+
+  it('falls back to the narrowing advice when the remainder cannot be held', function () {
+    const out = enforceResultSizeLimit(wrap(rows(100)), { maxTokens: 5_000, stash: () => null });
+    assert.strictEqual(out.structuredContent.meta.next_cursor, undefined);
+    assert.match(out.content[0].text, /narrow your filters/);
+  });
+});
+
+describe('estimateTokens', function () {
+  it('counts identifier-heavy JSON at roughly twice the density of prose', function () {
+    const prose = 'Researchers discussed the findings at length in several newspapers and on social media.';
+    const dense = JSON.stringify({ doi: '10.1038/nature12373', grid: 'grid.4991.5', project: 'EP/K03829X/1' });
+    const charsPerToken = (text) => text.length / estimateTokens(text);
+    assert.ok(charsPerToken(prose) > 2.5);
+    assert.ok(charsPerToken(dense) < 2);
+  });
+
+  it('counts each non-ASCII character', function () {
+    assert.ok(estimateTokens('日本語のテキスト') >= 8);
+    assert.strictEqual(estimateTokens(''), 0);
+  });
+});
+
+describe('result token budget configuration', function () {
+  it('defaults to the Claude Code cap and honours MAX_MCP_OUTPUT_TOKENS', function () {
+    assert.strictEqual(resultTokenBudgetFromEnv({}), DEFAULT_MAX_RESULT_TOKENS);
+    assert.strictEqual(resultTokenBudgetFromEnv({ MAX_MCP_OUTPUT_TOKENS: '50000' }), 50_000);
+    assert.strictEqual(resultTokenBudgetFromEnv({ MAX_MCP_OUTPUT_TOKENS: '10' }), MIN_RESULT_TOKENS);
+    assert.throws(() => resultTokenBudgetFromEnv({ MAX_MCP_OUTPUT_TOKENS: 'lots' }), /Invalid MAX_MCP_OUTPUT_TOKENS/);
+  });
+
+  it('reads a client-declared header, falling back when it is absent or malformed', function () {
+    assert.strictEqual(resultTokenBudgetFromHeader('60000', 25_000), 60_000);
+    assert.strictEqual(resultTokenBudgetFromHeader(['8000'], 25_000), 8_000);
+    assert.strictEqual(resultTokenBudgetFromHeader('9999999', 25_000), MAX_RESULT_TOKENS);
+    assert.strictEqual(resultTokenBudgetFromHeader(undefined, 30_000), 30_000);
+    assert.strictEqual(resultTokenBudgetFromHeader('-5', 30_000), 30_000);
+  });
 });
@@ -0,0 +1,113 @@
+import assert from 'assert';
+import {
+  fetchAllPages,
+  mapWithConcurrency,
+  encodeContinuation,
+  decodeContinuation,
+} from '../lib/pagination.js';
+
+// Fake paginated endpoint: `total` items split into pages of the requested size.
+function fakeEndpoint(total, { included = () => [] } = {}) {
+  const calls = [];
+  const fetchPage = async (pageNumber, pageSize) => {
+    calls.push({ pageNumber, pageSize });
+    const start = (pageNumber - 1) * pageSize;
+    const data = [];
+    for (let i = start; i < Math.min(start + pageSize, total); i++) data.push({ id: String(i), type: 'research-output' });
+    return {
+      data,
+      included: included(pageNumber),
+      meta: { response: { 'total-results': total, 'total-pages': Math.ceil(total / pageSize) } },
+    };
+  };
+  return { fetchPage, calls };
+}
+
+describe('mapWithConcurrency', function () {
+  it('preserves input order', async function () {
+    const out = await mapWithConcurrency([30, 10, 20], 2, async (ms, i) => {
+      await new Promise((r) => setTimeout(r, ms));
+      return i;
+    });
+    assert.deepStrictEqual(out, [0, 1, 2]);
+  });
+
+  it('never runs more than `limit` calls at once', async function () {
+    let active = 0;
+    let peak = 0;
+    await mapWithConcurrency(Array.from({ length: 10 }), 3, async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise((r) => setImmediate(r));
+      active--;
+    });
+    assert.strictEqual(peak, 3);
+  });
+
+  it('handles an empty input', async function () {
+    assert.deepStrictEqual(await mapWithConcurrency([], 4, async () => 1), []);
+  });
+});
+
+describe('continuation tokens', function () {
+  it('round-trips a position', function () {
+    const token = encodeContinuation({ page: 3, pageSize: 50, skip: 10 });
+    assert.deepStrictEqual(decodeContinuation(token), { page: 3, pageSize: 50, skip: 10 });
+  });
+
+  it('rejects garbage and out-of-range values', function () {
+    assert.throws(() => decodeContinuation('not-a-token'), /Invalid continuation token/);
+    assert.throws(() => decodeContinuation(encodeContinuation({ page: 0, pageSize: 50, skip: 0 })), /Invalid continuation token/);
+    assert.throws(() => decodeContinuation(encodeContinuation({ page: 1, pageSize: 500, skip: 0 })), /Invalid continuation token/);
+    assert.throws(() => decodeContinuation(encodeContinuation({ page: 1, pageSize: 50, skip: 50 })), /Invalid continuation token/);
+  });
+});
+
+describe('fetchAllPages', function () {
+  it('walks every page and merges the data arrays in order', async function () {
+    const { fetchPage, calls } = fakeEndpoint(250);
+    const result = await fetchAllPages(fetchPage, { pageSize: 100, maxItems: 1000 });
+
+    assert.strictEqual(result.data.length, 250);
+    assert.strictEqual(result.data[0].id, '0');
+    assert.strictEqual(result.data[249].id, '249');
+    assert.deepStrictEqual(calls.map((c) => c.pageNumber).sort(), [1, 2, 3]);
+    assert.strictEqual(result.meta.pagination.pages_fetched, 3);
+    assert.strictEqual(result.meta.pagination.continuation, null);
+    assert.strictEqual(result.meta.response['total-results'], 250, 'keeps the upstream meta');
+  });
+
+  it('stops at max_items and returns a continuation that resumes mid-page', async function () {
+    const { fetchPage, calls } = fakeEndpoint(500);
+    const result = await fetchAllPages(fetchPage, { pageSize: 100, maxItems: 150 });
+
+    assert.strictEqual(result.data.length, 150);
+    assert.strictEqual(calls.length, 2, 'only fetches the pages the cap needs');
+    const position = decodeContinuation(result.meta.pagination.continuation);
+    assert.deepStrictEqual(position, { page: 2, pageSize: 100, skip: 50 });
+
+    const next = await fetchAllPages(fetchPage, { startPage: position.page, pageSize: position.pageSize, skip: position.skip, maxItems: 100 });
+    assert.strictEqual(next.data[0].id, '150', 'resumes right after the last returned item');
+    assert.strictEqual(next.data.length, 100);
+  });
+
+  it('points the continuation at the next unfetched page on a page boundary', async function () {
+    const { fetchPage } = fakeEndpoint(500);
+    const result = await fetchAllPages(fetchPage, { pageSize: 100, maxItems: 200 });
+    assert.deepStrictEqual(decodeContinuation(result.meta.pagination.continuation), { page: 3, pageSize: 100, skip: 0 });
+  });
+
+  it('de-duplicates the included block across pages by type and id', async function () {
+    const { fetchPage } = fakeEndpoint(200, {
+      included: (page) => [{ type: 'journal', id: 'j1' }, { type: 'author', id: `a${page}` }],
+    });
+    const result = await fetchAllPages(fetchPage, { pageSize: 100, maxItems: 200 });
+    assert.deepStrictEqual(result.included.map((i) => `${i.type}:${i.id}`), ['journal:j1', 'author:a1', 'author:a2']);
+  });
+
+  it('omits included when no page carries related objects', async function () {
+    const { fetchPage } = fakeEndpoint(10);
+    const result = await fetchAllPages(fetchPage, { pageSize: 100 });
+    assert.strictEqual(result.included, undefined);
+  });
+});
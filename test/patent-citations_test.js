@@ -0,0 +1,190 @@
+import assert from 'assert';
+import {
+  patentCitationsFromDetails,
+  patentCitationsFromMentions,
+  summarizePatentCitations,
+  describePatentCitations,
+} from '../lib/patent-citations.js';
+import { enforceResultSizeLimit } from '../lib/output-limits.js';
+
+// A /v1/fetch response for one output, trimmed to the citation and its patent posts.
+const FETCH_RESPONSE = {
+  citation: {
+    altmetric_id: 2446398,
+    title: 'Gold nanoparticles for the improved anticancer drug delivery of the active component of oxaliplatin',
+    doi: '10.1021/ja100591n',
+    journal: 'Journal of the American Chemical Society',
+    type: 'article',
+  },
+  counts: { patent: { posts_count: 2, unique_users_count: 2 } },
+  posts: {
+    patent: [
+      {
+        title: 'Nanoparticle compositions for platinum drug delivery',
+        url: 'https://www.lens.org/lens/patent/US-10123456-B2',
+        license: 'public',
+        citation_ids: [2446398],
+        posted_on: '2018-11-13T00:00:00+00:00',
+        summary: 'Compositions comprising gold nanoparticles conjugated to a platinum(IV) prodrug.',
+        patent_number: 'US-10123456-B2',
+        jurisdiction: 'US',
+        assignees: ['Massachusetts Institute of Technology', ' Acme Pharma Inc '],
+        filing_date: '2016-04-01',
+      },
+      {
+        title: 'Targeted delivery of platinum complexes',
+        url: 'https://www.lens.org/lens/patent/WO-2019-123456-A1',
+        license: 'public',
+        citation_ids: [2446398],
+        posted_on: '2019-06-27T00:00:00+00:00',
+        summary: 'Methods of treating cancer with targeted platinum complexes.',
+        patent_number: 'WO-2019-123456-A1',
+        assignees: [],
+      },
+    ],
+  },
+};
+
+const fetched = (input, altmetricId, patents, citation = {}) => ({
+  input,
+  data: { citation: { altmetric_id: altmetricId, title: `Output ${altmetricId}`, ...citation }, posts: { patent: patents } },
+});
+
+describe('patent citations', function () {
+  describe('patentCitationsFromDetails', function () {
+    it('reads the fields of each patent post', function () {
+      const [first, second] = patentCitationsFromDetails([{ input: '10.1021/ja100591n', data: FETCH_RESPONSE }]);
+      assert.deepStrictEqual(first, {
+        title: 'Nanoparticle compositions for platinum drug delivery',
+        url: 'https://www.lens.org/lens/patent/US-10123456-B2',
+        patent_number: 'US-10123456-B2',
+        jurisdiction: 'US',
+        assignees: ['Massachusetts Institute of Technology', 'Acme Pharma Inc'],
+        filed_on: '2016-04-01',
+        published_on: '2018-11-13',
+        output: {
+          id: '2446398',
+          doi: '10.1021/ja100591n',
+          title: 'Gold nanoparticles for the improved anticancer drug delivery of the active component of oxaliplatin',
+          input: '10.1021/ja100591n',
+        },
+      });
+      assert.deepStrictEqual([second.jurisdiction, second.assignees, second.filed_on], ['WO', [], null]);
+    });
+
+    it('ignores responses without patent posts', function () {
+      assert.deepStrictEqual(patentCitationsFromDetails([{ input: 'x', data: { citation: {}, posts: { policy: [{}] } } }]), []);
+    });
+  });
+
+  describe('patentCitationsFromMentions', function () {
+    it('keeps patent mentions, taking the assignee from the author profile when the mention names none', function () {
+      const citations = patentCitationsFromMentions({
+        data: [
+          {
+            id: 'm1',
+            type: 'mention',
+            attributes: {
+              'source-type': 'patent',
+              title: 'Widget',
+              url: 'https://www.lens.org/lens/patent/WO-2019-123456-A1',
+              'patent-number': 'WO-2019-123456-A1',
+              'filing-date': '2018-12-20',
+              'posted-on': '2019-06-27T00:00:00+00:00',
+            },
+            relationships: {
+              author: { data: { id: 'a1', type: 'author' } },
+              'research-outputs': { data: [{ id: 'o1', type: 'research-output' }, { id: 'o2', type: 'research-output' }] },
+            },
+          },
+          { id: 'm2', type: 'mention', attributes: { 'source-type': 'news' }, relationships: { 'research-outputs': { data: [{ id: 'o1', type: 'research-output' }] } } },
+        ],
+        included: [
+          { id: 'a1', type: 'author', attributes: { name: 'Widget Co' } },
+          { id: 'o1', type: 'research-output', attributes: { title: 'First', doi: '10.1000/one' } },
+        ],
+      });
+      assert.deepStrictEqual(citations.map((c) => [c.patent_number, c.jurisdiction, c.assignees, c.filed_on, c.output.id, c.output.doi]), [
+        ['WO-2019-123456-A1', 'WO', ['Widget Co'], '2018-12-20', 'o1', '10.1000/one'],
+        ['WO-2019-123456-A1', 'WO', ['Widget Co'], '2018-12-20', 'o2', null],
+      ]);
+    });
+  });
+
+  describe('summarizePatentCitations', function () {
+    const summary = summarizePatentCitations(patentCitationsFromDetails([
+      fetched('a', 1, [
+        { patent_number: 'US-10123456-B2', assignees: ['Acme Corp'], filing_date: '2018-04-01' },
+        { patent_number: 'EP1234567A1', assignees: ['Beta Ltd'], filing_date: '2019-02-01' },
+      ]),
+      fetched('b', 2, [{ patent_number: 'US10123456B2', assignees: ['Acme Corp'], filing_date: '2018-04-01' }]),
+      fetched('c', 3, [{ title: 'Undated', url: 'https://patents.example/x' }]),
+    ]));
+
+    it('counts a patent once however many outputs it cites', function () {
+      assert.deepStrictEqual([summary.citations, summary.patents, summary.outputs_with_patents], [4, 3, 3]);
+      assert.deepStrictEqual(summary.data.find((p) => p.jurisdiction === 'US').outputs, ['1', '2']);
+    });
+
+    it('groups patents by jurisdiction, assignee and filing year', function () {
+      assert.deepStrictEqual(summary.by_jurisdiction.map((row) => [row.jurisdiction, row.patents, row.outputs]), [
+        ['US', 1, 2], ['EP', 1, 1], ['unknown', 1, 1],
+      ]);
+      assert.deepStrictEqual(summary.by_assignee.map((row) => row.assignee), ['Acme Corp', 'Beta Ltd', 'unknown']);
+      assert.deepStrictEqual(summary.by_filing_year.map((row) => [row.year, row.patents]), [['2018', 1], ['2019', 1], ['unknown', 1]]);
+    });
+
+    it('lists the outputs with patent uptake, most cited first', function () {
+      assert.deepStrictEqual(summary.outputs.map((row) => [row.id, row.patents, row.jurisdictions, row.first_filed]), [
+        ['1', 2, ['EP', 'US'], '2018-04-01'],
+        ['2', 1, ['US'], '2018-04-01'],
+        ['3', 1, [], null],
+      ]);
+    });
+  });
+
+  describe('at scale', function () {
+    it('keeps the groupings and output list bounded and leaves the patents to the output limit', function () {
+      const citations = Array.from({ length: 600 }, (_, j) => ({
+        title: `Method and apparatus for sequencing nucleic acids, embodiment ${j}`,
+        url: `https://patents.example.org/patent/US${10_000_000 + j}B2`,
+        patent_number: `US-${10_000_000 + j}-B2`,
+        jurisdiction: 'US',
+        assignees: [`Assignee ${j % 60}`],
+        filed_on: `20${10 + (j % 12)}-04-01`,
+        published_on: null,
+        output: { id: String(j % 200), doi: `10.1000/output.${j % 200}`, title: `Output ${j % 200}`, input: null },
+      }));
+      const summary = summarizePatentCitations(citations);
+
+      assert.strictEqual(summary.by_assignee.length, 21);
+      assert.deepStrictEqual([summary.by_assignee[20].assignee, summary.by_assignee[20].merged, summary.by_assignee[20].patents], [null, 40, 400]);
+      assert.deepStrictEqual(summary.by_jurisdiction, [{ jurisdiction: 'US', patents: 600, outputs: 200 }]);
+      assert.deepStrictEqual([summary.outputs_with_patents, summary.outputs.length, summary.data.length], [200, 50, 600]);
+
+      const text = describePatentCitations(summary);
+      assert.match(text, /By assignee: [^\n]*, \+50 more\n/);
+      assert.match(text, /\(\+180 more outputs; the structured output list has the first 50\)$/);
+
+      const result = enforceResultSizeLimit({ content: [{ type: 'text', text }], structuredContent: summary });
+      assert.strictEqual(result.structuredContent.error, undefined);
+      assert.ok(result.structuredContent.meta.returned < 600);
+    });
+  });
+
+  describe('describePatentCitations', function () {
+    it('summarises the groupings and the outputs', function () {
+      const text = describePatentCitations(summarizePatentCitations(patentCitationsFromDetails([
+        fetched('10.1/a', 1, [{ title: 'Sensor', patent_number: 'US-1-B2', assignees: ['Acme | Corp'], filing_date: '2018-04-01' }], { doi: '10.1/a' }),
+      ])), 4);
+      assert.match(text, /^1 patent\(s\) cite 1 of 4 research output\(s\); 1 citation\(s\) in all\./);
+      assert.match(text, /By assignee: Acme \| Corp \(1\)/);
+      assert.match(text, /By filing year: 2018 \(1\)/);
+      assert.match(text, /- Output 1 \(10\.1\/a\): 1 patent\(s\) in US, first filed 2018-04-01/);
+    });
+
+    it('says when nothing cites the outputs', function () {
+      assert.strictEqual(describePatentCitations(summarizePatentCitations([])), 'No patent citations found.');
+    });
+  });
+});
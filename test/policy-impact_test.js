@@ -0,0 +1,220 @@
+import assert from 'assert';
+import {
+  policyCitationsFromDetails,
+  policyCitationsFromMentions,
+  summarizePolicyImpact,
+  describePolicyImpact,
+} from '../lib/policy-impact.js';
+import { enforceResultSizeLimit } from '../lib/output-limits.js';
+
+// A /v1/fetch response for one output, trimmed to the citation and its policy posts.
+const FETCH_RESPONSE = {
+  citation: {
+    altmetric_id: 241939,
+    title: 'Global, regional, and national burden of antimicrobial resistance',
+    doi: '10.1016/s0140-6736(21)02724-0',
+    journal: 'The Lancet',
+    type: 'article',
+  },
+  counts: { policy: { posts_count: 1, unique_users_count: 1 }, guideline: { posts_count: 1, unique_users_count: 1 } },
+  posts: {
+    policy: [
+      {
+        title: 'Confronting antimicrobial resistance 2024 to 2029',
+        url: 'https://www.gov.uk/government/publications/uk-5-year-action-plan-for-antimicrobial-resistance-2024-to-2029',
+        license: 'public',
+        citation_ids: [241939],
+        posted_on: '2024-05-08T00:00:00+00:00',
+        summary: 'The UK national action plan on antimicrobial resistance.',
+        source: { title: 'GOV.UK', acronym: 'GOV.UK', country: 'gb', url: 'https://www.gov.uk' },
+      },
+    ],
+    guideline: [
+      {
+        title: 'Antimicrobial stewardship: systems and processes',
+        url: 'https://www.nice.org.uk/guidance/ng15',
+        license: 'public',
+        citation_ids: [241939],
+        posted_on: '2015-08-18T00:00:00+00:00',
+        source: { title: 'National Institute for Health and Care Excellence', acronym: 'NICE', country: 'gb' },
+      },
+    ],
+  },
+};
+
+const post = (title, url, organisation, postedOn, extra = {}) => ({ title, url, posted_on: postedOn, source: { title: organisation, ...extra } });
+
+const fetched = (input, altmetricId, posts, citation = {}) => ({
+  input,
+  data: { citation: { altmetric_id: altmetricId, title: `Output ${altmetricId}`, ...citation }, posts },
+});
+
+describe('policy impact', function () {
+  describe('policyCitationsFromDetails', function () {
+    it('reads policy and guideline posts, skipping the other sources', function () {
+      const citations = policyCitationsFromDetails([
+        fetched('10.1/a', 1, {
+          policy: [post('Report', 'https://gov.uk/r', 'UK Government', '2021-03-04T00:00:00+00:00', { country: 'GB' })],
+          guideline: [post('Guideline', 'https://nice.org.uk/g', 'NICE', '2022-01-01T00:00:00+00:00')],
+          twitter: [{ title: 'tweet' }],
+        }, { doi: '10.1/a' }),
+      ]);
+      assert.deepStrictEqual(citations.map((c) => [c.kind, c.title, c.organisation, c.country, c.posted_on]), [
+        ['policy', 'Report', 'UK Government', 'GB', '2021-03-04'],
+        ['guideline', 'Guideline', 'NICE', null, '2022-01-01'],
+      ]);
+      assert.deepStrictEqual(citations[0].output, { id: '1', doi: '10.1/a', title: 'Output 1', input: '10.1/a' });
+    });
+
+    it('reads the fields of each post, the organisation from its source', function () {
+      const [policy, guideline] = policyCitationsFromDetails([{ input: '10.1016/s0140-6736(21)02724-0', data: FETCH_RESPONSE }]);
+      assert.deepStrictEqual(policy, {
+        kind: 'policy',
+        title: 'Confronting antimicrobial resistance 2024 to 2029',
+        url: 'https://www.gov.uk/government/publications/uk-5-year-action-plan-for-antimicrobial-resistance-2024-to-2029',
+        organisation: 'GOV.UK',
+        country: 'GB',
+        posted_on: '2024-05-08',
+        output: {
+          id: '241939',
+          doi: '10.1016/s0140-6736(21)02724-0',
+          title: 'Global, regional, and national burden of antimicrobial resistance',
+          input: '10.1016/s0140-6736(21)02724-0',
+        },
+      });
+      assert.deepStrictEqual([guideline.kind, guideline.organisation, guideline.country], ['guideline', 'National Institute for Health and Care Excellence', 'GB']);
+    });
+
+    it('reads only the documented fields', function () {
+      const [citation] = policyCitationsFromDetails([fetched('x', 1, {
+        policy: [{ name: 'Report', published_on: '2021-01-01', source: { name: 'Ministry', 'country-code': 'FR' } }],
+      })]);
+      assert.deepStrictEqual([citation.title, citation.organisation, citation.country, citation.posted_on], [null, null, null, null]);
+    });
+
+    it('returns nothing for an output without policy posts', function () {
+      assert.deepStrictEqual(policyCitationsFromDetails([fetched('10.1/a', 1, undefined)]), []);
+    });
+  });
+
+  describe('policyCitationsFromMentions', function () {
+    it('keeps policy and guideline mentions, one citation per output referenced, the organisation from the author profile', function () {
+      const citations = policyCitationsFromMentions({
+        data: [
+          {
+            id: 'm1',
+            attributes: { 'source-type': 'Policy', title: 'Brief', url: 'https://who.int/b', 'posted-on': '2023-01-02T10:00:00Z' },
+            relationships: {
+              author: { data: { id: 'p1', type: 'author' } },
+              'research-outputs': { data: [{ id: 'o1', type: 'research-output' }, { id: 'o2', type: 'research-output' }] },
+            },
+          },
+          { id: 'm2', attributes: { 'source-type': 'news', title: 'Story' }, relationships: { 'research-outputs': { data: [{ id: 'o1', type: 'research-output' }] } } },
+          {
+            id: 'm3',
+            type: 'mention',
+            attributes: { 'source-type': 'guideline', title: 'Advice', url: 'https://cdc.gov/a', 'posted-on': '2022-03-04T00:00:00Z', author: { name: 'Not read' } },
+            relationships: { 'research-outputs': { data: [{ id: 'o1', type: 'research-output' }] } },
+          },
+        ],
+        included: [
+          { id: 'p1', type: 'author', attributes: { name: 'WHO', 'country-code': 'INT' } },
+          { id: 'o1', type: 'research-output', attributes: { title: 'First', doi: '10.1/one' } },
+        ],
+      });
+      assert.deepStrictEqual(citations.map((c) => [c.kind, c.title, c.posted_on, c.organisation, c.country, c.output.id, c.output.title]), [
+        ['policy', 'Brief', '2023-01-02', 'WHO', 'INT', 'o1', 'First'],
+        ['policy', 'Brief', '2023-01-02', 'WHO', 'INT', 'o2', null],
+        ['guideline', 'Advice', '2022-03-04', null, null, 'o1', 'First'],
+      ]);
+    });
+  });
+
+  describe('summarizePolicyImpact', function () {
+    const citations = policyCitationsFromDetails([
+      fetched('a', 1, {
+        policy: [
+          post('Strategy', 'https://gov.uk/strategy/', 'UK Government', '2021-06-01T00:00:00Z', { country: 'GB' }),
+          post('Earlier', 'https://gov.uk/earlier', 'UK Government', '2019-02-03T00:00:00Z', { country: 'GB' }),
+        ],
+      }),
+      fetched('b', 2, {
+        policy: [post('Strategy', 'https://GOV.UK/strategy', 'UK Government', '2021-06-01T00:00:00Z', { country: 'GB' })],
+        guideline: [post('Advice', null, 'WHO', '2020-05-05T00:00:00Z', { country: 'INT' })],
+      }),
+      fetched('c', 3, { guideline: [post('Advice', null, 'who', undefined)] }),
+    ]);
+    const summary = summarizePolicyImpact(citations);
+
+    it('de-duplicates documents citing several outputs', function () {
+      assert.deepStrictEqual(
+        [summary.citations, summary.documents, summary.multi_output_documents, summary.outputs_cited],
+        [5, 3, 2, 3],
+      );
+      assert.deepStrictEqual(summary.by_kind, { policy: 2, guideline: 1 });
+      const strategy = summary.data.find((document) => document.title === 'Strategy');
+      assert.deepStrictEqual(strategy.outputs, ['1', '2']);
+    });
+
+    it('groups documents by organisation and country', function () {
+      assert.deepStrictEqual(summary.by_organisation.map((row) => [row.organisation, row.documents, row.outputs]), [
+        ['UK Government', 2, 2],
+        ['WHO', 1, 2],
+      ]);
+      assert.deepStrictEqual(summary.by_country.map((row) => [row.country, row.documents]), [['GB', 2], ['INT', 1]]);
+    });
+
+    it('dates each output\'s first policy citation, undated outputs last', function () {
+      assert.deepStrictEqual(summary.timeline.map((row) => [row.id, row.first_policy_citation, row.first_document?.title ?? null, row.documents]), [
+        ['1', '2019-02-03', 'Earlier', 2],
+        ['2', '2020-05-05', 'Advice', 2],
+        ['3', null, null, 1],
+      ]);
+    });
+  });
+
+  describe('at scale', function () {
+    it('keeps the groupings and timeline bounded and leaves the documents to the output limit', function () {
+      const citations = Array.from({ length: 600 }, (_, j) => ({
+        kind: 'policy',
+        title: `Guidance on antimicrobial resistance surveillance, part ${j}`,
+        url: `https://policy.example.org/documents/${j}`,
+        organisation: `Organisation ${j % 60}`,
+        country: `C${j % 40}`,
+        posted_on: `20${10 + (j % 12)}-0${1 + (j % 9)}-1${j % 10}`,
+        output: { id: String(j % 200), doi: `10.1000/output.${j % 200}`, title: `Output ${j % 200}`, input: null },
+      }));
+      const summary = summarizePolicyImpact(citations);
+
+      assert.strictEqual(summary.by_organisation.length, 21);
+      assert.deepStrictEqual([summary.by_organisation[20].organisation, summary.by_organisation[20].merged], [null, 40]);
+      assert.strictEqual(summary.by_organisation.reduce((sum, row) => sum + row.documents, 0), 600);
+      assert.deepStrictEqual([summary.by_country.length, summary.by_country[20].merged, summary.by_country[20].outputs], [21, 20, 100]);
+      assert.deepStrictEqual([summary.outputs_cited, summary.timeline.length, summary.data.length], [200, 50, 600]);
+
+      const text = describePolicyImpact(summary);
+      assert.match(text, /By organisation: [^\n]*, \+50 more\n/);
+      assert.match(text, /\(\+180 more outputs; the structured timeline has the first 50\)$/);
+
+      const result = enforceResultSizeLimit({ content: [{ type: 'text', text }], structuredContent: summary });
+      assert.strictEqual(result.structuredContent.error, undefined);
+      assert.strictEqual(result.structuredContent.timeline.length, 50);
+      assert.ok(result.structuredContent.meta.returned < 600);
+    });
+  });
+
+  describe('describePolicyImpact', function () {
+    it('summarises documents, organisations and the timeline', function () {
+      const text = describePolicyImpact(summarizePolicyImpact(policyCitationsFromDetails([
+        fetched('10.1/a', 1, { policy: [post('Report', 'https://gov.uk/r', 'UK Government', '2021-03-04T00:00:00Z', { country: 'GB' })] }, { doi: '10.1/a' }),
+      ])));
+      assert.match(text, /^1 policy document\(s\) and guideline\(s\) \(1 policy, 0 guideline\) cite 1 research output\(s\)/);
+      assert.match(text, /By organisation: UK Government \(1\)/);
+      assert.match(text, /- 2021-03-04: Output 1 \(10\.1\/a\) by UK Government; 1 document\(s\)/);
+    });
+
+    it('says when nothing cites the outputs', function () {
+      assert.strictEqual(describePolicyImpact(summarizePolicyImpact([])), 'No policy or guideline citations found.');
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import assert from 'assert';
+import sinon from 'sinon';
+import { createRateLimiter, rateLimitersFromEnv } from '../lib/rate-limiter.js';
+import { makeDetailsApiRequest } from '../lib/api-client.js';
+
+describe('rate limiter', function () {
+  let clock;
+
+  beforeEach(function () {
+    clock = sinon.useFakeTimers({ now: Date.UTC(2025, 0, 1, 12), toFake: ['setTimeout', 'Date'] });
+  });
+
+  afterEach(function () {
+    clock.restore();
+  });
+
+  describe('createRateLimiter', function () {
+    it('lets a burst through, then spaces calls at the configured rate', async function () {
+      const limiter = createRateLimiter({ ratePerSecond: 2, burst: 2 });
+      await limiter.acquire('k');
+      await limiter.acquire('k');
+
+      let done = false;
+      const third = limiter.acquire('k').then(() => { done = true; });
+      await clock.tickAsync(499);
+      assert.strictEqual(done, false, 'the third call must wait for a token');
+      await clock.tickAsync(1);
+      await third;
+      assert.strictEqual(done, true);
+    });
+
+    it('queues concurrent callers in order', async function () {
+      const limiter = createRateLimiter({ ratePerSecond: 1 });
+      const order = [];
+      const calls = [1, 2, 3].map((n) => limiter.acquire('k').then(() => order.push(n)));
+      await clock.tickAsync(2000);
+      await Promise.all(calls);
+      assert.deepStrictEqual(order, [1, 2, 3]);
+    });
+
+    it('keeps separate buckets per key', async function () {
+      const limiter = createRateLimiter({ ratePerSecond: 1 });
+      await limiter.acquire('a');
+      let done = false;
+      const other = limiter.acquire('b').then(() => { done = true; });
+      await clock.tickAsync(0);
+      await other;
+      assert.strictEqual(done, true, 'another credential must not wait on this one');
+    });
+
+    it('refuses to queue past the caller deadline', async function () {
+      const limiter = createRateLimiter({ ratePerSecond: 1 });
+      await limiter.acquire('k');
+      await assert.rejects(limiter.acquire('k', { deadline: Date.now() + 500 }), /queue is full/);
+    });
+
+    it('enforces the daily budget and resets it at UTC midnight', async function () {
+      const limiter = createRateLimiter({ dailyBudget: 2, label: 'Details Page API' });
+      assert.strictEqual((await limiter.acquire('k')).remaining_today, 1);
+      assert.strictEqual((await limiter.acquire('k')).remaining_today, 0);
+      await assert.rejects(
+        limiter.acquire('k'),
+        /Daily Details Page API request budget of 2 exhausted.*resets at 2025-01-02T00:00:00.000Z/,
+      );
+
+      clock.tick(12 * 60 * 60 * 1000);
+      assert.strictEqual(limiter.quota('k').remaining_today, 2);
+    });
+
+    it('reports quota without spending it', function () {
+      const limiter = createRateLimiter({ ratePerSecond: 5, dailyBudget: 10 });
+      assert.deepStrictEqual(limiter.quota('k'), {
+        requests_per_second: 5,
+        daily_budget: 10,
+        remaining_today: 10,
+        resets_at: '2025-01-02T00:00:00.000Z',
+      });
+      assert.strictEqual(limiter.quota('k').remaining_today, 10);
+    });
+  });
+
+  describe('rateLimitersFromEnv', function () {
+    it('leaves an API unlimited when it has no settings', function () {
+      assert.deepStrictEqual(rateLimitersFromEnv({}), { details: null, explorer: null });
+    });
+
+    it('builds a limiter per configured API', function () {
+      const limiters = rateLimitersFromEnv({ ALTMETRIC_DETAILS_RATE_LIMIT: '0.5', ALTMETRIC_EXPLORER_DAILY_BUDGET: '100' });
+      assert.ok(limiters.details);
+      assert.strictEqual(limiters.explorer.quota('k').daily_budget, 100);
+    });
+
+    it('rejects invalid values', function () {
+      assert.throws(() => rateLimitersFromEnv({ ALTMETRIC_DETAILS_RATE_LIMIT: 'fast' }), /Invalid ALTMETRIC_DETAILS_RATE_LIMIT/);
+      assert.throws(() => rateLimitersFromEnv({ ALTMETRIC_EXPLORER_DAILY_BUDGET: '1.5' }), /Invalid ALTMETRIC_EXPLORER_DAILY_BUDGET/);
+    });
+  });
+
+  describe('with the request functions', function () {
+    let fetchStub;
+
+    beforeEach(function () {
+      fetchStub = sinon.stub(global, 'fetch');
+      fetchStub.resolves({ ok: true, text: async () => JSON.stringify({ score: 1 }) });
+    });
+
+    afterEach(function () {
+      fetchStub.restore();
+    });
+
+    it('spends budget per upstream request and reports the quota', async function () {
+      const rateLimiter = createRateLimiter({ dailyBudget: 1 });
+      const onQuota = sinon.spy();
+      await makeDetailsApiRequest('/v1/doi/10.1/x', {}, 'key-a', 'https://api.altmetric.com', {}, { rateLimiter, onQuota });
+
+      assert.strictEqual(onQuota.firstCall.args[0].remaining_today, 0);
+      await assert.rejects(
+        makeDetailsApiRequest('/v1/doi/10.1/x', {}, 'key-a', 'https://api.altmetric.com', {}, { rateLimiter }),
+        /budget of 1 exhausted/,
+      );
+      assert.strictEqual(fetchStub.callCount, 1, 'an exhausted budget must not reach the API');
+
+      await makeDetailsApiRequest('/v1/doi/10.1/x', {}, 'key-b', 'https://api.altmetric.com', {}, { rateLimiter });
+      assert.strictEqual(fetchStub.callCount, 2, 'budgets are per API key');
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import assert from 'assert';
+import { createResultCursorStore } from '../lib/result-cursors.js';
+
+describe('result cursor store', function () {
+  it('returns stashed items once, with their position in the original result', function () {
+    const store = createResultCursorStore();
+    const cursor = store.stash('alice', [{ id: 3 }, { id: 4 }], { tool: 'explore_journals', offset: 2, total: 4 });
+
+    assert.deepStrictEqual(store.take('alice', cursor), {
+      items: [{ id: 3 }, { id: 4 }], tool: 'explore_journals', offset: 2, total: 4,
+    });
+    assert.strictEqual(store.take('alice', cursor), null, 'cursors are single-use');
+  });
+
+  it('issues unguessable, distinct cursors', function () {
+    const store = createResultCursorStore();
+    const a = store.stash('alice', [1], { tool: 't', offset: 1, total: 2 });
+    const b = store.stash('alice', [1], { tool: 't', offset: 1, total: 2 });
+    assert.notStrictEqual(a, b);
+    assert.ok(a.length >= 24);
+  });
+
+  it('hides a cursor from other owners without consuming it', function () {
+    const store = createResultCursorStore();
+    const cursor = store.stash('alice', [1], { tool: 't', offset: 1, total: 2 });
+    assert.strictEqual(store.take('mallory', cursor), null);
+    assert.ok(store.take('alice', cursor));
+  });
+
+  it('expires cursors after the TTL', function () {
+    let clock = 0;
+    const store = createResultCursorStore({ ttlMs: 1000, now: () => clock });
+    const cursor = store.stash('alice', [1], { tool: 't', offset: 1, total: 2 });
+    clock = 1000;
+    assert.strictEqual(store.take('alice', cursor), null);
+  });
+
+  it('evicts the oldest cursors beyond the entry and byte bounds', function () {
+    const store = createResultCursorStore({ maxEntries: 2 });
+    const first = store.stash('alice', [1], { tool: 't', offset: 1, total: 2 });
+    store.stash('alice', [2], { tool: 't', offset: 1, total: 2 });
+    store.stash('alice', [3], { tool: 't', offset: 1, total: 2 });
+    assert.strictEqual(store.size(), 2);
+    assert.strictEqual(store.take('alice', first), null);
+
+    const small = createResultCursorStore({ maxBytes: 100 });
+    assert.strictEqual(small.stash('alice', ['x'.repeat(200)], { tool: 't', offset: 1, total: 2 }), null);
+  });
+
+  it('returns a copy, so mutating a slice leaves nothing behind', function () {
+    const store = createResultCursorStore();
+    const items = [{ id: 1 }];
+    const cursor = store.stash('alice', items, { tool: 't', offset: 1, total: 2 });
+    items[0].id = 99;
+    assert.strictEqual(store.take('alice', cursor).items[0].id, 1);
+  });
+
+  it('binds an owner with forOwner', function () {
+    const store = createResultCursorStore();
+    const alice = store.forOwner('alice');
+    const cursor = alice.stash([1], { tool: 't', offset: 1, total: 2 });
+    assert.strictEqual(store.forOwner('bob').take(cursor), null);
+    assert.deepStrictEqual(alice.take(cursor).items, [1]);
+  });
+});
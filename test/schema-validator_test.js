@@ -0,0 +1,106 @@
+import assert from 'assert';
+import {
+  validateToolArguments,
+  invalidArgumentsResult,
+  MAX_REPORTED_VIOLATIONS,
+} from '../lib/schema-validator.js';
+import { createTools } from '../lib/tools.js';
+
+const schema = {
+  type: 'object',
+  properties: {
+    identifier: { type: 'string' },
+    timeframe: { type: 'string', enum: ['1d', '1w'] },
+    limit: { type: 'number', minimum: 1, maximum: 100 },
+    ids: { type: 'array', items: { type: 'string' } },
+    flag: { type: 'boolean' },
+  },
+  required: ['identifier'],
+  additionalProperties: false,
+};
+
+describe('schema validator', function () {
+  describe('validateToolArguments', function () {
+    it('accepts valid arguments', function () {
+      assert.deepStrictEqual(validateToolArguments(schema, { identifier: 'x', timeframe: '1w', limit: 5, ids: ['a'], flag: true }), []);
+    });
+
+    it('reports a missing required argument, treating undefined args as {}', function () {
+      assert.deepStrictEqual(validateToolArguments(schema, undefined), [{ path: 'identifier', message: 'is required' }]);
+    });
+
+    it('reports wrong types, enums and bounds together', function () {
+      const violations = validateToolArguments(schema, { identifier: 42, timeframe: '2w', limit: 500, flag: 'yes' });
+      assert.deepStrictEqual(violations.map((v) => v.path), ['identifier', 'timeframe', 'limit', 'flag']);
+      assert.match(violations[0].message, /must be string \(got number 42\)/);
+      assert.match(violations[1].message, /must be one of: 1d, 1w \(got "2w"\)/);
+      assert.match(violations[2].message, /at most 100/);
+    });
+
+    it('checks array items with an indexed path', function () {
+      assert.deepStrictEqual(validateToolArguments(schema, { identifier: 'x', ids: ['a', 7] }), [
+        { path: 'ids[1]', message: 'must be string (got number 7)' },
+      ]);
+    });
+
+    it('rejects undeclared arguments and names the accepted ones', function () {
+      const [violation] = validateToolArguments(schema, { identifier: 'x', timefrane: '1w' });
+      assert.strictEqual(violation.path, 'timefrane');
+      assert.match(violation.message, /not a recognised argument; accepted arguments: identifier, timeframe/);
+    });
+
+    it('reads null as omitted for optional arguments only', function () {
+      assert.deepStrictEqual(validateToolArguments(schema, { identifier: 'x', timeframe: null }), []);
+      assert.strictEqual(validateToolArguments(schema, { identifier: null }).length, 1);
+    });
+
+    it('caps the number of reported violations', function () {
+      const ids = Array.from({ length: 1000 }, (_, i) => i);
+      assert.strictEqual(validateToolArguments(schema, { identifier: 'x', ids }).length, MAX_REPORTED_VIOLATIONS);
+    });
+
+    it('accepts integers for number and rejects fractions for integer', function () {
+      const intSchema = { type: 'object', properties: { n: { type: 'integer' } } };
+      assert.deepStrictEqual(validateToolArguments(intSchema, { n: 3 }), []);
+      assert.strictEqual(validateToolArguments(intSchema, { n: 3.5 }).length, 1);
+    });
+  });
+
+  describe('invalidArgumentsResult', function () {
+    it('lists each violation for the model and returns them as structured data', function () {
+      const violations = [{ path: 'timeframe', message: 'must be one of: 1d, 1w (got "2w")' }];
+      const result = invalidArgumentsResult('search_citations', violations);
+
+      assert.strictEqual(result.isError, true);
+      assert.match(result.content[0].text, /Invalid arguments for search_citations/);
+      assert.match(result.content[0].text, /- timeframe: must be one of/);
+      assert.deepStrictEqual(result.structuredContent, { error: 'invalid_arguments', tool: 'search_citations', violations });
+    });
+  });
+
+  describe('tool schemas', function () {
+    const tools = createTools({ details: async () => ({}), explorer: async () => ({}) });
+
+    it('closes every tool schema to undeclared arguments', function () {
+      for (const { definition } of Object.values(tools)) {
+        assert.strictEqual(definition.inputSchema.additionalProperties, false, definition.name);
+      }
+    });
+
+    it('rejects an out-of-enum search_citations timeframe', function () {
+      const violations = validateToolArguments(tools.search_citations.definition.inputSchema, { timeframe: '2w' });
+      assert.strictEqual(violations[0].path, 'timeframe');
+    });
+
+    it('rejects an unknown get_batch_attention_data sort_by', function () {
+      const violations = validateToolArguments(tools.get_batch_attention_data.definition.inputSchema, { dois: ['10.1/x'], sort_by: 'hype' });
+      assert.deepStrictEqual(violations.map((v) => v.path), ['sort_by']);
+    });
+
+    it('accepts a typical Explorer call', function () {
+      assert.deepStrictEqual(validateToolArguments(tools.explore_research_outputs.definition.inputSchema, {
+        q: 'climate', timeframe: '1y', journal_id: ['j1'], page_size: 25, all_pages: true,
+      }), []);
+    });
+  });
+});
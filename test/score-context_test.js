@@ -0,0 +1,66 @@
+import assert from 'assert';
+import { readScoreContext, describeScoreContext, benchmarkOutputs, describeBenchmark } from '../lib/score-context.js';
+
+const record = (id, score, context) => ({ altmetric_id: id, title: `Output ${id}`, doi: `10.1000/${id}`, journal: 'Nature', score, context });
+
+describe('score context', function () {
+  describe('readScoreContext', function () {
+    it('reads the four cohorts, working out a missing percentile', function () {
+      const context = readScoreContext(record(1, 40, {
+        all: { count: 1000, rank: 11, pct: 98, higher_than: 989, mean: 6.5 },
+        journal: { count: 200, rank: 5, higher_than: 195 },
+        similar_age_3m: { count: 'lots' },
+      }));
+      assert.deepStrictEqual(context.all, { percentile: 98, rank: 11, count: 1000, higher_than: 989, mean: 6.5 });
+      assert.strictEqual(context.journal.percentile, 97.5);
+      assert.deepStrictEqual(context.similar_age, { percentile: null, rank: null, count: null, higher_than: null, mean: null });
+      assert.strictEqual(context.similar_age_journal, null);
+    });
+
+    it('returns nulls for a record without context', function () {
+      assert.deepStrictEqual(readScoreContext({ score: 3 }), { all: null, journal: null, similar_age: null, similar_age_journal: null });
+    });
+  });
+
+  describe('describeScoreContext', function () {
+    it('writes ordinal percentiles with the rank where known', function () {
+      const text = describeScoreContext(readScoreContext({
+        context: {
+          all: { count: 25000000, rank: 1204, pct: 99 },
+          journal: { pct: 92 },
+          similar_age_journal_3m: { pct: 11 },
+        },
+      }));
+      assert.strictEqual(text, 'Percentiles: 99th of all outputs (rank 1,204 of 25,000,000); 92nd in its journal; 11th in its journal among outputs of similar age');
+    });
+
+    it('returns null without percentiles', function () {
+      assert.strictEqual(describeScoreContext(readScoreContext({})), null);
+    });
+  });
+
+  describe('benchmarkOutputs', function () {
+    const records = [
+      { input: 'a', data: record(1, 400, { all: { pct: 99 }, similar_age_3m: { pct: 70 } }) },
+      { input: 'b', data: record(2, 20, { all: { pct: 80 }, similar_age_3m: { pct: 95 } }) },
+      { input: 'c', data: record(3, 90, {}) },
+    ];
+
+    it('orders by the chosen percentile, outputs without it last by score', function () {
+      assert.deepStrictEqual(benchmarkOutputs(records).outputs.map((o) => o.input), ['b', 'a', 'c']);
+      assert.deepStrictEqual(benchmarkOutputs(records, { rankBy: 'all' }).outputs.map((o) => o.input), ['a', 'b', 'c']);
+      assert.deepStrictEqual(benchmarkOutputs(records).outputs[0].percentiles, { all: 80, journal: null, similar_age: 95, similar_age_journal: null });
+    });
+
+    it('renders a table with escaped titles', function () {
+      const text = describeBenchmark(benchmarkOutputs([
+        ...records,
+        { input: 'd', data: { ...record(4, 1, { similar_age_3m: { pct: 1 } }), title: 'A | B' } },
+      ]));
+      assert.match(text, /^4 output\(s\) ranked by percentile among outputs of similar age:\n\| # \| Output \| Score \| All \| Journal \| Similar age \| Journal, similar age \|/);
+      assert.match(text, /\| 1 \| Output 2 \(10\.1000\/2\) \| 20 \| 80th \| n\/a \| 95th \| n\/a \|/);
+      assert.match(text, /\| 3 \| A \\\| B \(10\.1000\/4\) \| 1 \| n\/a \| n\/a \| 1st \| n\/a \|/);
+      assert.match(text, /Outputs without a percentile among outputs of similar age are listed last, by score\./);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import assert from 'assert';
+import { readScoreHistory, scoreVelocity, analyzeScoreHistory, describeScoreHistory } from '../lib/score-history.js';
+
+const HISTORY = { '1d': 0.5, '2d': 1, '3d': 1, '4d': 1, '5d': 2, '6d': 2, '1w': 3, '1m': 12, '3m': 24, '6m': 30, '1y': 40, at: 50 };
+
+describe('score history', function () {
+  describe('readScoreHistory', function () {
+    it('reads the gain in each window and the score that long ago', function () {
+      const { score, series } = readScoreHistory({ score: 50, history: HISTORY });
+      assert.strictEqual(score, 50);
+      assert.strictEqual(series.length, 11);
+      assert.deepStrictEqual(series.find(({ window }) => window === '1m'), { window: '1m', days: 30, gained: 12, score_then: 38 });
+    });
+
+    it('reads the /v1/fetch layout, taking the score from it', function () {
+      const { score, series } = readScoreHistory({ altmetric_score: { score: 9, score_history: { '1w': 1, '1y': 'lots' } } });
+      assert.strictEqual(score, 9);
+      assert.deepStrictEqual(series.filter(({ gained }) => gained !== null).map(({ window }) => window), ['1w']);
+      assert.strictEqual(series.find(({ window }) => window === '1y').score_then, null);
+    });
+
+    it('returns null without a usable history', function () {
+      assert.strictEqual(readScoreHistory({ score: 3 }), null);
+      assert.strictEqual(readScoreHistory({ score: 3, history: { '1w': null } }), null);
+    });
+  });
+
+  describe('scoreVelocity', function () {
+    it('works out per-period rates, velocity and acceleration', function () {
+      const velocity = scoreVelocity(readScoreHistory({ score: 50, history: HISTORY }));
+      assert.deepStrictEqual(velocity.periods.map(({ period, gained, per_day }) => [period, gained, per_day]), [
+        ['1w', 3, 0.429], ['1m', 9, 0.391], ['3m', 12, 0.2], ['6m', 6, 0.067], ['1y', 10, 0.054],
+      ]);
+      assert.deepStrictEqual(
+        [velocity.velocity, velocity.prior_velocity, velocity.acceleration, velocity.change_pct, velocity.trend],
+        [0.4, 0.2, 0.2, 100, 'rising'],
+      );
+    });
+
+    it('reads a gain that shrinks with a longer window as zero', function () {
+      const { periods, prior_velocity: prior } = scoreVelocity(readScoreHistory({ score: 10, history: { '1w': 5, '1m': 6, '3m': 4 } }));
+      assert.strictEqual(periods[2].gained, 0);
+      assert.strictEqual(periods[3].gained, null);
+      assert.strictEqual(prior, 0);
+    });
+
+    it('calls steady attention steady and a quiet output fading', function () {
+      const trend = (score, history) => scoreVelocity(readScoreHistory({ score, history })).trend;
+      assert.strictEqual(trend(30, { '1m': 5, '3m': 15 }), 'steady');
+      assert.strictEqual(trend(30, { '1m': 0, '3m': 0.5 }), 'fading');
+      assert.strictEqual(trend(0, { '1m': 0, '3m': 0 }), 'steady');
+      assert.strictEqual(trend(30, { '1w': 1 }), null);
+    });
+  });
+
+  describe('analyzeScoreHistory', function () {
+    it('orders outputs by velocity and counts the trends', function () {
+      const analysis = analyzeScoreHistory([
+        { input: 'a', data: { altmetric_id: 1, score: 50, history: HISTORY } },
+        { input: 'b', data: { altmetric_id: 2, score: 80 } },
+        { input: 'c', data: { citation: { altmetric_id: 3, title: 'Fetched' }, altmetric_score: { score: 5, score_history: { '1m': 30, '3m': 30 } } } },
+      ]);
+      assert.deepStrictEqual(analysis.outputs.map((o) => [o.input, o.altmetric_id, o.trend]), [['c', 3, 'rising'], ['a', 1, 'rising'], ['b', 2, null]]);
+      assert.deepStrictEqual(analysis.by_trend, { rising: 2, steady: 0, fading: 0 });
+      assert.strictEqual(analysis.without_history, 1);
+    });
+  });
+
+  describe('describeScoreHistory', function () {
+    it('narrates each output and tables the gains', function () {
+      const text = describeScoreHistory(analyzeScoreHistory([
+        { input: '10.1000/a', data: { title: 'A | B', doi: '10.1000/a', score: 50, history: HISTORY } },
+        { input: '10.1000/b', data: { doi: '10.1000/b', score: 80 } },
+      ]));
+      assert.match(text, /^2 output\(s\): 1 rising, 1 without history\./);
+      assert.match(text, /- A \\\| B \(10\.1000\/a\): rising, score 50; 0\.4\/day over the last month against 0\.2\/day in the two months before \(\+100%\)/);
+      assert.match(text, /- 10\.1000\/b: no score history \(score 80\)/);
+      assert.match(text, /\| A \\\| B \(10\.1000\/a\) \| 50 \| 3 \| 12 \| 24 \| 30 \| 40 \| rising \|/);
+      assert.doesNotMatch(text, /\| 10\.1000\/b \|/);
+    });
+  });
+});
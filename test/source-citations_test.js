@@ -0,0 +1,71 @@
+import assert from 'assert';
+import { citationsFromDetails, citationsFromMentions, largestGroups } from '../lib/source-citations.js';
+
+describe('source citations', function () {
+  describe('citationsFromDetails', function () {
+    it('reads the posts of each kind, attaching the output they cite', function () {
+      const citations = citationsFromDetails([
+        {
+          input: 'pmid:1',
+          data: {
+            citation: { altmetric_id: 7, doi: '10.1000/a', title: 'A' },
+            posts: { policy: [{ title: 'P' }, null], guideline: [{ title: 'G' }], news: [{ title: 'N' }] },
+          },
+        },
+        { input: '10.1000/b', data: { citation: { title: 'B' } } },
+      ], ['policy', 'guideline'], (post, kind) => ({ kind, title: post.title }));
+      assert.deepStrictEqual(citations, [
+        { kind: 'policy', title: 'P', output: { id: '7', doi: '10.1000/a', title: 'A', input: 'pmid:1' } },
+        { kind: 'guideline', title: 'G', output: { id: '7', doi: '10.1000/a', title: 'A', input: 'pmid:1' } },
+      ]);
+    });
+  });
+
+  describe('citationsFromMentions', function () {
+    it('keeps mentions of the given source types, one citation per output referenced', function () {
+      const read = [];
+      const citations = citationsFromMentions({
+        data: [
+          {
+            id: 'm1',
+            type: 'mention',
+            attributes: { 'source-type': 'Patent', title: 'Widget' },
+            relationships: {
+              author: { data: { id: 'a1', type: 'author' } },
+              'research-outputs': { data: [{ id: 'o1', type: 'research-output' }, { id: 'o2', type: 'research-output' }] },
+            },
+          },
+          { id: 'm2', type: 'mention', attributes: { 'source-type': 'news' }, relationships: { 'research-outputs': { data: [{ id: 'o1', type: 'research-output' }] } } },
+          { id: 'm3', type: 'mention', attributes: { 'source-type': 'patent', title: 'Orphan' } },
+        ],
+        included: [
+          { id: 'a1', type: 'author', attributes: { name: 'Widget Co' } },
+          { id: 'o1', type: 'research-output', attributes: { title: 'First', doi: '10.1000/one' } },
+        ],
+      }, ['patent'], (attributes, profile, kind) => {
+        read.push([attributes.title, profile.name, kind]);
+        return { title: attributes.title };
+      });
+      assert.deepStrictEqual(read, [['Widget', 'Widget Co', 'patent'], ['Orphan', undefined, 'patent']]);
+      assert.deepStrictEqual(citations, [
+        { title: 'Widget', output: { id: 'o1', doi: '10.1000/one', title: 'First', input: null } },
+        { title: 'Widget', output: { id: 'o2', doi: null, title: null, input: null } },
+      ]);
+    });
+  });
+
+  describe('largestGroups', function () {
+    it('sums the groups past the limit into one, merging their sets', function () {
+      const groups = [
+        ['a', { documents: 3, outputs: new Set(['1', '2']), country: 'GB' }],
+        ['b', { documents: 2, outputs: new Set(['2']), country: 'US' }],
+        ['c', { documents: 1, outputs: new Set(['2', '3']), country: 'FR' }],
+      ];
+      assert.strictEqual(largestGroups(groups, 3), groups);
+      assert.deepStrictEqual(largestGroups(groups, 1), [
+        groups[0],
+        [null, { merged: 2, documents: 3, outputs: new Set(['2', '3']) }],
+      ]);
+    });
+  });
+});
@@ -1,6 +1,13 @@
 import assert from 'assert';
 import sinon from 'sinon';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
 import { createTools } from '../lib/tools.js';
+import { createResponseCache } from '../lib/cache.js';
+import { createRateLimiter } from '../lib/rate-limiter.js';
+import { createResultCursorStore } from '../lib/result-cursors.js';
+import { enforceResultSizeLimit } from '../lib/output-limits.js';
 
 /**
  * Tests for MCP Tools
@@ -36,31 +43,69 @@ const toolHandlers = Object.keys(tools).reduce((acc, key) => {
 }, {});
 
 describe('Conditional Tool Registration', function () {
-  const DETAILS_TOOLS = ['get_citation_counts', 'get_citation_details', 'search_citations', 'get_batch_attention_data', 'translate_identifiers'];
+  const DETAILS_TOOLS = ['get_citation_counts', 'get_citation_details', 'search_citations', 'get_batch_attention_data', 'benchmark_output', 'analyze_score_history', 'translate_identifiers'];
   const EXPLORER_TOOLS = [
-    'explore_research_outputs', 'explore_attention_summary', 'explore_mentions',
-    'explore_demographics', 'explore_mention_sources', 'explore_journals',
+    'explore_research_outputs', 'explore_attention_summary', 'analyze_attention_trend', 'explore_mentions',
+    'summarize_sentiment', 'analyze_top_mentioners', 'explore_demographics', 'explore_mention_sources', 'explore_journals', 'compare_cohorts',
+    'create_identifier_list', 'get_identifier_list', 'list_identifier_lists',
   ];
+  // Offered with either API: extract_identifiers makes no API call of its own, and
+  // track_policy_impact and track_patent_citations read whichever API is configured.
+  const SHARED_TOOLS = ['extract_identifiers', 'track_policy_impact', 'track_patent_citations'];
 
-  it('returns all 11 tools when both APIs configured', function () {
+  it('returns all 23 tools when both APIs configured', function () {
     const allTools = createTools({ details: detailsResolver, explorer: explorerResolver });
-    assert.deepStrictEqual(Object.keys(allTools).sort(), [...DETAILS_TOOLS, ...EXPLORER_TOOLS].sort());
+    assert.deepStrictEqual(Object.keys(allTools).sort(), [...DETAILS_TOOLS, ...EXPLORER_TOOLS, ...SHARED_TOOLS].sort());
   });
 
   it('returns only Details tools when only the details resolver is provided', function () {
     const detailsOnly = createTools({ details: detailsResolver });
-    assert.deepStrictEqual(Object.keys(detailsOnly).sort(), DETAILS_TOOLS.sort());
+    assert.deepStrictEqual(Object.keys(detailsOnly).sort(), [...DETAILS_TOOLS, ...SHARED_TOOLS].sort());
   });
 
   it('returns only Explorer tools when only the Explorer resolver is provided', function () {
     const explorerOnly = createTools({ explorer: explorerResolver });
-    assert.deepStrictEqual(Object.keys(explorerOnly).sort(), EXPLORER_TOOLS.sort());
+    assert.deepStrictEqual(Object.keys(explorerOnly).sort(), [...EXPLORER_TOOLS, ...SHARED_TOOLS].sort());
   });
 
   it('returns no tools when no credentials provided', function () {
     const noTools = createTools({});
     assert.deepStrictEqual(Object.keys(noTools), []);
   });
+
+  it('adds continue_result when a result cursor store is provided', function () {
+    const resultCursors = createResultCursorStore().forOwner('test');
+    const withCursors = createTools({ details: detailsResolver }, { resultCursors });
+    assert.deepStrictEqual(Object.keys(withCursors).sort(), [...DETAILS_TOOLS, ...SHARED_TOOLS, 'continue_result'].sort());
+    assert.deepStrictEqual(Object.keys(createTools({}, { resultCursors })), []);
+  });
+});
+
+describe('continue_result', function () {
+  const resultCursors = createResultCursorStore().forOwner('test');
+  const cursorTools = createTools({ explorer: explorerResolver }, { cache: createResponseCache(), resultCursors });
+
+  it('returns the stashed items with their position in the original result', async function () {
+    const cursor = resultCursors.stash([{ id: 'j3' }], { tool: 'explore_journals', offset: 2, total: 3 });
+    const result = await cursorTools.continue_result.handler({ cursor });
+
+    assert.deepStrictEqual(result.structuredContent, {
+      data: [{ id: 'j3' }],
+      meta: { continuation: { tool: 'explore_journals', offset: 2, total: 3 } },
+    });
+    assert.match(result.content[0].text, /Continuing explore_journals from item 3 of 3/);
+  });
+
+  it('reports an unknown or already-used cursor as an error', async function () {
+    const result = await cursorTools.continue_result.handler({ cursor: 'nope' });
+    assert.strictEqual(result.isError, true);
+    assert.match(result.content[0].text, /re-run the original query/);
+  });
+
+  it('does not advertise bypass_cache, since it never calls the API', function () {
+    assert.strictEqual(cursorTools.continue_result.definition.inputSchema.properties.bypass_cache, undefined);
+    assert.ok(cursorTools.explore_journals.definition.inputSchema.properties.bypass_cache);
+  });
 });
 
 describe('MCP Tools', function () {
@@ -213,6 +258,143 @@ describe('MCP Tools', function () {
     });
   });
 
+  describe('Auto-pagination (all_pages / max_items / continuation)', function () {
+    // Serves `total` research outputs, honouring page[number]/page[size].
+    function servePages(total) {
+      fetchStub.callsFake(async (rawUrl) => {
+        const url = new URL(rawUrl);
+        const number = Number(url.searchParams.get('page[number]'));
+        const size = Number(url.searchParams.get('page[size]'));
+        const start = (number - 1) * size;
+        const data = [];
+        for (let i = start; i < Math.min(start + size, total); i++) data.push({ id: String(i), type: 'research-output' });
+        return {
+          ok: true,
+          text: async () => JSON.stringify({
+            data,
+            meta: { response: { 'total-results': total, 'total-pages': Math.ceil(total / size) } },
+          }),
+        };
+      });
+    }
+
+    it('walks every page server-side and merges the results', async function () {
+      servePages(230);
+
+      const result = await toolHandlers.explore_research_outputs({ q: 'climate', all_pages: true });
+
+      assert.strictEqual(fetchStub.callCount, 3);
+      assert.strictEqual(result.structuredContent.data.length, 230);
+      for (const call of fetchStub.getCalls()) {
+        const url = new URL(call.args[0]);
+        assert.strictEqual(url.searchParams.get('page[size]'), '100', 'uses the maximum page size');
+        assert.strictEqual(url.searchParams.get('filter[q]'), 'climate');
+      }
+      assert.ok(result.content[0].text.includes('Fetched 230 outputs from pages 1-3 of 3'));
+      assert.strictEqual(result.structuredContent.meta.pagination.continuation, null);
+    });
+
+    it('returns a continuation token when max_items stops the walk early', async function () {
+      servePages(1000);
+
+      const first = await toolHandlers.explore_mentions({ max_items: 150 });
+      const token = first.structuredContent.meta.pagination.continuation;
+      assert.strictEqual(first.structuredContent.data.length, 150);
+      assert.ok(token, 'must carry a continuation token');
+      assert.ok(first.content[0].text.includes(`continuation="${token}"`));
+
+      fetchStub.resetHistory();
+      const next = await toolHandlers.explore_mentions({ continuation: token, max_items: 100 });
+      assert.strictEqual(next.structuredContent.data[0].id, '150', 'resumes after the last returned item');
+    });
+
+    it('rejects combining continuation with page_number', async function () {
+      await assert.rejects(
+        async () => await toolHandlers.explore_research_outputs({ continuation: 'abc', page_number: 2 }),
+        /Pass either continuation or page_number\/page_size/,
+      );
+      assert.strictEqual(fetchStub.callCount, 0);
+    });
+
+    it('rejects an out-of-range max_items before any request', async function () {
+      await assert.rejects(
+        async () => await toolHandlers.explore_research_outputs({ max_items: 5000 }),
+        /Invalid max_items/,
+      );
+      assert.strictEqual(fetchStub.callCount, 0);
+    });
+  });
+
+  describe('Response cache', function () {
+    const cachedTools = createTools({ details: detailsResolver, explorer: explorerResolver }, { cache: createResponseCache() });
+    const okCounts = () => fetchStub.resolves({
+      ok: true,
+      text: async () => JSON.stringify({ title: 'Cached paper', score: 1 }),
+    });
+
+    it('advertises bypass_cache only when a cache is configured', function () {
+      assert.ok(cachedTools.get_citation_counts.definition.inputSchema.properties.bypass_cache);
+      assert.strictEqual(tools.get_citation_counts.definition.inputSchema.properties.bypass_cache, undefined);
+    });
+
+    it('answers a repeated question from cache', async function () {
+      okCounts();
+      const args = { identifier: '10.1234/cached', identifier_type: 'doi' };
+      await cachedTools.get_citation_counts.handler(args);
+      await cachedTools.get_citation_counts.handler(args);
+      assert.strictEqual(fetchStub.callCount, 1);
+    });
+
+    it('fetches fresh data when bypass_cache is set, without sending it upstream', async function () {
+      okCounts();
+      const args = { identifier: '10.1234/fresh', identifier_type: 'doi' };
+      await cachedTools.get_citation_counts.handler(args);
+      await cachedTools.get_citation_counts.handler({ ...args, bypass_cache: true });
+      assert.strictEqual(fetchStub.callCount, 2);
+      assert.strictEqual(new URL(fetchStub.secondCall.args[0]).searchParams.has('bypass_cache'), false);
+    });
+  });
+
+  describe('Upstream retries', function () {
+    const retryingTools = createTools({ details: detailsResolver }, { retry: { baseDelayMs: 1, maxDelayMs: 1 } });
+
+    it('reports the retry count in structuredContent.meta', async function () {
+      sinon.stub(console, 'error');
+      try {
+        fetchStub.onFirstCall().resolves({ ok: false, status: 503, text: async () => '' });
+        fetchStub.onSecondCall().resolves({ ok: false, status: 429, text: async () => '' });
+        fetchStub.onThirdCall().resolves({ ok: true, text: async () => JSON.stringify({ title: 'Paper', score: 1 }) });
+
+        const result = await retryingTools.get_citation_counts.handler({ identifier: '10.1234/retry', identifier_type: 'doi' });
+
+        assert.strictEqual(fetchStub.callCount, 3);
+        assert.deepStrictEqual(result.structuredContent.meta, { retries: 2 });
+      } finally {
+        console.error.restore();
+      }
+    });
+
+    it('leaves structuredContent alone when no retry was needed', async function () {
+      fetchStub.resolves({ ok: true, text: async () => JSON.stringify({ title: 'Paper', score: 1 }) });
+      const result = await retryingTools.get_citation_counts.handler({ identifier: '10.1234/retry', identifier_type: 'doi' });
+      assert.strictEqual(result.structuredContent.meta, undefined);
+    });
+  });
+
+  describe('Client-side quota', function () {
+    it('reports the remaining daily budget in meta and text', async function () {
+      const limitedTools = createTools({ details: detailsResolver }, {
+        rateLimiters: { details: createRateLimiter({ dailyBudget: 10 }) },
+      });
+      fetchStub.resolves({ ok: true, text: async () => JSON.stringify({ title: 'Paper', score: 1 }) });
+
+      const result = await limitedTools.get_citation_counts.handler({ identifier: '10.1234/quota', identifier_type: 'doi' });
+
+      assert.strictEqual(result.structuredContent.meta.quota.details.remaining_today, 9);
+      assert.match(result.content.at(-1).text, /Details Page API: 9 of 10 requests left today/);
+    });
+  });
+
   describe('Internal identifier list (identifiers param)', function () {
     it('creates a list, scopes the read to its id, and surfaces recognized counts', async function () {
       fetchStub.onFirstCall().resolves({
@@ -275,6 +457,594 @@ describe('MCP Tools', function () {
     });
   });
 
+  describe('identifiers_file', function () {
+    let root;
+    let fileTools;
+
+    beforeEach(async function () {
+      root = await mkdtemp(path.join(os.tmpdir(), 'altmetric-ids-'));
+      await writeFile(path.join(root, 'refs.csv'), 'Title,DOI,PMID\nA,10.1000/a,12345\nB,10.1000/b,\n');
+      await writeFile(path.join(root, 'empty.txt'), 'nothing here\n');
+      fileTools = createTools({ details: detailsResolver, explorer: explorerResolver }, { identifiersFileRoot: root });
+    });
+
+    afterEach(async function () {
+      await rm(root, { recursive: true, force: true });
+    });
+
+    it('is offered only with a root, on the tools that take identifiers', function () {
+      const offering = Object.values(fileTools).filter((t) => t.definition.inputSchema.properties.identifiers_file);
+      assert.ok(offering.some((t) => t.definition.name === 'explore_research_outputs'));
+      assert.ok(!offering.some((t) => t.definition.name === 'compare_cohorts'));
+      assert.deepStrictEqual(fileTools.translate_identifiers.definition.inputSchema.required, []);
+      assert.ok(!Object.values(tools).some((t) => t.definition.inputSchema.properties.identifiers_file));
+      assert.deepStrictEqual(tools.translate_identifiers.definition.inputSchema.required, ['identifiers']);
+    });
+
+    it('feeds the file\'s identifiers into translate_identifiers', async function () {
+      fetchStub.resolves({ ok: true, json: async () => ({ '10.1000/a': 1 }), text: async () => JSON.stringify({ '10.1000/a': 1 }) });
+
+      const result = await fileTools.translate_identifiers.handler({ identifiers: ['10.1000/c'], identifiers_file: 'refs.csv' });
+
+      assert.strictEqual(fetchStub.firstCall.args[1].body, 'ids=10.1000/c|10.1000/a|12345|10.1000/b');
+      assert.match(result.content[0].text, /^Read 3 identifier\(s\) from refs\.csv \(2 doi, 1 pmid\)\.\nTranslated 4 identifier/);
+      assert.deepStrictEqual(result.structuredContent.meta.identifiers_file, { file: 'refs.csv', format: 'csv', identifiers: 3, by_type: { doi: 2, pmid: 1 } });
+    });
+
+    it('builds the Explorer identifier list from the file', async function () {
+      fetchStub.callsFake(async (url, options = {}) => (options.method === 'POST'
+        ? { ok: true, text: async () => JSON.stringify({ data: { id: 'list-1', counts: { dois: 2, pmids: 1 } } }) }
+        : { ok: true, text: async () => JSON.stringify({ data: [], meta: {} }) }));
+
+      await fileTools.explore_journals.handler({ identifiers_file: 'refs.csv' });
+
+      assert.strictEqual(new URLSearchParams(fetchStub.firstCall.args[1].body).get('identifiers'), '10.1000/a\n12345\n10.1000/b');
+      assert.strictEqual(new URL(fetchStub.lastCall.args[0]).searchParams.get('filter[identifier_list_id]'), 'list-1');
+    });
+
+    it('lets extract_identifiers read a file from the root', async function () {
+      assert.ok(fileTools.extract_identifiers.definition.inputSchema.properties.file);
+      const result = await fileTools.extract_identifiers.handler({ file: 'refs.csv' });
+      assert.strictEqual(result.structuredContent.file, 'refs.csv');
+      assert.deepStrictEqual(result.structuredContent.data, ['10.1000/a', '12345', '10.1000/b']);
+      assert.match(result.content[0].text, /^Found 3 identifier\(s\) in CSV refs\.csv/);
+    });
+
+    it('fails before any request when the file yields nothing or is out of bounds', async function () {
+      await assert.rejects(fileTools.translate_identifiers.handler({ identifiers_file: 'empty.txt' }), /No identifiers found in empty\.txt/);
+      await assert.rejects(fileTools.translate_identifiers.handler({ identifiers_file: '../etc/passwd.txt' }), /File not found|must be inside/);
+      assert.strictEqual(fetchStub.callCount, 0);
+    });
+  });
+
+  describe('summarize_sentiment', function () {
+    const page = (data, totalPages, totalResults) => ({
+      ok: true,
+      text: async () => JSON.stringify({ data, meta: { response: { 'total-pages': totalPages, 'total-results': totalResults } } }),
+    });
+    const mentions = (n, sentiment, extra = {}) => Array.from({ length: n }, (_, i) => ({
+      id: `m${i}`,
+      type: 'mention',
+      attributes: { 'source-type': 'twitter', 'posted-on': '2024-03-05T00:00:00Z', 'sentiment-analysis': sentiment, ...extra },
+    }));
+
+    it('walks the mention pages with related objects left out, and aggregates them', async function () {
+      fetchStub.onFirstCall().resolves(page(mentions(100, { o1: 'moderate-positive' }), 2, 150));
+      fetchStub.onSecondCall().resolves(page(mentions(50, { o2: 'strong-negative' }, { 'source-type': 'bluesky' }), 2, 150));
+
+      const result = await toolHandlers.summarize_sentiment({ q: 'climate', mentioned_after: '2024-01-01', interval: 'month' });
+
+      const first = new URL(fetchStub.firstCall.args[0]);
+      assert.strictEqual(first.pathname, '/explorer/api/research_outputs/mentions');
+      assert.strictEqual(first.searchParams.get('include'), '');
+      assert.strictEqual(first.searchParams.get('filter[mentioned_after]'), '2024-01-01');
+      assert.strictEqual(first.searchParams.get('page[size]'), '100');
+      assert.strictEqual(new URL(fetchStub.secondCall.args[0]).searchParams.get('page[number]'), '2');
+
+      const content = result.structuredContent;
+      assert.deepStrictEqual([content.analysed, content.matching, content.overall.scored], [150, 150, 150]);
+      assert.deepStrictEqual(content.by_source.map((row) => row.source), ['twitter', 'bluesky']);
+      assert.deepStrictEqual(content.by_period.map((row) => row.period), ['2024-03']);
+      assert.deepStrictEqual(content.flagged_outputs.map((o) => o.id), ['o2']);
+      assert.match(result.content[0].text, /\nSentiment for query "climate"\nSentiment of 150 scored mentions/);
+      assert.match(result.content[0].text, /- o2: mean -3, 50 scored - 100% of scored mentions negative/);
+    });
+
+    it('stops at max_items and says how much matched', async function () {
+      fetchStub.resolves(page(mentions(100, { o1: 'neutral' }), 5, 480));
+      const result = await toolHandlers.summarize_sentiment({ max_items: 100 });
+      assert.strictEqual(fetchStub.callCount, 1);
+      assert.match(result.content[0].text, /Based on the first 100 of 480 matching mentions; raise max_items/);
+    });
+
+    it('sums research output totals on the outputs basis', async function () {
+      fetchStub.resolves(page([
+        { id: 'o1', type: 'research-output', attributes: { title: 'A', 'sentiment-analysis-totals': { 'moderate-positive': 4, neutral: 6 } } },
+      ], 1, 1));
+
+      const result = await toolHandlers.summarize_sentiment({ basis: 'outputs', mentioned_after: '2024-01-01' });
+
+      const url = new URL(fetchStub.firstCall.args[0]);
+      assert.strictEqual(url.pathname, '/explorer/api/research_outputs');
+      assert.strictEqual(url.searchParams.get('filter[mentioned_after]'), null);
+      assert.strictEqual(result.structuredContent.by_source, null);
+      assert.strictEqual(result.structuredContent.overall.mean_score, 0.8);
+    });
+  });
+
+  describe('analyze_top_mentioners', function () {
+    const page = (document, totalResults) => ({
+      ok: true,
+      text: async () => JSON.stringify({ ...document, meta: { response: { 'total-pages': 1, 'total-results': totalResults } } }),
+    });
+    const mention = (id, author, output) => ({
+      id,
+      type: 'mention',
+      attributes: { 'posted-on': '2024-03-05T00:00:00Z' },
+      relationships: {
+        author: { data: { id: author, type: 'author' } },
+        'research-outputs': { data: [{ id: output, type: 'research-output' }] },
+      },
+    });
+
+    it('ranks the authors of the fetched mentions, reading their profiles from included', async function () {
+      fetchStub.resolves(page({
+        data: [mention('m1', 'a1', 'o1'), mention('m2', 'a2', 'o1'), mention('m3', 'a2', 'o2')],
+        included: [
+          { id: 'a1', type: 'author', attributes: { name: 'BBC News', 'profile-type': 'news', followers: 900 } },
+          { id: 'a2', type: 'author', attributes: { name: 'WHO', 'profile-type': 'policy', followers: 50 } },
+        ],
+      }, 3));
+
+      const result = await toolHandlers.analyze_top_mentioners({ q: 'climate', mentioned_after: '2024-01-01', rank_by: 'reach' });
+
+      const url = new URL(fetchStub.firstCall.args[0]);
+      assert.strictEqual(url.pathname, '/explorer/api/research_outputs/mentions');
+      assert.strictEqual(url.searchParams.has('include'), false);
+      assert.strictEqual(url.searchParams.get('filter[mentioned_after]'), '2024-01-01');
+      assert.deepStrictEqual(result.structuredContent.top.map((m) => [m.name, m.mentions, m.outputs, m.reach]), [
+        ['BBC News', 1, 1, 900],
+        ['WHO', 2, 2, 50],
+      ]);
+      assert.match(result.content[0].text, /\nTop mentioners for query "climate"\n2 mentioners across 3 mentions/);
+      assert.match(result.content[0].text, /\| 1 \| BBC News \| news \| 1 \| 1 \| 900 \| 2024-03-05 \|/);
+    });
+
+    it('leaves the related objects out without include_profiles, and says how much matched', async function () {
+      fetchStub.resolves(page({ data: [mention('m1', 'a1', 'o1')] }, 700));
+
+      const result = await toolHandlers.analyze_top_mentioners({ include_profiles: false, max_items: 100 });
+
+      assert.strictEqual(new URL(fetchStub.firstCall.args[0]).searchParams.get('include'), '');
+      assert.match(result.content[0].text, /Based on the first 1 of 700 matching mentions/);
+      assert.match(result.content[0].text, /Set include_profiles to read follower counts/);
+    });
+  });
+
+  describe('score percentiles', function () {
+    const record = (id, score, pct) => ({
+      altmetric_id: id,
+      title: `Output ${id}`,
+      doi: `10.1000/${id}`,
+      score,
+      context: {
+        all: { count: 25000000, rank: 1204, pct: pct.all, higher_than: 24998000, mean: 8.1 },
+        similar_age_3m: { count: 300000, rank: 12, pct: pct.age, higher_than: 299900, mean: 10.2 },
+      },
+    });
+
+    it('adds the percentile context to the get_citation_counts summary', async function () {
+      fetchStub.resolves({ ok: true, text: async () => JSON.stringify(record(1, 412, { all: 99, age: 98 })) });
+      const result = await toolHandlers.get_citation_counts({ identifier: '10.1000/1', identifier_type: 'doi' });
+      assert.match(result.content[0].text, /Altmetric Score: 412\nPercentiles: 99th of all outputs \(rank 1,204 of 25,000,000\); 98th among outputs of similar age \(rank 12 of 300,000\)\n/);
+    });
+
+    it('benchmark_output ranks outputs on a percentile rather than the raw score', async function () {
+      fetchStub.callsFake(async (url) => {
+        const { pathname } = new URL(url);
+        if (pathname === '/v1/doi/10.1000%2Fmissing') return { ok: false, status: 404, text: async () => '' };
+        const body = pathname === '/v1/doi/10.1000%2F1' ? record(1, 400, { all: 99, age: 80 }) : record(2, 50, { all: 90, age: 97 });
+        return { ok: true, text: async () => JSON.stringify(body) };
+      });
+
+      const result = await toolHandlers.benchmark_output({ identifiers: ['10.1000/1', 'PMID: 222', '10.1000/missing'] });
+
+      assert.deepStrictEqual(result.structuredContent.outputs.map((o) => [o.input, o.score, o.percentiles.similar_age]), [
+        ['PMID: 222', 50, 97],
+        ['10.1000/1', 400, 80],
+      ]);
+      assert.strictEqual(new URL(fetchStub.getCalls().find((call) => call.args[0].includes('/pmid/')).args[0]).pathname, '/v1/pmid/222');
+      assert.deepStrictEqual(result.structuredContent.not_found.map((o) => o.input), ['10.1000/missing']);
+      assert.match(result.content[0].text, /2 output\(s\) ranked by percentile among outputs of similar age:/);
+      assert.match(result.content[0].text, /\| 1 \| Output 2 \(10\.1000\/2\) \| 50 \| 90th \| n\/a \| 97th \| n\/a \|/);
+      assert.match(result.content[0].text, /Not benchmarked \(1\): 10\.1000\/missing/);
+    });
+
+    it('benchmark_output reports outputs that could not be read apart from those not found', async function () {
+      fetchStub.callsFake(async (url) => {
+        const { pathname } = new URL(url);
+        if (pathname === '/v1/doi/10.1000%2Fmissing') return { ok: false, status: 404, text: async () => '' };
+        if (pathname === '/v1/doi/10.1000%2Fbroken') return { ok: false, status: 400, text: async () => '' };
+        return { ok: true, text: async () => JSON.stringify(record(1, 400, { all: 99, age: 80 })) };
+      });
+
+      const result = await toolHandlers.benchmark_output({ identifiers: ['10.1000/1', '10.1000/missing', '10.1000/broken', 'not an identifier'] });
+
+      assert.deepStrictEqual(result.structuredContent.not_found.map((o) => o.input), ['10.1000/missing']);
+      assert.deepStrictEqual(result.structuredContent.failed.map((o) => o.input), ['10.1000/broken', 'not an identifier']);
+      assert.match(result.content[0].text, /Not benchmarked \(1\): 10\.1000\/missing \(Not found/);
+      assert.match(result.content[0].text, /\nFailed \(2\): 10\.1000\/broken \(.+\); not an identifier \(/);
+    });
+
+    it('benchmark_output fails the call when every lookup fails for another reason', async function () {
+      fetchStub.resolves({ ok: false, status: 401, text: async () => '' });
+      await assert.rejects(toolHandlers.benchmark_output({ identifiers: ['10.1000/1'] }), /Unauthorized/);
+    });
+  });
+
+  describe('analyze_score_history', function () {
+    const record = (id, score, history) => ({ altmetric_id: id, title: `Output ${id}`, doi: `10.1000/${id}`, score, history });
+
+    it('classifies each output from its score history, fastest first', async function () {
+      fetchStub.callsFake(async (url) => {
+        const { pathname } = new URL(url);
+        if (pathname === '/v1/doi/10.1000%2Fmissing') return { ok: false, status: 404, text: async () => '' };
+        const body = pathname === '/v1/doi/10.1000%2F1'
+          ? record(1, 100, { '1w': 2, '1m': 3, '3m': 60, '6m': 80, '1y': 90, at: 100 })
+          : record(2, 40, { '1w': 10, '1m': 30, '3m': 36, '6m': 38, '1y': 40, at: 40 });
+        return { ok: true, text: async () => JSON.stringify(body) };
+      });
+
+      const result = await toolHandlers.analyze_score_history({ identifiers: ['10.1000/1', 'arXiv:1501.00001', '10.1000/missing'] });
+
+      assert.strictEqual(new URL(fetchStub.getCalls().find((call) => call.args[0].includes('/arxiv/')).args[0]).pathname, '/v1/arxiv/1501.00001');
+      assert.deepStrictEqual(result.structuredContent.outputs.map((o) => [o.input, o.velocity, o.prior_velocity, o.trend]), [
+        ['arXiv:1501.00001', 1, 0.1, 'rising'],
+        ['10.1000/1', 0.1, 0.95, 'fading'],
+      ]);
+      assert.deepStrictEqual(result.structuredContent.by_trend, { rising: 1, steady: 0, fading: 1 });
+      assert.deepStrictEqual(result.structuredContent.not_found.map((o) => o.input), ['10.1000/missing']);
+      assert.match(result.content[0].text, /2 output\(s\): 1 rising, 1 fading\./);
+      assert.match(result.content[0].text, /\| Output 1 \(10\.1000\/1\) \| 100 \| 2 \| 3 \| 60 \| 80 \| 90 \| fading \|/);
+      assert.match(result.content[0].text, /Not analysed \(1\): 10\.1000\/missing/);
+    });
+
+    it('rejects an empty or oversized identifier list without calling the API', async function () {
+      const result = await toolHandlers.analyze_score_history({ identifiers: Array.from({ length: 51 }, (_, i) => `10.1000/${i}`) });
+      assert.strictEqual(result.structuredContent.error, 'Too many identifiers. Maximum is 50.');
+      assert.strictEqual(fetchStub.called, false);
+    });
+  });
+
+  describe('track_policy_impact', function () {
+    const policyPost = (title, url, organisation, posted) => ({ title, url, posted_on: posted, source: { title: organisation, country: 'gb' } });
+
+    it('reads the policy posts of each identifier from the Details Page API, one document per URL', async function () {
+      fetchStub.callsFake(async (url, init = {}) => {
+        const { pathname, searchParams } = new URL(url);
+        if (pathname === '/v1/translate') {
+          return { ok: true, status: 200, text: async () => JSON.stringify({ 'pmid:23903748': 555 }) };
+        }
+        if (pathname === '/v1/fetch/doi/10.1000%2Fmissing') {
+          return { ok: false, status: 404, text: async () => 'Not Found' };
+        }
+        assert.strictEqual(searchParams.get('include_sources'), 'policy,guideline');
+        const shared = policyPost('Net zero strategy', 'https://gov.uk/net-zero/', 'UK Government', '2021-10-19T00:00:00+00:00');
+        const body = pathname === '/v1/fetch/id/555'
+          ? { citation: { altmetric_id: 555, title: 'Paper B' }, posts: { policy: [{ ...shared, url: 'https://gov.uk/net-zero' }] } }
+          : {
+            citation: { altmetric_id: 241939, doi: '10.1038/a', title: 'Paper A' },
+            posts: { policy: [shared], guideline: [policyPost('Clinical guideline', 'https://nice.org.uk/ng1', 'NICE', '2020-01-02T00:00:00+00:00')] },
+          };
+        return { ok: true, status: 200, text: async () => JSON.stringify(body) };
+      });
+
+      const result = await toolHandlers.track_policy_impact({ identifiers: ['10.1038/a', 'PMID: 23903748', '10.1000/missing'] });
+
+      const content = result.structuredContent;
+      assert.strictEqual(content.api, 'details');
+      assert.deepStrictEqual([content.requested, content.fetched, content.citations, content.documents, content.multi_output_documents], [3, 2, 3, 2, 1]);
+      assert.deepStrictEqual(content.by_organisation.map((row) => [row.organisation, row.documents, row.outputs]), [
+        ['UK Government', 1, 2],
+        ['NICE', 1, 1],
+      ]);
+      assert.deepStrictEqual(content.timeline.map((row) => [row.id, row.first_policy_citation]), [['241939', '2020-01-02'], ['555', '2021-10-19']]);
+      assert.deepStrictEqual(content.not_found.map((row) => row.input), ['10.1000/missing']);
+      assert.match(result.content[0].text, /Policy impact of 2 of 3 research outputs \(Details Page API\)/);
+      assert.match(result.content[0].text, /- 2020-01-02: Paper A \(10\.1038\/a\) by NICE; 2 document\(s\)/);
+      assert.match(result.content[0].text, /Not found \(1\): 10\.1000\/missing \(Not found/);
+    });
+
+    it('fails the call when every request fails for a reason other than a missing output', async function () {
+      fetchStub.resolves({ ok: false, status: 403, text: async () => '' });
+      await assert.rejects(toolHandlers.track_policy_impact({ identifiers: ['10.1038/a'] }), /Forbidden/);
+    });
+
+    it('reads the Explorer mentions of the outputs with policy counts, most cited in policy first', async function () {
+      const requests = [];
+      fetchStub.callsFake(async (url, options = {}) => {
+        const { pathname, searchParams } = new URL(url);
+        requests.push({ pathname, searchParams, body: options.body });
+        if (pathname === '/explorer/api/identifier_lists') {
+          return { ok: true, text: async () => JSON.stringify({ data: { id: 'cited-1', counts: { altmetric_ids: 1 } } }) };
+        }
+        if (pathname === '/explorer/api/research_outputs') {
+          return {
+            ok: true,
+            text: async () => JSON.stringify({
+              data: [
+                { id: '101', type: 'research-output', attributes: { title: 'Output one', 'mention-counts': { policy: 2, twitter: 800 } } },
+                { id: '102', type: 'research-output', attributes: { title: 'Output two', 'mention-counts': { twitter: 40 } } },
+              ],
+              meta: { response: { 'total-pages': 1, 'total-results': 2 } },
+            }),
+          };
+        }
+        return {
+          ok: true,
+          text: async () => JSON.stringify({
+            data: [
+              {
+                id: 'm1', type: 'mention',
+                attributes: { 'source-type': 'policy', title: 'WHO report', url: 'https://who.int/r1', 'posted-on': '2023-05-01T00:00:00Z' },
+                relationships: { author: { data: { id: 'who', type: 'author' } }, 'research-outputs': { data: [{ id: '101', type: 'research-output' }] } },
+              },
+              {
+                id: 'm2', type: 'mention',
+                attributes: { 'source-type': 'tweet', title: 'a tweet' },
+                relationships: { 'research-outputs': { data: [{ id: '101', type: 'research-output' }] } },
+              },
+            ],
+            included: [
+              { id: 'who', type: 'author', attributes: { name: 'World Health Organization', 'country-code': 'INT' } },
+              { id: '101', type: 'research-output', attributes: { title: 'Output one', doi: '10.1/one' } },
+            ],
+            meta: { response: { 'total-pages': 9, 'total-results': 802 } },
+          }),
+        };
+      });
+
+      const result = await toolHandlers.track_policy_impact({ q: 'malaria', mentioned_after: '2020-01-01', max_items: 100 });
+
+      assert.deepStrictEqual(requests.map((request) => request.pathname), [
+        '/explorer/api/research_outputs', '/explorer/api/identifier_lists', '/explorer/api/research_outputs/mentions',
+      ]);
+      const [outputs, list, mentions] = requests;
+      assert.strictEqual(outputs.searchParams.get('filter[q]'), 'malaria');
+      assert.strictEqual(outputs.searchParams.get('order'), 'policy');
+      assert.strictEqual(outputs.searchParams.has('filter[mentioned_after]'), false);
+      assert.strictEqual(new URLSearchParams(list.body).get('identifiers'), 'altmetric:101');
+      assert.strictEqual(mentions.searchParams.get('filter[identifier_list_id]'), 'cited-1');
+      assert.strictEqual(mentions.searchParams.get('filter[mentioned_after]'), '2020-01-01');
+      assert.strictEqual(mentions.searchParams.has('filter[q]'), false);
+      assert.strictEqual(mentions.searchParams.has('include'), false);
+
+      const content = result.structuredContent;
+      assert.deepStrictEqual(
+        [content.api, content.outputs_scanned, content.outputs_cited, content.mentions_scanned, content.matching, content.documents],
+        ['explorer', 2, 1, 2, 802, 1],
+      );
+      assert.deepStrictEqual(content.by_country, [{ country: 'INT', documents: 1, organisations: 1, outputs: 1 }]);
+      assert.match(result.content[0].text, /\nPolicy impact for query "malaria"\n1 of 2 research outputs read have policy citations\n1 policy document/);
+      assert.match(result.content[0].text, /Read the first 2 of 802 mentions of the outputs with policy citations/);
+      assert.doesNotMatch(result.content[0].text, /matching research outputs/);
+    });
+
+    it('makes no mentions request when no output read has policy counts', async function () {
+      fetchStub.resolves({
+        ok: true,
+        text: async () => JSON.stringify({
+          data: [{ id: '102', type: 'research-output', attributes: { 'mention-counts': { twitter: 40 } } }],
+          meta: { response: { 'total-pages': 30, 'total-results': 3000 } },
+        }),
+      });
+
+      const result = await toolHandlers.track_policy_impact({ q: 'malaria', order: 'score_desc' });
+
+      assert.ok(fetchStub.getCalls().every((call) => new URL(call.args[0]).pathname === '/explorer/api/research_outputs'));
+      assert.strictEqual(new URL(fetchStub.firstCall.args[0]).searchParams.get('order'), 'score_desc');
+      assert.strictEqual(result.structuredContent.documents, 0);
+      assert.match(result.content[0].text, /No policy or guideline citations found\.\nRead the first 10 of 3000 matching research outputs/);
+    });
+
+    it('offers only identifiers, read from the Details Page API, without Explorer credentials', async function () {
+      const detailsOnly = createTools({ details: detailsResolver });
+      assert.deepStrictEqual(Object.keys(detailsOnly.track_policy_impact.definition.inputSchema.properties), ['identifiers']);
+      const result = await detailsOnly.track_policy_impact.handler({});
+      assert.match(result.structuredContent.error, /Pass the identifiers/);
+      assert.strictEqual(fetchStub.callCount, 0);
+    });
+  });
+
+  describe('track_patent_citations', function () {
+    it('reads the patent posts of each identifier from the Details Page API', async function () {
+      fetchStub.callsFake(async (url) => {
+        const { pathname, searchParams } = new URL(url);
+        assert.strictEqual(searchParams.get('include_sources'), 'patent');
+        const patent = (number, assignee, filed) => ({ title: `Patent ${number}`, patent_number: number, assignees: [assignee], filing_date: filed });
+        const body = pathname === '/v1/fetch/doi/10.1038%2Fa'
+          ? { citation: { altmetric_id: 1, doi: '10.1038/a', title: 'Paper A' }, posts: { patent: [patent('US-10123456-B2', 'Acme Corp', '2018-04-01'), patent('EP1234567A1', 'Acme Corp', '2019-02-01')] } }
+          : { citation: { altmetric_id: 2, title: 'Paper B' }, posts: { patent: [patent('US10123456B2', 'Acme Corp', '2018-04-01')] } };
+        return { ok: true, status: 200, text: async () => JSON.stringify(body) };
+      });
+
+      const result = await toolHandlers.track_patent_citations({ identifiers: ['10.1038/a', 'altmetric:2'] });
+
+      const content = result.structuredContent;
+      assert.deepStrictEqual([content.api, content.citations, content.patents, content.outputs_with_patents], ['details', 3, 2, 2]);
+      assert.deepStrictEqual(content.by_jurisdiction.map((row) => [row.jurisdiction, row.patents, row.outputs]), [['US', 1, 2], ['EP', 1, 1]]);
+      assert.deepStrictEqual(content.by_assignee, [{ assignee: 'Acme Corp', patents: 2, outputs: 2 }]);
+      assert.match(result.content[0].text, /^\S.*\nPatent citations of 2 of 2 research outputs \(Details Page API\)\n2 patent\(s\) cite 2 of 2 research output\(s\)/);
+      assert.match(result.content[0].text, /- Paper A \(10\.1038\/a\): 2 patent\(s\) in EP, US, first filed 2018-04-01/);
+    });
+
+    it('reads the Explorer mentions of the outputs with patent counts when given filters', async function () {
+      fetchStub.callsFake(async (url) => {
+        const { pathname, searchParams } = new URL(url);
+        if (pathname === '/explorer/api/identifier_lists') {
+          return { ok: true, text: async () => JSON.stringify({ data: { id: 'cited-1', counts: { altmetric_ids: 1 } } }) };
+        }
+        if (pathname === '/explorer/api/research_outputs') {
+          assert.strictEqual(searchParams.has('order'), false);
+          return {
+            ok: true,
+            text: async () => JSON.stringify({
+              data: [{ id: '101', type: 'research-output', attributes: { 'mention-counts': { patent: 1, policy: 1 } } }],
+              meta: { response: { 'total-pages': 1, 'total-results': 1 } },
+            }),
+          };
+        }
+        return {
+          ok: true,
+          text: async () => JSON.stringify({
+            data: [
+              {
+                id: 'm1', type: 'mention',
+                attributes: { 'source-type': 'patent', title: 'Widget', 'patent-number': 'WO2019123456', 'posted-on': '2019-06-01T00:00:00Z' },
+                relationships: { author: { data: { id: 'a1', type: 'author' } }, 'research-outputs': { data: [{ id: '101', type: 'research-output' }] } },
+              },
+              { id: 'm2', type: 'mention', attributes: { 'source-type': 'policy' }, relationships: {} },
+            ],
+            included: [{ id: 'a1', type: 'author', attributes: { name: 'Widget Co' } }],
+            meta: { response: { 'total-pages': 1, 'total-results': 2 } },
+          }),
+        };
+      });
+
+      const result = await toolHandlers.track_patent_citations({ q: 'widgets' });
+
+      assert.strictEqual(new URL(fetchStub.lastCall.args[0]).pathname, '/explorer/api/research_outputs/mentions');
+      const content = result.structuredContent;
+      assert.deepStrictEqual([content.api, content.outputs_cited, content.patents, content.mentions_scanned], ['explorer', 1, 1, 2]);
+      assert.deepStrictEqual(content.data[0].assignees, ['Widget Co']);
+      assert.strictEqual(content.data[0].jurisdiction, 'WO');
+      assert.doesNotMatch(result.content[0].text, /Read the first/);
+    });
+  });
+
+  describe('extract_identifiers', function () {
+    it('returns the typed identifier set from pasted citation data, without an API call', async function () {
+      const result = await toolHandlers.extract_identifiers({
+        text: '@article{a, doi = {10.1000/a}, pmid = {12345}}\n@book{b, doi = {10.1000/a}, eprint = {1501.00001}}',
+      });
+
+      assert.deepStrictEqual(result.structuredContent, {
+        format: 'bibtex',
+        total: 3,
+        by_type: { doi: 1, pmid: 1, arxiv: 1 },
+        data: ['10.1000/a', '12345', 'arXiv:1501.00001'],
+      });
+      assert.match(result.content[0].text, /^Found 3 identifier\(s\) in BibTeX input \(1 doi, 1 pmid, 1 arxiv\):\n- 10\.1000\/a\n/);
+      assert.strictEqual(fetchStub.callCount, 0);
+    });
+
+    it('previews only the first identifiers in the text', async function () {
+      const text = Array.from({ length: 25 }, (_, i) => `10.1000/${i}`).join('\n');
+      const result = await toolHandlers.extract_identifiers({ text });
+      assert.strictEqual(result.structuredContent.total, 25);
+      assert.match(result.content[0].text, /\.\.\.and 5 more/);
+    });
+
+    it('trims a large library to the default budget, keeping the rest behind a cursor', async function () {
+      const text = Array.from({ length: 3000 }, (_, i) => `10.1038/s41586-024-${String(i).padStart(5, '0')}-x`).join('\n');
+      const stash = sinon.stub().returns('cursor-1');
+      const result = enforceResultSizeLimit(await toolHandlers.extract_identifiers({ text }), { stash });
+
+      assert.strictEqual(result.structuredContent.error, undefined);
+      assert.deepStrictEqual(result.structuredContent.by_type, { doi: 3000 });
+      assert.strictEqual(result.structuredContent.total, 3000);
+      const kept = result.structuredContent.data.length;
+      assert.ok(kept > 1000 && kept < 3000, `kept ${kept}`);
+      assert.strictEqual(result.structuredContent.meta.next_cursor, 'cursor-1');
+      assert.strictEqual(stash.firstCall.args[0].length, 3000 - kept);
+    });
+
+    it('asks for text when none is given, and offers file only with a root', async function () {
+      const result = await toolHandlers.extract_identifiers({});
+      assert.strictEqual(result.structuredContent.error, 'Pass the citation data as text.');
+      assert.strictEqual(tools.extract_identifiers.definition.inputSchema.properties.file, undefined);
+      assert.strictEqual(tools.extract_identifiers.definition.inputSchema.properties.bypass_cache, undefined);
+    });
+  });
+
+  describe('Identifier list tools', function () {
+    const listResponse = (id, counts) => ({ ok: true, text: async () => JSON.stringify({ data: { id, counts } }) });
+    let listTools;
+
+    beforeEach(function () {
+      listTools = createTools({ explorer: explorerResolver });
+    });
+
+    it('creates a named list from an array and file text, reporting unrecognised identifiers', async function () {
+      fetchStub.resolves(listResponse('list-9', { dois: 2 }));
+
+      const result = await listTools.create_identifier_list.handler({
+        name: 'Biology 2024',
+        identifiers: ['10.1000/a'],
+        identifiers_text: '"10.1000/b"\r\nnot an id,10.1000/a\n',
+      });
+
+      const body = new URLSearchParams(fetchStub.firstCall.args[1].body);
+      assert.strictEqual(body.get('identifiers'), '10.1000/a\n10.1000/b\nnot an id');
+      assert.strictEqual(result.structuredContent.name, 'Biology 2024');
+      assert.strictEqual(result.structuredContent.submitted, 3);
+      assert.deepStrictEqual(result.structuredContent.unrecognized, [{ identifier: 'not an id', reason: 'not a recognisable identifier' }]);
+      assert.match(result.content[0].text, /^Identifier list "Biology 2024" \(list-9\): 2 dois\n3 identifiers submitted; 1 not recognised:\n- not an id/);
+    });
+
+    it('lets the read tools take the list by name, and lists the session\'s lists', async function () {
+      const lists = [listResponse('list-9', { dois: 1 }), listResponse('list-10', { pmids: 1 })];
+      fetchStub.callsFake(async (url, options = {}) => (options.method === 'POST'
+        ? lists.shift()
+        : { ok: true, text: async () => JSON.stringify({ data: [], meta: {} }) }));
+
+      await listTools.create_identifier_list.handler({ name: 'cohort', identifiers: ['10.1000/a'] });
+      await listTools.explore_mentions.handler({ identifiers: ['12345'] });
+      await listTools.explore_journals.handler({ identifier_list_id: 'cohort' });
+
+      assert.strictEqual(new URL(fetchStub.lastCall.args[0]).searchParams.get('filter[identifier_list_id]'), 'list-9');
+
+      const listed = await listTools.list_identifier_lists.handler({});
+      assert.deepStrictEqual(listed.structuredContent.lists.map((l) => [l.id, l.name]), [['list-10', null], ['list-9', 'cohort']]);
+      assert.match(listed.content[0].text, /^2 identifier lists in this session:\n- list-10: 1 pmids - created /);
+      assert.strictEqual(fetchStub.callCount, 4, 'listing makes no API call');
+    });
+
+    it('passes an unknown identifier_list_id through unchanged', async function () {
+      fetchStub.resolves({ ok: true, text: async () => JSON.stringify({ data: [], meta: {} }) });
+      await listTools.explore_journals.handler({ identifier_list_id: 'abc' });
+      assert.strictEqual(new URL(fetchStub.firstCall.args[0]).searchParams.get('filter[identifier_list_id]'), 'abc');
+    });
+
+    it('fetches a list by name, keeping what the session knows about it', async function () {
+      fetchStub.onFirstCall().resolves(listResponse('list-9', { dois: 1 }));
+      fetchStub.onSecondCall().resolves(listResponse('list-9', { dois: 1 }));
+      await listTools.create_identifier_list.handler({ name: 'cohort', identifiers: ['10.1000/a', 'x'] });
+
+      const result = await listTools.get_identifier_list.handler({ list: 'cohort' });
+
+      const url = new URL(fetchStub.secondCall.args[0]);
+      assert.strictEqual(url.pathname, '/explorer/api/identifier_lists/list-9');
+      assert.ok(url.searchParams.get('digest'));
+      assert.strictEqual(result.structuredContent.in_session, true);
+      assert.strictEqual(result.structuredContent.unrecognized_total, 1);
+    });
+
+    it('works out unrecognised identifiers from the list content when the API returns it', async function () {
+      fetchStub.resolves({ ok: true, text: async () => JSON.stringify({ data: { id: 'other', counts: { dois: 1 }, content: '10.1000/a\nSSRN 12345' } }) });
+      const result = await listTools.get_identifier_list.handler({ list: 'other' });
+      assert.strictEqual(result.structuredContent.in_session, false);
+      assert.strictEqual(result.structuredContent.submitted, 2);
+      assert.strictEqual(result.structuredContent.unrecognized.length, 1);
+    });
+
+    it('asks for identifiers when none are given', async function () {
+      const result = await listTools.create_identifier_list.handler({ name: 'empty', identifiers_text: ' ,\n' });
+      assert.match(result.content[0].text, /No identifiers provided/);
+      assert.strictEqual(fetchStub.callCount, 0);
+    });
+  });
+
   describe('Error Handling Business Logic', function () {
     it('returns 403 error for unauthorized access to commercial features', async function () {
       fetchStub.resolves({
@@ -313,6 +1083,41 @@ describe('MCP Tools', function () {
     });
   });
 
+  describe('Identifier type auto-detection', function () {
+    const okCounts = () => fetchStub.resolves({ ok: true, text: async () => JSON.stringify({ title: 'T', score: 1 }) });
+
+    it('classifies and normalises the identifier by default', async function () {
+      okCounts();
+      const result = await toolHandlers.get_citation_counts({ identifier: 'https://pubmed.ncbi.nlm.nih.gov/23903748/' });
+
+      assert.strictEqual(new URL(fetchStub.firstCall.args[0]).pathname, '/v1/pmid/23903748');
+      assert.match(result.content[0].text, /Citation data for PMID: 23903748 \(type detected automatically\)/);
+      assert.deepStrictEqual(result.structuredContent.meta.identifier, { type: 'pmid', value: '23903748', detected: true });
+    });
+
+    it('leaves an explicit identifier_type as given', async function () {
+      okCounts();
+      const result = await toolHandlers.get_citation_counts({ identifier: '241939', identifier_type: 'id' });
+
+      assert.strictEqual(new URL(fetchStub.firstCall.args[0]).pathname, '/v1/id/241939');
+      assert.strictEqual(result.structuredContent.meta, undefined);
+    });
+
+    it('routes an arXiv prefix to get_citation_details only as a supported type', async function () {
+      await assert.rejects(
+        toolHandlers.get_citation_details({ identifier: 'arXiv:1501.00001' }),
+        /detected as identifier type "arxiv", which get_citation_details does not accept.*translate_identifiers/,
+      );
+      assert.strictEqual(fetchStub.callCount, 0);
+    });
+
+    it('accepts a doi.org URL in get_citation_details', async function () {
+      fetchStub.resolves({ ok: true, text: async () => JSON.stringify({ citation: { title: 'T' } }) });
+      await toolHandlers.get_citation_details({ identifier: 'https://doi.org/10.1038/nature12373' });
+      assert.strictEqual(new URL(fetchStub.firstCall.args[0]).pathname, '/v1/fetch/doi/10.1038%2Fnature12373');
+    });
+  });
+
   describe('Translate Identifiers', function () {
     it('sends POST request with pipe-delimited identifiers', async function () {
       fetchStub.resolves({
@@ -397,6 +1202,287 @@ describe('MCP Tools', function () {
     });
   });
 
+  describe('Batch attention data', function () {
+    // Routes the stubbed Details API by URL: translate maps every identifier it is sent
+    // (minus any in `unknown`) to an ID from `ids`, and /v1/id echoes one record per ID.
+    function stubDetailsApi({ ids = {}, unknown = [], failLookup = () => null } = {}) {
+      const calls = { translate: [], lookup: [] };
+      let inFlight = 0;
+      let maxInFlight = 0;
+      fetchStub.callsFake(async (url, init = {}) => {
+        inFlight += 1;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise((resolve) => setImmediate(resolve));
+        inFlight -= 1;
+        const { pathname } = new URL(url);
+        let body;
+        if (pathname === '/v1/translate') {
+          const sent = new URLSearchParams(init.body).get('ids').split('|');
+          calls.translate.push(sent);
+          body = Object.fromEntries(sent.filter((id) => !unknown.includes(id)).map((id) => [id, ids[id] ?? `a-${id}`]));
+        } else {
+          const requested = decodeURIComponent(pathname.replace('/v1/id/', '')).split(',');
+          calls.lookup.push(requested);
+          const status = failLookup(requested);
+          if (status) {
+            return { ok: false, status, statusText: 'Failed', headers: new Headers(), text: async () => '' };
+          }
+          const known = requested.filter((id) => !unknown.includes(id));
+          body = { results: known.map((id) => ({ altmetric_id: id, title: `Output ${id}`, score: requested.indexOf(id) })) };
+        }
+        return { ok: true, status: 200, text: async () => JSON.stringify(body) };
+      });
+      return { calls, maxInFlight: () => maxInFlight };
+    }
+
+    it('accepts mixed identifier types and maps every input to its Altmetric ID', async function () {
+      const { calls } = stubDetailsApi({ ids: { '10.1038/nature12373': '241939', 'pmid:23903748': '241939', 'arXiv:1501.00001': '555' } });
+
+      const result = await toolHandlers.get_batch_attention_data({
+        identifiers: ['https://doi.org/10.1038/nature12373', 'PMID: 23903748', 'arXiv:1501.00001', 'altmetric:777'],
+      });
+
+      assert.deepStrictEqual(calls.translate, [['10.1038/nature12373', 'pmid:23903748', 'arXiv:1501.00001']], 'typed, and Altmetric IDs are not translated');
+      assert.deepStrictEqual(result.structuredContent.mapping, {
+        'altmetric:777': '777',
+        'https://doi.org/10.1038/nature12373': '241939',
+        'PMID: 23903748': '241939',
+        'arXiv:1501.00001': '555',
+      });
+      const paper = result.structuredContent.results.find((r) => r.altmetric_id === '241939');
+      assert.strictEqual(paper.doi, '10.1038/nature12373');
+      assert.deepStrictEqual(paper.identifiers, [
+        { input: 'https://doi.org/10.1038/nature12373', identifier_type: 'doi' },
+        { input: 'PMID: 23903748', identifier_type: 'pmid' },
+      ]);
+      assert.strictEqual(result.structuredContent.results.length, 3, 'one row per research output');
+      assert.match(result.content[0].text, /4 identifiers \(1 doi, 1 pmid, 1 arxiv, 1 id\)/);
+    });
+
+    it('chunks thousands of identifiers with bounded concurrency', async function () {
+      const api = stubDetailsApi();
+      const dois = Array.from({ length: 2500 }, (_, i) => `10.1234/item.${i}`);
+
+      const result = await toolHandlers.get_batch_attention_data({ dois });
+
+      assert.deepStrictEqual(api.calls.translate.map((ids) => ids.length), [1000, 1000, 500]);
+      assert.strictEqual(api.calls.lookup.length, 25);
+      assert.ok(api.calls.lookup.every((ids) => ids.length <= 100));
+      assert.ok(api.maxInFlight() <= 4, `at most 4 concurrent requests, saw ${api.maxInFlight()}`);
+      assert.strictEqual(result.structuredContent.found, 2500);
+      assert.strictEqual(result.structuredContent.results.length, 2500);
+    });
+
+    it('reports identifiers translate did not recognise as not found', async function () {
+      stubDetailsApi({ unknown: ['10.1234/missing'] });
+      const result = await toolHandlers.get_batch_attention_data({ identifiers: ['10.1234/present', '10.1234/missing'] });
+      assert.deepStrictEqual(result.structuredContent.not_found, ['10.1234/missing']);
+      assert.strictEqual(result.structuredContent.found, 1);
+    });
+
+    it('sends identifiers it could not type as the caller wrote them', async function () {
+      const { calls } = stubDetailsApi();
+      const result = await toolHandlers.get_batch_attention_data({ identifiers: [' something-else '] });
+      assert.deepStrictEqual(calls.translate, [['something-else']]);
+      assert.deepStrictEqual(result.structuredContent.mapping, { ' something-else ': 'a-something-else' });
+    });
+
+    it('reports Altmetric IDs the lookup does not return as not found', async function () {
+      stubDetailsApi({ unknown: ['404404'] });
+      const result = await toolHandlers.get_batch_attention_data({ identifiers: ['altmetric:777', 'altmetric:404404'] });
+      assert.deepStrictEqual(result.structuredContent.not_found, ['altmetric:404404']);
+      assert.strictEqual(result.structuredContent.found, 1);
+      assert.deepStrictEqual(result.structuredContent.mapping, { 'altmetric:777': '777' });
+    });
+
+    it('reports the identifiers of a lookup chunk that fails, keeping the rest', async function () {
+      stubDetailsApi({ failLookup: (ids) => (ids.includes('a-10.1234/x0') ? 503 : ids.includes('a-10.1234/x100') ? 404 : null) });
+      const dois = Array.from({ length: 250 }, (_, i) => `10.1234/x${i}`);
+
+      const result = await toolHandlers.get_batch_attention_data({ dois });
+
+      assert.strictEqual(result.structuredContent.found, 50);
+      assert.strictEqual(result.structuredContent.not_found.length, 100);
+      assert.strictEqual(result.structuredContent.failed.length, 100);
+      assert.match(result.structuredContent.failed[0].reason, /503/);
+      assert.match(result.content[0].text, /Not found: 100, Not fetched: 100/);
+      assert.match(result.content[0].text, /\nNot fetched \(100\): 10\.1234\/x0 \(/);
+    });
+
+    it('fails when no lookup succeeds for a reason other than not found', async function () {
+      stubDetailsApi({ failLookup: () => 401 });
+      await assert.rejects(toolHandlers.get_batch_attention_data({ dois: ['10.1234/a'] }), /401|credentials|Unauthorized/i);
+    });
+
+    it('rejects more than 10,000 identifiers without calling the API', async function () {
+      const identifiers = Array.from({ length: 10_001 }, (_, i) => `10.1234/x${i}`);
+      const result = await toolHandlers.get_batch_attention_data({ identifiers });
+      assert.match(result.content[0].text, /Maximum is 10,000/);
+      assert.strictEqual(fetchStub.callCount, 0);
+    });
+
+    it('asks for identifiers when none are given', async function () {
+      const result = await toolHandlers.get_batch_attention_data({});
+      assert.strictEqual(result.structuredContent.error, 'No identifiers provided');
+    });
+  });
+
+  describe('output_format', function () {
+    it('is offered only on tools that return lists of records', function () {
+      assert.ok(tools.explore_journals.definition.inputSchema.properties.output_format);
+      assert.ok(tools.get_batch_attention_data.definition.inputSchema.properties.output_format);
+      assert.strictEqual(tools.explore_demographics.definition.inputSchema.properties.output_format, undefined);
+    });
+
+    it('attaches a CSV export of explore_journals without sending the option upstream', async function () {
+      fetchStub.resolves({
+        ok: true,
+        text: async () => JSON.stringify({
+          data: [{ id: 'j1', type: 'journal', attributes: { title: 'Nature', 'mention-count': 10 } }],
+          meta: { response: { 'total-results': 1 } },
+        }),
+      });
+
+      const result = await tools.explore_journals.handler({ q: 'nature', output_format: 'csv' });
+
+      assert.strictEqual(new URL(fetchStub.firstCall.args[0]).searchParams.has('output_format'), false);
+      const exported = result.content.find((c) => c.type === 'resource');
+      assert.strictEqual(exported.resource.text, 'id,type,title,mention-count\r\nj1,journal,Nature,10');
+      assert.strictEqual(result.structuredContent.data[0].attributes.title, 'Nature');
+    });
+  });
+
+  describe('analyze_attention_trend', function () {
+    it('analyses the attention endpoint\'s series without sending its own options upstream', async function () {
+      fetchStub.resolves({
+        ok: true,
+        text: async () => JSON.stringify({
+          data: [{ id: 'news', type: 'attention', attributes: { histogram: { '2024-01-01': 3, '2024-02-10': 5 } } }],
+        }),
+      });
+
+      const result = await toolHandlers.analyze_attention_trend({ q: 'climate', timeframe: '3m', interval: 'month', rolling_window: 2 });
+
+      const url = new URL(fetchStub.firstCall.args[0]);
+      assert.ok(url.pathname.endsWith('/explorer/api/research_outputs/attention'));
+      assert.strictEqual(url.searchParams.get('filter[q]'), 'climate');
+      assert.strictEqual([...url.searchParams.keys()].some((key) => /interval|rolling_window/.test(key)), false);
+      assert.deepStrictEqual(result.structuredContent.periods, ['2024-01', '2024-02']);
+      assert.deepStrictEqual(result.structuredContent.total.counts, [3, 5]);
+      assert.deepStrictEqual(result.structuredContent.data.map((s) => s.source), ['news']);
+      assert.match(result.content[0].text, /^Attention trend for query "climate" in timeframe: 3m\n2 monthly buckets/);
+    });
+
+    it('says so when no dated mentions come back', async function () {
+      fetchStub.resolves({ ok: true, text: async () => JSON.stringify({ data: [] }) });
+      const result = await toolHandlers.analyze_attention_trend({ q: 'nothing' });
+      assert.match(result.content[0].text, /No mentions by date/);
+      assert.strictEqual(result.structuredContent.buckets, 0);
+    });
+
+    it('fits a year of fifteen sources in the default budget, shedding the smallest sources daily', async function () {
+      const histogram = (source) => Object.fromEntries(Array.from({ length: 366 }, (_, i) => [
+        new Date(Date.UTC(2024, 0, 1 + i)).toISOString().slice(0, 10), ((i * 7 + source * 3) % 23) * (source + 1),
+      ]));
+      const data = Array.from({ length: 15 }, (_, source) => ({ id: `source${source}`, type: 'attention', attributes: { histogram: histogram(source) } }));
+      fetchStub.resolves({ ok: true, text: async () => JSON.stringify({ data }) });
+
+      const weekly = enforceResultSizeLimit(await toolHandlers.analyze_attention_trend({ q: 'climate', interval: 'week' }));
+      assert.strictEqual(weekly.structuredContent.data.length, 15);
+      assert.strictEqual(weekly.structuredContent.meta, undefined);
+
+      const daily = enforceResultSizeLimit(await toolHandlers.analyze_attention_trend({ q: 'climate', interval: 'day' }));
+      assert.strictEqual(daily.structuredContent.error, undefined);
+      assert.strictEqual(daily.structuredContent.total.counts.length, 366);
+      assert.ok(daily.structuredContent.data.length >= 1);
+      assert.strictEqual(daily.structuredContent.data[0].source, 'source14');
+      assert.strictEqual(daily.structuredContent.meta.available, 15);
+    });
+
+    it('fails rather than reporting no mentions when the response has no histograms', async function () {
+      fetchStub.resolves({ ok: true, text: async () => JSON.stringify({ data: [{ id: 'news', type: 'attention', attributes: { total: 4 } }] }) });
+      await assert.rejects(toolHandlers.analyze_attention_trend({ q: 'climate' }), /no per-source histogram/);
+    });
+  });
+
+  describe('compare_cohorts', function () {
+    const respond = (url) => {
+      const { pathname, searchParams } = new URL(url);
+      const dept = searchParams.get('filter[department_id][]');
+      const body = {
+        '/explorer/api/research_outputs': { data: [], meta: { response: { 'total-results': dept === 'd1' ? 10 : 20 } } },
+        '/explorer/api/research_outputs/attention': { data: [{ id: 'news', attributes: { histogram: { '2024-01-01': dept === 'd1' ? 5 : 20 } } }] },
+        '/explorer/api/research_outputs/mention_sources': { data: [], meta: { response: { 'total-results': 3 } } },
+        '/explorer/api/research_outputs/demographics': { data: [] },
+      }[pathname];
+      return { ok: true, text: async () => JSON.stringify(body) };
+    };
+
+    it('fetches four endpoints per cohort with shared and own filters, and compares them', async function () {
+      fetchStub.callsFake(async (url) => respond(url));
+
+      const result = await toolHandlers.compare_cohorts({
+        cohorts: [{ name: 'Biology', department_id: ['d1'] }, { name: 'Chemistry', department_id: ['d2'], timeframe: '1m' }],
+        shared_filters: { timeframe: '1y' },
+        demographics_source: 'msm',
+      });
+
+      assert.strictEqual(fetchStub.callCount, 8);
+      const urls = fetchStub.getCalls().map((call) => new URL(call.args[0]));
+      const chemistry = urls.filter((u) => u.searchParams.get('filter[department_id][]') === 'd2');
+      assert.ok(chemistry.every((u) => u.searchParams.get('filter[timeframe]') === '1m'), 'a cohort\'s own filter wins');
+      assert.ok(urls.filter((u) => u.searchParams.get('filter[department_id][]') === 'd1').every((u) => u.searchParams.get('filter[timeframe]') === '1y'));
+      assert.strictEqual(urls.find((u) => u.pathname.endsWith('/demographics')).searchParams.get('filter[filter]'), 'msm');
+      assert.strictEqual(urls.find((u) => u.pathname === '/explorer/api/research_outputs').searchParams.get('page[size]'), '1');
+
+      assert.deepStrictEqual(result.structuredContent.sources[0].values[1], {
+        cohort: 'Chemistry', mentions: 20, per_output: 1, delta: 15, delta_pct: 300, per_output_delta_pct: 100,
+      });
+      assert.match(result.content[0].text, /\| news \| 5 \(0\.5\/output\) \| 20 \(1\/output\), \+100% \|/);
+    });
+
+    it('rejects duplicate cohort names without calling the API', async function () {
+      const result = await toolHandlers.compare_cohorts({ cohorts: [{ name: 'A', q: 'x' }, { name: 'A', q: 'y' }] });
+      assert.match(result.content[0].text, /"A" is used more than once/);
+      assert.strictEqual(fetchStub.callCount, 0);
+    });
+  });
+
+  describe('table_rows', function () {
+    it('is offered only on tools with a column spec', function () {
+      assert.ok(tools.explore_research_outputs.definition.inputSchema.properties.table_rows);
+      assert.ok(tools.search_citations.definition.inputSchema.properties.table_rows);
+      assert.strictEqual(tools.get_citation_counts.definition.inputSchema.properties.table_rows, undefined);
+    });
+
+    it('appends a markdown table to the summary without sending the option upstream', async function () {
+      fetchStub.resolves({
+        ok: true,
+        text: async () => JSON.stringify({
+          data: [
+            { id: 'j1', type: 'journal', attributes: { title: 'Nature', 'mention-count': 10 } },
+            { id: 'j2', type: 'journal', attributes: { title: 'Cell', 'mention-count': 4 } },
+          ],
+          meta: { response: { 'total-results': 2 } },
+        }),
+      });
+
+      const result = await tools.explore_journals.handler({ q: 'nature', table_rows: 1 });
+
+      assert.strictEqual(new URL(fetchStub.firstCall.args[0]).searchParams.has('table_rows'), false);
+      assert.match(result.content[0].text, /Top 1 of 2:\n\| Journal \| Mentions \|\n\|---\|---\|\n\| Nature \| 10 \|$/);
+    });
+
+    it('leaves the summary alone by default', async function () {
+      fetchStub.resolves({
+        ok: true,
+        text: async () => JSON.stringify({ data: [{ id: 'j1', type: 'journal', attributes: { title: 'Nature' } }], meta: {} }),
+      });
+      const result = await tools.explore_journals.handler({ q: 'nature' });
+      assert.doesNotMatch(result.content[0].text, /\| Journal \|/);
+    });
+  });
+
   describe('include_related (response size control)', function () {
     const okEmpty = () => fetchStub.resolves({
       ok: true,
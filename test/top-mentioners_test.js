@@ -0,0 +1,139 @@
+import assert from 'assert';
+import { rankMentioners, describeMentioners, MAX_MENTIONERS } from '../lib/top-mentioners.js';
+
+const mention = (id, { author, outputs = [], posted = '2024-01-03T10:00:00Z', attributes = {} } = {}) => ({
+  id,
+  type: 'mention',
+  attributes: { 'posted-on': posted, ...attributes },
+  relationships: {
+    ...(author ? { author: { data: { id: author, type: 'author' } } } : {}),
+    'research-outputs': { data: outputs.map((output) => ({ id: output, type: 'research-output' })) },
+  },
+});
+
+const profile = (id, attributes) => ({ id, type: 'author', attributes });
+
+describe('top mentioners', function () {
+  describe('rankMentioners', function () {
+    const document = {
+      data: [
+        mention('m1', { author: 'bbc', outputs: ['o1'], posted: '2024-01-01T00:00:00Z' }),
+        mention('m2', { author: 'bbc', outputs: ['o1'], posted: '2024-02-01T00:00:00Z' }),
+        mention('m3', { author: 'bbc', outputs: ['o1'], posted: '2024-01-15T00:00:00Z' }),
+        mention('m4', { author: 'who', outputs: ['o1', 'o2', 'o3'] }),
+        mention('m5', { author: 'star', outputs: ['o2'] }),
+      ],
+      included: [
+        profile('bbc', { name: 'BBC News', 'profile-type': 'news', followers: 1000 }),
+        profile('who', { name: 'World Health Organization', 'profile-type': 'policy' }),
+        profile('star', { name: '@star', 'profile-type': 'tweet', followers: 2000000 }),
+        { id: 'o1', type: 'research-output', attributes: { title: 'Not an author' } },
+      ],
+    };
+
+    it('groups mentions by author relationship and ranks by mention count', function () {
+      const ranking = rankMentioners(document);
+      assert.deepStrictEqual(ranking.top.map((m) => m.name), ['BBC News', '@star', 'World Health Organization']);
+      assert.deepStrictEqual(ranking.top[0], {
+        id: 'bbc',
+        name: 'BBC News',
+        type: 'news',
+        reach: 1000,
+        mentions: 3,
+        outputs: 1,
+        share: 0.6,
+        first_mentioned: '2024-01-01',
+        last_mentioned: '2024-02-01',
+      });
+      assert.deepStrictEqual([ranking.analysed, ranking.attributed, ranking.mentioners, ranking.with_reach], [5, 5, 3, 2]);
+    });
+
+    it('ranks by reach or by distinct outputs, mentioners without reach last', function () {
+      assert.deepStrictEqual(rankMentioners(document, { rankBy: 'reach' }).top.map((m) => m.id), ['star', 'bbc', 'who']);
+      assert.deepStrictEqual(rankMentioners(document, { rankBy: 'outputs' }).top.map((m) => m.id), ['who', 'bbc', 'star']);
+    });
+
+    it('filters by profile type and caps the list', function () {
+      const ranking = rankMentioners(document, { types: ['News', 'policy'], limit: 1 });
+      assert.deepStrictEqual(ranking.top.map((m) => m.id), ['bbc']);
+      assert.strictEqual(ranking.excluded_by_type, 1);
+      assert.strictEqual(ranking.mentioners, 2);
+      assert.strictEqual(rankMentioners(document, { limit: 500 }).top.length, Math.min(3, MAX_MENTIONERS));
+    });
+
+    it('falls back to the mention\'s own author fields, and counts mentions with no author', function () {
+      const ranking = rankMentioners({
+        data: [
+          mention('m1', { attributes: { 'source-type': 'blog', author: { name: 'Lab Blog', followers: 40 } } }),
+          mention('m2', { attributes: { 'source-type': 'blog', author: { name: 'lab blog' } } }),
+          mention('m3', { author: 'x1' }),
+          mention('m4'),
+        ],
+      });
+      assert.deepStrictEqual(ranking.top.map((m) => [m.name, m.type, m.mentions, m.reach]), [
+        ['Lab Blog', 'blog', 2, 40],
+        ['x1', null, 1, null],
+      ]);
+      assert.strictEqual(ranking.unattributed, 1);
+    });
+
+    it('reads a mentions page with its author profiles included', function () {
+      // /research_outputs/mentions?include=author,research-outputs, trimmed to one mention.
+      const ranking = rankMentioners({
+        data: [{
+          id: 'news:4b1e9c2f',
+          type: 'mention',
+          attributes: {
+            title: 'Heatwaves are bleaching reefs faster than they recover',
+            url: 'https://www.theguardian.com/environment/2024/jan/10/coral-reefs',
+            'posted-on': '2024-01-10T06:00:00+00:00',
+            'source-type': 'news',
+            author: { name: 'The Guardian' },
+          },
+          relationships: {
+            author: { data: { id: 'news:the-guardian', type: 'author' } },
+            'research-outputs': { data: [{ id: '3f1c2d9e-5b6a-4c1d-9e8f-0a1b2c3d4e5f', type: 'research-output' }] },
+          },
+        }],
+        included: [
+          { id: 'news:the-guardian', type: 'author', attributes: { name: 'The Guardian', 'profile-type': 'news', followers: 11200000, url: 'https://www.theguardian.com' } },
+          { id: '3f1c2d9e-5b6a-4c1d-9e8f-0a1b2c3d4e5f', type: 'research-output', attributes: { title: 'Coral bleaching under repeated heatwaves' } },
+        ],
+      });
+      assert.deepStrictEqual(ranking.top.map((m) => [m.id, m.name, m.type, m.reach, m.outputs, m.first_mentioned]), [
+        ['news:the-guardian', 'The Guardian', 'news', 11200000, 1, '2024-01-10'],
+      ]);
+      assert.strictEqual(ranking.unread_profiles, 0);
+    });
+
+    it('reports author profiles it cannot read instead of passing them off as named', function () {
+      const ranking = rankMentioners({
+        data: [mention('m1', { author: 'a1' })],
+        included: [profile('a1', { 'display-name': 'Someone', 'follower-count': 5 })],
+      });
+      assert.deepStrictEqual(ranking.top.map((m) => [m.name, m.reach]), [['a1', null]]);
+      assert.strictEqual(ranking.unread_profiles, 1);
+      assert.match(describeMentioners(ranking), /\nWarning: 1 mentions link to an author profile without a name; those mentioners are listed by ID\.$/);
+    });
+  });
+
+  describe('describeMentioners', function () {
+    it('renders a ranked table with escaped, sanitised cells', function () {
+      const text = describeMentioners(rankMentioners({
+        data: [mention('m1', { author: 'a' }), mention('m2', { author: 'b' }), mention('m3')],
+        included: [profile('a', { name: 'Pipe | Name\nwith break', 'profile-type': 'news' })],
+      }));
+      assert.match(text, /^2 mentioners across 2 mentions \(3 analysed, 1 without an author\)\. Top 2 by mentions:/);
+      assert.match(text, /\| 2 \| Pipe \\\| Name with break \| news \| 1 \| 0 \| n\/a \| 2024-01-03 \|/);
+      assert.match(text, /No follower counts were available/);
+    });
+
+    it('explains an empty ranking', function () {
+      assert.match(describeMentioners(rankMentioners({ data: [mention('m1')] })), /1 mentions analysed, and none of them names its author/);
+      assert.match(
+        describeMentioners(rankMentioners({ data: [mention('m1', { author: 'a' })] }, { types: ['policy'] })),
+        /none of the 1 attributed mentions is from a mentioner of the requested types/,
+      );
+    });
+  });
+});
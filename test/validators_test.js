@@ -1,5 +1,5 @@
 import assert from 'assert';
-import { validateIdentifier } from '../lib/validators.js';
+import { validateIdentifier, detectIdentifier } from '../lib/validators.js';
 
 describe('Identifier Validation', function () {
   describe('Altmetric ID validation (our implementation)', function () {
@@ -115,4 +115,45 @@ describe('Identifier Validation', function () {
       }
     });
   });
+
+  describe('detectIdentifier', function () {
+    const cases = [
+      ['10.1038/nature12373', 'doi', '10.1038/nature12373'],
+      ['https://doi.org/10.1038/nature12373', 'doi', '10.1038/nature12373'],
+      ['doi:10.1038/nature12373', 'doi', '10.1038/nature12373'],
+      ['arXiv:1501.00001', 'arxiv', '1501.00001'],
+      ['https://arxiv.org/abs/1501.00001', 'arxiv', '1501.00001'],
+      ['PMID: 23903748', 'pmid', '23903748'],
+      ['https://pubmed.ncbi.nlm.nih.gov/23903748/', 'pmid', '23903748'],
+      ['23903748', 'pmid', '23903748'],
+      ['altmetric:241939', 'id', '241939'],
+      ['https://www.altmetric.com/details/241939', 'id', '241939'],
+      ['NCT01234567', 'nct_id', 'NCT01234567'],
+      ['urn:isbn:0451450523', 'urn', 'urn:isbn:0451450523'],
+      ['RePEc:wpa:wuwpma:0406001', 'repec', 'RePEc:wpa:wuwpma:0406001'],
+      ['978-0-306-40615-7', 'isbn', '9780306406157'],
+      ['2013Natur.500...54K', 'ads', '2013Natur.500...54K'],
+      ['pub.1012345678', 'dimensions_publication_id', 'pub.1012345678'],
+      ['10012/12345', 'handle', '10012/12345'],
+      ['https://example.org/papers/42', 'uri', 'https://example.org/papers/42'],
+    ];
+
+    for (const [input, type, normalised] of cases) {
+      it(`reads ${input} as ${type}`, function () {
+        assert.deepStrictEqual(detectIdentifier(input), { identifier: normalised, identifier_type: type });
+      });
+    }
+
+    it('prefers DOI over Handle for a 10. prefix', function () {
+      assert.strictEqual(detectIdentifier('10.1234/abc').identifier_type, 'doi');
+    });
+
+    it('rejects a 10-digit number that is not a valid ISBN', function () {
+      assert.throws(() => detectIdentifier('1234567890'), /Could not determine the type/);
+    });
+
+    it('explains how to disambiguate unrecognised input', function () {
+      assert.throws(() => detectIdentifier('not an identifier'), /Set identifier_type explicitly; Altmetric IDs need an "altmetric:" prefix/);
+    });
+  });
 });